@@ -0,0 +1,254 @@
+/**
+ * Environment profile loader for Cempal Portal testing
+ * Merges profile defaults with .env files and process environment variables,
+ * then validates the result before any test or page object uses it
+ *
+ * Precedence (highest first): process.env, .env.<profile>, .env, profile, defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'dev';
+
+// Values shared by every profile
+const DEFAULTS = {
+  mockPortal: false,
+
+  // Name prefix of the tenants, groups and users tests create (utils/dataFactory.js), swept by utils/testDataSweeper.js
+  dataPrefix: 'qa',
+
+  // Traffic archives (utils/harArchive.js): off, record or replay
+  har: {
+    mode: 'off',
+    dir: 'hars'
+  },
+
+  browser: {
+    viewport: { width: 1920, height: 1080 },
+    slowMo: 0,
+    headless: true
+  },
+
+  timeouts: {
+    short: 5000,
+    medium: 10000,
+    long: 30000,
+    veryLong: 60000
+  },
+
+  // Test environment info
+  environment: {
+    os: 'Linux 6.14.0',
+    browser: 'Chrome 141',
+    resolution: '1920x1080',
+    testDate: '28 Oct 2025 / 22:35:25 GMT+6'
+  }
+};
+
+// Environment variables documented in env.example and the config path they override.
+// Account credentials are resolved separately by the credential vault (utils/credentialVault.js)
+const ENV_MAPPING = [
+  { name: 'BASE_URL', path: 'baseUrl', type: 'url', required: true },
+  { name: 'API_URL', path: 'apiUrl', type: 'url' },
+  { name: 'MAILBOX_URL', path: 'mailboxUrl', type: 'url' },
+  { name: 'HEADLESS', path: 'browser.headless', type: 'boolean' },
+  { name: 'SLOW_MO', path: 'browser.slowMo', type: 'integer' },
+  { name: 'TENANT_NAME', path: 'tenant.name', type: 'string', required: true },
+  { name: 'DOMAIN_NAME', path: 'tenant.domain', type: 'string', required: true },
+  { name: 'CONTACT_EMAIL', path: 'tenant.contactEmail', type: 'string', required: true },
+  { name: 'ADDRESS', path: 'tenant.address', type: 'string', required: true },
+  { name: 'UPDATED_ADDRESS', path: 'tenant.updatedAddress', type: 'string' },
+  { name: 'ASSIGN_TENANT_NAME', path: 'userAssignment.tenantName', type: 'string', required: true },
+  { name: 'USER_GROUP', path: 'userAssignment.userGroup', type: 'string', required: true },
+  { name: 'TEAM_NAME', path: 'userAssignment.teamName', type: 'string', required: true },
+  { name: 'TEST_DATA_PREFIX', path: 'dataPrefix', type: 'string' },
+  { name: 'TEST_DATA_SEED', path: 'dataSeed', type: 'integer' },
+  { name: 'HAR_MODE', path: 'har.mode', type: 'enum', values: ['off', 'record', 'replay'] },
+  { name: 'HAR_DIR', path: 'har.dir', type: 'string' },
+  { name: 'SHORT_TIMEOUT', path: 'timeouts.short', type: 'integer', required: true },
+  { name: 'MEDIUM_TIMEOUT', path: 'timeouts.medium', type: 'integer', required: true },
+  { name: 'LONG_TIMEOUT', path: 'timeouts.long', type: 'integer', required: true },
+  { name: 'VERY_LONG_TIMEOUT', path: 'timeouts.veryLong', type: 'integer', required: true }
+];
+
+/**
+ * Error raised when the selected profile cannot produce a valid configuration
+ */
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * List the profiles available under config/profiles
+ * @returns {Array<string>} Profile names
+ */
+function listProfiles() {
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'))
+    .sort();
+}
+
+/**
+ * Parse a .env file if it exists
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Parsed variables
+ */
+function readEnvFile(filePath) {
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+}
+
+/**
+ * Deep merge plain objects, later sources winning
+ * @param {...Object} sources - Objects to merge
+ * @returns {Object} Merged object
+ */
+function mergeDeep(...sources) {
+  const result = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isPlainObject ? mergeDeep(result[key], value) : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} target - Object to read
+ * @param {string} keyPath - Dotted path
+ * @returns {*} Value at the path
+ */
+function getPath(target, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), target);
+}
+
+/**
+ * Write a dotted path on an object, creating intermediate objects
+ * @param {Object} target - Object to write
+ * @param {string} keyPath - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Convert an environment variable string to its configured type
+ * @param {Object} mapping - Entry of ENV_MAPPING
+ * @param {string} raw - Raw value
+ * @param {Array<string>} problems - Collected validation problems
+ * @returns {*} Converted value
+ */
+function convertValue(mapping, raw, problems) {
+  switch (mapping.type) {
+    case 'boolean':
+      if (!/^(true|false|1|0)$/i.test(raw)) {
+        problems.push(`${mapping.name} must be true or false (got "${raw}")`);
+        return undefined;
+      }
+      return /^(true|1)$/i.test(raw);
+    case 'integer':
+      if (!/^\d+$/.test(raw)) {
+        problems.push(`${mapping.name} must be a non-negative integer (got "${raw}")`);
+        return undefined;
+      }
+      return Number(raw);
+    case 'enum':
+      if (!mapping.values.includes(raw)) {
+        problems.push(`${mapping.name} must be one of ${mapping.values.join(', ')} (got "${raw}")`);
+        return undefined;
+      }
+      return raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Resolve the profile name and the variables visible to it
+ * @param {Object} options - Loader options
+ * @param {string} options.profile - Profile name, TEST_ENV or "dev" by default
+ * @param {Object} options.env - Environment variables, process.env by default
+ * @param {string} options.rootDir - Directory holding the .env files
+ * @returns {{profileName: string, profileValues: Object, variables: Object}} Profile and merged variables
+ */
+function resolveVariables({ profile, env = process.env, rootDir = PROJECT_ROOT } = {}) {
+  const baseEnv = readEnvFile(path.join(rootDir, '.env'));
+  const profileName = profile || env.TEST_ENV || baseEnv.TEST_ENV || DEFAULT_PROFILE;
+
+  if (!listProfiles().includes(profileName)) {
+    throw new ConfigError(`Unknown test environment profile "${profileName}". Available profiles: ${listProfiles().join(', ')}`);
+  }
+
+  const variables = {
+    ...baseEnv,
+    ...readEnvFile(path.join(rootDir, `.env.${profileName}`)),
+    ...env
+  };
+
+  return { profileName, profileValues: require(path.join(PROFILES_DIR, profileName)), variables };
+}
+
+/**
+ * Load and validate the configuration of a profile
+ * @param {Object} options - Loader options, see resolveVariables
+ * @returns {Object} Configuration in the testData shape (without selectors and credentials)
+ */
+function loadEnvironment(options = {}) {
+  const { profileName, profileValues, variables } = resolveVariables(options);
+  const { accounts, ...settings } = profileValues;
+  const config = mergeDeep(DEFAULTS, settings, { profile: profileName });
+  const problems = [];
+
+  for (const mapping of ENV_MAPPING) {
+    const raw = variables[mapping.name];
+    if (raw !== undefined && raw !== '') {
+      const value = convertValue(mapping, raw, problems);
+      if (value !== undefined) {
+        setPath(config, mapping.path, value);
+      }
+    }
+  }
+
+  for (const mapping of ENV_MAPPING) {
+    const value = getPath(config, mapping.path);
+    if (mapping.required && (value === undefined || value === '')) {
+      problems.push(`${mapping.name} is required (${mapping.path})`);
+    } else if (mapping.type === 'url' && value !== undefined) {
+      try {
+        new URL(value);
+      } catch (error) {
+        problems.push(`${mapping.name} must be an absolute URL (got "${value}")`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration for test environment profile "${profileName}"`, problems);
+  }
+
+  config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+  // The portal serves its REST API below the base URL unless API_URL points elsewhere
+  config.apiUrl = (config.apiUrl || `${config.baseUrl}/api`).replace(/\/+$/, '');
+  // Reset codes are read from the mock portal's mailbox; other profiles need MAILBOX_URL (utils/mailbox.js)
+  config.mailboxUrl = (config.mailboxUrl || (config.mockPortal ? `${config.baseUrl}/__mock/mailbox` : '')).replace(/\/+$/, '');
+  return config;
+}
+
+module.exports = { loadEnvironment, resolveVariables, listProfiles, mergeDeep, ConfigError, ENV_MAPPING, PROJECT_ROOT };
@@ -0,0 +1,535 @@
+/**
+ * Locator registry for Cempal Portal testing (exposed as testData.selectors)
+ * Every entry is a self-healing locator descriptor (see utils/selfHealing.js): semantic strategies
+ * (role and accessible name, label, text) first, the selectors recorded on the portal as fallback.
+ * Entries for dynamic values are functions; values only ever reach Playwright as role names or text,
+ * never interpolated into an XPath or CSS string, so quotes and names like @#$% are safe.
+ */
+
+/**
+ * Role strategy
+ * @param {string} role - ARIA role
+ * @param {string} name - Accessible name (substring, case-insensitive unless exact)
+ * @param {Object} options - Other getByRole options (exact, level, ...)
+ * @returns {Object} Descriptor strategy
+ */
+function byRole(role, name, options = {}) {
+  return { role: [role, name === undefined ? options : { name, ...options }] };
+}
+
+// Scopes
+const modal = {
+  ...byRole('dialog'),
+  xpath: "//div[@class='ant-modal-content']"
+};
+
+const dataTable = {
+  ...byRole('table'),
+  xpath: '//table'
+};
+
+// ant-design Table pagination, rendered after the table inside its wrapper
+const pagination = {
+  css: '.ant-table-pagination',
+  xpath: "//ul[contains(@class, 'ant-pagination')]"
+};
+
+// ant-design popovers such as Popconfirm render next to the element that opened them, outside its row
+const popconfirm = {
+  css: '.ant-popconfirm',
+  ...byRole('tooltip')
+};
+
+// ant-select renders its options into a popup at the end of the body, outside the form; closed popups
+// stay in the DOM hidden, so only the open one is the scope
+const selectDropdown = {
+  css: '.ant-select-dropdown:not(.ant-select-dropdown-hidden)'
+};
+
+const locators = {
+  // Login page
+  emailInput: {
+    label: 'Email',
+    ...byRole('textbox', 'Email', { exact: true }),
+    // Amplify useId ids such as :r2: change between sessions
+    css: "input[id='amplify-id-:r2:']",
+    xpath: "//input[@id='amplify-id-:r2:']"
+  },
+  passwordInput: {
+    label: 'Password',
+    css: "input[id='amplify-id-:r5:']",
+    xpath: "//input[@id='amplify-id-:r5:']"
+  },
+  signInButton: {
+    ...byRole('button', 'Sign in', { exact: true }),
+    css: "button[type='submit']"
+  },
+  googleSignInButton: {
+    ...byRole('button', 'Sign In with Google'),
+    xpath: "//span[@class='amplify-text']"
+  },
+  resetPasswordButton: {
+    ...byRole('button', 'Reset Password'),
+    xpath: "//span[normalize-space()='Reset Password']"
+  },
+  cempalLogo: {
+    ...byRole('img', 'Cempal Logo', { exact: true }),
+    xpath: "//img[@alt='Cempal Logo']"
+  },
+  getStartedButton: {
+    ...byRole('button', 'Get Started'),
+    xpath: "//span[normalize-space()='Get Started']"
+  },
+  // Google sign-in (accounts.google.com, or the mock portal's identity provider), in a popup or the page itself
+  googleAccountChooser: {
+    ...byRole('heading', 'Choose an account'),
+    text: 'Choose an account'
+  },
+  googleAccount: email => ({
+    name: `googleAccount(${email})`,
+    text: email,
+    ...byRole('link', email)
+  }),
+  googleConsentContinueButton: {
+    ...byRole('button', 'Continue', { exact: true }),
+    xpath: "//button[normalize-space()='Continue']"
+  },
+  googleConsentCancelButton: {
+    ...byRole('button', 'Cancel', { exact: true }),
+    xpath: "//button[normalize-space()='Cancel']"
+  },
+  loginErrorAlert: {
+    ...byRole('alert'),
+    testId: 'error-message'
+  },
+
+  // Password reset (the Amplify Authenticator's forgot password and confirm reset password views)
+  resetEmailInput: {
+    label: 'Email',
+    css: "input[id='amplify-id-:r8:']"
+  },
+  sendCodeButton: {
+    ...byRole('button', 'Send code'),
+    xpath: "//button[normalize-space()='Send code']"
+  },
+  verificationCodeInput: {
+    label: 'Code',
+    css: "input[name='confirmation_code']"
+  },
+  newPasswordInput: {
+    label: 'New Password',
+    css: "input[name='password'][autocomplete='new-password']"
+  },
+  confirmPasswordInput: {
+    label: 'Confirm Password',
+    css: "input[name='confirm_password']"
+  },
+  submitResetButton: {
+    ...byRole('button', 'Submit', { exact: true }),
+    xpath: "//button[normalize-space()='Submit']"
+  },
+  resendCodeButton: {
+    ...byRole('button', 'Resend Code'),
+    xpath: "//button[normalize-space()='Resend Code']"
+  },
+  backToSignInButton: {
+    ...byRole('button', 'Back to Sign In'),
+    xpath: "//button[normalize-space()='Back to Sign In']"
+  },
+  // Only the error alert: the code step also shows an info alert ("Code sent to ...")
+  passwordResetError: {
+    css: '[data-amplify-authenticator] .amplify-alert--error',
+    xpath: "//div[@role='alert'][contains(@class, 'amplify-alert--error')]"
+  },
+
+  // Multi-factor sign-in (the Amplify Authenticator's confirm sign-in and TOTP setup views)
+  totpChallengeHeading: {
+    ...byRole('heading', 'Confirm TOTP Code'),
+    text: 'Confirm TOTP Code'
+  },
+  totpSetupHeading: {
+    ...byRole('heading', 'Setup TOTP'),
+    text: 'Setup TOTP'
+  },
+  totpQrCode: {
+    ...byRole('img', 'qr code'),
+    css: "img[alt='qr code']"
+  },
+  // The secret printed under the QR code, for authenticators that take it typed in
+  totpSetupSecret: {
+    css: '[data-amplify-copy] > div:first-child',
+    xpath: '//div[@data-amplify-copy]/div[1]'
+  },
+  totpCodeInput: {
+    label: 'Code',
+    css: "input[name='confirmation_code'][autocomplete='one-time-code']"
+  },
+  rememberDeviceCheckbox: {
+    ...byRole('checkbox', 'Remember this device'),
+    label: 'Remember this device'
+  },
+  totpConfirmButton: {
+    ...byRole('button', 'Confirm', { exact: true }),
+    xpath: "//button[normalize-space()='Confirm']"
+  },
+
+  // Dashboard
+  accountCircle: {
+    ...byRole('button', 'Account', { exact: true }),
+    xpath: "//span[@class='material-symbols-outlined medium-icon-style']"
+  },
+  logoutButton: {
+    ...byRole('menuitem', 'Logout from Cempal'),
+    text: 'Logout from Cempal',
+    xpath: "//span[normalize-space()='Logout from Cempal']"
+  },
+  tenantLogo: {
+    ...byRole('img', 'tenantLogo', { exact: true }),
+    xpath: "//img[@alt='tenantLogo']"
+  },
+  dashboardButton: {
+    ...byRole('button', 'Dashboard'),
+    xpath: "//span[normalize-space()='Dashboard']"
+  },
+  privacyPolicyLink: {
+    ...byRole('link', 'Privacy Policy', { exact: true }),
+    xpath: "//a[normalize-space()='Privacy Policy']"
+  },
+  themeSwitch: {
+    ...byRole('switch'),
+    xpath: "//span[@class='ant-switch-inner']"
+  },
+  navigationLink: text => ({
+    name: `navigationLink(${text})`,
+    ...byRole('link', text)
+  }),
+
+  // Shared ant-design components
+  modal,
+  modalTitled: title => ({
+    name: `modalTitled(${title})`,
+    ...byRole('dialog', title)
+  }),
+  modalCloseButton: {
+    within: modal,
+    ...byRole('button', 'Close', { exact: true }),
+    xpath: "//*[@fill-rule='evenodd']"
+  },
+  modalCancelButton: {
+    within: modal,
+    ...byRole('button', 'Cancel', { exact: true }),
+    xpath: "//div[@class='ant-modal-content']//button[normalize-space()='Cancel']"
+  },
+  dataTable,
+  tableRows: {
+    within: dataTable,
+    css: 'tbody > tr.ant-table-row',
+    xpath: '//tbody//tr'
+  },
+  tableRow: cellText => ({
+    name: `tableRow(${cellText})`,
+    within: dataTable,
+    ...byRole('row'),
+    has: byRole('cell', cellText, { exact: true })
+  }),
+  tableCell: cellText => ({
+    name: `tableCell(${cellText})`,
+    within: dataTable,
+    ...byRole('cell', cellText, { exact: true })
+  }),
+  tableHeaders: {
+    within: dataTable,
+    ...byRole('columnheader'),
+    css: 'thead th'
+  },
+  columnHeader: header => ({
+    name: `columnHeader(${header})`,
+    within: dataTable,
+    // Sorter icons are aria-hidden, so the accessible name is the header text
+    ...byRole('columnheader', header, { exact: true }),
+    text: header
+  }),
+  pagination,
+  paginationPage: number => ({
+    name: `paginationPage(${number})`,
+    within: pagination,
+    // Page items carry their number as title
+    ...byRole('listitem', String(number), { exact: true }),
+    text: String(number)
+  }),
+  paginationPages: {
+    within: pagination,
+    css: '.ant-pagination-item'
+  },
+  paginationActivePage: {
+    within: pagination,
+    css: '.ant-pagination-item-active'
+  },
+  paginationPrevious: {
+    within: pagination,
+    ...byRole('listitem', 'Previous Page', { exact: true }),
+    css: '.ant-pagination-prev'
+  },
+  paginationNext: {
+    within: pagination,
+    ...byRole('listitem', 'Next Page', { exact: true }),
+    css: '.ant-pagination-next'
+  },
+  pageSizeChanger: {
+    within: pagination,
+    css: '.ant-pagination-options-size-changer',
+    ...byRole('combobox', 'Page Size')
+  },
+  tableEmpty: {
+    within: dataTable,
+    css: '.ant-table-placeholder',
+    text: 'No data'
+  },
+  searchInput: {
+    ...byRole('searchbox'),
+    css: "input[placeholder*='search' i]"
+  },
+  searchButton: {
+    // Input.Search's button; the icon name is its accessible name
+    ...byRole('button', 'search', { exact: true }),
+    css: '.ant-input-search-button'
+  },
+  selectDropdown,
+  selectOption: label => ({
+    name: `selectOption(${label})`,
+    within: selectDropdown,
+    text: label,
+    ...byRole('option', label, { exact: true })
+  }),
+  selectOptions: {
+    within: selectDropdown,
+    css: '.ant-select-item-option',
+    ...byRole('option')
+  },
+  // Shown instead of the options when the search of the select matches none
+  selectEmpty: {
+    within: selectDropdown,
+    css: '.ant-select-item-empty',
+    text: 'No data'
+  },
+
+  // Tenant management
+  tenantListLink: {
+    ...byRole('link', 'Tenant List', { exact: true }),
+    xpath: "//a[normalize-space()='Tenant List']"
+  },
+  createTenantButton: {
+    ...byRole('button', 'Create new Tenant'),
+    xpath: "//span[normalize-space()='Create new Tenant']"
+  },
+  tenantNameInput: {
+    label: 'Tenant Name',
+    css: '#tenantName'
+  },
+  domainNameInput: {
+    label: 'Domain Name',
+    css: '#domainName'
+  },
+  contactEmailInput: {
+    label: 'Contact Email',
+    css: '#contact'
+  },
+  addressTextarea: {
+    label: 'Address',
+    css: '#address'
+  },
+  createTenantSubmitButton: {
+    within: modal,
+    ...byRole('button', 'Create Tenant'),
+    xpath: "//span[normalize-space()='Create Tenant']"
+  },
+  updateTenantButton: {
+    within: modal,
+    ...byRole('button', 'Update'),
+    xpath: "//span[normalize-space()='Update']"
+  },
+  tenantRowAction: (tenantName, action) => ({
+    name: `tenantRowAction(${tenantName}, ${action})`,
+    within: locators.tableRow(tenantName),
+    // Material icon buttons: the accessible name is the icon name (read_more, edit_note, groups, diversity_3, delete)
+    ...byRole('button', action, { exact: true }),
+    text: action
+  }),
+  tenantDetailsModal: {
+    ...byRole('dialog', 'Tenant Details'),
+    css: '.ant-modal:has(.ant-descriptions)'
+  },
+  detailsLabels: {
+    within: modal,
+    css: '.ant-descriptions-item-label'
+  },
+  detailsValues: {
+    within: modal,
+    css: '.ant-descriptions-item-content'
+  },
+  tenantGroupsModal: tenantName => ({
+    name: `tenantGroupsModal(${tenantName})`,
+    ...byRole('dialog', `Groups of ${tenantName}`, { exact: true }),
+    css: '.ant-modal:has(.ant-table)'
+  }),
+  groupsTable: {
+    within: modal,
+    ...byRole('table'),
+    css: '.ant-table table'
+  },
+  groupRows: {
+    within: modal,
+    css: 'tbody > tr.ant-table-row',
+    xpath: '//tbody//tr[contains(@class, "ant-table-row")]'
+  },
+  groupRow: groupName => ({
+    name: `groupRow(${groupName})`,
+    within: locators.groupsTable,
+    ...byRole('row'),
+    has: byRole('cell', groupName, { exact: true })
+  }),
+  groupRowAction: (groupName, action) => ({
+    name: `groupRowAction(${groupName}, ${action})`,
+    within: locators.groupRow(groupName),
+    // Material icon buttons like the tenant row actions (edit, delete; check and close while renaming)
+    ...byRole('button', action, { exact: true }),
+    text: action
+  }),
+  groupNameInput: {
+    within: modal,
+    label: 'Group Name',
+    css: '#groupName'
+  },
+  addGroupButton: {
+    within: modal,
+    ...byRole('button', 'Add Group'),
+    xpath: "//span[normalize-space()='Add Group']"
+  },
+  groupRenameInput: {
+    within: modal,
+    label: 'New group name',
+    css: 'tbody input.ant-input'
+  },
+  saveGroupNameButton: {
+    within: modal,
+    ...byRole('button', 'check', { exact: true }),
+    css: "tbody [data-row-action='check']"
+  },
+  groupDeletePopconfirm: popconfirm,
+  confirmDeleteGroupButton: {
+    within: popconfirm,
+    ...byRole('button', 'Delete', { exact: true }),
+    css: '.ant-popconfirm-buttons .ant-btn-primary'
+  },
+  cancelDeleteGroupButton: {
+    within: popconfirm,
+    ...byRole('button', 'Cancel', { exact: true }),
+    css: '.ant-popconfirm-buttons .ant-btn-default'
+  },
+  tenantTeamsModal: tenantName => ({
+    name: `tenantTeamsModal(${tenantName})`,
+    ...byRole('dialog', `Teams of ${tenantName}`, { exact: true }),
+    css: '.ant-modal:has(#teamName)'
+  }),
+  teamsTable: {
+    within: modal,
+    ...byRole('table'),
+    css: '.ant-table table'
+  },
+  teamRows: {
+    within: modal,
+    css: 'tbody > tr.ant-table-row',
+    xpath: '//tbody//tr[contains(@class, "ant-table-row")]'
+  },
+  teamRow: teamName => ({
+    name: `teamRow(${teamName})`,
+    within: locators.teamsTable,
+    ...byRole('row'),
+    has: byRole('cell', teamName, { exact: true })
+  }),
+  teamNameInput: {
+    within: modal,
+    label: 'Team Name',
+    css: '#teamName'
+  },
+  addTeamButton: {
+    within: modal,
+    ...byRole('button', 'Add Team'),
+    xpath: "//span[normalize-space()='Add Team']"
+  },
+  deleteTenantModal: {
+    ...byRole('dialog', 'Delete Tenant'),
+    css: '.ant-modal-confirm, .ant-modal:has(.ant-modal-confirm-body)'
+  },
+  confirmDeleteTenantButton: {
+    within: modal,
+    ...byRole('button', 'Delete', { exact: true }),
+    css: '.ant-modal-confirm-btns .ant-btn-dangerous, .ant-modal-confirm-btns .ant-btn-primary'
+  },
+
+  // User assignment
+  superAdminsLink: {
+    ...byRole('link', 'Super Admins', { exact: true }),
+    xpath: "//a[normalize-space()='Super Admins']"
+  },
+  assignButton: {
+    within: dataTable,
+    ...byRole('button', 'Assign'),
+    xpath: "//button[@type='button']//span[contains(text(),'Assign')]"
+  },
+  userAssignButton: userEmail => ({
+    name: `userAssignButton(${userEmail})`,
+    within: locators.tableRow(userEmail),
+    ...byRole('button', 'Assign')
+  }),
+  userUnassignButton: userEmail => ({
+    name: `userUnassignButton(${userEmail})`,
+    within: locators.tableRow(userEmail),
+    // Material icon button shown for assigned users only; its accessible name is the icon name
+    ...byRole('button', 'person_remove', { exact: true }),
+    text: 'person_remove'
+  }),
+  unassignPopconfirm: popconfirm,
+  confirmUnassignButton: {
+    within: popconfirm,
+    ...byRole('button', 'Unassign', { exact: true }),
+    css: '.ant-popconfirm-buttons .ant-btn-primary'
+  },
+  cancelUnassignButton: {
+    within: popconfirm,
+    ...byRole('button', 'Cancel', { exact: true }),
+    css: '.ant-popconfirm-buttons .ant-btn-default'
+  },
+  tenantSelect: {
+    label: 'Tenant',
+    css: '#tenantId'
+  },
+  groupSelect: {
+    label: 'Group',
+    css: '#userGroup'
+  },
+  teamSelect: {
+    label: 'Team',
+    css: '#teamId'
+  },
+  // Current value of each Assign modal select; an assigned user's modal opens with the assignment selected
+  selectedTenant: {
+    within: modal,
+    css: '.ant-select:has(#tenantId) .ant-select-selection-item'
+  },
+  selectedGroup: {
+    within: modal,
+    css: '.ant-select:has(#userGroup) .ant-select-selection-item'
+  },
+  selectedTeam: {
+    within: modal,
+    css: '.ant-select:has(#teamId) .ant-select-selection-item'
+  },
+  assignSubmitButton: {
+    within: modal,
+    ...byRole('button', 'Assign'),
+    xpath: "//button[@type='submit']//span[contains(text(),'Assign')]"
+  }
+};
+
+module.exports = locators;
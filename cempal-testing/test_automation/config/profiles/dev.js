@@ -0,0 +1,29 @@
+/**
+ * Profile for the shared dev portal
+ */
+
+module.exports = {
+  baseUrl: 'https://dev.cempal.craftsmenltd.com',
+
+  // Passwords come from the environment or the encrypted credentials file (utils/credentialVault.js)
+  accounts: {
+    super_admin: {
+      email: 'mehedimohammad213@gmail.com',
+      googleEmail: 'mehedimohammad7728@gmail.com'
+    }
+  },
+
+  tenant: {
+    name: 'ee',
+    domain: 'dev.cem0pal.craftsmenltd.com',
+    contactEmail: 's@g.com',
+    address: 'eee12',
+    updatedAddress: 'eee12'
+  },
+
+  userAssignment: {
+    tenantName: '@#$%',
+    userGroup: 'Tenant Admin',
+    teamName: 'Cutting Shoaib Vai'
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Profile for the bundled offline mock portal (see mock-portal/)
+ * The mock seeds its accounts through the credential vault of this profile, so both sides always agree on credentials.
+ * Set BASE_URL (e.g. http://127.0.0.1:4000) to serve the mock on another port.
+ */
+
+module.exports = {
+  baseUrl: 'http://127.0.0.1:3000',
+  mockPortal: true,
+
+  // Accounts seeded into the mock; the passwords and TOTP secrets only open the local mock and are still masked in output.
+  // Environment variables and the encrypted credentials file do not override them (mockPortal)
+  // The team lead signs in with MFA, with codes generated from its totpSecret
+  accounts: {
+    super_admin: {
+      email: 'mehedimohammad213@gmail.com',
+      password: 'MockPortal#2025',
+      googleEmail: 'mehedimohammad7728@gmail.com'
+    },
+    tenant_admin: { email: 'tenant.admin@cempal.local', password: 'MockPortal#2025' },
+    team_lead: { email: 'team.lead@cempal.local', password: 'MockPortal#2025', totpSecret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP' },
+    employee: { email: 'employee@cempal.local', password: 'MockPortal#2025' }
+  },
+
+  tenant: {
+    name: 'ee',
+    domain: 'dev.cem0pal.craftsmenltd.com',
+    contactEmail: 's@g.com',
+    address: 'eee12',
+    updatedAddress: 'eee12'
+  },
+
+  userAssignment: {
+    tenantName: '@#$%',
+    userGroup: 'Tenant Admin',
+    teamName: 'Cutting Shoaib Vai'
+  },
+
+  browser: {
+    headless: true,
+    slowMo: 0
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Profile for the staging portal
+ * Base URL and accounts have no defaults and must come from the environment or the encrypted credentials file
+ */
+
+module.exports = {
+  accounts: {},
+
+  tenant: {
+    name: 'qa-staging-tenant',
+    domain: 'qa-staging.cempal.craftsmenltd.com',
+    contactEmail: 'qa-staging@craftsmenltd.com',
+    address: 'Staging QA Address',
+    updatedAddress: 'Staging QA Address (updated)'
+  },
+
+  userAssignment: {
+    tenantName: 'qa-staging-tenant',
+    userGroup: 'Tenant Admin',
+    teamName: 'QA Team'
+  }
+};
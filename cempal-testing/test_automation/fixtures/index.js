@@ -0,0 +1,284 @@
+/**
+ * Playwright fixtures for Cempal Portal testing
+ * Extends `test` with page objects, per-role sessions and a seeded tenant, so specs never share
+ * page objects through `let` variables across concurrently running tests
+ */
+
+const base = require('@playwright/test');
+const LoginPage = require('../pages/LoginPage');
+const DashboardPage = require('../pages/DashboardPage');
+const TenantManagementPage = require('../pages/TenantManagementPage');
+const TenantDetailsPage = require('../pages/TenantDetailsPage');
+const TenantGroupsPage = require('../pages/TenantGroupsPage');
+const TeamPage = require('../pages/TeamPage');
+const UserAssignmentPage = require('../pages/UserAssignmentPage');
+const PasswordResetPage = require('../pages/PasswordResetPage');
+const testData = require('../config/testData');
+const { ensureStorageState } = require('../utils/authState');
+const { getDataFactory } = require('../utils/dataFactory');
+const { getEntityLedger } = require('../utils/entityLedger');
+const { createApiClient } = require('../utils/apiClient');
+const { HarSession } = require('../utils/harArchive');
+const { createMailbox } = require('../utils/mailbox');
+const { generateSecret } = require('../utils/totp');
+
+/**
+ * Create the page objects of a page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @returns {{loginPage: LoginPage, dashboardPage: DashboardPage, tenantPage: TenantManagementPage, tenantDetailsPage: TenantDetailsPage, tenantGroupsPage: TenantGroupsPage, teamPage: TeamPage, assignmentPage: UserAssignmentPage, passwordResetPage: PasswordResetPage}} Page objects
+ */
+function createPageObjects(page) {
+  return {
+    loginPage: new LoginPage(page),
+    dashboardPage: new DashboardPage(page),
+    tenantPage: new TenantManagementPage(page),
+    tenantDetailsPage: new TenantDetailsPage(page),
+    tenantGroupsPage: new TenantGroupsPage(page),
+    teamPage: new TeamPage(page),
+    assignmentPage: new UserAssignmentPage(page),
+    passwordResetPage: new PasswordResetPage(page)
+  };
+}
+
+/**
+ * Log entities the ledger could not clean up; testDataSweeper.js removes them later
+ * @param {Array<string>} problems - Problems reported by the ledger
+ */
+function warnCleanupProblems(problems) {
+  if (problems.length > 0) {
+    console.warn(`Could not clean up test data (run npm run data:sweep later):\n  ${problems.join('\n  ')}`);
+  }
+}
+
+/**
+ * Create a record through the mock portal's test support API
+ * @param {string} path - Endpoint below /__mock, e.g. /users
+ * @param {Object} data - Record to create
+ * @returns {Promise<Object>} Created record
+ */
+async function createMockRecord(path, data) {
+  const context = await base.request.newContext({ baseURL: testData.baseUrl });
+  try {
+    const response = await context.post(`/__mock${path}`, { data });
+    if (!response.ok()) {
+      throw new Error(`Could not create ${data.email} through /__mock${path}: ${response.status()} ${await response.text()}`);
+    }
+    return await response.json();
+  } finally {
+    await context.dispose();
+  }
+}
+
+// Replayed tests reach no backend, so there is nothing to clean up
+const replaying = testData.har.mode === 'replay';
+
+const test = base.test.extend({
+  /**
+   * Records or replays the traffic of the test's contexts (HAR_MODE, see utils/harArchive.js)
+   * Contexts a test creates itself are covered with `await har.attach(context)`
+   */
+  har: async ({}, use, testInfo) => {
+    const session = new HarSession(testInfo);
+    await use(session);
+    session.verify();
+  },
+
+  context: async ({ context, har }, use) => {
+    await har.attach(context);
+    await use(context);
+  },
+
+  // Page objects of the test's own page
+  loginPage: async ({ page }, use) => {
+    await use(new LoginPage(page));
+  },
+
+  dashboardPage: async ({ page }, use) => {
+    await use(new DashboardPage(page));
+  },
+
+  tenantPage: async ({ page }, use) => {
+    await use(new TenantManagementPage(page));
+  },
+
+  tenantDetailsPage: async ({ page }, use) => {
+    await use(new TenantDetailsPage(page));
+  },
+
+  tenantGroupsPage: async ({ page }, use) => {
+    await use(new TenantGroupsPage(page));
+  },
+
+  teamPage: async ({ page }, use) => {
+    await use(new TeamPage(page));
+  },
+
+  assignmentPage: async ({ page }, use) => {
+    await use(new UserAssignmentPage(page));
+  },
+
+  passwordResetPage: async ({ page }, use) => {
+    await use(new PasswordResetPage(page));
+  },
+
+  /**
+   * Mail sink the portal's verification codes are read from (MAILBOX_URL, see utils/mailbox.js)
+   * mailbox.isAvailable() is false when none is configured
+   */
+  mailbox: async ({}, use) => {
+    const mailbox = await createMailbox();
+    await use(mailbox);
+    await mailbox.dispose();
+  },
+
+  /**
+   * Throwaway account with a known password, for flows that change it (password reset)
+   * Created through the mock portal's test-support API and recorded in the entity ledger, so it is deleted after the
+   * test; null against a real portal, where there is none
+   */
+  resetAccount: async ({ entityLedger }, use) => {
+    if (!testData.mockPortal) {
+      await use(null);
+      return;
+    }
+
+    const factory = getDataFactory();
+    const { email, name } = factory.user();
+    const account = { email, name, password: factory.password() };
+    await createMockRecord('/users', account);
+    await entityLedger.trackUser(email);
+
+    await use(account);
+  },
+
+  /**
+   * Add a Google account to the mock portal's identity provider, with the outcome its sign-in should have
+   * Usage: const account = await addGoogleAccount({ linkedUser: testData.credentials.email, consent: 'prompt' });
+   * Options: linkedUser (Cempal user the account signs in as, none by default), consent ('prompt' or 'granted')
+   * and error (OAuth error the provider answers with, e.g. server_error). Only the mock portal has an identity
+   * provider accounts can be added to; elsewhere the function throws.
+   */
+  addGoogleAccount: async ({}, use) => {
+    await use(async (options = {}) => {
+      if (!testData.mockPortal) {
+        throw new Error('Google accounts can only be added to the mock portal (TEST_ENV=local-mock)');
+      }
+      const { email, name } = getDataFactory().user();
+      return createMockRecord('/google-accounts', { email, name, ...options });
+    });
+  },
+
+  /**
+   * Add a throwaway account that requires MFA to the mock portal
+   * Usage: const account = await addMfaAccount(); await loginPage.login(account.email, account.password, { totpSecret: account.totpSecret });
+   * Options: enrolled (true by default; false leaves the authenticator to be set up on the first sign-in, and
+   * totpSecret null). Accounts are recorded in the entity ledger and deleted after the test. Only the mock portal
+   * takes throwaway accounts; elsewhere the function throws.
+   */
+  addMfaAccount: async ({ entityLedger }, use) => {
+    await use(async ({ enrolled = true } = {}) => {
+      if (!testData.mockPortal) {
+        throw new Error('MFA accounts can only be added to the mock portal (TEST_ENV=local-mock)');
+      }
+      const factory = getDataFactory();
+      const { email, name } = factory.user();
+      const account = { email, name, password: factory.password(), mfa: 'required', totpSecret: enrolled ? generateSecret() : null };
+      await createMockRecord('/users', account);
+      await entityLedger.trackUser(email);
+      return account;
+    });
+  },
+
+  /**
+   * Open an extra signed-in session for a role, next to the test's own page
+   * Usage: const tenantAdmin = await asRole('tenant_admin'); await tenantAdmin.dashboardPage.navigateToDashboard();
+   * Contexts are closed when the test ends.
+   */
+  asRole: async ({ browser, baseURL, viewport, har }, use) => {
+    const contexts = [];
+
+    await use(async role => {
+      const context = await browser.newContext({
+        baseURL,
+        viewport,
+        storageState: await ensureStorageState(browser, role)
+      });
+      contexts.push(context);
+      await har.attach(context);
+      const page = await context.newPage();
+      return { role, context, page, ...createPageObjects(page) };
+    });
+
+    await Promise.all(contexts.map(context => context.close()));
+  },
+
+  /**
+   * Ledger of the tenants, users, assignments, groups and teams created in this worker (utils/entityLedger.js)
+   * Whatever is still recorded when the worker ends (failed tests, worker fixtures) is cleaned up then
+   */
+  entityLedger: [async ({ browser }, use) => {
+    const ledger = getEntityLedger();
+    if (replaying) {
+      await use(ledger);
+      return;
+    }
+    ledger.connect(() => createApiClient({ browser }));
+    await use(ledger);
+    warnCleanupProblems(await ledger.cleanup());
+  }, { scope: 'worker', auto: true }],
+
+  // Cleans up what a passing test created; a failed test's entities stay until the worker ends
+  cleanupCreatedEntities: [async ({ entityLedger }, use, testInfo) => {
+    await use();
+    if (testInfo.status === testInfo.expectedStatus && !replaying) {
+      warnCleanupProblems(await entityLedger.cleanup({ testId: testInfo.testId }));
+    }
+  }, { auto: true }],
+
+  /**
+   * Portal API client signed in as super admin (utils/apiClient.js), for seeding and cross-checking without the UI
+   * What it creates is recorded in the entity ledger and cleaned up like UI-created data
+   */
+  api: async ({ browser, entityLedger }, use) => {
+    const client = await createApiClient({ browser, ledger: entityLedger });
+    await use(client);
+    await client.dispose();
+  },
+
+  /**
+   * Throwaway `{ id, email, name }` user invited through the API, for tests that assign, reassign or unassign
+   * Unique per test, so parallel tests never change the same user; deleted with its assignment after the test
+   */
+  assignableUser: async ({ api }, use) => {
+    const { email, name } = getDataFactory().user();
+    await use(await api.createUser({ email, name }));
+  },
+
+  /**
+   * Tenant created once per worker through the UI as super admin
+   * Unique per worker and run, so parallel workers never edit each other's tenant; deleted when the worker ends
+   */
+  seededTenant: [async ({ browser, entityLedger }, use) => {
+    const tenant = getDataFactory().tenant();
+
+    const context = await browser.newContext({
+      baseURL: testData.baseUrl,
+      storageState: await ensureStorageState(browser, 'super_admin')
+    });
+    try {
+      const { dashboardPage, tenantPage } = createPageObjects(await context.newPage());
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      await entityLedger.withinWorkerScope(() => tenantPage.createTenant(tenant));
+      if (!await tenantPage.tenantExists(tenant.name)) {
+        throw new Error(`Seeded tenant "${tenant.name}" did not appear in the tenant list`);
+      }
+    } finally {
+      await context.close();
+    }
+
+    await use(tenant);
+  }, { scope: 'worker' }]
+});
+
+module.exports = { test, expect: base.expect, createPageObjects };
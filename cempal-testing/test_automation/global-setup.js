@@ -0,0 +1,49 @@
+/**
+ * Global setup for Cempal Portal testing
+ * Logs every role with an account in the credential vault in once and saves its storageState,
+ * so tests using authenticatedAs(role) start signed in instead of going through the login form
+ */
+
+const { chromium } = require('@playwright/test');
+const testData = require('./config/testData');
+const { getCredentialVault } = require('./utils/credentialVault');
+const { isStorageStateFresh, saveStorageState } = require('./utils/authState');
+
+module.exports = async function globalSetup() {
+  if (testData.har.mode === 'replay') {
+    // No backend to log in to: authenticatedAs uses the sessions recorded with the API traffic
+    console.log('Replaying recorded API traffic with the recorded sessions');
+    return;
+  }
+
+  const roles = getCredentialVault().listRoles();
+  const staleRoles = roles.filter(role => !isStorageStateFresh(role));
+
+  if (staleRoles.length === 0) {
+    console.log(`Reusing saved sessions for ${roles.join(', ')}`);
+    return;
+  }
+
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: testData.browser.headless });
+  } catch (error) {
+    // e.g. only Firefox is installed: authenticatedAs logs in with the browser of the test instead
+    console.warn(`Skipping session setup, Chromium is not available: ${error.message.split('\n')[0]}`);
+    return;
+  }
+
+  try {
+    for (const role of staleRoles) {
+      try {
+        await saveStorageState(browser, role);
+        console.log(`Saved session for ${role}`);
+      } catch (error) {
+        // Tests that do not need this role can still run; authenticatedAs retries and fails them clearly
+        console.warn(`Could not prepare a session for ${role}: ${error.message}`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Global teardown for Cempal Portal testing
+ * After a recording run (HAR_MODE=record), merges the traffic of every test into one redacted
+ * archive per spec and saves redacted copies of the sessions, so the suite can replay without a backend
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testData = require('./config/testData');
+const { getCredentialVault } = require('./utils/credentialVault');
+const { storageStatePath } = require('./utils/authState');
+const { mergeRecordings, saveRecordedStorageState } = require('./utils/harArchive');
+const { PROJECT_ROOT } = require('./config/environment');
+
+module.exports = async function globalTeardown() {
+  if (testData.har.mode !== 'record') {
+    return;
+  }
+
+  for (const { file, entries } of mergeRecordings()) {
+    console.log(`Recorded ${entries} API response(s) in ${path.relative(PROJECT_ROOT, file)}`);
+  }
+  for (const role of getCredentialVault().listRoles()) {
+    if (fs.existsSync(storageStatePath(role))) {
+      saveRecordedStorageState(role, storageStatePath(role));
+    }
+  }
+};
@@ -0,0 +1,1515 @@
+/**
+ * Client script for the local Cempal Portal stand-in
+ * Recreates the Amplify session handling and the ant-design modals, selects and tables
+ * of the real portal on top of the mock JSON API
+ */
+
+(function () {
+  'use strict';
+
+  const SESSION_PREFIX = 'CognitoIdentityServiceProvider.cempal-mock';
+  const THEME_KEY = 'cempal.theme';
+  // Window name of the Google sign-in popup, also the type of the message it sends back
+  const GOOGLE_POPUP_NAME = 'cempal-google-sign-in';
+  const CLOSE_ICON_PATH = 'M799.86 166.31c.02 0 .04.02.08.06l57.69 57.7c.04.03.05.05.06.08a.12.12 0 010 .06c0 .03-.02.05-.06.09L569.93 512l287.7 287.7c.04.04.05.06.06.09a.12.12 0 010 .07c0 .02-.02.04-.06.08l-57.7 57.69c-.03.04-.05.05-.07.06a.12.12 0 01-.07 0c-.03 0-.05-.02-.09-.06L512 569.93l-287.7 287.7c-.04.04-.06.05-.09.06a.12.12 0 01-.07 0c-.02 0-.04-.02-.08-.06l-57.69-57.7c-.04-.03-.05-.05-.06-.07a.12.12 0 010-.07c0-.03.02-.05.06-.09L454.07 512l-287.7-287.7c-.04-.04-.05-.06-.06-.09a.12.12 0 010-.07c0-.02.02-.04.06-.08l57.7-57.69c.03-.04.05-.05.07-.06a.12.12 0 01.07 0c.03 0 .05.02.09.06L512 454.07l287.7-287.7c.04-.04.06-.05.09-.06a.12.12 0 01.07 0z';
+  const DOMAIN_REGEX = /^(?!-)[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+  const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function createElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+  }
+
+  function decodeClaims(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString('en-GB', { timeZone: 'UTC' }) : '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Session (stored under Amplify/Cognito localStorage keys)
+  // ---------------------------------------------------------------------------
+
+  const session = {
+    read() {
+      const user = localStorage.getItem(`${SESSION_PREFIX}.LastAuthUser`);
+      if (!user) {
+        return null;
+      }
+      const keyPrefix = `${SESSION_PREFIX}.${user}`;
+      const idToken = localStorage.getItem(`${keyPrefix}.idToken`);
+      const accessToken = localStorage.getItem(`${keyPrefix}.accessToken`);
+      const refreshToken = localStorage.getItem(`${keyPrefix}.refreshToken`);
+      const claims = idToken ? decodeClaims(idToken) : null;
+      return claims ? { user, idToken, accessToken, refreshToken, claims } : null;
+    },
+
+    isValid(current) {
+      return !!current && current.claims.exp * 1000 > Date.now();
+    },
+
+    save(tokens) {
+      const user = tokens.user.email;
+      const keyPrefix = `${SESSION_PREFIX}.${user}`;
+      localStorage.setItem(`${SESSION_PREFIX}.LastAuthUser`, user);
+      localStorage.setItem(`${keyPrefix}.idToken`, tokens.idToken);
+      localStorage.setItem(`${keyPrefix}.accessToken`, tokens.accessToken);
+      localStorage.setItem(`${keyPrefix}.refreshToken`, tokens.refreshToken);
+      if (tokens.deviceKey) {
+        localStorage.setItem(`${keyPrefix}.deviceKey`, tokens.deviceKey);
+      }
+    },
+
+    // Key of the remembered device of a user; like Amplify's device metadata it outlives sign-out
+    deviceKey(user) {
+      return localStorage.getItem(`${SESSION_PREFIX}.${user}.deviceKey`);
+    },
+
+    clear() {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith(SESSION_PREFIX) && !key.endsWith('.deviceKey'))
+        .forEach(key => localStorage.removeItem(key));
+    },
+
+    async ensureFresh() {
+      const current = session.read();
+      if (session.isValid(current)) {
+        return current;
+      }
+      if (current && current.refreshToken) {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: current.refreshToken })
+        });
+        if (response.ok) {
+          session.save(await response.json());
+          return session.read();
+        }
+      }
+      session.clear();
+      return null;
+    }
+  };
+
+  async function api(method, path, body) {
+    const current = await session.ensureFresh();
+    const headers = { 'Content-Type': 'application/json' };
+    if (current) {
+      headers.Authorization = `Bearer ${current.accessToken}`;
+    }
+
+    const response = await fetch(path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && current) {
+      session.clear();
+      window.location.assign('/login');
+    }
+    if (!response.ok) {
+      const error = new Error(data.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.fields = data.fields || {};
+      throw error;
+    }
+    return data;
+  }
+
+  // ---------------------------------------------------------------------------
+  // ant-design building blocks
+  // ---------------------------------------------------------------------------
+
+  function showMessage(type, text) {
+    let container = document.querySelector('.ant-message');
+    if (!container) {
+      container = createElement('<div class="ant-message"></div>');
+      document.body.appendChild(container);
+    }
+    const notice = createElement(`
+      <div class="ant-message-notice">
+        <div class="ant-message-notice-content">
+          <div class="ant-message-custom-content ant-message-${type}" role="status"><span>${escapeHtml(text)}</span></div>
+        </div>
+      </div>`);
+    container.appendChild(notice);
+    setTimeout(() => notice.remove(), 3000);
+  }
+
+  function closeIcon() {
+    return `<span role="img" aria-label="close" class="anticon anticon-close ant-modal-close-icon"><svg fill-rule="evenodd" viewBox="64 64 896 896" focusable="false" data-icon="close" width="1em" height="1em" fill="currentColor" aria-hidden="true"><path d="${CLOSE_ICON_PATH}"></path></svg></span>`;
+  }
+
+  /**
+   * Open an ant-design modal; only open modals exist in the DOM
+   */
+  function openModal({ title, body, width = 520 }) {
+    const titleId = `modal-title-${Date.now()}`;
+    const root = createElement(`
+      <div class="ant-modal-root">
+        <div class="ant-modal-mask"></div>
+        <div tabindex="-1" class="ant-modal-wrap">
+          <div role="dialog" aria-modal="true" aria-labelledby="${titleId}" class="ant-modal" style="width: ${width}px;">
+            <div class="ant-modal-content">
+              <button type="button" aria-label="Close" class="ant-modal-close"><span class="ant-modal-close-x">${closeIcon()}</span></button>
+              <div class="ant-modal-header"><div class="ant-modal-title" id="${titleId}">${escapeHtml(title)}</div></div>
+              <div class="ant-modal-body">${body}</div>
+            </div>
+          </div>
+        </div>
+      </div>`);
+
+    const previousFocus = document.activeElement;
+
+    function close() {
+      closeSelectDropdown();
+      document.removeEventListener('keydown', onKeyDown);
+      root.remove();
+      if (previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+      }
+    }
+
+    function onKeyDown(event) {
+      if (event.key === 'Escape' && !document.querySelector('.ant-select-dropdown')) {
+        close();
+      }
+    }
+
+    root.querySelector('.ant-modal-close').addEventListener('click', close);
+    root.querySelector('.ant-modal-wrap').addEventListener('mousedown', event => {
+      if (event.target.classList.contains('ant-modal-wrap')) {
+        close();
+      }
+    });
+    root.querySelectorAll('[data-action="cancel"]').forEach(button => button.addEventListener('click', close));
+    document.addEventListener('keydown', onKeyDown);
+    document.body.appendChild(root);
+
+    const firstField = root.querySelector('.ant-modal-body input, .ant-modal-body textarea, .ant-modal-body button');
+    if (firstField) {
+      firstField.focus();
+    }
+
+    return { root, close };
+  }
+
+  function formItem({ id, label, control, required = true }) {
+    return `
+      <div class="ant-form-item" data-field="${id}">
+        <div class="ant-row ant-form-item-row">
+          <div class="ant-col ant-form-item-label"><label for="${id}" class="${required ? 'ant-form-item-required' : ''}" title="${escapeHtml(label)}">${escapeHtml(label)}</label></div>
+          <div class="ant-col ant-form-item-control">
+            <div class="ant-form-item-control-input"><div class="ant-form-item-control-input-content">${control}</div></div>
+            <div class="ant-form-item-explain" hidden><div class="ant-form-item-explain-error" id="${id}_help" role="alert"></div></div>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  function setFieldError(form, id, message) {
+    const item = form.querySelector(`[data-field="${id}"]`);
+    if (!item) {
+      return;
+    }
+    const explain = item.querySelector('.ant-form-item-explain');
+    const control = item.querySelector('input, textarea');
+    item.classList.toggle('ant-form-item-has-error', !!message);
+    explain.hidden = !message;
+    explain.querySelector('.ant-form-item-explain-error').textContent = message || '';
+    if (control) {
+      if (message) {
+        control.setAttribute('aria-invalid', 'true');
+        control.setAttribute('aria-describedby', `${id}_help`);
+      } else {
+        control.removeAttribute('aria-invalid');
+        control.removeAttribute('aria-describedby');
+      }
+    }
+  }
+
+  function submitButton(label) {
+    return `<button type="submit" class="ant-btn ant-btn-primary"><span class="ant-btn-icon"><span class="material-symbols-outlined">check</span></span><span>${escapeHtml(label)}</span></button>`;
+  }
+
+  function cancelButton(label = 'Cancel') {
+    return `<button type="button" class="ant-btn ant-btn-default" data-action="cancel"><span>${escapeHtml(label)}</span></button>`;
+  }
+
+  // ant-select with search (showSearch) and its dropdown rendered into a body-level popup
+
+  let openSelect = null;
+
+  function closeSelectDropdown() {
+    const dropdown = document.querySelector('.ant-select-dropdown');
+    if (dropdown) {
+      dropdown.remove();
+    }
+    if (openSelect) {
+      openSelect.element.classList.remove('ant-select-open');
+      openSelect.input.setAttribute('aria-expanded', 'false');
+      // Like ant-design, closing drops the search term
+      openSelect.input.value = '';
+      openSelect.render();
+      openSelect = null;
+    }
+  }
+
+  function selectMarkup(id, placeholder) {
+    return `
+      <div class="ant-select ant-select-single ant-select-show-search" data-select="${id}">
+        <div class="ant-select-selector">
+          <span class="ant-select-selection-search"><input type="search" id="${id}" class="ant-select-selection-search-input" role="combobox" aria-expanded="false" aria-haspopup="listbox" aria-controls="${id}_list" autocomplete="off"></span>
+          <span class="ant-select-selection-placeholder">${escapeHtml(placeholder)}</span>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Wire an ant-select; loadOptions returns [{ value, label }], initial preselects one of them.
+   * Typing filters the options by label, case-insensitively; no match shows the "No data" empty state
+   */
+  function bindSelect(container, id, { loadOptions, onChange, initial = null }) {
+    const element = container.querySelector(`[data-select="${id}"]`);
+    const input = element.querySelector('input');
+    const state = { element, input, value: initial ? initial.value : null, label: initial ? initial.label : null, options: [] };
+
+    function render() {
+      const placeholder = element.querySelector('.ant-select-selection-placeholder');
+      const existing = element.querySelector('.ant-select-selection-item');
+      if (existing) {
+        existing.remove();
+      }
+      // The search term replaces the selected label while typing
+      placeholder.hidden = !!state.value || !!input.value;
+      if (state.value && !input.value) {
+        element.querySelector('.ant-select-selector').appendChild(
+          createElement(`<span class="ant-select-selection-item" title="${escapeHtml(state.label)}">${escapeHtml(state.label)}</span>`)
+        );
+      }
+    }
+
+    function renderOptions() {
+      const listbox = document.getElementById(`${id}_list`);
+      if (!listbox || openSelect !== state) {
+        return;
+      }
+      const term = input.value.trim().toLowerCase();
+      const options = state.options.filter(option => option.label.toLowerCase().includes(term));
+      listbox.innerHTML = options.length > 0
+        ? options.map(option => `
+            <div class="ant-select-item ant-select-item-option${option.value === state.value ? ' ant-select-item-option-selected' : ''}" role="option" aria-selected="${option.value === state.value}" title="${escapeHtml(option.label)}" data-value="${escapeHtml(option.value)}"><div class="ant-select-item-option-content">${escapeHtml(option.label)}</div></div>`).join('')
+        : '<div class="ant-select-item-empty">No data</div>';
+
+      listbox.querySelectorAll('.ant-select-item-option').forEach(item => {
+        item.addEventListener('click', () => {
+          const option = options.find(candidate => candidate.value === item.dataset.value);
+          state.value = option.value;
+          state.label = option.label;
+          closeSelectDropdown();
+          if (onChange) {
+            onChange(option);
+          }
+        });
+      });
+    }
+
+    async function open() {
+      closeSelectDropdown();
+      openSelect = state;
+      element.classList.add('ant-select-open');
+      input.setAttribute('aria-expanded', 'true');
+
+      state.options = await loadOptions();
+      if (openSelect !== state) {
+        return;
+      }
+      const rect = element.getBoundingClientRect();
+      const dropdown = createElement(`
+        <div class="ant-select-dropdown ant-select-dropdown-placement-bottomLeft" style="left: ${rect.left + window.scrollX}px; top: ${rect.bottom + window.scrollY + 4}px; width: ${rect.width}px;">
+          <div role="listbox" id="${id}_list"></div>
+        </div>`);
+
+      dropdown.addEventListener('mousedown', event => event.preventDefault());
+      document.body.appendChild(dropdown);
+      renderOptions();
+    }
+
+    input.addEventListener('mousedown', event => {
+      event.preventDefault();
+      input.focus();
+      if (openSelect === state) {
+        closeSelectDropdown();
+      } else {
+        open();
+      }
+    });
+    input.addEventListener('input', () => {
+      render();
+      if (openSelect === state) {
+        renderOptions();
+      } else {
+        open();
+      }
+    });
+    input.addEventListener('keydown', event => {
+      if ((event.key === 'Enter' || event.key === 'ArrowDown') && openSelect !== state) {
+        event.preventDefault();
+        open();
+      } else if (event.key === 'Escape' && openSelect === state) {
+        event.stopPropagation();
+        closeSelectDropdown();
+      }
+    });
+    state.render = render;
+    render();
+
+    return {
+      get value() {
+        return state.value;
+      },
+      clear() {
+        state.value = null;
+        state.label = null;
+        render();
+      }
+    };
+  }
+
+  document.addEventListener('mousedown', event => {
+    if (openSelect && !openSelect.element.contains(event.target) && !event.target.closest('.ant-select-dropdown')) {
+      closeSelectDropdown();
+    }
+  });
+
+  function renderTable(container, { columns, rows, rowKey, emptyText = 'No data', sort = null }) {
+    const head = columns.map((column, index) => {
+      if (!column.sortValue) {
+        return `<th class="ant-table-cell" scope="col">${escapeHtml(column.title)}</th>`;
+      }
+      const order = sort && sort.index === index ? sort.order : null;
+      return `<th class="ant-table-cell ant-table-column-has-sorters" scope="col" tabindex="0" data-sort-index="${index}"${order ? ` aria-sort="${order}"` : ''}>
+          <div class="ant-table-column-sorters">
+            <span class="ant-table-column-title">${escapeHtml(column.title)}</span>
+            <span class="ant-table-column-sorter ant-table-column-sorter-full" aria-hidden="true"><span class="ant-table-column-sorter-inner">
+              <span class="ant-table-column-sorter-up${order === 'ascending' ? ' active' : ''}">&#9650;</span><span class="ant-table-column-sorter-down${order === 'descending' ? ' active' : ''}">&#9660;</span>
+            </span></span>
+          </div>
+        </th>`;
+    }).join('');
+    const body = rows.length > 0
+      ? rows.map(row => `<tr class="ant-table-row ant-table-row-level-0" data-row-key="${escapeHtml(rowKey(row))}">${columns.map(column => `<td class="ant-table-cell">${column.render(row)}</td>`).join('')}</tr>`).join('')
+      : `<tr class="ant-table-placeholder"><td class="ant-table-cell" colspan="${columns.length}"><div class="ant-empty-description">${escapeHtml(emptyText)}</div></td></tr>`;
+
+    container.innerHTML = `
+      <div class="ant-table">
+        <div class="ant-table-container">
+          <div class="ant-table-content">
+            <table style="table-layout: auto;">
+              <thead class="ant-table-thead"><tr>${head}</tr></thead>
+              <tbody class="ant-table-tbody">${body}</tbody>
+            </table>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  const PAGE_SIZES = [10, 20, 50, 100];
+  // ant-design cycles a sorter through ascending, descending and unsorted
+  const NEXT_SORT_ORDER = { none: 'ascending', ascending: 'descending', descending: 'none' };
+
+  /**
+   * ant-design Table with sorters (columns with a sortValue) and pagination; the page, page size and sort
+   * order survive setRows, like a Table whose dataSource is reloaded
+   */
+  function createDataTable(container, { columns, rowKey, emptyText, pageSize = PAGE_SIZES[0] }) {
+    const state = { rows: [], page: 1, pageSize, sort: { index: null, order: 'none' } };
+    const sizeChangerId = `${container.dataset.table}PageSize`;
+
+    function sortedRows() {
+      if (state.sort.order === 'none') {
+        return state.rows;
+      }
+      const value = columns[state.sort.index].sortValue;
+      const direction = state.sort.order === 'ascending' ? 1 : -1;
+      return [...state.rows].sort((a, b) => direction * String(value(a)).localeCompare(String(value(b)), undefined, { numeric: true, sensitivity: 'base' }));
+    }
+
+    function pagerButton(kind, title, page, disabled) {
+      const icon = kind === 'prev' ? 'left' : 'right';
+      return `<li title="${title}" class="ant-pagination-${kind}${disabled ? ' ant-pagination-disabled' : ''}" aria-disabled="${disabled}" data-page="${page}">
+          <button class="ant-pagination-item-link" type="button" tabindex="-1"${disabled ? ' disabled' : ''}><span role="img" aria-label="${icon}" class="anticon anticon-${icon}">${kind === 'prev' ? '&lsaquo;' : '&rsaquo;'}</span></button>
+        </li>`;
+    }
+
+    function render() {
+      const rows = sortedRows();
+      const pageCount = Math.max(1, Math.ceil(rows.length / state.pageSize));
+      state.page = Math.min(state.page, pageCount);
+      renderTable(container, {
+        columns,
+        rowKey,
+        emptyText,
+        rows: rows.slice((state.page - 1) * state.pageSize, state.page * state.pageSize),
+        sort: state.sort
+      });
+      if (rows.length === 0) {
+        return;
+      }
+
+      const items = Array.from({ length: pageCount }, (_, index) => index + 1).map(page => `
+        <li title="${page}" class="ant-pagination-item ant-pagination-item-${page}${page === state.page ? ' ant-pagination-item-active' : ''}" tabindex="0" data-page="${page}"><a rel="nofollow">${page}</a></li>`).join('');
+      container.insertAdjacentHTML('beforeend', `
+        <ul class="ant-pagination ant-table-pagination ant-table-pagination-right">
+          ${pagerButton('prev', 'Previous Page', state.page - 1, state.page === 1)}
+          ${items}
+          ${pagerButton('next', 'Next Page', state.page + 1, state.page === pageCount)}
+          <li class="ant-pagination-options"><div class="ant-pagination-options-size-changer">${selectMarkup(sizeChangerId, `${state.pageSize} / page`)}</div></li>
+        </ul>`);
+      container.querySelector(`#${sizeChangerId}`).setAttribute('aria-label', 'Page Size');
+      bindSelect(container, sizeChangerId, {
+        loadOptions: async () => PAGE_SIZES.map(size => ({ value: String(size), label: `${size} / page` })),
+        onChange: option => {
+          state.pageSize = Number(option.value);
+          state.page = 1;
+          render();
+        }
+      });
+    }
+
+    container.addEventListener('click', event => {
+      const pager = event.target.closest('[data-page]');
+      if (pager) {
+        if (pager.getAttribute('aria-disabled') !== 'true') {
+          state.page = Number(pager.dataset.page);
+          render();
+        }
+        return;
+      }
+      const header = event.target.closest('th[data-sort-index]');
+      if (header) {
+        const index = Number(header.dataset.sortIndex);
+        state.sort = { index, order: NEXT_SORT_ORDER[state.sort.index === index ? state.sort.order : 'none'] };
+        state.page = 1;
+        render();
+      }
+    });
+
+    return {
+      setRows(rows) {
+        state.rows = rows;
+        render();
+      }
+    };
+  }
+
+  function actionButton(action, title) {
+    return `<button type="button" class="ant-btn ant-btn-text ant-btn-icon-only" title="${escapeHtml(title)}" data-row-action="${action}"><span class="ant-btn-icon"><span aria-label="${action}" class="material-symbols-outlined">${action}</span></span></button>`;
+  }
+
+  // Delay between the last keystroke and the search request, like a debounced Input.Search
+  const SEARCH_DELAY = 300;
+
+  function bindListSearch(list, onSearch) {
+    const wrapper = document.querySelector(`[data-search="${list}"]`);
+    const input = wrapper.querySelector('input');
+    let timer = null;
+
+    function search() {
+      clearTimeout(timer);
+      onSearch(input.value.trim());
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(search, SEARCH_DELAY);
+    });
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        search();
+      }
+    });
+    wrapper.querySelector('.ant-input-search-button').addEventListener('click', search);
+
+    return {
+      get value() {
+        return input.value.trim();
+      }
+    };
+  }
+
+  // Loads a list for the current search; answers to searches overtaken by a later one are dropped
+  function createListLoader(path, search, onItems) {
+    let latest = 0;
+    return async function load() {
+      const request = ++latest;
+      const query = search.value ? `?search=${encodeURIComponent(search.value)}` : '';
+      const items = (await api('GET', `${path}${query}`)).items;
+      if (request === latest) {
+        onItems(items);
+      }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pages
+  // ---------------------------------------------------------------------------
+
+  function initLoginPage() {
+    const signInForm = document.querySelector('form[data-view="signIn"]');
+    const forgotForm = document.querySelector('form[data-view="forgotPassword"]');
+    const confirmForm = document.querySelector('form[data-view="confirmResetPassword"]');
+    const confirmSignInForm = document.querySelector('form[data-view="confirmSignIn"]');
+    const setupTotpForm = document.querySelector('form[data-view="setupTotp"]');
+    const params = new URLSearchParams(window.location.search);
+
+    function showAlert(form, message, type = 'error') {
+      const alert = form.querySelector('[data-alert]');
+      alert.className = `amplify-alert amplify-alert--${type}`;
+      alert.textContent = message;
+      alert.hidden = !message;
+    }
+
+    function showView(name) {
+      signInForm.hidden = name !== 'signIn';
+      forgotForm.hidden = name !== 'forgotPassword';
+      confirmForm.hidden = name !== 'confirmResetPassword';
+      confirmSignInForm.hidden = name !== 'confirmSignIn';
+      setupTotpForm.hidden = name !== 'setupTotp';
+    }
+
+    // Session of the MFA challenge the sign-in answered with
+    let challengeSession = '';
+
+    function showChallenge(challenge) {
+      challengeSession = challenge.session;
+      if (challenge.challengeName === 'MFA_SETUP') {
+        setupTotpForm.reset();
+        showAlert(setupTotpForm, '');
+        // Stand-in for the QR code of the otpauth URI; the secret below it is what authenticator apps accept as well
+        const qrCode = setupTotpForm.querySelector('[data-qr-code]');
+        qrCode.src = `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 29 29"><rect width="29" height="29" fill="#fff"/><path d="M1 1h7v7H1zM21 1h7v7h-7zM1 21h7v7H1z" fill="#000"/></svg>')}`;
+        qrCode.dataset.otpauthUri = challenge.otpauthUri;
+        setupTotpForm.querySelector('[data-secret-code]').textContent = challenge.secretCode;
+        showView('setupTotp');
+      } else {
+        confirmSignInForm.reset();
+        showAlert(confirmSignInForm, '');
+        showView('confirmSignIn');
+      }
+    }
+
+    async function answerChallenge(form) {
+      const code = form.elements.confirmation_code.value.trim();
+      showAlert(form, '');
+      if (!code) {
+        showAlert(form, 'Please enter the code from your authenticator app.');
+        return;
+      }
+
+      const response = await fetch('/api/auth/respond-to-challenge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session: challengeSession, code, rememberDevice: form.elements.remember_device.checked })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(form, data.message);
+        return;
+      }
+      session.save(data);
+      window.location.assign('/');
+    }
+
+    // Email the reset code was sent to, for the confirm view
+    let resetEmail = '';
+
+    async function sendResetCode(form, email) {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(form, data.message, 'error');
+        return false;
+      }
+      showAlert(form, `Code sent to ${data.destination || email}`, 'info');
+      return true;
+    }
+
+    // Google sign-in redirects the page by default; /login?oauth=popup opens it in a popup, like apps that
+    // keep the login page open
+    const googlePopup = params.get('oauth') === 'popup';
+
+    async function completeGoogleSignIn({ code, error }) {
+      if (error) {
+        showAlert(signInForm, error);
+        return;
+      }
+      const response = await fetch('/api/auth/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(signInForm, `Google sign-in failed (${data.message}).`);
+        return;
+      }
+      session.save(data);
+      window.location.assign('/');
+    }
+
+    if (window.opener && window.name === GOOGLE_POPUP_NAME) {
+      // The popup is back on the portal: hand the outcome to the login page that opened it
+      window.opener.postMessage({ type: GOOGLE_POPUP_NAME, code: params.get('code'), error: params.get('error') }, window.location.origin);
+      window.close();
+      return;
+    }
+
+    window.addEventListener('message', event => {
+      if (event.origin === window.location.origin && event.data && event.data.type === GOOGLE_POPUP_NAME) {
+        completeGoogleSignIn(event.data);
+      }
+    });
+
+    if (params.get('code') || params.get('error')) {
+      window.history.replaceState(null, '', window.location.pathname + (googlePopup ? '?oauth=popup' : ''));
+      completeGoogleSignIn({ code: params.get('code'), error: params.get('error') });
+    }
+
+    signInForm.addEventListener('submit', async event => {
+      event.preventDefault();
+      const submit = signInForm.querySelector('button[type="submit"]');
+      const email = signInForm.elements.username.value.trim();
+      const password = signInForm.elements.password.value;
+      showAlert(signInForm, '');
+
+      if (!email || !password) {
+        showAlert(signInForm, 'Please enter your email and password.');
+        return;
+      }
+
+      submit.disabled = true;
+      submit.textContent = 'Signing in';
+      try {
+        const response = await fetch('/api/auth/sign-in', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email, password, deviceKey: session.deviceKey(email) })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message);
+        }
+        if (data.challengeName) {
+          submit.disabled = false;
+          submit.textContent = 'Sign in';
+          showChallenge(data);
+          return;
+        }
+        session.save(data);
+        window.location.assign('/');
+      } catch (error) {
+        showAlert(signInForm, error.message || 'Sign in failed.');
+        submit.disabled = false;
+        submit.textContent = 'Sign in';
+      }
+    });
+
+    signInForm.querySelector('[data-provider="Google"]').addEventListener('click', () => {
+      const redirectUri = `${window.location.origin}/login${googlePopup ? '?oauth=popup' : ''}`;
+      const authorizeUrl = `/oauth2/authorize?identity_provider=Google&redirect_uri=${encodeURIComponent(redirectUri)}`;
+      if (googlePopup) {
+        window.open(authorizeUrl, GOOGLE_POPUP_NAME, 'width=480,height=640');
+      } else {
+        window.location.assign(authorizeUrl);
+      }
+    });
+
+    signInForm.querySelector('[data-action="toggle-password"]').addEventListener('click', event => {
+      const button = event.currentTarget;
+      const input = signInForm.elements.password;
+      const hidden = input.type === 'password';
+      input.type = hidden ? 'text' : 'password';
+      button.setAttribute('aria-label', hidden ? 'Hide password' : 'Show password');
+      button.querySelector('.amplify-visually-hidden').textContent = hidden ? 'Password is shown' : 'Password is hidden';
+    });
+
+    signInForm.querySelector('[data-action="show-reset"]').addEventListener('click', () => showView('forgotPassword'));
+    [forgotForm, confirmForm, confirmSignInForm, setupTotpForm].forEach(form => form.querySelector('[data-action="show-sign-in"]').addEventListener('click', () => showView('signIn')));
+
+    [confirmSignInForm, setupTotpForm].forEach(form => form.addEventListener('submit', event => {
+      event.preventDefault();
+      answerChallenge(form);
+    }));
+
+    setupTotpForm.querySelector('[data-action="copy-secret"]').addEventListener('click', () => {
+      // The clipboard API only exists in secure contexts; elsewhere the secret can still be selected by hand
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(setupTotpForm.querySelector('[data-secret-code]').textContent).catch(() => {});
+      }
+    });
+
+    forgotForm.addEventListener('submit', async event => {
+      event.preventDefault();
+      const email = forgotForm.elements.username.value.trim();
+      if (!email) {
+        showAlert(forgotForm, 'Please enter your email.', 'error');
+        return;
+      }
+      showAlert(forgotForm, '');
+      if (await sendResetCode(confirmForm, email)) {
+        resetEmail = email;
+        confirmForm.reset();
+        showView('confirmResetPassword');
+      }
+    });
+
+    confirmForm.querySelector('[data-action="resend-code"]').addEventListener('click', () => sendResetCode(confirmForm, resetEmail));
+
+    confirmForm.addEventListener('submit', async event => {
+      event.preventDefault();
+      const code = confirmForm.elements.confirmation_code.value.trim();
+      const password = confirmForm.elements.password.value;
+      showAlert(confirmForm, '');
+      if (!code || !password) {
+        showAlert(confirmForm, 'Please enter the code and your new password.');
+        return;
+      }
+      if (password !== confirmForm.elements.confirm_password.value) {
+        showAlert(confirmForm, 'Your passwords must match');
+        return;
+      }
+
+      const response = await fetch('/api/auth/confirm-forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: resetEmail, code, password })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showAlert(confirmForm, data.message);
+        return;
+      }
+      signInForm.elements.username.value = resetEmail;
+      signInForm.elements.password.value = '';
+      showAlert(signInForm, 'Your password has been reset. Sign in with your new password.', 'info');
+      showView('signIn');
+    });
+  }
+
+  function initWelcomePage() {
+    document.querySelector('[data-action="get-started"]').addEventListener('click', () => window.location.assign('/login'));
+  }
+
+  function initPortalChrome(current) {
+    const theme = localStorage.getItem(THEME_KEY) || 'light';
+    const themeSwitch = document.querySelector('[data-action="toggle-theme"]');
+
+    function applyTheme(value) {
+      document.body.classList.toggle('dark', value === 'dark');
+      document.body.classList.toggle('light', value !== 'dark');
+      themeSwitch.classList.toggle('ant-switch-checked', value === 'dark');
+      themeSwitch.setAttribute('aria-checked', String(value === 'dark'));
+    }
+
+    applyTheme(theme);
+    themeSwitch.addEventListener('click', () => {
+      const next = document.body.classList.contains('dark') ? 'light' : 'dark';
+      localStorage.setItem(THEME_KEY, next);
+      applyTheme(next);
+    });
+
+    document.querySelector('[data-action="go-dashboard"]').addEventListener('click', () => window.location.assign('/'));
+
+    const trigger = document.querySelector('[data-action="toggle-account"]');
+    trigger.addEventListener('click', () => {
+      const existing = document.querySelector('.cml-account-dropdown');
+      if (existing) {
+        existing.remove();
+        trigger.setAttribute('aria-expanded', 'false');
+        return;
+      }
+
+      const rect = trigger.getBoundingClientRect();
+      const dropdown = createElement(`
+        <div class="ant-dropdown cml-account-dropdown" style="top: ${rect.bottom + 8}px; right: 16px;">
+          <div class="ant-dropdown-menu" role="menu">
+            <div class="cml-account-card">
+              <span class="material-symbols-outlined large-icon-style">account_circle</span>
+              <div class="cml-account-name">${escapeHtml(current.claims.name)}</div>
+              <div class="cml-account-email">${escapeHtml(current.claims.email)}</div>
+              <div class="cml-account-role">${escapeHtml(current.claims['custom:role'])}</div>
+              <div class="cml-account-actions">
+                <button type="button" class="ant-btn ant-btn-default" role="menuitem" data-action="logout"><span class="ant-btn-icon"><span class="material-symbols-outlined">logout</span></span><span>Logout from Cempal</span></button>
+              </div>
+            </div>
+          </div>
+        </div>`);
+
+      dropdown.querySelector('[data-action="logout"]').addEventListener('click', async () => {
+        await fetch('/api/auth/sign-out', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: current.refreshToken })
+        }).catch(() => {});
+        session.clear();
+        window.location.assign('/login');
+      });
+
+      document.body.appendChild(dropdown);
+      trigger.setAttribute('aria-expanded', 'true');
+    });
+
+    document.addEventListener('mousedown', event => {
+      const dropdown = document.querySelector('.cml-account-dropdown');
+      if (dropdown && !dropdown.contains(event.target) && !trigger.contains(event.target)) {
+        dropdown.remove();
+        trigger.setAttribute('aria-expanded', 'false');
+      }
+    });
+  }
+
+  async function initDashboardPage() {
+    const [tenants, users] = await Promise.all([api('GET', '/api/tenants'), api('GET', '/api/users')]);
+    document.querySelector('[data-stat="tenants"]').textContent = String(tenants.items.length);
+    document.querySelector('[data-stat="users"]').textContent = String(users.items.length);
+  }
+
+  function tenantFormControls(tenant) {
+    return [
+      formItem({ id: 'tenantName', label: 'Tenant Name', control: `<input id="tenantName" class="ant-input" type="text" value="${escapeHtml(tenant.name)}" aria-required="true">` }),
+      formItem({ id: 'domainName', label: 'Domain Name', control: `<input id="domainName" class="ant-input" type="text" value="${escapeHtml(tenant.domain)}" aria-required="true">` })
+    ].join('');
+  }
+
+  function contactControls(tenant) {
+    return [
+      formItem({ id: 'contact', label: 'Contact Email', control: `<input id="contact" class="ant-input" type="text" value="${escapeHtml(tenant.contactEmail)}" aria-required="true">` }),
+      formItem({ id: 'address', label: 'Address', control: `<textarea id="address" class="ant-input" rows="3" aria-required="true">${escapeHtml(tenant.address)}</textarea>` })
+    ].join('');
+  }
+
+  const FIELD_IDS = { name: 'tenantName', domain: 'domainName', contactEmail: 'contact', address: 'address' };
+
+  function validateTenantField(form, field, value) {
+    const messages = {
+      name: value.trim() ? '' : 'Please enter the tenant name',
+      domain: DOMAIN_REGEX.test(value) ? '' : 'Please enter a valid domain (e.g., example.com or sub.example.com)',
+      contactEmail: EMAIL_REGEX.test(value) ? '' : 'Please enter a valid email',
+      address: value.trim() ? '' : 'Please enter the address'
+    };
+    setFieldError(form, FIELD_IDS[field], messages[field]);
+    return !messages[field];
+  }
+
+  function bindTenantValidation(form, fields) {
+    fields.forEach(field => {
+      const control = form.querySelector(`#${FIELD_IDS[field]}`);
+      control.addEventListener('input', () => validateTenantField(form, field, control.value));
+    });
+  }
+
+  function readTenantForm(form, fields) {
+    const data = {};
+    let valid = true;
+    fields.forEach(field => {
+      data[field] = form.querySelector(`#${FIELD_IDS[field]}`).value;
+      valid = validateTenantField(form, field, data[field]) && valid;
+    });
+    return valid ? data : null;
+  }
+
+  function showServerFieldErrors(form, error) {
+    Object.entries(error.fields || {}).forEach(([field, message]) => setFieldError(form, FIELD_IDS[field], message));
+  }
+
+  async function initTenantListPage() {
+    const tableContainer = document.querySelector('[data-table="tenants"]');
+    const table = createDataTable(tableContainer, {
+      rowKey: tenant => tenant.id,
+      columns: [
+        { title: 'Tenant Name', render: tenant => escapeHtml(tenant.name), sortValue: tenant => tenant.name },
+        { title: 'Domain Name', render: tenant => escapeHtml(tenant.domain), sortValue: tenant => tenant.domain },
+        { title: 'Contact Email', render: tenant => escapeHtml(tenant.contactEmail), sortValue: tenant => tenant.contactEmail },
+        { title: 'Address', render: tenant => escapeHtml(tenant.address), sortValue: tenant => tenant.address },
+        {
+          title: 'Actions',
+          render: () => actionButton('read_more', 'Details') + actionButton('edit_note', 'Edit') + actionButton('groups', 'Groups')
+            + actionButton('diversity_3', 'Teams') + actionButton('delete', 'Delete')
+        }
+      ]
+    });
+    let tenants = [];
+    const load = createListLoader('/api/tenants', bindListSearch('tenants', () => load()), items => {
+      tenants = items;
+      table.setRows(tenants);
+    });
+
+    function openCreateModal() {
+      const modal = openModal({
+        title: 'Add a New Tenant',
+        body: `
+          <form class="ant-form ant-form-vertical" novalidate>
+            ${tenantFormControls({ name: '', domain: '' })}
+            ${contactControls({ contactEmail: '', address: '' })}
+            <div class="ant-form-item"><div class="ant-flex cml-modal-actions">${submitButton('Create Tenant')}</div></div>
+          </form>`
+      });
+      const form = modal.root.querySelector('form');
+      bindTenantValidation(form, ['name', 'domain', 'contactEmail', 'address']);
+
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const data = readTenantForm(form, ['name', 'domain', 'contactEmail', 'address']);
+        if (!data) {
+          return;
+        }
+        try {
+          await api('POST', '/api/tenants', data);
+          modal.close();
+          showMessage('success', 'Tenant created successfully');
+          await load();
+        } catch (error) {
+          showServerFieldErrors(form, error);
+          showMessage('error', error.message);
+        }
+      });
+    }
+
+    function openEditModal(tenant) {
+      const modal = openModal({
+        title: 'Edit Tenant Information',
+        body: `
+          <form class="ant-form ant-form-vertical" novalidate>
+            <p class="cml-tenant-summary"><strong>Name:</strong> ${escapeHtml(tenant.name)}</p>
+            <p class="cml-tenant-summary"><strong>Domain:</strong> ${escapeHtml(tenant.domain)}</p>
+            ${contactControls(tenant)}
+            <div class="ant-form-item"><div class="ant-flex cml-modal-actions">${submitButton('Update')}${cancelButton()}</div></div>
+          </form>`
+      });
+      const form = modal.root.querySelector('form');
+      bindTenantValidation(form, ['contactEmail', 'address']);
+
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const data = readTenantForm(form, ['contactEmail', 'address']);
+        if (!data) {
+          return;
+        }
+        try {
+          await api('PUT', `/api/tenants/${encodeURIComponent(tenant.id)}`, data);
+          modal.close();
+          showMessage('success', 'Tenant updated successfully');
+          await load();
+        } catch (error) {
+          showServerFieldErrors(form, error);
+          showMessage('error', error.message);
+        }
+      });
+    }
+
+    async function openDetailsModal(tenant) {
+      const details = await api('GET', `/api/tenants/${encodeURIComponent(tenant.id)}`);
+      const rows = [
+        ['Tenant Name', details.name],
+        ['Domain Name', details.domain],
+        ['Contact Email', details.contactEmail],
+        ['Address', details.address],
+        ['Created At', formatDate(details.createdAt)],
+        ['Updated At', formatDate(details.updatedAt)]
+      ];
+      openModal({
+        title: 'Tenant Details',
+        body: `
+          <div class="ant-descriptions ant-descriptions-bordered">
+            <div class="ant-descriptions-view">
+              <table><tbody>
+                ${rows.map(([label, value]) => `<tr class="ant-descriptions-row"><th class="ant-descriptions-item-label">${escapeHtml(label)}</th><td class="ant-descriptions-item-content">${escapeHtml(value)}</td></tr>`).join('')}
+              </tbody></table>
+            </div>
+          </div>
+          <div class="ant-flex cml-modal-actions">${cancelButton('Close')}</div>`
+      });
+    }
+
+    async function openGroupsModal(tenant) {
+      const groupsPath = `/api/tenants/${encodeURIComponent(tenant.id)}/groups`;
+      const modal = openModal({
+        title: `Groups of ${tenant.name}`,
+        width: 640,
+        body: `
+          <form class="ant-form ant-form-vertical cml-group-form" novalidate>
+            ${formItem({ id: 'groupName', label: 'Group Name', control: '<input id="groupName" class="ant-input" type="text" aria-required="true">' })}
+            <div class="ant-form-item"><div class="ant-flex cml-modal-actions">${submitButton('Add Group')}</div></div>
+          </form>
+          <div class="ant-table-wrapper" data-table="groups"></div>`
+      });
+      const form = modal.root.querySelector('form');
+      const tableContainer = modal.root.querySelector('[data-table="groups"]');
+      let groups = [];
+      let renamingId = null;
+
+      function closePopconfirm() {
+        const popconfirm = modal.root.querySelector('.ant-popconfirm');
+        if (popconfirm) {
+          popconfirm.remove();
+        }
+      }
+
+      function render() {
+        closePopconfirm();
+        renderTable(tableContainer, {
+          rowKey: group => group.id,
+          rows: groups,
+          emptyText: 'No groups',
+          columns: [
+            {
+              title: 'Group Name',
+              render: group => (group.id === renamingId
+                ? `<input class="ant-input" type="text" aria-label="New group name" data-field="rename" value="${escapeHtml(group.name)}">`
+                : escapeHtml(group.name))
+            },
+            { title: 'Members', render: group => escapeHtml(group.members.join(', ')) },
+            {
+              title: 'Actions',
+              render: group => (group.id === renamingId
+                ? actionButton('check', 'Save') + actionButton('close', 'Cancel')
+                : actionButton('edit', 'Rename') + actionButton('delete', 'Delete'))
+            }
+          ]
+        });
+
+        const renameInput = tableContainer.querySelector('[data-field="rename"]');
+        if (renameInput) {
+          renameInput.focus();
+          renameInput.select();
+          renameInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+              event.preventDefault();
+              saveRename();
+            } else if (event.key === 'Escape') {
+              // Only the rename is cancelled, the modal stays open
+              event.stopPropagation();
+              renamingId = null;
+              render();
+            }
+          });
+        }
+      }
+
+      async function load() {
+        groups = (await api('GET', groupsPath)).items;
+        renamingId = null;
+        render();
+      }
+
+      async function saveRename() {
+        const name = tableContainer.querySelector('[data-field="rename"]').value;
+        try {
+          await api('PUT', `${groupsPath}/${encodeURIComponent(renamingId)}`, { name });
+          showMessage('success', 'Group renamed successfully');
+          await load();
+        } catch (error) {
+          showMessage('error', (error.fields && error.fields.name) || error.message);
+        }
+      }
+
+      function openPopconfirm(group, button) {
+        closePopconfirm();
+        const rect = button.getBoundingClientRect();
+        const popconfirm = createElement(`
+          <div class="ant-popover ant-popconfirm" style="left: ${rect.left}px; top: ${rect.bottom + 4}px;">
+            <div class="ant-popover-content">
+              <div class="ant-popover-inner" role="tooltip">
+                <div class="ant-popconfirm-inner-content">
+                  <div class="ant-popconfirm-message">
+                    <div class="ant-popconfirm-title">Delete the group ${escapeHtml(group.name)}?</div>
+                    <div class="ant-popconfirm-description">Its members are unassigned.</div>
+                  </div>
+                  <div class="ant-popconfirm-buttons">
+                    <button type="button" class="ant-btn ant-btn-default ant-btn-sm" data-action="cancel-delete"><span>Cancel</span></button>
+                    <button type="button" class="ant-btn ant-btn-primary ant-btn-sm ant-btn-dangerous" data-action="confirm-delete"><span>Delete</span></button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>`);
+
+        popconfirm.querySelector('[data-action="cancel-delete"]').addEventListener('click', closePopconfirm);
+        popconfirm.querySelector('[data-action="confirm-delete"]').addEventListener('click', async () => {
+          try {
+            await api('DELETE', `${groupsPath}/${encodeURIComponent(group.id)}`);
+            showMessage('success', 'Group deleted successfully');
+            await load();
+          } catch (error) {
+            closePopconfirm();
+            showMessage('error', error.message);
+          }
+        });
+        modal.root.appendChild(popconfirm);
+      }
+
+      form.querySelector('#groupName').addEventListener('input', event => setFieldError(form, 'groupName', event.target.value.trim() ? '' : 'Please enter the group name'));
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const input = form.querySelector('#groupName');
+        if (!input.value.trim()) {
+          setFieldError(form, 'groupName', 'Please enter the group name');
+          return;
+        }
+        try {
+          await api('POST', groupsPath, { name: input.value });
+          input.value = '';
+          setFieldError(form, 'groupName', '');
+          showMessage('success', 'Group created successfully');
+          await load();
+        } catch (error) {
+          setFieldError(form, 'groupName', error.fields && error.fields.name);
+          showMessage('error', error.message);
+        }
+      });
+
+      tableContainer.addEventListener('click', event => {
+        const button = event.target.closest('[data-row-action]');
+        if (!button) {
+          return;
+        }
+        const group = groups.find(item => item.id === button.closest('tr').dataset.rowKey);
+        const handlers = {
+          edit: () => {
+            renamingId = group.id;
+            render();
+          },
+          check: saveRename,
+          close: () => {
+            renamingId = null;
+            render();
+          },
+          delete: () => openPopconfirm(group, button)
+        };
+        handlers[button.dataset.rowAction]();
+      });
+
+      await load();
+    }
+
+    async function openTeamsModal(tenant) {
+      const teamsPath = `/api/tenants/${encodeURIComponent(tenant.id)}/teams`;
+      const modal = openModal({
+        title: `Teams of ${tenant.name}`,
+        width: 640,
+        body: `
+          <form class="ant-form ant-form-vertical cml-team-form" novalidate>
+            ${formItem({ id: 'teamName', label: 'Team Name', control: '<input id="teamName" class="ant-input" type="text" aria-required="true">' })}
+            <div class="ant-form-item"><div class="ant-flex cml-modal-actions">${submitButton('Add Team')}</div></div>
+          </form>
+          <div class="ant-table-wrapper" data-table="teams"></div>`
+      });
+      const form = modal.root.querySelector('form');
+      const tableContainer = modal.root.querySelector('[data-table="teams"]');
+
+      async function load() {
+        renderTable(tableContainer, {
+          rowKey: team => team.id,
+          rows: (await api('GET', teamsPath)).items,
+          emptyText: 'No teams',
+          columns: [
+            { title: 'Team Name', render: team => escapeHtml(team.name) },
+            { title: 'Members', render: team => escapeHtml(team.members.join(', ')) }
+          ]
+        });
+      }
+
+      form.querySelector('#teamName').addEventListener('input', event => setFieldError(form, 'teamName', event.target.value.trim() ? '' : 'Please enter the team name'));
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const input = form.querySelector('#teamName');
+        if (!input.value.trim()) {
+          setFieldError(form, 'teamName', 'Please enter the team name');
+          return;
+        }
+        try {
+          await api('POST', teamsPath, { name: input.value });
+          input.value = '';
+          setFieldError(form, 'teamName', '');
+          showMessage('success', 'Team created successfully');
+          await load();
+        } catch (error) {
+          setFieldError(form, 'teamName', error.fields && error.fields.name);
+          showMessage('error', error.message);
+        }
+      });
+
+      await load();
+    }
+
+    function openDeleteModal(tenant) {
+      const modal = openModal({
+        title: 'Delete Tenant',
+        width: 416,
+        body: `
+          <div class="ant-modal-confirm-body">
+            <p class="ant-modal-confirm-content">Are you sure you want to delete <strong>${escapeHtml(tenant.name)}</strong>?
+              Its groups and teams are deleted and its users unassigned. This cannot be undone.</p>
+          </div>
+          <div class="ant-flex ant-modal-confirm-btns cml-modal-actions">
+            ${cancelButton()}
+            <button type="button" class="ant-btn ant-btn-primary ant-btn-dangerous" data-action="confirm-delete"><span>Delete</span></button>
+          </div>`
+      });
+
+      modal.root.querySelector('[data-action="confirm-delete"]').addEventListener('click', async () => {
+        try {
+          await api('DELETE', `/api/tenants/${encodeURIComponent(tenant.id)}`);
+          modal.close();
+          showMessage('success', 'Tenant deleted successfully');
+          await load();
+        } catch (error) {
+          showMessage('error', error.message);
+        }
+      });
+    }
+
+    document.querySelector('[data-action="create-tenant"]').addEventListener('click', openCreateModal);
+
+    tableContainer.addEventListener('click', event => {
+      const button = event.target.closest('[data-row-action]');
+      if (!button) {
+        return;
+      }
+      const tenant = tenants.find(item => item.id === button.closest('tr').dataset.rowKey);
+      const handlers = {
+        read_more: openDetailsModal,
+        edit_note: openEditModal,
+        groups: openGroupsModal,
+        diversity_3: openTeamsModal,
+        delete: openDeleteModal
+      };
+      handlers[button.dataset.rowAction](tenant);
+    });
+
+    await load();
+  }
+
+  async function initSuperAdminsPage() {
+    const tableContainer = document.querySelector('[data-table="users"]');
+    const status = user => (user.assignment ? 'Assigned' : 'Pending');
+    const assigned = field => user => (user.assignment ? user.assignment[field] : '');
+    const table = createDataTable(tableContainer, {
+      rowKey: user => user.id,
+      columns: [
+        { title: 'Email', render: user => escapeHtml(user.email), sortValue: user => user.email },
+        { title: 'Name', render: user => escapeHtml(user.name), sortValue: user => user.name },
+        { title: 'Tenant', render: user => escapeHtml(assigned('tenantName')(user)), sortValue: assigned('tenantName') },
+        { title: 'Group', render: user => escapeHtml(assigned('groupName')(user)), sortValue: assigned('groupName') },
+        { title: 'Team', render: user => escapeHtml(assigned('teamName')(user)), sortValue: assigned('teamName') },
+        { title: 'Status', render: status, sortValue: status },
+        {
+          title: 'Action',
+          render: user => `<div class="ant-space"><button type="button" class="ant-btn ant-btn-primary ant-btn-sm" data-row-action="assign"><span class="ant-btn-icon"><span class="material-symbols-outlined">person_add</span></span><span>Assign</span></button>${user.assignment ? actionButton('person_remove', 'Unassign') : ''}</div>`
+        }
+      ]
+    });
+    let users = [];
+    const load = createListLoader('/api/users', bindListSearch('users', () => load()), items => {
+      closePopconfirm();
+      users = items;
+      table.setRows(users);
+    });
+
+    function closePopconfirm() {
+      const popconfirm = document.querySelector('.ant-popconfirm');
+      if (popconfirm) {
+        popconfirm.remove();
+      }
+    }
+
+    function openUnassignPopconfirm(user, button) {
+      closePopconfirm();
+      const rect = button.getBoundingClientRect();
+      const popconfirm = createElement(`
+        <div class="ant-popover ant-popconfirm" style="left: ${rect.left}px; top: ${rect.bottom + 4}px;">
+          <div class="ant-popover-content">
+            <div class="ant-popover-inner" role="tooltip">
+              <div class="ant-popconfirm-inner-content">
+                <div class="ant-popconfirm-message">
+                  <div class="ant-popconfirm-title">Unassign ${escapeHtml(user.email)}?</div>
+                  <div class="ant-popconfirm-description">They leave ${escapeHtml(user.assignment.tenantName)}, its group and team.</div>
+                </div>
+                <div class="ant-popconfirm-buttons">
+                  <button type="button" class="ant-btn ant-btn-default ant-btn-sm" data-action="cancel-unassign"><span>Cancel</span></button>
+                  <button type="button" class="ant-btn ant-btn-primary ant-btn-sm ant-btn-dangerous" data-action="confirm-unassign"><span>Unassign</span></button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>`);
+
+      popconfirm.querySelector('[data-action="cancel-unassign"]').addEventListener('click', closePopconfirm);
+      popconfirm.querySelector('[data-action="confirm-unassign"]').addEventListener('click', async () => {
+        try {
+          await api('DELETE', `/api/users/${encodeURIComponent(user.id)}/assignment`);
+          showMessage('success', 'User unassigned successfully');
+          await load();
+        } catch (error) {
+          closePopconfirm();
+          showMessage('error', error.message);
+        }
+      });
+      document.body.appendChild(popconfirm);
+    }
+
+    function openAssignModal(user) {
+      // An assigned user opens with the current assignment selected; submitting replaces it
+      const current = user.assignment;
+      const modal = openModal({
+        title: 'Assign User',
+        body: `
+          <form class="ant-form ant-form-vertical" novalidate>
+            <p class="cml-assign-user">User: ${escapeHtml(user.email)}</p>
+            ${formItem({ id: 'tenantId', label: 'Tenant', control: selectMarkup('tenantId', 'Select tenant') })}
+            ${formItem({ id: 'userGroup', label: 'Group', control: selectMarkup('userGroup', 'Select group') })}
+            ${formItem({ id: 'teamId', label: 'Team', control: selectMarkup('teamId', 'Select team') })}
+            <div class="ant-form-item"><div class="ant-flex cml-modal-actions">${submitButton('Assign')}${cancelButton()}</div></div>
+          </form>`
+      });
+      const form = modal.root.querySelector('form');
+      const toOptions = response => response.items.map(item => ({ value: item.id, label: item.name }));
+
+      const tenantSelect = bindSelect(form, 'tenantId', {
+        initial: current && { value: current.tenantId, label: current.tenantName },
+        loadOptions: async () => toOptions(await api('GET', '/api/tenants')),
+        onChange: () => {
+          groupSelect.clear();
+          teamSelect.clear();
+          setFieldError(form, 'tenantId', '');
+        }
+      });
+      const groupSelect = bindSelect(form, 'userGroup', {
+        initial: current && { value: current.groupId, label: current.groupName },
+        loadOptions: async () => (tenantSelect.value
+          ? toOptions(await api('GET', `/api/tenants/${encodeURIComponent(tenantSelect.value)}/groups`))
+          : []),
+        onChange: () => setFieldError(form, 'userGroup', '')
+      });
+      const teamSelect = bindSelect(form, 'teamId', {
+        initial: current && { value: current.teamId, label: current.teamName },
+        loadOptions: async () => (tenantSelect.value
+          ? toOptions(await api('GET', `/api/tenants/${encodeURIComponent(tenantSelect.value)}/teams`))
+          : []),
+        onChange: () => setFieldError(form, 'teamId', '')
+      });
+
+      form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const selections = { tenantId: tenantSelect.value, userGroup: groupSelect.value, teamId: teamSelect.value };
+        const labels = { tenantId: 'Please select a tenant', userGroup: 'Please select a group', teamId: 'Please select a team' };
+        const missing = Object.keys(selections).filter(key => !selections[key]);
+        Object.keys(selections).forEach(key => setFieldError(form, key, missing.includes(key) ? labels[key] : ''));
+        if (missing.length > 0) {
+          return;
+        }
+
+        try {
+          await api('PUT', `/api/users/${encodeURIComponent(user.id)}/assignment`, {
+            tenantId: selections.tenantId,
+            groupId: selections.userGroup,
+            teamId: selections.teamId
+          });
+          modal.close();
+          showMessage('success', 'User assigned successfully');
+          await load();
+        } catch (error) {
+          showMessage('error', error.message);
+        }
+      });
+    }
+
+    tableContainer.addEventListener('click', event => {
+      const button = event.target.closest('[data-row-action]');
+      if (!button) {
+        return;
+      }
+      const user = users.find(item => item.id === button.closest('tr').dataset.rowKey);
+      if (button.dataset.rowAction === 'assign') {
+        openAssignModal(user);
+      } else {
+        openUnassignPopconfirm(user, button);
+      }
+    });
+
+    await load();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bootstrap
+  // ---------------------------------------------------------------------------
+
+  const PUBLIC_PAGES = {
+    login: initLoginPage,
+    welcome: initWelcomePage,
+    oauth: () => {},
+    'not-found': () => {}
+  };
+
+  const PORTAL_PAGES = {
+    dashboard: initDashboardPage,
+    'tenant-list': initTenantListPage,
+    'super-admins': initSuperAdminsPage,
+    policy: () => {}
+  };
+
+  async function bootstrap() {
+    const page = document.getElementById('root').dataset.page;
+
+    if (PUBLIC_PAGES[page]) {
+      if (page === 'login' && session.isValid(session.read())) {
+        window.location.replace('/');
+        return;
+      }
+      PUBLIC_PAGES[page]();
+      return;
+    }
+
+    const current = await session.ensureFresh();
+    if (!current) {
+      window.location.replace('/login');
+      return;
+    }
+
+    document.getElementById('root').hidden = false;
+    initPortalChrome(current);
+    await PORTAL_PAGES[page]();
+  }
+
+  bootstrap().catch(error => showMessage('error', error.message));
+})();
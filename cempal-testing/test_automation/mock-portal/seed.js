@@ -0,0 +1,107 @@
+/**
+ * Seed data for the local Cempal Portal stand-in
+ * Mirrors the tenants, groups, teams and accounts the recorded test case relies on
+ */
+
+const { createCredentialVault } = require('../utils/credentialVault');
+
+// The mock always serves the local-mock profile, whatever profile the suite selected. Its vault takes the
+// accounts from the profile only (mockPortal), never from the environment or the encrypted credentials file
+const mockVault = createCredentialVault({ profile: 'local-mock' });
+const superAdmin = mockVault.getAccount('super_admin');
+
+const SEED_DATE = '2025-10-01T09:00:00.000Z';
+const GROUP_NAMES = ['Tenant Admin', 'Team Lead', 'Employee'];
+
+const tenants = [
+  { name: '@#$%', domain: 'special.cempal.local', contactEmail: 'special@cempal.local', address: 'House 12, Road 4, Dhaka', teams: ['Cutting Shoaib Vai', 'Sewing Line 2'] },
+  { name: 'Craftsmen', domain: 'craftsmen.cempal.local', contactEmail: 'admin@craftsmen.local', address: 'Gulshan 1, Dhaka', teams: ['Platform', 'Quality Assurance'] },
+  { name: 'Acme Apparel', domain: 'acme.cempal.local', contactEmail: 'ops@acme.local', address: 'Tongi, Gazipur', teams: ['Cutting', 'Finishing'] },
+  { name: 'Blue Thread', domain: 'bluethread.cempal.local', contactEmail: 'hr@bluethread.local', address: 'Savar, Dhaka', teams: ['Knitting', 'Dyeing'] },
+  { name: 'Delta Knit', domain: 'deltaknit.cempal.local', contactEmail: 'contact@deltaknit.local', address: 'Narayanganj', teams: ['Knitting Floor A'] },
+  { name: 'Evergreen Textiles', domain: 'evergreen.cempal.local', contactEmail: 'info@evergreen.local', address: 'Chattogram EPZ', teams: ['Weaving', 'Packing'] }
+];
+
+// Address of the seeded account that requires MFA but has no authenticator yet: it enrols on sign-in
+const MFA_SETUP_EMAIL = 'mfa.setup@cempal.local';
+
+// Accounts with a vaultRole sign in with the vault account of that role; a vault account with a TOTP secret
+// requires MFA with that secret
+const accounts = [
+  { vaultRole: 'super_admin', name: 'Mehedi Mohammad', role: 'super_admin' },
+  { vaultRole: 'tenant_admin', name: 'Tania Admin', role: 'tenant_admin', tenant: 'Craftsmen', group: 'Tenant Admin', team: 'Platform' },
+  { vaultRole: 'team_lead', name: 'Tareq Lead', role: 'team_lead', tenant: 'Craftsmen', group: 'Team Lead', team: 'Quality Assurance' },
+  { vaultRole: 'employee', name: 'Emon Employee', role: 'employee', tenant: 'Acme Apparel', group: 'Employee', team: 'Cutting' },
+  { email: 'nadia.rahman@cempal.local', name: 'Nadia Rahman', role: 'employee' },
+  { email: 'rafiq.hasan@cempal.local', name: 'Rafiq Hasan', role: 'employee' },
+  { email: MFA_SETUP_EMAIL, name: 'Mitu Setup', role: 'employee', mfa: 'required' }
+];
+
+// Accounts of the mock Google identity provider: linkedUser is the Cempal user the Google identity is linked
+// to, consent 'prompt' shows the consent screen on every sign-in and error is the OAuth error the provider
+// answers with instead of a code
+const googleAccounts = [
+  // The recorded test case expects this account to be turned away
+  { email: superAdmin.googleEmail, name: 'Mehedi Mohammad', linkedUser: null, consent: 'granted', error: null },
+  { email: superAdmin.email, name: 'Mehedi Mohammad', linkedUser: superAdmin.email, consent: 'prompt', error: null }
+];
+
+/**
+ * Build a fresh seed snapshot
+ * @param {Object} options - Seed options
+ * @param {string} options.password - Password of the seeded accounts without a vault role
+ * @returns {Object} Tenants, groups, teams, users and Google accounts for the store
+ */
+function buildSeed({ password = superAdmin.password } = {}) {
+  const seed = { tenants: [], groups: [], teams: [], users: [], googleAccounts: googleAccounts.map(account => ({ ...account })) };
+
+  tenants.forEach((tenant, tenantIndex) => {
+    const tenantId = `t-${tenantIndex + 1}`;
+    seed.tenants.push({
+      id: tenantId,
+      name: tenant.name,
+      domain: tenant.domain,
+      contactEmail: tenant.contactEmail,
+      address: tenant.address,
+      createdAt: SEED_DATE,
+      updatedAt: SEED_DATE
+    });
+
+    GROUP_NAMES.forEach((groupName, groupIndex) => {
+      seed.groups.push({ id: `${tenantId}-g-${groupIndex + 1}`, tenantId, name: groupName });
+    });
+
+    tenant.teams.forEach((teamName, teamIndex) => {
+      seed.teams.push({ id: `${tenantId}-tm-${teamIndex + 1}`, tenantId, name: teamName });
+    });
+  });
+
+  accounts.forEach((account, accountIndex) => {
+    const vaultAccount = account.vaultRole ? mockVault.getAccount(account.vaultRole) : {};
+    const user = {
+      id: `u-${accountIndex + 1}`,
+      email: vaultAccount.email || account.email,
+      name: account.name,
+      role: account.role,
+      password: vaultAccount.password || password,
+      mfa: vaultAccount.totpSecret ? 'required' : account.mfa || 'off',
+      totpSecret: vaultAccount.totpSecret || null,
+      assignment: null
+    };
+
+    if (account.tenant) {
+      const tenant = seed.tenants.find(item => item.name === account.tenant);
+      user.assignment = {
+        tenantId: tenant.id,
+        groupId: seed.groups.find(item => item.tenantId === tenant.id && item.name === account.group).id,
+        teamId: seed.teams.find(item => item.tenantId === tenant.id && item.name === account.team).id
+      };
+    }
+
+    seed.users.push(user);
+  });
+
+  return seed;
+}
+
+module.exports = { buildSeed, GROUP_NAMES, MFA_SETUP_EMAIL };
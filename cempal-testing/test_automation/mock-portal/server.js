@@ -0,0 +1,577 @@
+/**
+ * Local stand-in for the Cempal Portal
+ * Serves the login, dashboard, tenant list, super admins and policy pages plus a JSON API
+ * backed by an in-memory store, so the suite can run without the live dev portal. Federated sign-in goes
+ * through the Cognito hosted UI routes (/oauth2/) to a mock Google OIDC provider (/mock-idp/); users who require
+ * MFA answer a TOTP challenge, or enrol an authenticator, before they get tokens
+ *
+ * Usage: node mock-portal/server.js [--port 3000]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { PortalStore, StoreError } = require('./store');
+const { issueTokens, verifyToken } = require('./tokens');
+const views = require('./views');
+
+const DEFAULT_PORT = 3000;
+
+// Client id of the portal at the mock Google identity provider
+const GOOGLE_CLIENT_ID = 'cempal-portal';
+
+// Messages the portal shows for the OAuth errors the identity provider answers with
+const OAUTH_ERROR_MESSAGES = {
+  access_denied: 'Google sign-in was cancelled.',
+  not_linked: 'Your Google account is not linked to a Cempal user.'
+};
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+const CONTENT_TYPES = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml'
+};
+
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; img-src 'self' data:; style-src 'self' 'unsafe-inline'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'same-origin'
+};
+
+const PAGES = {
+  '/': views.dashboardView,
+  '/login': views.loginView,
+  '/welcome': views.welcomeView,
+  '/tenant-list': views.tenantListView,
+  '/super-admins': views.superAdminsView,
+  '/policy': views.policyView
+};
+
+/**
+ * Send a response with the portal's security headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} contentType - Content type
+ * @param {string|Buffer} body - Body
+ * @param {Object} headers - Extra headers
+ */
+function send(res, status, contentType, body, headers = {}) {
+  res.writeHead(status, { ...SECURITY_HEADERS, 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+  res.end(body);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} payload - JSON payload
+ */
+function sendJson(res, status, payload) {
+  send(res, status, 'application/json; charset=utf-8', JSON.stringify(payload));
+}
+
+/**
+ * Redirect to another location
+ * @param {http.ServerResponse} res - Response
+ * @param {string} location - Target location
+ */
+function redirect(res, location) {
+  send(res, 302, 'text/plain; charset=utf-8', '', { Location: location });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new StoreError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} segment - Path segment
+ * @returns {string} Decoded segment
+ * @throws {StoreError} 400 for a malformed escape such as %E0
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new StoreError(400, `Path segment "${segment}" is not validly percent-encoded`);
+  }
+}
+
+/**
+ * Parse the redirect_uri of an authorization request
+ * @param {string|null} value - redirect_uri parameter
+ * @param {string} origin - Origin of the portal
+ * @returns {URL|null} Redirect target, null if missing, invalid or outside the portal's own origin
+ */
+function parseRedirectUri(value, origin) {
+  try {
+    const target = new URL(value);
+    return target.origin === origin ? target : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Serve a file from the public directory
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Requested path under /static/
+ */
+function serveStatic(res, pathname) {
+  const relativePath = pathname.replace(/^\/static\//, '');
+  const filePath = path.join(PUBLIC_DIR, relativePath);
+
+  // Directories (e.g. /static/) and paths outside the public directory, siblings like public-x included, are not served
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+    return;
+  }
+
+  const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+  send(res, 200, contentType, fs.readFileSync(filePath), { 'Cache-Control': 'public, max-age=300' });
+}
+
+/**
+ * Create the portal request handler around a store
+ * @param {PortalStore} store - Data store
+ * @returns {Function} Request handler
+ */
+function createHandler(store) {
+  const refreshTokens = new Map();
+
+  /**
+   * Resolve the signed-in user from the Authorization header
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object} User
+   */
+  function authenticateRequest(req) {
+    const header = req.headers.authorization || '';
+    const claims = verifyToken(header.replace(/^Bearer\s+/i, ''));
+    if (!claims) {
+      throw new StoreError(401, 'The incoming token has expired');
+    }
+    return store.getUser(claims.sub);
+  }
+
+  /**
+   * Build the sign-in response for a user
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Token set and public user
+   */
+  function signInResponse(user) {
+    const tokens = issueTokens(user);
+    refreshTokens.set(tokens.refreshToken, user.id);
+    return { ...tokens, user: store.toPublicUser(user) };
+  }
+
+  /**
+   * Route /api requests
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  async function handleApi(req, res, url) {
+    const method = req.method;
+    const segments = url.pathname.replace(/^\/api\//, '').split('/').filter(Boolean).map(decodePathSegment);
+
+    if (segments[0] === 'auth') {
+      const body = method === 'POST' ? await readJson(req) : {};
+
+      if (method === 'POST' && segments[1] === 'sign-in') {
+        // Users who require MFA get a challenge instead of tokens, unless they sign in from a remembered device
+        const user = store.authenticate(body.email, body.password);
+        sendJson(res, 200, store.startMfaChallenge(user, body.deviceKey) || signInResponse(user));
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'respond-to-challenge') {
+        const { user, deviceKey } = store.answerMfaChallenge(body.session, body.code, body.rememberDevice === true);
+        sendJson(res, 200, { ...signInResponse(user), deviceKey });
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'refresh') {
+        const userId = refreshTokens.get(body.refreshToken);
+        if (!userId) {
+          throw new StoreError(401, 'Refresh Token has expired');
+        }
+        refreshTokens.delete(body.refreshToken);
+        sendJson(res, 200, signInResponse(store.getUser(userId)));
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'sign-out') {
+        refreshTokens.delete(body.refreshToken);
+        sendJson(res, 200, { signedOut: true });
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'token') {
+        // Exchange of the code a federated sign-in returned to the portal with
+        sendJson(res, 200, signInResponse(store.getUser(store.redeemAuthorizationCode('cognito', body.code))));
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'forgot-password') {
+        sendJson(res, 200, store.requestPasswordReset(body.email));
+        return;
+      }
+      if (method === 'POST' && segments[1] === 'confirm-forgot-password') {
+        sendJson(res, 200, store.confirmPasswordReset(body.email, body.code, body.password));
+        return;
+      }
+      throw new StoreError(404, `Unknown auth endpoint ${url.pathname}`);
+    }
+
+    const currentUser = authenticateRequest(req);
+
+    if (segments[0] === 'me' && method === 'GET') {
+      sendJson(res, 200, store.toPublicUser(currentUser));
+      return;
+    }
+
+    if (segments[0] === 'tenants') {
+      const [, tenantId, child, childId] = segments;
+
+      if (!tenantId && method === 'GET') {
+        sendJson(res, 200, { items: store.listTenants(url.searchParams.get('search') || '') });
+        return;
+      }
+      if (!tenantId && method === 'POST') {
+        sendJson(res, 201, store.createTenant(await readJson(req)));
+        return;
+      }
+      if (tenantId && !child && method === 'GET') {
+        sendJson(res, 200, { ...store.getTenant(tenantId) });
+        return;
+      }
+      if (tenantId && !child && method === 'PUT') {
+        sendJson(res, 200, store.updateTenant(tenantId, await readJson(req)));
+        return;
+      }
+      if (tenantId && !child && method === 'DELETE') {
+        sendJson(res, 200, store.deleteTenant(tenantId));
+        return;
+      }
+      if (tenantId && child === 'groups' && method === 'GET' && !childId) {
+        sendJson(res, 200, { items: store.listGroups(tenantId) });
+        return;
+      }
+      if (tenantId && child === 'groups' && method === 'POST' && !childId) {
+        sendJson(res, 201, store.createGroup(tenantId, await readJson(req)));
+        return;
+      }
+      if (tenantId && child === 'groups' && method === 'PUT' && childId) {
+        sendJson(res, 200, store.renameGroup(tenantId, childId, await readJson(req)));
+        return;
+      }
+      if (tenantId && child === 'groups' && method === 'DELETE' && childId) {
+        sendJson(res, 200, store.deleteGroup(tenantId, childId));
+        return;
+      }
+      if (tenantId && child === 'teams' && method === 'GET' && !childId) {
+        sendJson(res, 200, { items: store.listTeams(tenantId) });
+        return;
+      }
+      if (tenantId && child === 'teams' && method === 'POST' && !childId) {
+        sendJson(res, 201, store.createTeam(tenantId, await readJson(req)));
+        return;
+      }
+      if (tenantId && child === 'teams' && method === 'DELETE' && childId) {
+        sendJson(res, 200, store.deleteTeam(tenantId, childId));
+        return;
+      }
+    }
+
+    if (segments[0] === 'users') {
+      const [, userId, child] = segments;
+
+      if (!userId && method === 'GET') {
+        sendJson(res, 200, { items: store.listUsers(url.searchParams.get('search') || '') });
+        return;
+      }
+      if (!userId && method === 'POST') {
+        sendJson(res, 201, store.inviteUser(await readJson(req)));
+        return;
+      }
+      if (userId && !child && method === 'DELETE') {
+        if (userId === currentUser.id) {
+          throw new StoreError(400, 'You cannot delete your own account');
+        }
+        sendJson(res, 200, store.deleteUser(userId));
+        return;
+      }
+      if (userId && child === 'assignment' && method === 'PUT') {
+        sendJson(res, 200, store.assignUser(userId, await readJson(req)));
+        return;
+      }
+      if (userId && child === 'assignment' && method === 'DELETE') {
+        sendJson(res, 200, store.unassignUser(userId));
+        return;
+      }
+    }
+
+    throw new StoreError(404, `No route for ${method} ${url.pathname}`);
+  }
+
+  /**
+   * Handle the Cognito hosted UI side of a federated sign-in: send the browser to the identity provider,
+   * then back to the portal with a code for a linked user or with an error
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  function handleOAuth(res, url) {
+    if (url.pathname === '/oauth2/authorize') {
+      // Only paths of the portal itself are returned to
+      const returnTo = new URL(url.searchParams.get('redirect_uri') || '/login', url.origin);
+      const request = new URLSearchParams({
+        client_id: GOOGLE_CLIENT_ID,
+        response_type: 'code',
+        scope: 'openid email profile',
+        redirect_uri: `${url.origin}/oauth2/idpresponse`,
+        state: store.createOAuthState(`${returnTo.pathname}${returnTo.search}`),
+        prompt: 'select_account'
+      });
+      redirect(res, `/mock-idp/authorize?${request}`);
+      return;
+    }
+
+    if (url.pathname === '/oauth2/idpresponse') {
+      const returnTo = store.takeOAuthState(url.searchParams.get('state'));
+      const target = new URL(returnTo || '/login', url.origin);
+      let error = url.searchParams.get('error');
+
+      if (!returnTo) {
+        error = 'invalid_state';
+      } else if (!error) {
+        try {
+          const account = store.findGoogleAccount(store.redeemAuthorizationCode('google', url.searchParams.get('code')));
+          const user = account && account.linkedUser && store.findUserByEmail(account.linkedUser);
+          if (user) {
+            target.searchParams.set('code', store.issueAuthorizationCode('cognito', user.id));
+          } else {
+            error = 'not_linked';
+          }
+        } catch (exchangeError) {
+          error = exchangeError.message;
+        }
+      }
+
+      if (error) {
+        target.searchParams.set('error', OAUTH_ERROR_MESSAGES[error] || `Google sign-in failed (${error}).`);
+      }
+      redirect(res, `${target.pathname}${target.search}`);
+      return;
+    }
+
+    send(res, 404, 'text/html; charset=utf-8', views.notFoundView());
+  }
+
+  /**
+   * Handle the mock Google OIDC provider: account chooser, consent screen and the redirect back with a code
+   * or with the OAuth error configured for the account
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  function handleIdentityProvider(res, url) {
+    const params = url.searchParams;
+    // Only the portal itself is redirected to: the provider is no open redirect
+    const redirectUri = parseRedirectUri(params.get('redirect_uri'), url.origin);
+    if (params.get('client_id') !== GOOGLE_CLIENT_ID || params.get('response_type') !== 'code' || !redirectUri) {
+      send(res, 400, 'text/plain; charset=utf-8', 'invalid_request');
+      return;
+    }
+
+    const request = new URLSearchParams(['client_id', 'response_type', 'scope', 'redirect_uri', 'state', 'prompt']
+      .filter(name => params.has(name))
+      .map(name => [name, params.get(name)]));
+
+    /**
+     * Send the browser back to the client with a code or an error
+     * @param {Object} result - code or error
+     */
+    function answer(result) {
+      const target = new URL(redirectUri);
+      Object.entries({ ...result, state: params.get('state') || '' }).forEach(([name, value]) => target.searchParams.set(name, value));
+      redirect(res, target.toString());
+    }
+
+    if (url.pathname === '/mock-idp/authorize') {
+      send(res, 200, 'text/html; charset=utf-8', views.accountChooserView(store.googleAccounts, request));
+      return;
+    }
+
+    const account = store.findGoogleAccount(params.get('email'));
+    if (!account) {
+      answer({ error: 'access_denied' });
+      return;
+    }
+
+    if (url.pathname === '/mock-idp/select') {
+      if (account.error) {
+        answer({ error: account.error });
+      } else if (account.consent === 'prompt') {
+        send(res, 200, 'text/html; charset=utf-8', views.consentView(account, request));
+      } else {
+        answer({ code: store.issueAuthorizationCode('google', account.email) });
+      }
+      return;
+    }
+
+    if (url.pathname === '/mock-idp/consent') {
+      answer(params.get('decision') === 'allow'
+        ? { code: store.issueAuthorizationCode('google', account.email) }
+        : { error: 'access_denied' });
+      return;
+    }
+
+    send(res, 404, 'text/html; charset=utf-8', views.notFoundView());
+  }
+
+  /**
+   * Route the test support endpoints of the Cognito stand-in: the mailbox reset codes are sent to,
+   * throwaway accounts for flows that change a password or enrol MFA, and Google accounts with a chosen sign-in outcome
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<boolean>} True if the request was handled
+   */
+  async function handleMockSupport(req, res, url) {
+    const to = url.searchParams.get('to') || '';
+
+    if (url.pathname === '/__mock/mailbox' && req.method === 'GET') {
+      sendJson(res, 200, { messages: store.listMail(to) });
+      return true;
+    }
+    if (url.pathname === '/__mock/mailbox' && req.method === 'DELETE') {
+      sendJson(res, 200, { deleted: store.clearMail(to) });
+      return true;
+    }
+    if (url.pathname === '/__mock/mailbox/expire' && req.method === 'POST') {
+      sendJson(res, 200, { expired: store.expireResetCode((await readJson(req)).to) });
+      return true;
+    }
+    if (url.pathname === '/__mock/users' && req.method === 'POST') {
+      sendJson(res, 201, store.createUser(await readJson(req)));
+      return true;
+    }
+    if (url.pathname === '/__mock/google-accounts' && req.method === 'POST') {
+      sendJson(res, 201, store.addGoogleAccount(await readJson(req)));
+      return true;
+    }
+    return false;
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname.startsWith('/api/')) {
+        await handleApi(req, res, url);
+        return;
+      }
+      if (url.pathname === '/__mock/reset' && req.method === 'POST') {
+        store.reset();
+        refreshTokens.clear();
+        sendJson(res, 200, { reset: true });
+        return;
+      }
+      if (url.pathname.startsWith('/__mock/')) {
+        if (await handleMockSupport(req, res, url)) {
+          return;
+        }
+      }
+      if (url.pathname === '/__mock/health') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+      if (url.pathname.startsWith('/static/')) {
+        serveStatic(res, url.pathname);
+        return;
+      }
+      if (url.pathname.startsWith('/oauth2/')) {
+        handleOAuth(res, url);
+        return;
+      }
+      if (url.pathname.startsWith('/mock-idp/')) {
+        handleIdentityProvider(res, url);
+        return;
+      }
+
+      const view = PAGES[url.pathname.replace(/\/+$/, '') || '/'];
+      if (view) {
+        send(res, 200, 'text/html; charset=utf-8', view());
+      } else {
+        send(res, 404, 'text/html; charset=utf-8', views.notFoundView());
+      }
+    } catch (error) {
+      if (error instanceof StoreError) {
+        sendJson(res, error.status, { message: error.message, fields: error.fields });
+        return;
+      }
+      console.error(error);
+      sendJson(res, 500, { message: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the portal server without starting it
+ * @param {Object} options - Server options
+ * @param {PortalStore} options.store - Data store, a fresh seeded store by default
+ * @returns {{server: http.Server, store: PortalStore}} Server and its store
+ */
+function createPortalServer({ store = new PortalStore() } = {}) {
+  const server = http.createServer(createHandler(store));
+  return { server, store };
+}
+
+/**
+ * Start the portal server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.host - Host to bind
+ * @returns {Promise<{server: http.Server, store: PortalStore, url: string}>} Running server
+ */
+function startPortalServer({ port = DEFAULT_PORT, host = '127.0.0.1', ...options } = {}) {
+  const { server, store } = createPortalServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, store, url: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+if (require.main === module) {
+  const portArgIndex = process.argv.indexOf('--port');
+  const port = Number(portArgIndex > -1 ? process.argv[portArgIndex + 1] : process.env.MOCK_PORTAL_PORT) || DEFAULT_PORT;
+
+  startPortalServer({ port })
+    .then(({ url }) => console.log(`Cempal mock portal listening on ${url}`))
+    .catch(error => {
+      console.error(`Failed to start Cempal mock portal: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { createPortalServer, startPortalServer, DEFAULT_PORT };
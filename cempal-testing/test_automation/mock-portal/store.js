@@ -0,0 +1,796 @@
+/**
+ * In-memory data store for the local Cempal Portal stand-in
+ * Holds tenants, groups, teams, users and their assignments for one server run, plus the Cognito stand-in
+ * state: password reset codes and the mailbox the codes are sent to, the accounts and authorization codes of
+ * the federated Google sign-in, and the TOTP challenges and remembered devices of multi-factor sign-in
+ */
+
+const crypto = require('crypto');
+const { buildSeed, GROUP_NAMES } = require('./seed');
+const { generateSecret, verifyTotp, decodeBase32, otpauthUri } = require('../utils/totp');
+
+const DOMAIN_REGEX = /^(?!-)[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields the list searches of the portal match, case-insensitively and anywhere in the value
+const TENANT_SEARCH_FIELDS = ['name', 'domain', 'contactEmail', 'address'];
+const USER_SEARCH_FIELDS = ['email', 'name'];
+
+// Cognito keeps a password reset code valid for one hour
+const RESET_CODE_TTL_MS = 60 * 60 * 1000;
+
+// OAuth authorization codes are short-lived and used once
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000;
+
+// Consent behaviours and OAuth errors a Google account of the identity provider can be given
+const GOOGLE_CONSENT = ['prompt', 'granted'];
+const OAUTH_ERRORS = ['access_denied', 'server_error', 'temporarily_unavailable', 'unauthorized_client', 'invalid_scope'];
+
+// MFA settings of a user: 'required' asks for a TOTP code on every sign-in from a device that is not remembered
+const MFA_MODES = ['off', 'required'];
+
+// Cognito keeps the session of an MFA challenge valid for three minutes
+const MFA_SESSION_TTL_MS = 3 * 60 * 1000;
+
+// Rules of the Cognito default password policy, with the messages Cognito answers with
+const PASSWORD_POLICY = [
+  { test: password => password.length >= 8, message: 'Password not long enough' },
+  { test: password => /[a-z]/.test(password), message: 'Password must have lowercase characters' },
+  { test: password => /[A-Z]/.test(password), message: 'Password must have uppercase characters' },
+  { test: password => /[0-9]/.test(password), message: 'Password must have numeric characters' },
+  { test: password => /[^A-Za-z0-9]/.test(password), message: 'Password must have symbol characters' }
+];
+
+/**
+ * Check if a record matches a list search
+ * @param {Object} record - Tenant or user
+ * @param {Array<string>} fields - Fields to search
+ * @param {string} search - Search term; an empty term matches everything
+ * @returns {boolean} True if one of the fields contains the term
+ */
+function matchesSearch(record, fields, search) {
+  const term = search.trim().toLowerCase();
+  return !term || fields.some(field => String(record[field] || '').toLowerCase().includes(term));
+}
+
+/**
+ * Error raised by the store, carrying the HTTP status the API should answer with
+ */
+class StoreError extends Error {
+  constructor(status, message, fields = {}) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+class PortalStore {
+  constructor(seedOptions = {}) {
+    this.seedOptions = seedOptions;
+    this.reset();
+  }
+
+  /**
+   * Restore the seed snapshot, discarding everything created since start-up
+   */
+  reset() {
+    const seed = buildSeed(this.seedOptions);
+    this.tenants = seed.tenants;
+    this.groups = seed.groups;
+    this.teams = seed.teams;
+    this.users = seed.users;
+    this.googleAccounts = seed.googleAccounts;
+    this.sequence = 1000;
+    this.mailbox = [];
+    this.resetCodes = new Map();
+    this.oauthStates = new Map();
+    this.authorizationCodes = new Map();
+    this.mfaSessions = new Map();
+    this.rememberedDevices = new Map();
+  }
+
+  /**
+   * Generate the next identifier for a record type
+   * @param {string} prefix - Identifier prefix
+   * @returns {string} Unique identifier
+   */
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}-${this.sequence}`;
+  }
+
+  /**
+   * List tenants in creation order
+   * @param {string} search - Only tenants whose name, domain, contact email or address contain this
+   * @returns {Array<Object>} Tenants
+   */
+  listTenants(search = '') {
+    return this.tenants.filter(tenant => matchesSearch(tenant, TENANT_SEARCH_FIELDS, search)).map(tenant => ({ ...tenant }));
+  }
+
+  /**
+   * Get a tenant by id
+   * @param {string} tenantId - Tenant id
+   * @returns {Object} Tenant
+   */
+  getTenant(tenantId) {
+    const tenant = this.tenants.find(item => item.id === tenantId);
+    if (!tenant) {
+      throw new StoreError(404, `Tenant ${tenantId} not found`);
+    }
+    return tenant;
+  }
+
+  /**
+   * Validate tenant fields the way the portal form does
+   * @param {Object} data - Tenant fields
+   * @param {Array<string>} required - Fields that must be present
+   */
+  validateTenant(data, required) {
+    const fields = {};
+
+    if (required.includes('name') && (!data.name || !String(data.name).trim())) {
+      fields.name = 'Please enter the tenant name';
+    }
+    if ((required.includes('domain') || data.domain !== undefined) && !DOMAIN_REGEX.test(data.domain || '')) {
+      fields.domain = 'Please enter a valid domain (e.g., example.com or sub.example.com)';
+    }
+    if ((required.includes('contactEmail') || data.contactEmail !== undefined) && !EMAIL_REGEX.test(data.contactEmail || '')) {
+      fields.contactEmail = 'Please enter a valid email';
+    }
+    if ((required.includes('address') || data.address !== undefined) && (!data.address || !String(data.address).trim())) {
+      fields.address = 'Please enter the address';
+    }
+
+    if (Object.keys(fields).length > 0) {
+      throw new StoreError(400, 'Tenant validation failed', fields);
+    }
+  }
+
+  /**
+   * Create a tenant together with its default groups
+   * @param {Object} data - Tenant name, domain, contact email and address
+   * @returns {Object} Created tenant
+   */
+  createTenant(data) {
+    this.validateTenant(data, ['name', 'domain', 'contactEmail', 'address']);
+
+    const now = new Date().toISOString();
+    const tenant = {
+      id: this.nextId('t'),
+      name: String(data.name).trim(),
+      domain: data.domain,
+      contactEmail: data.contactEmail,
+      address: data.address,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.tenants.push(tenant);
+
+    GROUP_NAMES.forEach(name => {
+      this.groups.push({ id: this.nextId('g'), tenantId: tenant.id, name });
+    });
+
+    return { ...tenant };
+  }
+
+  /**
+   * Update the editable fields of a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {Object} data - Contact email and/or address
+   * @returns {Object} Updated tenant
+   */
+  updateTenant(tenantId, data) {
+    const tenant = this.getTenant(tenantId);
+    const changes = {};
+    ['contactEmail', 'address'].forEach(field => {
+      if (data[field] !== undefined) {
+        changes[field] = data[field];
+      }
+    });
+
+    this.validateTenant(changes, []);
+    Object.assign(tenant, changes, { updatedAt: new Date().toISOString() });
+    return { ...tenant };
+  }
+
+  /**
+   * Delete a tenant with its groups and teams; users assigned to it become unassigned
+   * @param {string} tenantId - Tenant id
+   * @returns {Object} Deleted tenant
+   */
+  deleteTenant(tenantId) {
+    const tenant = this.getTenant(tenantId);
+
+    this.tenants = this.tenants.filter(item => item !== tenant);
+    this.groups = this.groups.filter(group => group.tenantId !== tenantId);
+    this.teams = this.teams.filter(team => team.tenantId !== tenantId);
+    this.users
+      .filter(user => user.assignment && user.assignment.tenantId === tenantId)
+      .forEach(user => {
+        user.assignment = null;
+      });
+
+    return { ...tenant };
+  }
+
+  /**
+   * List the groups of a tenant
+   * @param {string} tenantId - Tenant id
+   * @returns {Array<Object>} Groups with their member emails
+   */
+  listGroups(tenantId) {
+    this.getTenant(tenantId);
+    return this.groups
+      .filter(group => group.tenantId === tenantId)
+      .map(group => ({
+        ...group,
+        members: this.users
+          .filter(user => user.assignment && user.assignment.groupId === group.id)
+          .map(user => user.email)
+      }));
+  }
+
+  /**
+   * Validate a group name the way the portal form does: required and unique within the tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Group name
+   * @param {string} groupId - Group being renamed, excluded from the uniqueness check
+   * @returns {string} Trimmed name
+   */
+  validateGroupName(tenantId, name, groupId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new StoreError(400, 'Group validation failed', { name: 'Please enter the group name' });
+    }
+    const duplicate = this.groups.find(item => item.tenantId === tenantId && item.id !== groupId
+      && item.name.toLowerCase() === trimmed.toLowerCase());
+    if (duplicate) {
+      throw new StoreError(400, 'Group validation failed', { name: 'A group with this name already exists' });
+    }
+    return trimmed;
+  }
+
+  /**
+   * Create a group in a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {Object} data - Group name
+   * @returns {Object} Created group
+   */
+  createGroup(tenantId, data) {
+    this.getTenant(tenantId);
+    const group = { id: this.nextId('g'), tenantId, name: this.validateGroupName(tenantId, data.name) };
+    this.groups.push(group);
+    return { ...group };
+  }
+
+  /**
+   * Rename a group of a tenant; its members keep their assignment
+   * @param {string} tenantId - Tenant id
+   * @param {string} groupId - Group id
+   * @param {Object} data - New group name
+   * @returns {Object} Renamed group
+   */
+  renameGroup(tenantId, groupId, data) {
+    this.getTenant(tenantId);
+    const group = this.groups.find(item => item.id === groupId && item.tenantId === tenantId);
+    if (!group) {
+      throw new StoreError(404, `Group ${groupId} not found`);
+    }
+
+    group.name = this.validateGroupName(tenantId, data.name, groupId);
+    return { ...group };
+  }
+
+  /**
+   * Delete a group of a tenant; its members become unassigned
+   * @param {string} tenantId - Tenant id
+   * @param {string} groupId - Group id
+   * @returns {Object} Deleted group
+   */
+  deleteGroup(tenantId, groupId) {
+    this.getTenant(tenantId);
+    const group = this.groups.find(item => item.id === groupId && item.tenantId === tenantId);
+    if (!group) {
+      throw new StoreError(404, `Group ${groupId} not found`);
+    }
+
+    this.groups = this.groups.filter(item => item !== group);
+    this.users
+      .filter(user => user.assignment && user.assignment.groupId === groupId)
+      .forEach(user => {
+        user.assignment = null;
+      });
+
+    return { ...group };
+  }
+
+  /**
+   * List the teams of a tenant
+   * @param {string} tenantId - Tenant id
+   * @returns {Array<Object>} Teams with their member emails
+   */
+  listTeams(tenantId) {
+    this.getTenant(tenantId);
+    return this.teams
+      .filter(team => team.tenantId === tenantId)
+      .map(team => ({
+        ...team,
+        members: this.users
+          .filter(user => user.assignment && user.assignment.teamId === team.id)
+          .map(user => user.email)
+      }));
+  }
+
+  /**
+   * Validate a team name the way the portal form does: required and unique within the tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Team name
+   * @returns {string} Trimmed name
+   */
+  validateTeamName(tenantId, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new StoreError(400, 'Team validation failed', { name: 'Please enter the team name' });
+    }
+    const duplicate = this.teams.find(item => item.tenantId === tenantId && item.name.toLowerCase() === trimmed.toLowerCase());
+    if (duplicate) {
+      throw new StoreError(400, 'Team validation failed', { name: 'A team with this name already exists' });
+    }
+    return trimmed;
+  }
+
+  /**
+   * Create a team in a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {Object} data - Team name
+   * @returns {Object} Created team
+   */
+  createTeam(tenantId, data) {
+    this.getTenant(tenantId);
+    const team = { id: this.nextId('tm'), tenantId, name: this.validateTeamName(tenantId, data.name) };
+    this.teams.push(team);
+    return { ...team };
+  }
+
+  /**
+   * Delete a team of a tenant; its members become unassigned
+   * @param {string} tenantId - Tenant id
+   * @param {string} teamId - Team id
+   * @returns {Object} Deleted team
+   */
+  deleteTeam(tenantId, teamId) {
+    this.getTenant(tenantId);
+    const team = this.teams.find(item => item.id === teamId && item.tenantId === tenantId);
+    if (!team) {
+      throw new StoreError(404, `Team ${teamId} not found`);
+    }
+
+    this.teams = this.teams.filter(item => item !== team);
+    this.users
+      .filter(user => user.assignment && user.assignment.teamId === teamId)
+      .forEach(user => {
+        user.assignment = null;
+      });
+
+    return { ...team };
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - User email
+   * @returns {Object|undefined} User
+   */
+  findUserByEmail(email) {
+    return this.users.find(user => user.email.toLowerCase() === String(email || '').toLowerCase());
+  }
+
+  /**
+   * Get a user by id
+   * @param {string} userId - User id
+   * @returns {Object} User
+   */
+  getUser(userId) {
+    const user = this.users.find(item => item.id === userId);
+    if (!user) {
+      throw new StoreError(404, `User ${userId} not found`);
+    }
+    return user;
+  }
+
+  /**
+   * Add a user that signs in with a password, e.g. a throwaway account for the password reset or MFA flows
+   * @param {Object} data - Email, name, role, password, mfa ('off' or 'required') and totpSecret (an enrolled
+   *   authenticator; a user that requires MFA without one enrols on the next sign-in)
+   * @returns {Object} Public user record
+   */
+  createUser(data) {
+    const email = String(data.email || '').trim();
+    if (!EMAIL_REGEX.test(email)) {
+      throw new StoreError(400, 'User validation failed', { email: 'Please enter a valid email' });
+    }
+    if (this.findUserByEmail(email)) {
+      throw new StoreError(400, 'User validation failed', { email: 'A user with this email already exists' });
+    }
+    this.validatePassword(String(data.password || ''));
+    if (data.mfa && !MFA_MODES.includes(data.mfa)) {
+      throw new StoreError(400, 'User validation failed', { mfa: `MFA must be one of ${MFA_MODES.join(', ')}` });
+    }
+    if (data.totpSecret) {
+      try {
+        decodeBase32(data.totpSecret);
+      } catch (error) {
+        throw new StoreError(400, 'User validation failed', { totpSecret: error.message });
+      }
+    }
+
+    const user = {
+      id: this.nextId('u'),
+      email,
+      name: String(data.name || email).trim(),
+      role: data.role || 'employee',
+      password: String(data.password),
+      mfa: data.mfa || (data.totpSecret ? 'required' : 'off'),
+      totpSecret: data.totpSecret || null,
+      assignment: null
+    };
+    this.users.push(user);
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Add a user the way a super admin invites one (Cognito AdminCreateUser): with a random temporary password,
+   * so the user can be assigned but not signed in with
+   * @param {Object} data - Email, name and role
+   * @returns {Object} Public user record
+   */
+  inviteUser({ email, name, role } = {}) {
+    const temporaryPassword = `${crypto.randomBytes(12).toString('base64url')}aA1#`;
+    return this.createUser({ email, name, role, password: temporaryPassword });
+  }
+
+  /**
+   * Reject a password that fails the password policy
+   * @param {string} password - New password
+   */
+  validatePassword(password) {
+    const failed = PASSWORD_POLICY.find(rule => !rule.test(password));
+    if (failed) {
+      throw new StoreError(400, `Password does not conform to policy: ${failed.message}`, { password: failed.message });
+    }
+  }
+
+  /**
+   * Deliver a message to the mailbox
+   * @param {string} to - Recipient
+   * @param {string} subject - Subject
+   * @param {string} text - Body
+   */
+  sendMail(to, subject, text) {
+    this.mailbox.push({ id: this.nextId('msg'), to, subject, text, sentAt: new Date().toISOString() });
+  }
+
+  /**
+   * Messages in the mailbox, oldest first
+   * @param {string} to - Only messages to this address
+   * @returns {Array<Object>} Messages
+   */
+  listMail(to = '') {
+    const recipient = to.toLowerCase();
+    return this.mailbox.filter(message => !recipient || message.to.toLowerCase() === recipient).map(message => ({ ...message }));
+  }
+
+  /**
+   * Delete messages from the mailbox
+   * @param {string} to - Only messages to this address
+   * @returns {number} Number of deleted messages
+   */
+  clearMail(to = '') {
+    const recipient = to.toLowerCase();
+    const kept = this.mailbox.filter(message => recipient && message.to.toLowerCase() !== recipient);
+    const deleted = this.mailbox.length - kept.length;
+    this.mailbox = kept;
+    return deleted;
+  }
+
+  /**
+   * Send a password reset code; like Cognito it replaces an earlier code, and unknown addresses get no mail
+   * @param {string} email - Email address
+   * @returns {{deliveryMedium: string, destination: string}} Masked destination, empty for unknown addresses
+   */
+  requestPasswordReset(email) {
+    const user = this.findUserByEmail(email);
+    if (!user) {
+      return { deliveryMedium: 'EMAIL', destination: '' };
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    this.resetCodes.set(user.id, { code, expiresAt: Date.now() + RESET_CODE_TTL_MS });
+    this.sendMail(user.email, 'Your Cempal verification code', `Your password reset code is ${code}`);
+    return { deliveryMedium: 'EMAIL', destination: user.email.replace(/^(.).*(@.*)$/, '$1***$2') };
+  }
+
+  /**
+   * Let the outstanding reset code of an address expire now
+   * @param {string} email - Email address
+   * @returns {boolean} True if there was a code
+   */
+  expireResetCode(email) {
+    const user = this.findUserByEmail(email);
+    const pending = user && this.resetCodes.get(user.id);
+    if (pending) {
+      pending.expiresAt = Date.now() - 1;
+    }
+    return !!pending;
+  }
+
+  /**
+   * Set a new password with a reset code; the code is used up on success
+   * @param {string} email - Email address
+   * @param {string} code - Code from the mail
+   * @param {string} password - New password
+   * @returns {{reset: boolean}} Confirmation
+   */
+  confirmPasswordReset(email, code, password) {
+    const user = this.findUserByEmail(email);
+    const pending = user && this.resetCodes.get(user.id);
+
+    this.validatePassword(String(password || ''));
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new StoreError(400, 'Invalid code provided, please request a code again.');
+    }
+    if (String(code || '').trim() !== pending.code) {
+      throw new StoreError(400, 'Invalid verification code provided, please try again.');
+    }
+
+    user.password = String(password);
+    this.resetCodes.delete(user.id);
+    return { reset: true };
+  }
+
+  /**
+   * Check email and password against the seeded accounts
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Object} Authenticated user
+   */
+  authenticate(email, password) {
+    const user = this.findUserByEmail(email);
+    if (!user || user.password !== password) {
+      throw new StoreError(401, 'Incorrect username or password.');
+    }
+    return user;
+  }
+
+  /**
+   * Start the MFA challenge of a signed-in user, unless the user needs none or signs in from a remembered device
+   * @param {Object} user - User who passed the password check
+   * @param {string} deviceKey - Device key the browser remembered, if any
+   * @returns {Object|null} SOFTWARE_TOKEN_MFA challenge, MFA_SETUP challenge with the secret to enrol, or null
+   */
+  startMfaChallenge(user, deviceKey) {
+    if (user.mfa !== 'required' || (deviceKey && this.rememberedDevices.get(deviceKey) === user.id)) {
+      return null;
+    }
+
+    const session = crypto.randomBytes(24).toString('base64url');
+    if (user.totpSecret) {
+      this.mfaSessions.set(session, { userId: user.id, expiresAt: Date.now() + MFA_SESSION_TTL_MS });
+      return { challengeName: 'SOFTWARE_TOKEN_MFA', session };
+    }
+
+    const secretCode = generateSecret();
+    this.mfaSessions.set(session, { userId: user.id, setupSecret: secretCode, expiresAt: Date.now() + MFA_SESSION_TTL_MS });
+    return { challengeName: 'MFA_SETUP', session, secretCode, otpauthUri: otpauthUri(secretCode, { account: user.email }) };
+  }
+
+  /**
+   * Answer an MFA challenge with a TOTP code; answering MFA_SETUP enrols the secret it offered.
+   * A wrong code keeps the session, so the user can try again until it expires.
+   * @param {string} session - Session of the challenge
+   * @param {string} code - TOTP code
+   * @param {boolean} rememberDevice - Remember the browser, so later sign-ins from it skip the challenge
+   * @returns {{user: Object, deviceKey: string|null}} Signed-in user and the key of the remembered device
+   */
+  answerMfaChallenge(session, code, rememberDevice = false) {
+    const pending = this.mfaSessions.get(session);
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.mfaSessions.delete(session);
+      throw new StoreError(401, 'Invalid session for the user, session is expired.');
+    }
+
+    const user = this.getUser(pending.userId);
+    if (!verifyTotp(pending.setupSecret || user.totpSecret, code)) {
+      throw new StoreError(400, pending.setupSecret ? 'Code mismatch and fail enable Software Token MFA' : 'Invalid code received for user');
+    }
+
+    this.mfaSessions.delete(session);
+    if (pending.setupSecret) {
+      user.totpSecret = pending.setupSecret;
+    }
+
+    let deviceKey = null;
+    if (rememberDevice) {
+      deviceKey = `local-mock_${crypto.randomUUID()}`;
+      this.rememberedDevices.set(deviceKey, user.id);
+    }
+    return { user, deviceKey };
+  }
+
+  /**
+   * Find a Google account of the identity provider
+   * @param {string} email - Email address
+   * @returns {Object|undefined} Account
+   */
+  findGoogleAccount(email) {
+    return this.googleAccounts.find(account => account.email.toLowerCase() === String(email || '').toLowerCase());
+  }
+
+  /**
+   * Add an account to the Google identity provider, with the outcome its sign-in has
+   * @param {Object} data - Email, name, linkedUser (email of a Cempal user), consent ('prompt' or 'granted') and error (an OAuth error code)
+   * @returns {Object} Account
+   */
+  addGoogleAccount(data) {
+    const email = String(data.email || '').trim();
+    const fields = {};
+
+    if (!EMAIL_REGEX.test(email)) {
+      fields.email = 'Please enter a valid email';
+    } else if (this.findGoogleAccount(email)) {
+      fields.email = 'A Google account with this email already exists';
+    }
+    if (data.linkedUser && !this.findUserByEmail(data.linkedUser)) {
+      fields.linkedUser = 'No Cempal user has this email';
+    }
+    if (data.consent && !GOOGLE_CONSENT.includes(data.consent)) {
+      fields.consent = `Consent must be one of ${GOOGLE_CONSENT.join(', ')}`;
+    }
+    if (data.error && !OAUTH_ERRORS.includes(data.error)) {
+      fields.error = `Error must be one of ${OAUTH_ERRORS.join(', ')}`;
+    }
+    if (Object.keys(fields).length > 0) {
+      throw new StoreError(400, 'Google account validation failed', fields);
+    }
+
+    const account = {
+      email,
+      name: String(data.name || email).trim(),
+      linkedUser: data.linkedUser || null,
+      consent: data.consent || 'granted',
+      error: data.error || null
+    };
+    this.googleAccounts.push(account);
+    return account;
+  }
+
+  /**
+   * Remember where a federated sign-in returns to, under an opaque state
+   * @param {string} redirectUri - Portal page to return to
+   * @returns {string} State to send to the identity provider
+   */
+  createOAuthState(redirectUri) {
+    const state = crypto.randomBytes(16).toString('hex');
+    this.oauthStates.set(state, redirectUri);
+    return state;
+  }
+
+  /**
+   * Take the return address of a state; each state is used once
+   * @param {string} state - State the identity provider sent back
+   * @returns {string|null} Portal page to return to, null for an unknown state
+   */
+  takeOAuthState(state) {
+    const redirectUri = this.oauthStates.get(state) || null;
+    this.oauthStates.delete(state);
+    return redirectUri;
+  }
+
+  /**
+   * Issue an authorization code
+   * @param {string} issuer - google (code of the identity provider) or cognito (code of the portal)
+   * @param {string} subject - Google account email or Cempal user id the code stands for
+   * @returns {string} Code
+   */
+  issueAuthorizationCode(issuer, subject) {
+    const code = crypto.randomBytes(16).toString('hex');
+    this.authorizationCodes.set(code, { issuer, subject, expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS });
+    return code;
+  }
+
+  /**
+   * Redeem an authorization code; a code is used up even when the redemption fails
+   * @param {string} issuer - Issuer the code has to come from
+   * @param {string} code - Code
+   * @returns {string} Subject of the code
+   */
+  redeemAuthorizationCode(issuer, code) {
+    const issued = this.authorizationCodes.get(code);
+    this.authorizationCodes.delete(code);
+    if (!issued || issued.issuer !== issuer || issued.expiresAt < Date.now()) {
+      throw new StoreError(400, 'invalid_grant');
+    }
+    return issued.subject;
+  }
+
+  /**
+   * Present a user without secrets, with the assignment resolved to names
+   * @param {Object} user - Stored user
+   * @returns {Object} Public user record
+   */
+  toPublicUser(user) {
+    const { password, totpSecret, ...publicUser } = user;
+    const assignment = user.assignment;
+
+    if (assignment) {
+      const tenant = this.tenants.find(item => item.id === assignment.tenantId);
+      const group = this.groups.find(item => item.id === assignment.groupId);
+      const team = this.teams.find(item => item.id === assignment.teamId);
+      publicUser.assignment = {
+        ...assignment,
+        tenantName: tenant ? tenant.name : '',
+        groupName: group ? group.name : '',
+        teamName: team ? team.name : ''
+      };
+    }
+
+    return publicUser;
+  }
+
+  /**
+   * List users shown on the Super Admins page
+   * @param {string} search - Only users whose email or name contain this
+   * @returns {Array<Object>} Public user records
+   */
+  listUsers(search = '') {
+    return this.users.filter(user => matchesSearch(user, USER_SEARCH_FIELDS, search)).map(user => this.toPublicUser(user));
+  }
+
+  /**
+   * Assign a user to a tenant, group and team
+   * @param {string} userId - User id
+   * @param {Object} data - Tenant, group and team ids
+   * @returns {Object} Updated public user record
+   */
+  assignUser(userId, data) {
+    const user = this.getUser(userId);
+    const tenant = this.getTenant(data.tenantId);
+    const group = this.groups.find(item => item.id === data.groupId);
+    const team = this.teams.find(item => item.id === data.teamId);
+
+    if (!group || group.tenantId !== tenant.id) {
+      throw new StoreError(400, 'Please select a group of the chosen tenant', { groupId: 'Invalid group' });
+    }
+    if (!team || team.tenantId !== tenant.id) {
+      throw new StoreError(400, 'Please select a team of the chosen tenant', { teamId: 'Invalid team' });
+    }
+
+    user.assignment = { tenantId: tenant.id, groupId: group.id, teamId: team.id };
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Remove the assignment of a user
+   * @param {string} userId - User id
+   * @returns {Object} Updated public user record
+   */
+  unassignUser(userId) {
+    const user = this.getUser(userId);
+    user.assignment = null;
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Delete a user
+   * @param {string} userId - User id
+   * @returns {Object} Deleted public user record
+   */
+  deleteUser(userId) {
+    const user = this.getUser(userId);
+    this.users = this.users.filter(item => item !== user);
+    return this.toPublicUser(user);
+  }
+}
+
+module.exports = { PortalStore, StoreError };
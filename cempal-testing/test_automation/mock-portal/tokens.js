@@ -0,0 +1,72 @@
+/**
+ * Cognito-style session tokens for the local Cempal Portal stand-in
+ * Tokens are unsigned JWTs: enough for the portal and the suite to read claims and expiry
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - Value to encode
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Issue an id/access/refresh token set for a user
+ * @param {Object} user - Authenticated user
+ * @param {number} ttlSeconds - Token lifetime in seconds
+ * @returns {Object} Token set with expiry
+ */
+function issueTokens(user, ttlSeconds = Number(process.env.MOCK_TOKEN_TTL) || DEFAULT_TTL_SECONDS) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: user.id,
+    email: user.email,
+    name: user.name,
+    'custom:role': user.role,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  };
+  const header = encodeSegment({ alg: 'none', typ: 'JWT' });
+
+  return {
+    idToken: `${header}.${encodeSegment({ ...claims, token_use: 'id' })}.mock`,
+    accessToken: `${header}.${encodeSegment({ ...claims, token_use: 'access' })}.mock`,
+    refreshToken: crypto.randomBytes(24).toString('hex'),
+    expiresIn: ttlSeconds
+  };
+}
+
+/**
+ * Decode the claims of a token without verifying it
+ * @param {string} token - Token string
+ * @returns {Object|null} Claims, or null if the token is malformed
+ */
+function decodeToken(token) {
+  try {
+    const [, payload] = String(token).split('.');
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a token and check that it has not expired
+ * @param {string} token - Token string
+ * @returns {Object|null} Claims, or null if the token is malformed or expired
+ */
+function verifyToken(token) {
+  const claims = decodeToken(token);
+  if (!claims || !claims.exp || claims.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return claims;
+}
+
+module.exports = { issueTokens, decodeToken, verifyToken };
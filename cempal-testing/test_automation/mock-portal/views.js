@@ -0,0 +1,387 @@
+/**
+ * HTML views for the local Cempal Portal stand-in
+ * Markup follows the Amplify and ant-design DOM the page objects and recorder selectors target
+ */
+
+/**
+ * Escape text for safe use in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap page content in the HTML document shell
+ * @param {string} page - Page key read by the client script
+ * @param {string} title - Document title
+ * @param {string} content - Body markup
+ * @param {boolean} requiresSession - Keep the content hidden until the client script finds a session
+ * @returns {string} HTML document
+ */
+function documentShell(page, title, content, requiresSession = false) {
+  return `<!DOCTYPE html>
+<html lang="en" dir="ltr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} | Cempal</title>
+  <link rel="icon" href="/static/cempal-logo.svg">
+  <link rel="stylesheet" href="/static/styles.css">
+  <script src="/static/app.js" defer></script>
+</head>
+<body class="light">
+  <div id="root" data-page="${escapeHtml(page)}"${requiresSession ? ' hidden' : ''}>
+${content}
+  </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the Amplify sign-in view with the two reset password views (send code, confirm) next to it
+ * @returns {string} HTML document
+ */
+function loginView() {
+  return documentShell('login', 'Sign in', `
+    <div class="cml-login-layout">
+      <header class="cml-login-header">
+        <a href="/welcome"><img src="/static/cempal-logo.svg" alt="Cempal Logo" width="132" height="32"></a>
+      </header>
+      <main class="cml-login-main">
+        <div class="login gutter-sm">
+          <h1 class="amplify-heading">Sign in to your account</h1>
+          <div data-amplify-authenticator="">
+            <form data-amplify-form="" data-view="signIn" novalidate>
+              <div class="amplify-flex federated-sign-in-container">
+                <button type="button" class="amplify-button amplify-field-group__control federated-sign-in-button" data-provider="Google">
+                  <svg class="amplify-icon" viewBox="0 0 24 24" width="18" height="18" aria-hidden="true"><circle cx="12" cy="12" r="10" fill="#4285F4"></circle></svg>
+                  <span class="amplify-text">Sign In with Google</span>
+                </button>
+              </div>
+              <div class="amplify-flex amplify-divider" role="separator"><span>Sign in</span></div>
+              <div class="amplify-alert amplify-alert--error" role="alert" data-alert="" hidden></div>
+              <div class="amplify-flex amplify-field amplify-textfield">
+                <label class="amplify-label" for="amplify-id-:r2:">Email</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:r2:" name="username" type="email" autocomplete="username" placeholder="Enter your Email" required>
+              </div>
+              <div class="amplify-flex amplify-field amplify-passwordfield">
+                <label class="amplify-label" for="amplify-id-:r5:">Password</label>
+                <div class="amplify-flex amplify-field-group">
+                  <input class="amplify-input amplify-field-group__control" id="amplify-id-:r5:" name="password" type="password" autocomplete="current-password" placeholder="Enter your Password" required>
+                  <button type="button" class="amplify-button amplify-field__show-password" aria-label="Show password" data-action="toggle-password">
+                    <span class="amplify-visually-hidden">Password is hidden</span>
+                  </button>
+                </div>
+              </div>
+              <button type="submit" class="amplify-button amplify-button--primary amplify-button--fullwidth">Sign in</button>
+              <div class="amplify-flex amplify-footer">
+                <div class="cml-login-links">
+                  <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="show-reset">
+                    <svg class="amplify-icon" viewBox="0 0 24 24" width="14" height="14" aria-hidden="true"><circle cx="12" cy="12" r="4"></circle></svg>
+                    <span>Reset Password</span>
+                  </button>
+                </div>
+              </div>
+            </form>
+            <form data-amplify-form="" data-view="forgotPassword" novalidate hidden>
+              <h3 class="amplify-heading">Reset your password</h3>
+              <div class="amplify-alert" role="alert" data-alert="" hidden></div>
+              <div class="amplify-flex amplify-field amplify-textfield">
+                <label class="amplify-label" for="amplify-id-:r8:">Email</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:r8:" name="username" type="email" autocomplete="username" placeholder="Enter your Email" required>
+              </div>
+              <button type="submit" class="amplify-button amplify-button--primary amplify-button--fullwidth">Send code</button>
+              <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="show-sign-in">Back to Sign In</button>
+            </form>
+            <form data-amplify-form="" data-view="confirmResetPassword" novalidate hidden>
+              <h3 class="amplify-heading">Reset your password</h3>
+              <div class="amplify-alert" role="alert" data-alert="" hidden></div>
+              <div class="amplify-flex amplify-field amplify-textfield">
+                <label class="amplify-label" for="amplify-id-:rb:">Code</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:rb:" name="confirmation_code" type="text" inputmode="numeric" autocomplete="one-time-code" placeholder="Code" required>
+              </div>
+              <div class="amplify-flex amplify-field amplify-passwordfield">
+                <label class="amplify-label" for="amplify-id-:re:">New Password</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:re:" name="password" type="password" autocomplete="new-password" placeholder="New Password" required>
+              </div>
+              <div class="amplify-flex amplify-field amplify-passwordfield">
+                <label class="amplify-label" for="amplify-id-:rh:">Confirm Password</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:rh:" name="confirm_password" type="password" autocomplete="new-password" placeholder="Confirm Password" required>
+              </div>
+              <button type="submit" class="amplify-button amplify-button--primary amplify-button--fullwidth">Submit</button>
+              <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="resend-code">Resend Code</button>
+              <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="show-sign-in">Back to Sign In</button>
+            </form>
+            <form data-amplify-form="" data-view="confirmSignIn" novalidate hidden>
+              <h3 class="amplify-heading">Confirm TOTP Code</h3>
+              <div class="amplify-alert" role="alert" data-alert="" hidden></div>
+              <div class="amplify-flex amplify-field amplify-textfield">
+                <label class="amplify-label" for="amplify-id-:rk:">Code</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:rk:" name="confirmation_code" type="text" inputmode="numeric" autocomplete="one-time-code" placeholder="Code" required>
+              </div>
+              <label class="amplify-flex amplify-checkbox">
+                <input class="amplify-checkbox__input" type="checkbox" name="remember_device">
+                <span class="amplify-checkbox__label">Remember this device</span>
+              </label>
+              <button type="submit" class="amplify-button amplify-button--primary amplify-button--fullwidth">Confirm</button>
+              <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="show-sign-in">Back to Sign In</button>
+            </form>
+            <form data-amplify-form="" data-view="setupTotp" novalidate hidden>
+              <h3 class="amplify-heading">Setup TOTP</h3>
+              <div class="amplify-alert" role="alert" data-alert="" hidden></div>
+              <img class="amplify-image" alt="qr code" width="228" height="228" data-qr-code="">
+              <div class="amplify-flex" data-amplify-copy="">
+                <div data-secret-code=""></div>
+                <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="copy-secret">Copy</button>
+              </div>
+              <div class="amplify-flex amplify-field amplify-textfield">
+                <label class="amplify-label" for="amplify-id-:rn:">Code</label>
+                <input class="amplify-input amplify-field-group__control" id="amplify-id-:rn:" name="confirmation_code" type="text" inputmode="numeric" autocomplete="one-time-code" placeholder="Code" required>
+              </div>
+              <label class="amplify-flex amplify-checkbox">
+                <input class="amplify-checkbox__input" type="checkbox" name="remember_device">
+                <span class="amplify-checkbox__label">Remember this device</span>
+              </label>
+              <button type="submit" class="amplify-button amplify-button--primary amplify-button--fullwidth">Confirm</button>
+              <button type="button" class="amplify-button amplify-button--link amplify-button--small" data-action="show-sign-in">Back to Sign In</button>
+            </form>
+          </div>
+        </div>
+      </main>
+    </div>`);
+}
+
+/**
+ * Render the public landing page
+ * @returns {string} HTML document
+ */
+function welcomeView() {
+  return documentShell('welcome', 'Welcome', `
+    <div class="cml-login-layout">
+      <header class="cml-login-header">
+        <a href="/welcome"><img src="/static/cempal-logo.svg" alt="Cempal Logo" width="132" height="32"></a>
+      </header>
+      <main class="cml-login-main">
+        <div class="cml-welcome">
+          <h1>Cempal</h1>
+          <p>Workforce and tenant management for apparel manufacturers.</p>
+          <button type="button" class="ant-btn ant-btn-primary ant-btn-lg" data-action="get-started">
+            <span class="ant-btn-icon"><span class="material-symbols-outlined">login</span></span>
+            <span>Get Started</span>
+          </button>
+        </div>
+      </main>
+    </div>`);
+}
+
+/**
+ * Wrap an authenticated page in the portal header and side navigation
+ * @param {string} page - Page key read by the client script
+ * @param {string} title - Document title
+ * @param {string} content - Main content markup
+ * @returns {string} HTML document
+ */
+function portalLayout(page, title, content) {
+  return documentShell(page, title, `
+    <div class="ant-layout">
+      <header class="ant-layout-header cml-app-header-sticky">
+        <div class="cml-app-header-content-box ant-flex ant-flex-align-center ant-flex-justify-space-between">
+          <a href="/" class="cml-app-logo"><img src="/static/tenant-logo.svg" alt="tenantLogo" width="40" height="40"></a>
+          <button type="button" class="ant-btn ant-btn-text" data-action="go-dashboard">
+            <span class="ant-btn-icon"><span role="img" aria-label="dashboard" class="anticon anticon-dashboard"><svg viewBox="64 64 896 896" focusable="false" data-icon="dashboard" width="1em" height="1em" fill="currentColor" aria-hidden="true"><path d="M924.8 385.6a446.7 446.7 0 00-96-142.4 446.7 446.7 0 00-142.4-96C631.1 123.8 572.5 112 512 112s-119.1 11.8-174.4 35.2a446.7 446.7 0 00-142.4 96 446.7 446.7 0 00-96 142.4C75.8 440.9 64 499.5 64 560c0 132.7 58.3 257.7 159.9 343.1l1.7 1.4c5.8 4.8 13.1 7.5 20.6 7.5h531.7c7.5 0 14.8-2.7 20.6-7.5l1.7-1.4C901.7 817.7 960 692.7 960 560c0-60.5-11.9-119.1-35.2-174.4z"></path></svg></span></span>
+            <span>Dashboard</span>
+          </button>
+          <div class="cml-app-header-actions ant-flex ant-flex-align-center">
+            <button type="button" role="switch" aria-checked="false" aria-label="Theme" class="ant-switch" data-action="toggle-theme">
+              <div class="ant-switch-handle"></div>
+              <span class="ant-switch-inner"><span class="ant-switch-inner-checked">Light Theme</span><span class="ant-switch-inner-unchecked">Dark Theme</span></span>
+            </button>
+            <button type="button" class="cml-account-trigger" aria-label="Account" aria-haspopup="menu" data-action="toggle-account">
+              <span class="material-symbols-outlined medium-icon-style">account_circle</span>
+            </button>
+          </div>
+        </div>
+      </header>
+      <div class="ant-layout ant-layout-has-sider">
+        <aside class="ant-layout-sider cml-app-sider">
+          <nav aria-label="Main navigation">
+            <ul class="ant-menu ant-menu-root ant-menu-inline" role="menu">
+              <li class="ant-menu-item" role="menuitem"><a href="/tenant-list">Tenant List</a></li>
+              <li class="ant-menu-item" role="menuitem"><a href="/super-admins">Super Admins</a></li>
+              <li class="ant-menu-item" role="menuitem"><a href="/policy">Privacy Policy</a></li>
+            </ul>
+          </nav>
+        </aside>
+        <main class="ant-layout-content cml-app-content">
+${content}
+        </main>
+      </div>
+    </div>`, true);
+}
+
+/**
+ * Render the dashboard
+ * @returns {string} HTML document
+ */
+function dashboardView() {
+  return portalLayout('dashboard', 'Dashboard', `
+          <div class="cml-page-header"><h2>Dashboard</h2></div>
+          <div class="cml-dashboard-cards" data-dashboard-cards="">
+            <div class="ant-card"><div class="ant-card-body"><div class="ant-statistic-title">Tenants</div><div class="ant-statistic-content" data-stat="tenants">-</div></div></div>
+            <div class="ant-card"><div class="ant-card-body"><div class="ant-statistic-title">Users</div><div class="ant-statistic-content" data-stat="users">-</div></div></div>
+          </div>`);
+}
+
+/**
+ * Render the ant-design Input.Search above a list
+ * @param {string} list - List key, the data-table value of the list it filters
+ * @param {string} placeholder - Placeholder and accessible name
+ * @returns {string} Search markup
+ */
+function listSearch(list, placeholder) {
+  return `
+          <div class="cml-table-toolbar">
+            <span class="ant-input-group-wrapper ant-input-search" data-search="${escapeHtml(list)}">
+              <span class="ant-input-wrapper ant-input-group">
+                <input type="search" class="ant-input" placeholder="${escapeHtml(placeholder)}" aria-label="${escapeHtml(placeholder)}" autocomplete="off">
+                <span class="ant-input-group-addon">
+                  <button type="button" class="ant-btn ant-btn-default ant-btn-icon-only ant-input-search-button" aria-label="search">
+                    <span class="material-symbols-outlined" aria-hidden="true">search</span>
+                  </button>
+                </span>
+              </span>
+            </span>
+          </div>`;
+}
+
+/**
+ * Render the tenant list page; rows are loaded by the client script
+ * @returns {string} HTML document
+ */
+function tenantListView() {
+  return portalLayout('tenant-list', 'Tenant List', `
+          <div class="cml-page-header">
+            <h2>Tenant List</h2>
+            <button type="button" class="ant-btn ant-btn-primary" data-action="create-tenant">
+              <span class="ant-btn-icon"><span class="material-symbols-outlined">add</span></span>
+              <span>Create new Tenant</span>
+            </button>
+          </div>${listSearch('tenants', 'Search tenants')}
+          <div class="ant-table-wrapper" data-table="tenants"></div>`);
+}
+
+/**
+ * Render the super admins page; rows are loaded by the client script
+ * @returns {string} HTML document
+ */
+function superAdminsView() {
+  return portalLayout('super-admins', 'Super Admins', `
+          <div class="cml-page-header"><h2>Super Admins</h2></div>${listSearch('users', 'Search users')}
+          <div class="ant-table-wrapper" data-table="users"></div>`);
+}
+
+/**
+ * Render the privacy policy page
+ * @returns {string} HTML document
+ */
+function policyView() {
+  return portalLayout('policy', 'Privacy Policy', `
+          <div class="cml-page-header"><h2>Privacy Policy</h2></div>
+          <article class="cml-policy">
+            <p>This is the privacy policy of the local Cempal Portal stand-in. No personal data leaves this machine.</p>
+            <p>Accounts, tenants and assignments live in memory and are discarded when the server stops.</p>
+          </article>`);
+}
+
+/**
+ * Query string of an authorization request, extended with the chosen account
+ * @param {URLSearchParams} request - Parameters of the authorization request
+ * @param {Object} extra - Parameters to add
+ * @returns {string} Escaped query string
+ */
+function requestQuery(request, extra) {
+  const params = new URLSearchParams(request);
+  Object.entries(extra).forEach(([name, value]) => params.set(name, value));
+  return escapeHtml(params.toString());
+}
+
+/**
+ * Render the account chooser of the mock Google identity provider
+ * @param {Array<Object>} accounts - Google accounts offered for selection
+ * @param {URLSearchParams} request - Parameters of the authorization request, passed on with the choice
+ * @returns {string} HTML document
+ */
+function accountChooserView(accounts, request) {
+  const items = accounts.map(account => `
+              <li>
+                <a class="cml-google-account" href="/mock-idp/select?${requestQuery(request, { email: account.email })}">
+                  <div class="cml-google-account-text">
+                    <div>${escapeHtml(account.name)}</div>
+                    <div>${escapeHtml(account.email)}</div>
+                  </div>
+                </a>
+              </li>`).join('');
+
+  return documentShell('oauth', 'Sign in with Google', `
+    <main class="cml-google-chooser">
+      <h1>Choose an account</h1>
+      <p>to continue to Cempal</p>
+      <ul>${items}
+      </ul>
+    </main>`);
+}
+
+/**
+ * Render the consent screen of the mock Google identity provider
+ * @param {Object} account - Chosen Google account
+ * @param {URLSearchParams} request - Parameters of the authorization request, passed on with the decision
+ * @returns {string} HTML document
+ */
+function consentView(account, request) {
+  const params = new URLSearchParams(request);
+  params.set('email', account.email);
+  const fields = [...params]
+    .map(([name, value]) => `
+        <input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+
+  return documentShell('oauth', 'Sign in with Google', `
+    <main class="cml-google-chooser">
+      <h1>Cempal wants to access your Google Account</h1>
+      <p>${escapeHtml(account.email)}</p>
+      <p>This will allow Cempal to see your name, email address and profile picture.</p>
+      <form action="/mock-idp/consent" method="get" class="cml-google-consent">${fields}
+        <button type="submit" name="decision" value="deny">Cancel</button>
+        <button type="submit" name="decision" value="allow">Continue</button>
+      </form>
+    </main>`);
+}
+
+/**
+ * Render a not found page
+ * @returns {string} HTML document
+ */
+function notFoundView() {
+  return documentShell('not-found', 'Not found', `
+    <main class="cml-login-main"><h1>404</h1><p>Sorry, the page you visited does not exist.</p><a href="/">Back Home</a></main>`);
+}
+
+module.exports = {
+  escapeHtml,
+  loginView,
+  welcomeView,
+  dashboardView,
+  tenantListView,
+  superAdminsView,
+  policyView,
+  accountChooserView,
+  consentView,
+  notFoundView
+};
@@ -4,12 +4,44 @@
  */
 
 const { expect } = require('@playwright/test');
+const testData = require('../config/testData');
+const { secretMasker } = require('../utils/secretMasker');
+const { isLocatorDescriptor, resolveLocator, resolveAllLocator, anyStrategyLocator } = require('../utils/selfHealing');
+
+// Fields painted over in screenshots; revealed password fields are marked at capture time
+const SECRET_FIELD_SELECTOR = "input[type='password'], [data-secret-mask]";
 
 class BasePage {
   constructor(page) {
     this.page = page;
   }
 
+  /**
+   * Get the locator of a selector string or of a self-healing locator descriptor
+   * (see utils/selfHealing.js); descriptors are resolved to the first strategy that matches
+   * @param {string|Object} selector - Element selector or locator descriptor
+   * @param {number} timeout - How long a descriptor keeps trying its strategies
+   * @returns {Promise<import('@playwright/test').Locator>} Locator of the element
+   */
+  async locate(selector, timeout = testData.timeouts.medium) {
+    if (isLocatorDescriptor(selector)) {
+      return resolveLocator(this.page, selector, { timeout });
+    }
+    return this.page.locator(selector).first();
+  }
+
+  /**
+   * Get the locator of every element matching a selector or locator descriptor (e.g. table rows)
+   * @param {string|Object} selector - Element selector or locator descriptor
+   * @returns {Promise<import('@playwright/test').Locator>} Locator of all matches
+   */
+  async locateAll(selector) {
+    if (isLocatorDescriptor(selector)) {
+      return resolveAllLocator(this.page, selector);
+    }
+    return this.page.locator(selector);
+  }
+
   /**
    * Navigate to a specific URL
    * @param {string} url - URL to navigate to
@@ -20,74 +52,80 @@ class BasePage {
 
   /**
    * Wait for element to be visible
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {number} timeout - Timeout in milliseconds
    */
-  async waitForElement(selector, timeout = 10000) {
-    await this.page.waitForSelector(selector, { timeout });
+  async waitForElement(selector, timeout = testData.timeouts.medium) {
+    await (await this.locate(selector, timeout)).waitFor({ timeout });
   }
 
   /**
    * Wait for element to be visible and clickable
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<import('@playwright/test').Locator>} Locator of the element
    */
-  async waitForClickable(selector, timeout = 10000) {
-    await this.page.waitForSelector(selector, { state: 'visible', timeout });
-    await this.page.waitForSelector(selector, { state: 'attached', timeout });
+  async waitForClickable(selector, timeout = testData.timeouts.medium) {
+    const locator = await this.locate(selector, timeout);
+    await locator.waitFor({ state: 'visible', timeout });
+    await locator.waitFor({ state: 'attached', timeout });
+    return locator;
   }
 
   /**
    * Click on an element
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {Object} options - Click options
    */
   async click(selector, options = {}) {
-    await this.waitForClickable(selector);
-    await this.page.click(selector, options);
+    await (await this.waitForClickable(selector)).click(options);
   }
 
   /**
    * Fill input field with text
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {string} text - Text to fill
    * @param {Object} options - Fill options
    */
   async fill(selector, text, options = {}) {
-    await this.waitForElement(selector);
-    await this.page.fill(selector, text, options);
+    const locator = await this.locate(selector);
+    await locator.waitFor();
+    await locator.fill(text, options);
   }
 
   /**
    * Type text into input field
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {string} text - Text to type
    * @param {Object} options - Type options
    */
   async type(selector, text, options = {}) {
-    await this.waitForElement(selector);
-    await this.page.type(selector, text, options);
+    const locator = await this.locate(selector);
+    await locator.waitFor();
+    await locator.pressSequentially(text, options);
   }
 
   /**
    * Get text content of an element
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @returns {Promise<string>} Text content
    */
   async getText(selector) {
-    await this.waitForElement(selector);
-    return await this.page.textContent(selector);
+    const locator = await this.locate(selector);
+    await locator.waitFor();
+    return await locator.textContent();
   }
 
   /**
    * Check if element is visible
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @returns {Promise<boolean>} True if visible
    */
   async isVisible(selector) {
     try {
-      await this.page.waitForSelector(selector, { timeout: 5000 });
-      return await this.page.isVisible(selector);
+      const locator = await this.locate(selector, testData.timeouts.short);
+      await locator.waitFor({ timeout: testData.timeouts.short });
+      return await locator.isVisible();
     } catch (error) {
       return false;
     }
@@ -105,14 +143,22 @@ class BasePage {
   }
 
   /**
-   * Take screenshot
+   * Take screenshot with password fields and fields holding a registered secret masked
    * @param {string} name - Screenshot name
    * @param {Object} options - Screenshot options
    */
   async takeScreenshot(name, options = {}) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `screenshots/${name}-${timestamp}.png`;
-    await this.page.screenshot({ path: filename, ...options });
+    await this.page.evaluate(secrets => {
+      document.querySelectorAll('input, textarea').forEach(field => {
+        if (secrets.some(secret => field.value.includes(secret))) {
+          field.setAttribute('data-secret-mask', '');
+        }
+      });
+    }, secretMasker.getSecrets());
+    const mask = [this.page.locator(SECRET_FIELD_SELECTOR), ...(options.mask || [])];
+    await this.page.screenshot({ path: filename, ...options, mask });
     return filename;
   }
 
@@ -125,39 +171,42 @@ class BasePage {
 
   /**
    * Scroll element into view
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    */
   async scrollIntoView(selector) {
-    await this.page.locator(selector).scrollIntoViewIfNeeded();
+    await (await this.locate(selector)).scrollIntoViewIfNeeded();
   }
 
   /**
    * Wait for element to disappear
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {number} timeout - Timeout in milliseconds
    */
-  async waitForElementToDisappear(selector, timeout = 10000) {
-    await this.page.waitForSelector(selector, { state: 'hidden', timeout });
+  async waitForElementToDisappear(selector, timeout = testData.timeouts.medium) {
+    // A hidden element matches no strategy, so a descriptor waits on all of them at once
+    const locator = isLocatorDescriptor(selector) ? anyStrategyLocator(this.page, selector) : this.page.locator(selector).first();
+    await locator.waitFor({ state: 'hidden', timeout });
   }
 
   /**
    * Select option from dropdown
-   * @param {string} selector - Dropdown selector
+   * @param {string|Object} selector - Dropdown selector or locator descriptor
    * @param {string} value - Option value to select
    */
   async selectOption(selector, value) {
-    await this.waitForElement(selector);
-    await this.page.selectOption(selector, value);
+    const locator = await this.locate(selector);
+    await locator.waitFor();
+    await locator.selectOption(value);
   }
 
   /**
    * Click on option by text in dropdown
-   * @param {string} dropdownSelector - Dropdown selector
+   * @param {string|Object} dropdownSelector - Dropdown selector or locator descriptor
    * @param {string} optionText - Option text to click
    */
   async clickDropdownOption(dropdownSelector, optionText) {
     await this.click(dropdownSelector);
-    await this.click(`//div[contains(text(),'${optionText}')]`);
+    await this.click(testData.selectors.selectOption(optionText));
   }
 
   /**
@@ -165,19 +214,20 @@ class BasePage {
    * @param {string} text - Text to wait for
    * @param {number} timeout - Timeout in milliseconds
    */
-  async waitForText(text, timeout = 10000) {
-    await this.page.waitForSelector(`text=${text}`, { timeout });
+  async waitForText(text, timeout = testData.timeouts.medium) {
+    await this.page.getByText(text).first().waitFor({ timeout });
   }
 
   /**
    * Get element attribute value
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {string} attribute - Attribute name
    * @returns {Promise<string>} Attribute value
    */
   async getAttribute(selector, attribute) {
-    await this.waitForElement(selector);
-    return await this.page.getAttribute(selector, attribute);
+    const locator = await this.locate(selector);
+    await locator.waitFor();
+    return await locator.getAttribute(attribute);
   }
 
   /**
@@ -227,21 +277,21 @@ class BasePage {
 
   /**
    * Assert element is visible
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {string} message - Assertion message
    */
   async assertVisible(selector, message = 'Element should be visible') {
-    await expect(this.page.locator(selector)).toBeVisible();
+    await expect(isLocatorDescriptor(selector) ? anyStrategyLocator(this.page, selector) : this.page.locator(selector)).toBeVisible();
   }
 
   /**
    * Assert element contains text
-   * @param {string} selector - Element selector
+   * @param {string|Object} selector - Element selector or locator descriptor
    * @param {string} text - Expected text
    * @param {string} message - Assertion message
    */
   async assertText(selector, text, message = 'Element should contain text') {
-    await expect(this.page.locator(selector)).toContainText(text);
+    await expect(isLocatorDescriptor(selector) ? await this.locate(selector) : this.page.locator(selector)).toContainText(text);
   }
 
   /**
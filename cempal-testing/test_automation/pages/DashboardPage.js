@@ -16,7 +16,7 @@ class DashboardPage extends BasePage {
    * Wait for dashboard to load
    */
   async waitForDashboardLoad() {
-    await this.waitForElement('//img[@alt="tenantLogo"]');
+    await this.waitForElement(this.selectors.tenantLogo);
     await this.waitForPageLoad();
   }
 
@@ -39,7 +39,7 @@ class DashboardPage extends BasePage {
    */
   async logout() {
     await this.clickAccountCircle();
-    await this.wait(1000); // Wait for dropdown to appear
+    await this.waitForElement(this.selectors.logoutButton);
     await this.clickLogout();
     await this.waitForNavigation();
   }
@@ -85,8 +85,13 @@ class DashboardPage extends BasePage {
    * Toggle theme (light/dark)
    */
   async toggleTheme() {
-    await this.click("//span[@class='ant-switch-inner']");
-    await this.wait(1000);
+    const checked = await this.getAttribute(this.selectors.themeSwitch, 'aria-checked');
+    await this.click(this.selectors.themeSwitch);
+    // Wait for the switch to flip; a switch without aria-checked (the recorded span) gives nothing to wait on
+    if (checked !== null) {
+      const flipped = this.page.locator(`[aria-checked="${checked !== 'true'}"]`);
+      await (await this.locate(this.selectors.themeSwitch)).and(flipped).waitFor({ timeout: testData.timeouts.short });
+    }
   }
 
   /**
@@ -95,7 +100,7 @@ class DashboardPage extends BasePage {
    */
   async isLoggedIn() {
     try {
-      await this.waitForElement('//img[@alt="tenantLogo"]', 5000);
+      await this.waitForElement(this.selectors.tenantLogo, testData.timeouts.short);
       return true;
     } catch (error) {
       return false;
@@ -107,7 +112,7 @@ class DashboardPage extends BasePage {
    * @returns {Promise<boolean>} True if dropdown is visible
    */
   async isAccountDropdownVisible() {
-    return await this.isVisible("//span[normalize-space()='Logout from Cempal']");
+    return await this.isVisible(this.selectors.logoutButton);
   }
 
   /**
@@ -165,7 +170,7 @@ class DashboardPage extends BasePage {
    * @returns {Promise<boolean>} True if theme toggle is available
    */
   async isThemeToggleAvailable() {
-    return await this.isVisible("//span[@class='ant-switch-inner']");
+    return await this.isVisible(this.selectors.themeSwitch);
   }
 
   /**
@@ -182,7 +187,7 @@ class DashboardPage extends BasePage {
    */
   async isPageLoaded() {
     try {
-      await this.waitForElement('//img[@alt="tenantLogo"]', 10000);
+      await this.waitForElement(this.selectors.tenantLogo, testData.timeouts.medium);
       return true;
     } catch (error) {
       return false;
@@ -221,7 +226,7 @@ class DashboardPage extends BasePage {
    * @param {string} itemText - Navigation item text
    */
   async waitForNavigationItem(itemText) {
-    await this.waitForText(itemText);
+    await this.waitForElement(this.selectors.navigationLink(itemText));
   }
 
   /**
@@ -233,8 +238,8 @@ class DashboardPage extends BasePage {
     const roleSelectors = {
       'super_admin': this.selectors.superAdminsLink,
       'tenant_admin': this.selectors.tenantListLink,
-      'team_lead': '//a[contains(text(),"Team")]',
-      'employee': '//a[contains(text(),"Profile")]'
+      'team_lead': this.selectors.navigationLink('Team'),
+      'employee': this.selectors.navigationLink('Profile')
     };
 
     const selector = roleSelectors[role.toLowerCase()];
@@ -0,0 +1,73 @@
+/**
+ * Google Sign-In Page Object Model for Cempal Portal
+ * Handles the identity provider's side of "Sign In with Google": the account chooser and the consent screen,
+ * in the popup the portal opens or in the portal's own page after a redirect
+ */
+
+const BasePage = require('./BasePage');
+const testData = require('../config/testData');
+
+class GoogleSignInPage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.selectors = testData.selectors;
+  }
+
+  /**
+   * Check if the page is still open; a popup closes itself once it hands the result to the portal
+   * @returns {boolean} True if the page is open
+   */
+  isOpen() {
+    return !this.page.isClosed();
+  }
+
+  /**
+   * Check if the account chooser offers an account
+   * @param {string} email - Email of the Google account
+   * @returns {Promise<boolean>} True if the account can be chosen
+   */
+  async hasAccount(email) {
+    return this.isOpen() && await this.isVisible(this.selectors.googleAccount(email));
+  }
+
+  /**
+   * Choose an account in the account chooser and wait for the provider's answer to load
+   * @param {string} email - Email of the Google account
+   */
+  async chooseAccount(email) {
+    await this.click(this.selectors.googleAccount(email));
+    await this.waitForProvider();
+  }
+
+  /**
+   * Check if the consent screen is shown, without waiting for it
+   * @returns {Promise<boolean>} True if consent is asked for
+   */
+  async isConsentRequested() {
+    if (!this.isOpen()) {
+      return false;
+    }
+    const buttons = await this.locateAll(this.selectors.googleConsentContinueButton);
+    return buttons.first().isVisible().catch(() => false);
+  }
+
+  /**
+   * Answer the consent screen
+   * @param {boolean} allow - True to continue, false to cancel
+   */
+  async answerConsent(allow) {
+    await this.click(allow ? this.selectors.googleConsentContinueButton : this.selectors.googleConsentCancelButton);
+    await this.waitForProvider();
+  }
+
+  /**
+   * Wait for the page to settle after answering the provider; a popup may have closed meanwhile
+   */
+  async waitForProvider() {
+    if (this.isOpen()) {
+      await this.page.waitForLoadState('networkidle').catch(() => {});
+    }
+  }
+}
+
+module.exports = GoogleSignInPage;
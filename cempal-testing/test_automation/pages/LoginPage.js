@@ -1,10 +1,32 @@
 /**
  * Login Page Object Model for Cempal Portal
- * Handles all login-related functionality
+ * Handles all login-related functionality, including the TOTP challenge and authenticator setup of
+ * accounts that require multi-factor authentication
  */
 
 const BasePage = require('./BasePage');
+const GoogleSignInPage = require('./GoogleSignInPage');
 const testData = require('../config/testData');
+const { getCredentialVault } = require('../utils/credentialVault');
+const { generateTotp } = require('../utils/totp');
+
+// Messages shown for a failed sign-in, next to testData.selectors.loginErrorAlert
+const LOGIN_ERROR_SELECTORS = [
+  'text=Invalid credentials',
+  'text=User not found',
+  'text=Incorrect password',
+  'text=Authentication failed',
+  '[data-testid="error-message"]',
+  '.error-message',
+  '.alert-danger'
+];
+
+const EMAIL_ERROR_SELECTORS = [
+  'text=Invalid email format',
+  'text=Please enter a valid email',
+  '[data-testid="email-error"]',
+  '.field-error'
+];
 
 class LoginPage extends BasePage {
   constructor(page) {
@@ -58,30 +80,192 @@ class LoginPage extends BasePage {
   }
 
   /**
-   * Perform complete login with email and password
+   * Perform complete login with email and password, answering the TOTP challenge of an account that requires MFA.
+   * The code is generated from the account's TOTP secret in the credential vault (<ROLE>_TOTP_SECRET) unless one
+   * is passed. An account that still has to enrol an authenticator is left on the setup step (see setupTotp()).
    * @param {string} email - Email address
    * @param {string} password - Password
+   * @param {Object} options - Login options
+   * @param {string} options.totpSecret - Base32 TOTP secret, the vault's for the email by default
+   * @param {boolean} options.rememberDevice - Remember the browser, so its next sign-ins skip the challenge
+   * @throws {Error} When the portal asks for a TOTP code and there is no secret to generate it from
    */
-  async login(email = testData.credentials.email, password = testData.credentials.password) {
+  async login(email = testData.credentials.email, password = testData.credentials.password, { totpSecret, rememberDevice = false } = {}) {
     await this.enterEmail(email);
     await this.enterPassword(password);
     await this.clickSignIn();
     await this.waitForNavigation();
+
+    if (await this.waitForSignInStep() === 'totp') {
+      const account = getCredentialVault().findAccount(email);
+      const secret = totpSecret || (account && account.totpSecret);
+      if (!secret) {
+        const variable = account ? `${account.role.toUpperCase()}_TOTP_SECRET` : '<ROLE>_TOTP_SECRET';
+        throw new Error(`${email} is asked for a TOTP code but has no TOTP secret: set ${variable} or pass { totpSecret }`);
+      }
+      await this.completeTotpChallenge(secret, { rememberDevice });
+    }
   }
 
   /**
-   * Perform Google login
-   * @param {string} googleEmail - Google email address
+   * Wait for the step the portal shows after the credentials were submitted
+   * @returns {Promise<string|null>} dashboard, error, totp (code asked for), totpSetup (authenticator to enrol),
+   *   or null when none shows up
+   */
+  async waitForSignInStep() {
+    return Promise.any([
+      this.waitForElement(this.selectors.tenantLogo).then(() => 'dashboard'),
+      this.waitForElement(this.selectors.loginErrorAlert).then(() => 'error'),
+      this.waitForElement(this.selectors.totpChallengeHeading).then(() => 'totp'),
+      this.waitForElement(this.selectors.totpSetupHeading).then(() => 'totpSetup')
+    ]).catch(() => null);
+  }
+
+  /**
+   * Check if the portal asks for a TOTP code
+   * @returns {Promise<boolean>} True if the challenge is shown
+   */
+  async isTotpChallengeVisible() {
+    return await this.isVisible(this.selectors.totpChallengeHeading);
+  }
+
+  /**
+   * Check if the portal asks to set up an authenticator
+   * @returns {Promise<boolean>} True if the setup step is shown
+   */
+  async isTotpSetupVisible() {
+    return await this.isVisible(this.selectors.totpSetupHeading);
+  }
+
+  /**
+   * Check if the setup step shows the QR code for authenticator apps
+   * @returns {Promise<boolean>} True if the QR code is shown
+   */
+  async isQrCodeVisible() {
+    return await this.isVisible(this.selectors.totpQrCode);
+  }
+
+  /**
+   * Get the secret the setup step offers to enrol
+   * @returns {Promise<string>} Base32 secret
+   */
+  async getTotpSetupSecret() {
+    return (await this.getText(this.selectors.totpSetupSecret)).replace(/\s/g, '');
+  }
+
+  /**
+   * Enter a TOTP code
+   * @param {string} code - Six-digit code
+   */
+  async enterTotpCode(code) {
+    await this.fill(this.selectors.totpCodeInput, code);
+  }
+
+  /**
+   * Tick or clear "Remember this device"
+   * @param {boolean} remember - True to remember the browser
    */
-  async loginWithGoogle(googleEmail = testData.credentials.googleEmail) {
+  async setRememberDevice(remember) {
+    const checkbox = await this.locate(this.selectors.rememberDeviceCheckbox);
+    await checkbox.setChecked(remember);
+  }
+
+  /**
+   * Submit a TOTP code and wait for the portal's answer
+   * @param {string} code - Six-digit code
+   * @param {Object} options - Confirm options
+   * @param {boolean} options.rememberDevice - Remember the browser
+   * @returns {Promise<boolean>} True if signed in, false if the portal rejected the code; see getErrorMessage()
+   */
+  async submitTotpCode(code, { rememberDevice = false } = {}) {
+    await this.enterTotpCode(code);
+    await this.setRememberDevice(rememberDevice);
+    await this.click(this.selectors.totpConfirmButton);
+    return this.waitForLoginOutcome();
+  }
+
+  /**
+   * Answer the TOTP challenge with a code generated from a secret
+   * @param {string} secret - Base32 TOTP secret of the account
+   * @param {Object} options - Confirm options
+   * @param {boolean} options.rememberDevice - Remember the browser
+   * @throws {Error} When the portal rejects the code
+   */
+  async completeTotpChallenge(secret, { rememberDevice = false } = {}) {
+    if (!await this.submitTotpCode(generateTotp(secret), { rememberDevice })) {
+      throw new Error(`The portal rejected the TOTP code: ${await this.getErrorMessage()}`);
+    }
+  }
+
+  /**
+   * Enrol an authenticator on the setup step: read the secret next to the QR code and confirm it with a code
+   * @param {Object} options - Setup options
+   * @param {boolean} options.rememberDevice - Remember the browser
+   * @returns {Promise<string>} Enrolled secret, for answering the challenge of later sign-ins
+   * @throws {Error} When the portal rejects the code
+   */
+  async setupTotp({ rememberDevice = false } = {}) {
+    const secret = await this.getTotpSetupSecret();
+    if (!await this.submitTotpCode(generateTotp(secret), { rememberDevice })) {
+      throw new Error(`The portal did not enrol the authenticator: ${await this.getErrorMessage()}`);
+    }
+    return secret;
+  }
+
+  /**
+   * Click Google sign in and get the page Google sign-in continues in: the popup the portal opens,
+   * or the login page itself when the portal redirects
+   * @returns {Promise<import('@playwright/test').Page>} Page of the identity provider
+   */
+  async openGoogleSignIn() {
+    const timeout = testData.timeouts.medium;
+    // Whichever comes first; the other wait is dropped
+    const opened = Promise.race([
+      this.page.waitForEvent('popup', { timeout }).catch(() => null),
+      this.page.waitForEvent('framenavigated', { timeout }).then(() => null, () => null)
+    ]);
     await this.clickGoogleSignIn();
-    await this.waitForNavigation();
+    const popup = await opened;
+    const providerPage = popup || this.page;
+    await providerPage.waitForLoadState('networkidle').catch(() => {});
+    return providerPage;
+  }
+
+  /**
+   * Perform Google login: choose the account, answer the consent screen if Google asks, and wait for the
+   * portal's answer. Works for portals that open Google in a popup and for portals that redirect to it.
+   * @param {string} googleEmail - Google email address
+   * @param {Object} options - Sign-in options
+   * @param {boolean} options.consent - Continue on the consent screen (false cancels it)
+   * @returns {Promise<boolean>} True if signed in, false if the portal turned the sign-in down
+   *   (cancelled consent, account not linked to a Cempal user, provider error); see getErrorMessage()
+   */
+  async loginWithGoogle(googleEmail = testData.credentials.googleEmail, { consent = true } = {}) {
+    const google = new GoogleSignInPage(await this.openGoogleSignIn());
 
     // Handle Google account selection
-    if (await this.isVisible(`//div[normalize-space()='${googleEmail}']`)) {
-      await this.click(`//div[normalize-space()='${googleEmail}']`);
-      await this.waitForNavigation();
+    if (await google.hasAccount(googleEmail)) {
+      await google.chooseAccount(googleEmail);
     }
+    if (await google.isConsentRequested()) {
+      await google.answerConsent(consent);
+    }
+
+    return this.waitForLoginOutcome();
+  }
+
+  /**
+   * Wait until the portal shows the dashboard or a sign-in error
+   * @returns {Promise<boolean>} True if signed in, false if an error is shown
+   * @throws {Error} When neither shows up
+   */
+  async waitForLoginOutcome() {
+    return Promise.any([
+      this.waitForElement(this.selectors.tenantLogo).then(() => true),
+      this.waitForElement(this.selectors.loginErrorAlert).then(() => false)
+    ]).catch(() => {
+      throw new Error('Sign-in neither reached the dashboard nor showed an error');
+    });
   }
 
   /**
@@ -91,7 +275,7 @@ class LoginPage extends BasePage {
   async isLoginSuccessful() {
     try {
       // Wait for either dashboard elements or error messages
-      await this.page.waitForSelector('//img[@alt="tenantLogo"]', { timeout: 10000 });
+      await this.waitForElement(this.selectors.tenantLogo, testData.timeouts.medium);
       return true;
     } catch (error) {
       return false;
@@ -105,15 +289,7 @@ class LoginPage extends BasePage {
   async isLoginFailed() {
     try {
       // Check for common error indicators
-      const errorSelectors = [
-        'text=Invalid credentials',
-        'text=User not found',
-        'text=Incorrect password',
-        'text=Authentication failed',
-        '[data-testid="error-message"]',
-        '.error-message',
-        '.alert-danger'
-      ];
+      const errorSelectors = [this.selectors.loginErrorAlert, ...LOGIN_ERROR_SELECTORS];
 
       for (const selector of errorSelectors) {
         if (await this.isVisible(selector)) {
@@ -131,15 +307,7 @@ class LoginPage extends BasePage {
    * @returns {Promise<string>} Error message
    */
   async getErrorMessage() {
-    const errorSelectors = [
-      'text=Invalid credentials',
-      'text=User not found',
-      'text=Incorrect password',
-      'text=Authentication failed',
-      '[data-testid="error-message"]',
-      '.error-message',
-      '.alert-danger'
-    ];
+    const errorSelectors = [this.selectors.loginErrorAlert, ...LOGIN_ERROR_SELECTORS];
 
     for (const selector of errorSelectors) {
       if (await this.isVisible(selector)) {
@@ -154,7 +322,7 @@ class LoginPage extends BasePage {
    * @returns {Promise<boolean>} True if password is hidden
    */
   async isPasswordHidden() {
-    const passwordField = this.page.locator(this.selectors.passwordInput);
+    const passwordField = await this.locate(this.selectors.passwordInput);
     const inputType = await passwordField.getAttribute('type');
     return inputType === 'password';
   }
@@ -185,14 +353,7 @@ class LoginPage extends BasePage {
     await this.click(this.selectors.passwordInput); // Click outside to trigger validation
 
     // Check for validation error
-    const errorSelectors = [
-      'text=Invalid email format',
-      'text=Please enter a valid email',
-      '[data-testid="email-error"]',
-      '.field-error'
-    ];
-
-    for (const selector of errorSelectors) {
+    for (const selector of EMAIL_ERROR_SELECTORS) {
       if (await this.isVisible(selector)) {
         return false;
       }
@@ -204,14 +365,14 @@ class LoginPage extends BasePage {
    * Clear email field
    */
   async clearEmail() {
-    await this.page.fill(this.selectors.emailInput, '');
+    await this.fill(this.selectors.emailInput, '');
   }
 
   /**
    * Clear password field
    */
   async clearPassword() {
-    await this.page.fill(this.selectors.passwordInput, '');
+    await this.fill(this.selectors.passwordInput, '');
   }
 
   /**
@@ -237,22 +398,28 @@ class LoginPage extends BasePage {
    * @returns {Promise<boolean>} True if logo is visible
    */
   async isCempalLogoVisible() {
-    return await this.isVisible("//img[@alt='Cempal Logo']");
+    return await this.isVisible(this.selectors.cempalLogo);
   }
 
   /**
    * Click on Cempal logo
    */
   async clickCempalLogo() {
-    await this.click("//img[@alt='Cempal Logo']");
+    await this.click(this.selectors.cempalLogo);
   }
 
   /**
    * Click on Get Started button
    */
   async clickGetStarted() {
-    await this.click("//span[normalize-space()='Get Started']");
+    await this.click(this.selectors.getStartedButton);
   }
 }
 
+// Selectors kept outside testData.selectors, audited by utils/selectorHealthCheck.js
+LoginPage.inlineSelectors = {
+  loginError: LOGIN_ERROR_SELECTORS,
+  emailError: EMAIL_ERROR_SELECTORS
+};
+
 module.exports = LoginPage;
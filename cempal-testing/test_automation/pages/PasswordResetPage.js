@@ -0,0 +1,143 @@
+/**
+ * Password Reset Page Object Model for Cempal Portal
+ * Handles the reset flow of the login page: request a verification code, enter it with a new password,
+ * and return to the sign-in form. The code is read from a mail sink (see utils/mailbox.js)
+ */
+
+const BasePage = require('./BasePage');
+const testData = require('../config/testData');
+
+class PasswordResetPage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.selectors = testData.selectors;
+  }
+
+  /**
+   * Open the reset form from the login page
+   */
+  async open() {
+    await this.goto('/login');
+    await this.waitForPageLoad();
+    await this.click(this.selectors.resetPasswordButton);
+    await this.waitForElement(this.selectors.resetEmailInput);
+  }
+
+  /**
+   * Request a verification code for an account and wait for the code step
+   * @param {string} email - Email of the account
+   */
+  async requestCode(email) {
+    await this.fill(this.selectors.resetEmailInput, email);
+    await this.click(this.selectors.sendCodeButton);
+    await this.waitForElement(this.selectors.verificationCodeInput);
+  }
+
+  /**
+   * Ask for a new verification code from the code step
+   */
+  async resendCode() {
+    await this.click(this.selectors.resendCodeButton);
+  }
+
+  /**
+   * Enter the verification code
+   * @param {string} code - Verification code
+   */
+  async enterCode(code) {
+    await this.fill(this.selectors.verificationCodeInput, code);
+  }
+
+  /**
+   * Enter the new password and its confirmation
+   * @param {string} password - New password
+   * @param {string} confirmation - Confirmation, the password by default
+   */
+  async enterNewPassword(password, confirmation = password) {
+    await this.fill(this.selectors.newPasswordInput, password);
+    await this.fill(this.selectors.confirmPasswordInput, confirmation);
+  }
+
+  /**
+   * Submit the code step and wait for the portal's answer
+   * @returns {Promise<boolean>} True if the password was reset, false if the portal showed an error
+   */
+  async submit() {
+    await this.click(this.selectors.submitResetButton);
+    // The portal either leaves the code step for the sign-in form or shows an error on it
+    return Promise.any([
+      this.waitForElementToDisappear(this.selectors.verificationCodeInput).then(() => true),
+      this.waitForElement(this.selectors.passwordResetError).then(() => false)
+    ]).catch(() => {
+      throw new Error('The portal neither reset the password nor showed an error');
+    });
+  }
+
+  /**
+   * Enter a verification code and a new password, and submit them
+   * @param {string} code - Verification code
+   * @param {string} password - New password
+   * @returns {Promise<boolean>} True if the password was reset
+   */
+  async confirmReset(code, password) {
+    await this.enterCode(code);
+    await this.enterNewPassword(password);
+    return this.submit();
+  }
+
+  /**
+   * Reset the password of an account with the code mailed to it, from the login page to the sign-in form
+   * @param {string} email - Email of the account
+   * @param {string} password - New password
+   * @param {import('../utils/mailbox').Mailbox} mailbox - Mail sink the code is sent to
+   * @throws {Error} When the portal rejects the code or the password
+   */
+  async resetPassword(email, password, mailbox) {
+    const since = Date.now();
+    await this.open();
+    await this.requestCode(email);
+    const code = await mailbox.waitForCode(email, { since });
+
+    if (!await this.confirmReset(code, password)) {
+      throw new Error(`Password reset for ${email} failed: ${await this.getErrorMessage()}`);
+    }
+  }
+
+  /**
+   * Check if the code step is shown
+   * @returns {Promise<boolean>} True if the verification code can be entered
+   */
+  async isCodeStepVisible() {
+    return await this.isVisible(this.selectors.verificationCodeInput);
+  }
+
+  /**
+   * Check if the flow is back on the sign-in form after a reset
+   * @returns {Promise<boolean>} True if the sign-in form is shown
+   */
+  async isResetComplete() {
+    // The sign-in password field: the reset views have submit buttons of their own
+    return await this.isVisible(this.selectors.passwordInput);
+  }
+
+  /**
+   * Get the error the reset form shows
+   * @returns {Promise<string>} Error message, empty when there is none
+   */
+  async getErrorMessage() {
+    if (!await this.isVisible(this.selectors.passwordResetError)) {
+      return '';
+    }
+    return (await this.getText(this.selectors.passwordResetError)).trim();
+  }
+
+  /**
+   * Return to the sign-in form
+   */
+  async backToSignIn() {
+    await this.click(this.selectors.backToSignInButton);
+    await this.waitForElement(this.selectors.passwordInput);
+  }
+}
+
+module.exports = PasswordResetPage;
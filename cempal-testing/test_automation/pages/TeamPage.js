@@ -0,0 +1,171 @@
+/**
+ * Team Page Object Model for Cempal Portal
+ * Handles the teams of a tenant: the Team dropdown of the Assign modal, read from the open ant-select popup
+ * only, and the teams modal opened by a tenant's diversity_3 action, where the portal lets teams be added
+ */
+
+const BasePage = require('./BasePage');
+const DataTable = require('./components/DataTable');
+const SelectField = require('./components/SelectField');
+const testData = require('../config/testData');
+const { getEntityLedger } = require('../utils/entityLedger');
+
+class TeamPage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.selectors = testData.selectors;
+    // Tenant list the teams modal is opened from, to show the tenant's page first
+    this.tenantList = new DataTable(page);
+    // Team select of the Assign modal, searched rather than scrolled (pages/components/SelectField.js)
+    this.teamField = new SelectField(page, this.selectors.teamSelect);
+    // Tenant of the open teams modal, for the entity ledger
+    this.tenantName = null;
+  }
+
+  /**
+   * Open the Team dropdown of the Assign modal, unless it is open already
+   */
+  async openTeamDropdown() {
+    await this.teamField.open();
+  }
+
+  /**
+   * Close the Team dropdown without choosing a team; the Assign modal stays open
+   */
+  async closeTeamDropdown() {
+    await this.teamField.close();
+  }
+
+  /**
+   * Get the teams the Team dropdown offers for the tenant chosen in the Assign modal
+   * @returns {Promise<Array<string>>} Team names, empty before a tenant is chosen
+   */
+  async getTeamOptions() {
+    await this.openTeamDropdown();
+    const options = await (await this.locateAll(this.selectors.selectOptions)).allTextContents();
+    await this.closeTeamDropdown();
+    return options.map(option => option.trim()).filter(Boolean);
+  }
+
+  /**
+   * Check if the Team dropdown offers a team, by searching for it
+   * @param {string} teamName - Name of the team
+   * @returns {Promise<boolean>} True if the team is an option
+   */
+  async isTeamOffered(teamName) {
+    const offered = await this.teamField.search(teamName);
+    await this.closeTeamDropdown();
+    return offered;
+  }
+
+  /**
+   * Select a team in the Team dropdown, found through its search
+   * @param {string} teamName - Name of the team
+   * @throws {Error} When searching the Team dropdown for it shows "No data", e.g. because it belongs to another tenant
+   */
+  async selectTeam(teamName) {
+    if (!await this.teamField.choose(teamName)) {
+      throw new Error(`Team "${teamName}" cannot be selected: it is not a team of the chosen tenant`);
+    }
+  }
+
+  /**
+   * Check if the tenant list offers a teams action for a tenant
+   * @param {string} tenantName - Name of the tenant
+   * @returns {Promise<boolean>} True if the teams modal can be opened
+   */
+  async canOpen(tenantName) {
+    await this.tenantList.showRow(tenantName);
+    return await this.isVisible(this.selectors.tenantRowAction(tenantName, 'diversity_3'));
+  }
+
+  /**
+   * Open the teams of a tenant from the tenant list
+   * @param {string} tenantName - Name of the tenant
+   */
+  async open(tenantName) {
+    await this.tenantList.showRow(tenantName);
+    await this.click(this.selectors.tenantRowAction(tenantName, 'diversity_3'));
+    await this.waitForElement(this.selectors.tenantTeamsModal(tenantName));
+    await this.waitForElement(this.selectors.teamsTable);
+    this.tenantName = tenantName;
+  }
+
+  /**
+   * Check if the teams modal is open
+   * @returns {Promise<boolean>} True if the modal is visible
+   */
+  async isOpen() {
+    return await this.isVisible(this.selectors.tenantTeamsModal(this.tenantName));
+  }
+
+  /**
+   * Read the teams of the open modal
+   * @returns {Promise<Array<{name: string, members: Array<string>}>>} Teams with their member emails
+   */
+  async getTeams() {
+    await this.waitForElement(this.selectors.teamsTable);
+    const rows = await (await this.locateAll(this.selectors.teamRows)).all();
+    const teams = [];
+
+    for (const row of rows) {
+      const cells = row.getByRole('cell');
+      const members = ((await cells.nth(1).textContent()) || '').trim();
+      teams.push({
+        name: ((await cells.nth(0).textContent()) || '').trim(),
+        members: members ? members.split(/\s*,\s*/) : []
+      });
+    }
+
+    return teams;
+  }
+
+  /**
+   * Get the team names of the open modal
+   * @returns {Promise<Array<string>>} Team names in the order shown
+   */
+  async getTeamNames() {
+    return (await this.getTeams()).map(team => team.name);
+  }
+
+  /**
+   * Check if a team is shown in the open modal
+   * @param {string} teamName - Name of the team
+   * @returns {Promise<boolean>} True if the team has a row
+   */
+  async hasTeam(teamName) {
+    return await this.isVisible(this.selectors.teamRow(teamName));
+  }
+
+  /**
+   * Check if the portal lets teams be added in this modal
+   * @returns {Promise<boolean>} True if the Add Team form is shown
+   */
+  async canManageTeams() {
+    return await this.isVisible(this.selectors.addTeamButton);
+  }
+
+  /**
+   * Add a team to the tenant of the open modal
+   * The team is recorded in the entity ledger first, so it is deleted again after the test
+   * @param {string} name - Team name, e.g. factory.team().name
+   */
+  async createTeam(name) {
+    await this.fill(this.selectors.teamNameInput, name);
+    if (this.tenantName) {
+      await getEntityLedger().trackTeam(this.tenantName, name.trim());
+    }
+    await this.click(this.selectors.addTeamButton);
+    await this.waitForElement(this.selectors.teamRow(name.trim()));
+  }
+
+  /**
+   * Close the teams modal
+   */
+  async close() {
+    await this.click(this.selectors.modalCloseButton);
+    await this.waitForElementToDisappear(this.selectors.tenantTeamsModal(this.tenantName));
+  }
+}
+
+module.exports = TeamPage;
@@ -0,0 +1,99 @@
+/**
+ * Tenant Details Page Object Model for Cempal Portal
+ * Handles the Tenant Details modal opened by a tenant's read_more action
+ */
+
+const BasePage = require('./BasePage');
+const DataTable = require('./components/DataTable');
+const testData = require('../config/testData');
+
+// Labels of the details view and the tenant fields they show; other labels are camelCased
+const DETAIL_FIELDS = {
+  'Tenant Name': 'name',
+  'Domain Name': 'domain',
+  'Contact Email': 'contactEmail',
+  Address: 'address',
+  'Created At': 'createdAt',
+  'Updated At': 'updatedAt'
+};
+
+// Fields that can be compared with the data entered in the create and edit modals
+const ENTERED_FIELDS = ['name', 'domain', 'contactEmail', 'address'];
+
+/**
+ * Field name of a details label
+ * @param {string} label - Label shown in the details view
+ * @returns {string} Field name, e.g. contactEmail for "Contact Email"
+ */
+function fieldOf(label) {
+  const text = label.replace(/:$/, '').trim();
+  return DETAIL_FIELDS[text] || text.toLowerCase().replace(/[^a-z0-9]+(.)/g, (match, char) => char.toUpperCase());
+}
+
+class TenantDetailsPage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.selectors = testData.selectors;
+    // Tenant list the modal is opened from, to show the tenant's page first
+    this.tenantList = new DataTable(page);
+  }
+
+  /**
+   * Open the details view of a tenant from the tenant list
+   * @param {string} tenantName - Name of the tenant
+   */
+  async open(tenantName) {
+    await this.tenantList.showRow(tenantName);
+    await this.click(this.selectors.tenantRowAction(tenantName, 'read_more'));
+    await this.waitForElement(this.selectors.tenantDetailsModal);
+  }
+
+  /**
+   * Check if the details view is open
+   * @returns {Promise<boolean>} True if the modal is visible
+   */
+  async isOpen() {
+    return await this.isVisible(this.selectors.tenantDetailsModal);
+  }
+
+  /**
+   * Read every field of the open details view
+   * @returns {Promise<Object>} Fields by name: name, domain, contactEmail, address, createdAt, updatedAt, ...
+   */
+  async getDetails() {
+    await this.waitForElement(this.selectors.tenantDetailsModal);
+    const labels = await (await this.locateAll(this.selectors.detailsLabels)).allTextContents();
+    const values = await (await this.locateAll(this.selectors.detailsValues)).allTextContents();
+
+    return Object.fromEntries(labels.map((label, index) => [fieldOf(label), (values[index] || '').trim()]));
+  }
+
+  /**
+   * Compare the open details view with the data entered in createTenant or editTenant
+   * @param {Object} expected - Entered tenant data; only name, domain, contactEmail and address that are set are compared
+   * @returns {Promise<Array<{field: string, expected: string, actual: string}>>} Differences, empty when everything matches
+   */
+  async findMismatches(expected) {
+    const details = await this.getDetails();
+    return ENTERED_FIELDS
+      .filter(field => expected[field] !== undefined)
+      .map(field => ({ field, expected: expected[field].trim(), actual: details[field] }))
+      .filter(({ expected: entered, actual }) => entered !== actual);
+  }
+
+  /**
+   * Close the details view
+   * @param {Object} options - Close options
+   * @param {string} options.using - icon (the close icon) or escape (the Escape key)
+   */
+  async close({ using = 'icon' } = {}) {
+    if (using === 'escape') {
+      await this.page.keyboard.press('Escape');
+    } else {
+      await this.click(this.selectors.modalCloseButton);
+    }
+    await this.waitForElementToDisappear(this.selectors.tenantDetailsModal);
+  }
+}
+
+module.exports = TenantDetailsPage;
@@ -0,0 +1,179 @@
+/**
+ * Tenant Groups Page Object Model for Cempal Portal
+ * Handles the groups modal opened by a tenant's groups action: its groups, their members and, where the
+ * portal offers it, adding, renaming and deleting groups
+ */
+
+const BasePage = require('./BasePage');
+const DataTable = require('./components/DataTable');
+const testData = require('../config/testData');
+const { getEntityLedger } = require('../utils/entityLedger');
+
+class TenantGroupsPage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.selectors = testData.selectors;
+    // Tenant list the modal is opened from, to show the tenant's page first
+    this.tenantList = new DataTable(page);
+    // Tenant of the open groups modal, for the entity ledger
+    this.tenantName = null;
+  }
+
+  /**
+   * Open the groups of a tenant from the tenant list
+   * @param {string} tenantName - Name of the tenant
+   */
+  async open(tenantName) {
+    await this.tenantList.showRow(tenantName);
+    await this.click(this.selectors.tenantRowAction(tenantName, 'groups'));
+    await this.waitForElement(this.selectors.tenantGroupsModal(tenantName));
+    await this.waitForElement(this.selectors.groupsTable);
+    this.tenantName = tenantName;
+  }
+
+  /**
+   * Check if the groups modal is open
+   * @returns {Promise<boolean>} True if the modal is visible
+   */
+  async isOpen() {
+    return await this.isVisible(this.selectors.tenantGroupsModal(this.tenantName));
+  }
+
+  /**
+   * Read the groups of the open modal
+   * @returns {Promise<Array<{name: string, members: Array<string>}>>} Groups with their member emails
+   */
+  async getGroups() {
+    await this.waitForElement(this.selectors.groupsTable);
+    const rows = await (await this.locateAll(this.selectors.groupRows)).all();
+    const groups = [];
+
+    for (const row of rows) {
+      const cells = row.getByRole('cell');
+      const members = ((await cells.nth(1).textContent()) || '').trim();
+      groups.push({
+        name: ((await cells.nth(0).textContent()) || '').trim(),
+        members: members ? members.split(/\s*,\s*/) : []
+      });
+    }
+
+    return groups;
+  }
+
+  /**
+   * Get the group names of the open modal
+   * @returns {Promise<Array<string>>} Group names in the order shown
+   */
+  async getGroupNames() {
+    return (await this.getGroups()).map(group => group.name);
+  }
+
+  /**
+   * Get the members of a group
+   * @param {string} groupName - Name of the group
+   * @returns {Promise<Array<string>>} Member emails, empty when the group is not shown
+   */
+  async getMembers(groupName) {
+    const group = (await this.getGroups()).find(item => item.name === groupName);
+    return group ? group.members : [];
+  }
+
+  /**
+   * Check if a group is shown
+   * @param {string} groupName - Name of the group
+   * @returns {Promise<boolean>} True if the group has a row
+   */
+  async hasGroup(groupName) {
+    return await this.isVisible(this.selectors.groupRow(groupName));
+  }
+
+  /**
+   * Check if the portal lets groups be added, renamed and deleted in this modal
+   * @returns {Promise<boolean>} True if the Add Group form is shown
+   */
+  async canManageGroups() {
+    return await this.isVisible(this.selectors.addGroupButton);
+  }
+
+  /**
+   * Fill the name of a new group
+   * @param {string} name - Group name
+   */
+  async fillGroupName(name) {
+    await this.fill(this.selectors.groupNameInput, name);
+  }
+
+  /**
+   * Click the Add Group button
+   * The group is recorded in the entity ledger first, so it is deleted again after the test
+   */
+  async clickAddGroup() {
+    const name = await (await this.locate(this.selectors.groupNameInput)).inputValue().catch(() => '');
+    if (name.trim() && this.tenantName) {
+      await getEntityLedger().trackGroup(this.tenantName, name.trim());
+    }
+    await this.click(this.selectors.addGroupButton);
+  }
+
+  /**
+   * Add a group to the tenant of the open modal
+   * @param {string} name - Group name, e.g. factory.group().name
+   */
+  async createGroup(name) {
+    await this.fillGroupName(name);
+    await this.clickAddGroup();
+    await this.waitForElement(this.selectors.groupRow(name));
+  }
+
+  /**
+   * Rename a group; the rename is recorded in the entity ledger, so the group gets its name back after the test
+   * @param {string} groupName - Current name of the group
+   * @param {string} newName - New name
+   */
+  async renameGroup(groupName, newName) {
+    await this.click(this.selectors.groupRowAction(groupName, 'edit'));
+    await this.fill(this.selectors.groupRenameInput, newName);
+    if (this.tenantName) {
+      await getEntityLedger().trackGroupRename(this.tenantName, groupName, newName);
+    }
+    await this.click(this.selectors.saveGroupNameButton);
+    await this.waitForElement(this.selectors.groupRow(newName));
+  }
+
+  /**
+   * Delete a group through its row action and the confirmation popover
+   * @param {string} groupName - Name of the group
+   * @param {Object} options - Delete options
+   * @param {boolean} options.confirm - Confirm the deletion, or cancel it when false
+   */
+  async deleteGroup(groupName, { confirm = true } = {}) {
+    await this.click(this.selectors.groupRowAction(groupName, 'delete'));
+    await this.waitForElement(this.selectors.groupDeletePopconfirm);
+
+    if (!confirm) {
+      await this.click(this.selectors.cancelDeleteGroupButton);
+      await this.waitForElementToDisappear(this.selectors.groupDeletePopconfirm);
+      return;
+    }
+    await this.click(this.selectors.confirmDeleteGroupButton);
+    await this.waitForGroupRemoved(groupName);
+  }
+
+  /**
+   * Wait until the row of a group is gone from the modal
+   * @param {string} groupName - Name of the group
+   */
+  async waitForGroupRemoved(groupName) {
+    await this.waitForElementToDisappear(this.selectors.groupRow(groupName));
+  }
+
+  /**
+   * Close the groups modal
+   */
+  async close() {
+    await this.click(this.selectors.modalCloseButton);
+    await this.waitForElementToDisappear(this.selectors.tenantGroupsModal(this.tenantName));
+  }
+}
+
+module.exports = TenantGroupsPage;
@@ -4,13 +4,41 @@
  */
 
 const BasePage = require('./BasePage');
+const DataTable = require('./components/DataTable');
+const SearchBox = require('./components/SearchBox');
 const testData = require('../config/testData');
+const { getDataFactory } = require('../utils/dataFactory');
+const { getEntityLedger } = require('../utils/entityLedger');
+
+// Headers of the tenant list and the row fields they are read into
+const TENANT_COLUMNS = {
+  'Tenant Name': 'name',
+  'Domain Name': 'domain',
+  'Contact Email': 'contactEmail',
+  Address: 'address',
+  Actions: null
+};
+
+/**
+ * @typedef {Object} TenantRow
+ * @property {string} name - Tenant name
+ * @property {string} domain - Domain name
+ * @property {string} contactEmail - Contact email
+ * @property {string} address - Address
+ */
 
 class TenantManagementPage extends BasePage {
   constructor(page) {
     super(page);
     this.selectors = testData.selectors;
     this.tenantData = testData.tenant;
+    // Paginated, sortable tenant list (pages/components/DataTable.js)
+    this.table = new DataTable(page, { columns: TENANT_COLUMNS });
+    this.searchBox = new SearchBox(page, {
+      table: this.table,
+      endpoint: /\/tenants$/,
+      fields: ['name', 'domain', 'contactEmail', 'address']
+    });
   }
 
   /**
@@ -62,9 +90,23 @@ class TenantManagementPage extends BasePage {
 
   /**
    * Click create tenant submit button
+   * Once the portal answers the create request, the tenant is recorded in the entity ledger, so it is deleted again
+   * after the test; a form the portal or its validation rejects is not recorded
    */
   async clickCreateTenantSubmit() {
+    const ledger = getEntityLedger();
+    const name = (await (await this.locate(this.selectors.tenantNameInput)).inputValue().catch(() => '')).trim();
+    const existingIds = name ? await ledger.tenantIdsNamed(name) : undefined;
+    // A form the validation rejects sends no request: the wait ends after the short timeout
+    const created = this.page.waitForResponse(response => response.request().method() === 'POST'
+      && /\/tenants$/.test(new URL(response.url()).pathname), { timeout: testData.timeouts.short }).catch(() => null);
+
     await this.click(this.selectors.createTenantSubmitButton);
+
+    const response = await created;
+    if (name && response && response.ok()) {
+      await ledger.trackTenant(name, existingIds);
+    }
   }
 
   /**
@@ -76,11 +118,12 @@ class TenantManagementPage extends BasePage {
 
   /**
    * Create a new tenant with all required fields
-   * @param {Object} tenantData - Tenant data object
+   * @param {Object} tenantData - Tenant data object, a new unique tenant from the data factory by default
+   * @returns {Promise<Object>} Tenant data that was entered
    */
-  async createTenant(tenantData = this.tenantData) {
+  async createTenant(tenantData = getDataFactory().tenant()) {
     await this.clickCreateNewTenant();
-    await this.waitForElement('//div[@class="ant-modal-content"]');
+    await this.waitForElement(this.selectors.modal);
 
     await this.fillTenantName(tenantData.name);
     await this.fillDomainName(tenantData.domain);
@@ -89,47 +132,37 @@ class TenantManagementPage extends BasePage {
 
     await this.clickCreateTenantSubmit();
     await this.waitForNavigation();
+    return tenantData;
   }
 
   /**
-   * Find tenant in the list by name
+   * Find tenant in the list by name, looking through every page; the list is left on the tenant's page
    * @param {string} tenantName - Name of the tenant to find
    * @returns {Promise<boolean>} True if tenant found
    */
   async findTenantInList(tenantName) {
     try {
-      await this.waitForElement(`//td[contains(text(),'${tenantName}')]`, 5000);
-      return true;
+      return await this.table.showRow(tenantName);
     } catch (error) {
       return false;
     }
   }
 
   /**
-   * Click on tenant action button (read more, edit, groups)
+   * Click on tenant action button (read more, edit, groups, delete)
    * @param {string} tenantName - Name of the tenant
-   * @param {string} action - Action to perform (read_more, edit_note, groups)
+   * @param {string} action - Action to perform (read_more, edit_note, groups, delete)
    */
   async clickTenantAction(tenantName, action) {
-    const actionSelectors = {
-      'read_more': '//span[@aria-label="read_more"]',
-      'edit_note': '//span[@aria-label="edit_note"]',
-      'groups': '//span[@aria-label="groups"]'
-    };
-
-    // Find the row containing the tenant name
-    const tenantRow = this.page.locator(`//tr[td[contains(text(),'${tenantName}')]]`);
-
-    // Click the specific action button in that row
-    const actionButton = tenantRow.locator(actionSelectors[action]);
-    await actionButton.click();
+    await this.table.showRow(tenantName);
+    await this.click(this.selectors.tenantRowAction(tenantName, action));
   }
 
   /**
    * Click close button on modal
    */
   async clickCloseModal() {
-    await this.click("//*[@fill-rule='evenodd']");
+    await this.click(this.selectors.modalCloseButton);
   }
 
   /**
@@ -139,7 +172,7 @@ class TenantManagementPage extends BasePage {
    */
   async editTenant(tenantName, updatedData) {
     await this.clickTenantAction(tenantName, 'edit_note');
-    await this.waitForElement('//div[@class="ant-modal-wrap"]');
+    await this.waitForElement(this.selectors.modal);
 
     // Update fields if provided
     if (updatedData.name) {
@@ -159,12 +192,70 @@ class TenantManagementPage extends BasePage {
     await this.waitForNavigation();
   }
 
+  /**
+   * Click the delete action of a tenant and wait for the confirmation modal
+   * @param {string} tenantName - Name of the tenant to delete
+   */
+  async clickDeleteTenant(tenantName) {
+    await this.clickTenantAction(tenantName, 'delete');
+    await this.waitForElement(this.selectors.deleteTenantModal);
+  }
+
+  /**
+   * Confirm the deletion in the confirmation modal
+   */
+  async confirmDeleteTenant() {
+    await this.click(this.selectors.confirmDeleteTenantButton);
+    await this.waitForElementToDisappear(this.selectors.deleteTenantModal);
+  }
+
+  /**
+   * Cancel the deletion in the confirmation modal
+   */
+  async cancelDeleteTenant() {
+    await this.click(this.selectors.modalCancelButton);
+    await this.waitForElementToDisappear(this.selectors.deleteTenantModal);
+  }
+
+  /**
+   * Delete a tenant through its row action and the confirmation modal
+   * @param {string} tenantName - Name of the tenant to delete
+   * @param {Object} options - Delete options
+   * @param {boolean} options.confirm - Confirm the deletion, or cancel it when false
+   */
+  async deleteTenant(tenantName, { confirm = true } = {}) {
+    await this.clickDeleteTenant(tenantName);
+
+    if (!confirm) {
+      await this.cancelDeleteTenant();
+      return;
+    }
+    await this.confirmDeleteTenant();
+    await this.waitForTenantRemoved(tenantName);
+  }
+
+  /**
+   * Wait until the row of a tenant is gone from the list
+   * @param {string} tenantName - Name of the tenant
+   */
+  async waitForTenantRemoved(tenantName) {
+    await this.waitForElementToDisappear(this.selectors.tableRow(tenantName));
+  }
+
+  /**
+   * Check if the delete confirmation modal is visible
+   * @returns {Promise<boolean>} True if modal is visible
+   */
+  async isDeleteTenantModalVisible() {
+    return await this.isVisible(this.selectors.deleteTenantModal);
+  }
+
   /**
    * Check if tenant creation modal is visible
    * @returns {Promise<boolean>} True if modal is visible
    */
   async isCreateTenantModalVisible() {
-    return await this.isVisible('//div[@class="ant-modal-content"]');
+    return await this.isVisible(this.selectors.modal);
   }
 
   /**
@@ -172,7 +263,7 @@ class TenantManagementPage extends BasePage {
    * @returns {Promise<boolean>} True if modal is visible
    */
   async isEditTenantModalVisible() {
-    return await this.isVisible('//div[@class="ant-modal-wrap"]');
+    return await this.isVisible(this.selectors.modal);
   }
 
   /**
@@ -215,30 +306,32 @@ class TenantManagementPage extends BasePage {
 
   /**
    * Get tenant list count
-   * @returns {Promise<number>} Number of tenants in the list
+   * @returns {Promise<number>} Number of tenants on all pages of the list
    */
   async getTenantListCount() {
     try {
-      const rows = await this.page.locator('//table//tbody//tr').count();
-      return rows;
+      return await this.table.getTotalCount();
     } catch (error) {
       return 0;
     }
   }
 
   /**
-   * Search for tenant in the list
+   * Get the tenants of every page of the list
+   * @returns {Promise<Array<TenantRow>>} Tenants in the order shown
+   */
+  async getTenants() {
+    return await this.table.getAllRows();
+  }
+
+  /**
+   * Search for tenant in the list, waiting for the filtered list (see pages/components/SearchBox.js)
    * @param {string} searchTerm - Search term
-   * @returns {Promise<boolean>} True if tenant found
+   * @returns {Promise<boolean>} True if a tenant with exactly this name is listed
+   * @throws {Error} When the tenant list has no search
    */
   async searchTenant(searchTerm) {
-    // Look for search input field
-    const searchInput = this.page.locator('input[placeholder*="search"], input[placeholder*="Search"]');
-    if (await searchInput.isVisible()) {
-      await searchInput.fill(searchTerm);
-      await this.wait(1000); // Wait for search results
-    }
-
+    await this.searchBox.search(searchTerm);
     return await this.findTenantInList(searchTerm);
   }
 
@@ -247,25 +340,20 @@ class TenantManagementPage extends BasePage {
    * @returns {Promise<boolean>} True if table is visible
    */
   async isTenantTableVisible() {
-    return await this.isVisible('//table');
+    return await this.isVisible(this.selectors.dataTable);
   }
 
   /**
-   * Get tenant details from table
+   * Get tenant details from table, read by column header on whichever page the tenant is
    * @param {string} tenantName - Name of the tenant
-   * @returns {Promise<Object>} Tenant details
+   * @returns {Promise<TenantRow|null>} Tenant details, null when the tenant is not listed
    */
   async getTenantDetails(tenantName) {
     try {
-      const tenantRow = this.page.locator(`//tr[td[contains(text(),'${tenantName}')]]`);
-      const cells = await tenantRow.locator('td').all();
-
-      return {
-        name: await cells[0]?.textContent() || '',
-        domain: await cells[1]?.textContent() || '',
-        contactEmail: await cells[2]?.textContent() || '',
-        address: await cells[3]?.textContent() || ''
-      };
+      if (!await this.table.showRow(tenantName)) {
+        return null;
+      }
+      return await this.table.findRow({ name: tenantName });
     } catch (error) {
       return null;
     }
@@ -284,7 +372,7 @@ class TenantManagementPage extends BasePage {
    * Wait for tenant list to load
    */
   async waitForTenantListLoad() {
-    await this.waitForElement('//table');
+    await this.waitForElement(this.selectors.dataTable);
     await this.waitForPageLoad();
   }
 
@@ -300,10 +388,10 @@ class TenantManagementPage extends BasePage {
    * Clear tenant form fields
    */
   async clearTenantForm() {
-    await this.page.fill(this.selectors.tenantNameInput, '');
-    await this.page.fill(this.selectors.domainNameInput, '');
-    await this.page.fill(this.selectors.contactEmailInput, '');
-    await this.page.fill(this.selectors.addressTextarea, '');
+    await this.fill(this.selectors.tenantNameInput, '');
+    await this.fill(this.selectors.domainNameInput, '');
+    await this.fill(this.selectors.contactEmailInput, '');
+    await this.fill(this.selectors.addressTextarea, '');
   }
 }
 
@@ -1,16 +1,52 @@
 /**
  * User Assignment Page Object Model for Cempal Portal
- * Handles user assignment functionality for super admins
+ * Handles user assignment functionality for super admins: assigning, reassigning and unassigning users,
+ * and reading their current tenant, group and team
  */
 
 const BasePage = require('./BasePage');
+const TeamPage = require('./TeamPage');
+const DataTable = require('./components/DataTable');
+const SearchBox = require('./components/SearchBox');
+const SelectField = require('./components/SelectField');
 const testData = require('../config/testData');
+const { getDataFactory } = require('../utils/dataFactory');
+const { getEntityLedger } = require('../utils/entityLedger');
+
+// Headers of the super admins list and the row fields they are read into
+const USER_COLUMNS = {
+  Email: 'email',
+  Name: 'name',
+  Tenant: 'tenantName',
+  Group: 'groupName',
+  Team: 'teamName',
+  Status: 'status',
+  Action: 'actions'
+};
+
+/**
+ * Current assignment of a user, by the names the Assign modal shows
+ * @typedef {Object} Assignment
+ * @property {string} tenantName - Tenant name
+ * @property {string} groupName - Group name
+ * @property {string} teamName - Team name
+ */
 
 class UserAssignmentPage extends BasePage {
   constructor(page) {
     super(page);
     this.selectors = testData.selectors;
     this.userAssignmentData = testData.userAssignment;
+    // Paginated, sortable user list (pages/components/DataTable.js)
+    this.table = new DataTable(page, { columns: USER_COLUMNS });
+    // Team dropdown of the Assign modal (pages/TeamPage.js)
+    this.teamPage = new TeamPage(page);
+    // Tenant and Group selects of the Assign modal, searched rather than scrolled (pages/components/SelectField.js)
+    this.tenantField = new SelectField(page, this.selectors.tenantSelect);
+    this.groupField = new SelectField(page, this.selectors.groupSelect);
+    this.searchBox = new SearchBox(page, { table: this.table, endpoint: /\/users$/, fields: ['email', 'name'] });
+    // User of the open Assign modal, for the entity ledger
+    this.assigningUserEmail = null;
   }
 
   /**
@@ -26,10 +62,9 @@ class UserAssignmentPage extends BasePage {
    * @param {string} userEmail - Email of the user to assign
    */
   async clickAssignButton(userEmail) {
-    // Find the row containing the user email and click assign button
-    const userRow = this.page.locator(`//tr[td[contains(text(),'${userEmail}')]]`);
-    const assignButton = userRow.locator("//button[@type='button']//span[contains(text(),'Assign')]");
-    await assignButton.click();
+    await this.table.showRow(userEmail);
+    await this.click(this.selectors.userAssignButton(userEmail));
+    this.assigningUserEmail = userEmail;
   }
 
   /**
@@ -42,11 +77,12 @@ class UserAssignmentPage extends BasePage {
   /**
    * Select tenant from dropdown
    * @param {string} tenantName - Name of the tenant to select
+   * @throws {Error} When searching the Tenant dropdown for it shows "No data", e.g. because it was deleted
    */
   async selectTenant(tenantName = this.userAssignmentData.tenantName) {
-    await this.clickTenantDropdown();
-    await this.wait(1000); // Wait for dropdown to open
-    await this.click(`//div[@class='ant-select-item-option-content'][normalize-space()='${tenantName}']`);
+    if (!await this.tenantField.choose(tenantName)) {
+      throw new Error(`Tenant "${tenantName}" cannot be selected: the Tenant dropdown has no match for it`);
+    }
   }
 
   /**
@@ -59,11 +95,12 @@ class UserAssignmentPage extends BasePage {
   /**
    * Select user group from dropdown
    * @param {string} groupName - Name of the group to select
+   * @throws {Error} When searching the Group dropdown for it shows "No data", e.g. because it belongs to another tenant
    */
   async selectUserGroup(groupName = this.userAssignmentData.userGroup) {
-    await this.clickGroupDropdown();
-    await this.wait(1000); // Wait for dropdown to open
-    await this.click(`//div[contains(text(),'${groupName}')]`);
+    if (!await this.groupField.choose(groupName)) {
+      throw new Error(`Group "${groupName}" cannot be selected: it is not a group of the chosen tenant`);
+    }
   }
 
   /**
@@ -74,30 +111,34 @@ class UserAssignmentPage extends BasePage {
   }
 
   /**
-   * Select team from dropdown
+   * Select team from dropdown, opening it unless it is open already
    * @param {string} teamName - Name of the team to select
+   * @throws {Error} When the team is not offered, e.g. because it belongs to another tenant
    */
   async selectTeam(teamName = this.userAssignmentData.teamName) {
-    await this.clickTeamDropdown();
-    await this.wait(1000); // Wait for dropdown to open
-    await this.click(`//div[@title='${teamName}']`);
+    await this.teamPage.selectTeam(teamName);
   }
 
   /**
    * Click assign submit button
+   * An assignment opened with clickAssignButton is recorded in the entity ledger first, so it is reverted after the test
    */
   async clickAssignSubmit() {
+    if (this.assigningUserEmail) {
+      await getEntityLedger().trackAssignment(this.assigningUserEmail);
+      this.assigningUserEmail = null;
+    }
     await this.click(this.selectors.assignSubmitButton);
   }
 
   /**
    * Perform complete user assignment
    * @param {string} userEmail - Email of the user to assign
-   * @param {Object} assignmentData - Assignment data
+   * @param {Object} assignmentData - Assignment data, a valid assignment from the data factory by default
    */
-  async assignUser(userEmail, assignmentData = this.userAssignmentData) {
+  async assignUser(userEmail, assignmentData = getDataFactory().assignment()) {
     await this.clickAssignButton(userEmail);
-    await this.waitForElement('//div[@class="ant-modal-content"]');
+    await this.waitForElement(this.selectors.modal);
 
     await this.selectTenant(assignmentData.tenantName);
     await this.selectUserGroup(assignmentData.userGroup);
@@ -112,7 +153,7 @@ class UserAssignmentPage extends BasePage {
    * @returns {Promise<boolean>} True if modal is visible
    */
   async isAssignmentModalVisible() {
-    return await this.isVisible('//div[@class="ant-modal-content"]');
+    return await this.isVisible(this.selectors.modal);
   }
 
   /**
@@ -145,9 +186,9 @@ class UserAssignmentPage extends BasePage {
    */
   async getAvailableTenants() {
     await this.clickTenantDropdown();
-    await this.wait(1000);
+    await this.waitForElement(this.selectors.selectDropdown);
 
-    const tenantOptions = await this.page.locator('//div[@class="ant-select-item-option-content"]').all();
+    const tenantOptions = await (await this.locateAll(this.selectors.selectOptions)).all();
     const tenants = [];
 
     for (const option of tenantOptions) {
@@ -166,9 +207,9 @@ class UserAssignmentPage extends BasePage {
    */
   async getAvailableUserGroups() {
     await this.clickGroupDropdown();
-    await this.wait(1000);
+    await this.waitForElement(this.selectors.selectDropdown);
 
-    const groupOptions = await this.page.locator('//div[contains(@class,"ant-select-item-option-content")]').all();
+    const groupOptions = await (await this.locateAll(this.selectors.selectOptions)).all();
     const groups = [];
 
     for (const option of groupOptions) {
@@ -183,36 +224,122 @@ class UserAssignmentPage extends BasePage {
 
   /**
    * Get available teams
-   * @returns {Promise<Array>} List of available teams
+   * @returns {Promise<Array<string>>} Teams the open Team dropdown offers for the chosen tenant
    */
   async getAvailableTeams() {
-    await this.clickTeamDropdown();
-    await this.wait(1000);
+    return await this.teamPage.getTeamOptions();
+  }
 
-    const teamOptions = await this.page.locator('//div[@title]').all();
-    const teams = [];
+  /**
+   * Read the current assignment of a user from its row, or from the Assign modal when the list has no
+   * Tenant column
+   * @param {string} userEmail - Email of the user
+   * @returns {Promise<Assignment|null>} Assignment, null when the user is unassigned
+   * @throws {Error} When the user is not listed
+   */
+  async getAssignment(userEmail) {
+    const user = await this.getUserDetails(userEmail);
+    if (!user) {
+      throw new Error(`User ${userEmail} is not in the super admins list`);
+    }
+    if (!('tenantName' in user)) {
+      return await this.readAssignmentFromModal(userEmail);
+    }
+    return user.tenantName
+      ? { tenantName: user.tenantName, groupName: user.groupName || '', teamName: user.teamName || '' }
+      : null;
+  }
 
-    for (const option of teamOptions) {
-      const title = await option.getAttribute('title');
-      if (title && title.trim()) {
-        teams.push(title.trim());
-      }
+  /**
+   * Read the assignment selected in the open Assign modal
+   * @returns {Promise<Assignment|null>} Selected assignment, null when no tenant is selected
+   */
+  async getSelectedAssignment() {
+    const read = async selector => (await this.isVisible(selector) ? (await this.getText(selector)).trim() : '');
+    const tenantName = await read(this.selectors.selectedTenant);
+    if (!tenantName) {
+      return null;
+    }
+    return {
+      tenantName,
+      groupName: await read(this.selectors.selectedGroup),
+      teamName: await read(this.selectors.selectedTeam)
+    };
+  }
+
+  /**
+   * Read the assignment of a user from the Assign modal, which opens with it selected, and close the modal
+   * @param {string} userEmail - Email of the user
+   * @returns {Promise<Assignment|null>} Assignment, null when the user is unassigned
+   */
+  async readAssignmentFromModal(userEmail) {
+    await this.clickAssignButton(userEmail);
+    this.assigningUserEmail = null;
+    await this.waitForElement(this.selectors.modal);
+    const assignment = await this.getSelectedAssignment();
+    await this.closeAssignmentModal();
+    await this.waitForElementToDisappear(this.selectors.modal);
+    return assignment;
+  }
+
+  /**
+   * Move an assigned user to another tenant, group or team; the new assignment replaces the current one
+   * @param {string} userEmail - Email of the user
+   * @param {Object} assignmentData - Tenant, group and team names to move the user to
+   * @returns {Promise<Assignment>} Assignment the user had before
+   * @throws {Error} When the user is not assigned yet
+   */
+  async reassignUser(userEmail, assignmentData) {
+    const previous = await this.getAssignment(userEmail);
+    if (!previous) {
+      throw new Error(`User ${userEmail} is not assigned yet: use assignUser`);
     }
+    await this.assignUser(userEmail, assignmentData);
+    return previous;
+  }
 
-    return teams;
+  /**
+   * Check if the list offers to unassign a user
+   * @param {string} userEmail - Email of the user
+   * @returns {Promise<boolean>} True if the unassign button is visible
+   */
+  async canUnassign(userEmail) {
+    await this.table.showRow(userEmail);
+    return await this.isVisible(this.selectors.userUnassignButton(userEmail));
+  }
+
+  /**
+   * Unassign a user through the unassign Popconfirm
+   * A confirmed unassignment is recorded in the entity ledger first, so the assignment is restored after the test
+   * @param {string} userEmail - Email of the user
+   * @param {Object} options - Unassign options
+   * @param {boolean} options.confirm - False to cancel the Popconfirm instead
+   */
+  async unassignUser(userEmail, { confirm = true } = {}) {
+    await this.table.showRow(userEmail);
+    await this.click(this.selectors.userUnassignButton(userEmail));
+    await this.waitForElement(this.selectors.unassignPopconfirm);
+
+    if (!confirm) {
+      await this.click(this.selectors.cancelUnassignButton);
+      await this.waitForElementToDisappear(this.selectors.unassignPopconfirm);
+      return;
+    }
+
+    await getEntityLedger().trackAssignment(userEmail);
+    await this.click(this.selectors.confirmUnassignButton);
+    await this.waitForElementToDisappear(this.selectors.userUnassignButton(userEmail));
+    await this.waitForNavigation();
   }
 
   /**
    * Check if user is already assigned
    * @param {string} userEmail - Email of the user to check
-   * @returns {Promise<boolean>} True if user is already assigned
+   * @returns {Promise<boolean>} True if the user has a tenant, false when unassigned or not listed
    */
   async isUserAssigned(userEmail) {
     try {
-      const userRow = this.page.locator(`//tr[td[contains(text(),'${userEmail}')]]`);
-      const statusCell = userRow.locator('td').nth(2); // Assuming status is in 3rd column
-      const statusText = await statusCell.textContent();
-      return statusText && statusText.toLowerCase().includes('assigned');
+      return (await this.getAssignment(userEmail)) !== null;
     } catch (error) {
       return false;
     }
@@ -224,13 +351,8 @@ class UserAssignmentPage extends BasePage {
    * @returns {Promise<string>} Assignment status
    */
   async getUserAssignmentStatus(userEmail) {
-    try {
-      const userRow = this.page.locator(`//tr[td[contains(text(),'${userEmail}')]]`);
-      const statusCell = userRow.locator('td').nth(2);
-      return await statusCell.textContent();
-    } catch (error) {
-      return 'Unknown';
-    }
+    const user = await this.getUserDetails(userEmail);
+    return user ? user.status : 'Unknown';
   }
 
   /**
@@ -238,36 +360,30 @@ class UserAssignmentPage extends BasePage {
    * @returns {Promise<boolean>} True if table is visible
    */
   async isSuperAdminsTableVisible() {
-    return await this.isVisible('//table');
+    return await this.isVisible(this.selectors.dataTable);
   }
 
   /**
    * Get super admins list count
-   * @returns {Promise<number>} Number of super admins in the list
+   * @returns {Promise<number>} Number of users on all pages of the list
    */
   async getSuperAdminsCount() {
     try {
-      const rows = await this.page.locator('//table//tbody//tr').count();
-      return rows;
+      return await this.table.getTotalCount();
     } catch (error) {
       return 0;
     }
   }
 
   /**
-   * Search for user in super admins list
+   * Search for user in super admins list, waiting for the filtered list (see pages/components/SearchBox.js)
    * @param {string} searchTerm - Search term
-   * @returns {Promise<boolean>} True if user found
+   * @returns {Promise<boolean>} True if a user with exactly this email or name is listed
+   * @throws {Error} When the super admins list has no search
    */
   async searchUser(searchTerm) {
-    // Look for search input field
-    const searchInput = this.page.locator('input[placeholder*="search"], input[placeholder*="Search"]');
-    if (await searchInput.isVisible()) {
-      await searchInput.fill(searchTerm);
-      await this.wait(1000); // Wait for search results
-    }
-
-    return await this.isVisible(`//td[contains(text(),'${searchTerm}')]`);
+    await this.searchBox.search(searchTerm);
+    return await this.table.showRow(searchTerm);
   }
 
   /**
@@ -304,14 +420,14 @@ class UserAssignmentPage extends BasePage {
    * Close assignment modal
    */
   async closeAssignmentModal() {
-    await this.click("//*[@fill-rule='evenodd']");
+    await this.click(this.selectors.modalCloseButton);
   }
 
   /**
    * Wait for super admins page to load
    */
   async waitForSuperAdminsLoad() {
-    await this.waitForElement('//table');
+    await this.waitForElement(this.selectors.dataTable);
     await this.waitForPageLoad();
   }
 
@@ -322,30 +438,24 @@ class UserAssignmentPage extends BasePage {
    */
   async isAssignButtonVisible(userEmail) {
     try {
-      const userRow = this.page.locator(`//tr[td[contains(text(),'${userEmail}')]]`);
-      const assignButton = userRow.locator("//button[@type='button']//span[contains(text(),'Assign')]");
-      return await assignButton.isVisible();
+      await this.table.showRow(userEmail);
+      return await this.isVisible(this.selectors.userAssignButton(userEmail));
     } catch (error) {
       return false;
     }
   }
 
   /**
-   * Get user details from table
+   * Get user details from table, read by column header on whichever page the user is
    * @param {string} userEmail - Email of the user
-   * @returns {Promise<Object>} User details
+   * @returns {Promise<{email: string, name: string, tenantName: string, groupName: string, teamName: string, status: string, actions: string}|null>} User details, null when not listed
    */
   async getUserDetails(userEmail) {
     try {
-      const userRow = this.page.locator(`//tr[td[contains(text(),'${userEmail}')]]`);
-      const cells = await userRow.locator('td').all();
-
-      return {
-        email: await cells[0]?.textContent() || '',
-        name: await cells[1]?.textContent() || '',
-        status: await cells[2]?.textContent() || '',
-        actions: await cells[3]?.textContent() || ''
-      };
+      if (!await this.table.showRow(userEmail)) {
+        return null;
+      }
+      return await this.table.findRow({ email: userEmail });
     } catch (error) {
       return null;
     }
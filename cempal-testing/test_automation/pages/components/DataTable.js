@@ -0,0 +1,387 @@
+/**
+ * Data Table component for Cempal Portal page objects
+ * Reads an ant-design Table by its header texts instead of cell positions, walks its pagination,
+ * changes its page size and drives its column sorters. Page objects own one per list page.
+ */
+
+const { expect } = require('@playwright/test');
+const BasePage = require('../BasePage');
+const testData = require('../../config/testData');
+
+// Order of the values after sorting a column, as announced by aria-sort on its header
+const SORT_ORDERS = ['ascending', 'descending'];
+
+/**
+ * Compare two cell texts the way the portal sorts them (case-insensitive, numbers by value)
+ * @param {string} a - Cell text
+ * @param {string} b - Cell text
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareText(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Default field name of a column header
+ * @param {string} header - Header text
+ * @returns {string} camelCased header, e.g. contactEmail for "Contact Email"; empty for an untitled column
+ */
+function camelCase(header) {
+  return header.trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (match, char) => char.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+class DataTable extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} options - Table options
+   * @param {Object<string, string|{field: string, parse: function(string): *}|null>} options.columns - Row field of
+   *   each header text, optionally with a parser of the cell text; null skips a column, unlisted headers are camelCased
+   */
+  constructor(page, { columns = {} } = {}) {
+    super(page);
+    this.selectors = testData.selectors;
+    this.columns = columns;
+  }
+
+  /**
+   * Get the row field a column is read into
+   * @param {string} header - Header text
+   * @returns {{field: string, parse: function(string): *}|null} Column mapping, null for skipped columns
+   */
+  columnOf(header) {
+    const column = Object.prototype.hasOwnProperty.call(this.columns, header) ? this.columns[header] : camelCase(header);
+    if (!column) {
+      return null;
+    }
+    return typeof column === 'string' ? { field: column, parse: text => text } : { parse: text => text, ...column };
+  }
+
+  /**
+   * Get the header texts of the table
+   * @returns {Promise<Array<string>>} Header texts in column order
+   */
+  async getHeaders() {
+    await this.waitForElement(this.selectors.dataTable);
+    const headers = await this.locateAll(this.selectors.tableHeaders);
+    // Sortable headers hold sorter icons next to their title
+    return await headers.evaluateAll(elements => elements.map(header => {
+      const title = header.querySelector('.ant-table-column-title') || header;
+      return title.textContent.trim();
+    }));
+  }
+
+  /**
+   * Get the position of a column
+   * @param {string} header - Header text
+   * @returns {Promise<number>} Zero-based column index
+   * @throws {Error} When the table has no such column
+   */
+  async columnIndex(header) {
+    const headers = await this.getHeaders();
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      throw new Error(`The table has no "${header}" column (columns: ${headers.filter(Boolean).join(', ')})`);
+    }
+    return index;
+  }
+
+  /**
+   * Read the cell texts of the rows on the current page
+   * @returns {Promise<Array<Array<string>>>} Cell texts per row; the "No data" placeholder row is left out
+   */
+  async readCells() {
+    await this.waitForElement(this.selectors.dataTable);
+    const rows = await this.locateAll(this.selectors.tableRows);
+    return await rows.evaluateAll(elements => elements
+      .filter(row => !row.classList.contains('ant-table-placeholder'))
+      .map(row => Array.from(row.querySelectorAll(':scope > td'), cell => cell.textContent.trim())));
+  }
+
+  /**
+   * Get the rows of the current page as objects keyed by the column fields
+   * @returns {Promise<Array<Object>>} Rows, e.g. {name, domain, contactEmail, address} for the tenant list
+   */
+  async getRows() {
+    const mapping = (await this.getHeaders()).map(header => this.columnOf(header));
+    return (await this.readCells()).map(cells => Object.fromEntries(mapping
+      .map((column, index) => column && [column.field, column.parse(cells[index] ?? '')])
+      .filter(Boolean)));
+  }
+
+  /**
+   * Get the rows of every page, starting at the first one; the table is left on its last page
+   * @returns {Promise<Array<Object>>} Rows of all pages in the order shown
+   */
+  async getAllRows() {
+    const rows = [];
+    await this.forEachPage(async () => {
+      rows.push(...await this.getRows());
+    });
+    return rows;
+  }
+
+  /**
+   * Count the rows of every page
+   * @returns {Promise<number>} Number of rows across all pages
+   */
+  async getTotalCount() {
+    let count = 0;
+    await this.forEachPage(async () => {
+      count += (await this.readCells()).length;
+    });
+    return count;
+  }
+
+  /**
+   * Find the first row whose fields match, walking the pages; the table is left on the row's page
+   * @param {Object|function(Object): boolean} match - Field values the row must have, or a predicate
+   * @returns {Promise<Object|null>} Matching row, or null when no page has one
+   */
+  async findRow(match) {
+    const predicate = typeof match === 'function'
+      ? match
+      : row => Object.entries(match).every(([field, value]) => row[field] === value);
+    let found = null;
+
+    await this.forEachPage(async () => {
+      found = (await this.getRows()).find(predicate) || null;
+      return !!found;
+    }, { fromCurrent: true });
+    return found;
+  }
+
+  /**
+   * Show the page holding the row with a cell, so its row actions can be clicked
+   * The current page is checked first, waiting a moment for a list that is still reloading
+   * @param {string} cellText - Exact text of one of the row's cells
+   * @param {number} timeout - How long to wait for the row on the current page
+   * @returns {Promise<boolean>} True if the row is shown
+   */
+  async showRow(cellText, timeout = testData.timeouts.short) {
+    try {
+      await this.waitForElement(this.selectors.tableCell(cellText), timeout);
+      return true;
+    } catch (error) {
+      // Not on the current page, look through the others
+    }
+
+    return await this.forEachPage(async () => (await (await this.locateAll(this.selectors.tableCell(cellText))).count()) > 0,
+      { fromCurrent: true });
+  }
+
+  /**
+   * Run a callback on each page until it returns true
+   * @param {function(number): Promise<boolean|void>} callback - Called with the page number while that page is shown
+   * @param {Object} options - Walk options
+   * @param {boolean} options.fromCurrent - Start with the page shown now instead of going to the first page
+   * @returns {Promise<boolean>} True if the callback stopped the walk
+   */
+  async forEachPage(callback, { fromCurrent = false } = {}) {
+    const start = fromCurrent ? await this.getCurrentPage() : 1;
+    const pageCount = await this.getPageCount();
+    const order = [start, ...Array.from({ length: pageCount }, (_, index) => index + 1).filter(page => page !== start)];
+
+    for (const page of order) {
+      await this.goToPage(page);
+      if (await callback(page)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if the table is paginated
+   * @returns {Promise<boolean>} True if a pagination bar is shown
+   */
+  async hasPagination() {
+    await this.waitForElement(this.selectors.dataTable);
+    return (await (await this.locateAll(this.selectors.pagination)).count()) > 0;
+  }
+
+  /**
+   * Get the number of the page shown
+   * @returns {Promise<number>} Page number, 1 for an unpaginated table
+   */
+  async getCurrentPage() {
+    if (!await this.hasPagination()) {
+      return 1;
+    }
+    return Number((await this.getText(this.selectors.paginationActivePage)).trim());
+  }
+
+  /**
+   * Get the number of pages
+   * @returns {Promise<number>} Page count, 1 for an unpaginated table
+   */
+  async getPageCount() {
+    if (!await this.hasPagination()) {
+      return 1;
+    }
+    // Long paginations collapse middle pages behind jumpers, but always show the last page
+    const pages = await (await this.locateAll(this.selectors.paginationPages)).allTextContents();
+    return Math.max(1, ...pages.map(Number).filter(Number.isFinite));
+  }
+
+  /**
+   * Go to a page, stepping with Next/Previous when its number is collapsed behind a jumper
+   * @param {number} pageNumber - Page number
+   */
+  async goToPage(pageNumber) {
+    let current = await this.getCurrentPage();
+    if (current === pageNumber) {
+      return;
+    }
+
+    if ((await (await this.locateAll(this.selectors.paginationPage(pageNumber))).count()) > 0) {
+      await this.click(this.selectors.paginationPage(pageNumber));
+      await this.waitForPage(pageNumber);
+      return;
+    }
+
+    while (current !== pageNumber) {
+      const step = current < pageNumber ? this.selectors.paginationNext : this.selectors.paginationPrevious;
+      const expected = current < pageNumber ? current + 1 : current - 1;
+      if (await this.getAttribute(step, 'aria-disabled') === 'true') {
+        throw new Error(`The table has no page ${pageNumber} (last page reached at ${current})`);
+      }
+      await this.click(step);
+      await this.waitForPage(expected);
+      current = expected;
+    }
+  }
+
+  /**
+   * Go to the next page
+   * @returns {Promise<boolean>} False when the last page was already shown
+   */
+  async nextPage() {
+    if (!await this.hasPagination() || await this.getAttribute(this.selectors.paginationNext, 'aria-disabled') === 'true') {
+      return false;
+    }
+    const expected = await this.getCurrentPage() + 1;
+    await this.click(this.selectors.paginationNext);
+    await this.waitForPage(expected);
+    return true;
+  }
+
+  /**
+   * Go to the previous page
+   * @returns {Promise<boolean>} False when the first page was already shown
+   */
+  async previousPage() {
+    if (!await this.hasPagination() || await this.getAttribute(this.selectors.paginationPrevious, 'aria-disabled') === 'true') {
+      return false;
+    }
+    const expected = await this.getCurrentPage() - 1;
+    await this.click(this.selectors.paginationPrevious);
+    await this.waitForPage(expected);
+    return true;
+  }
+
+  /**
+   * Wait until a page is the active one and its rows are loaded
+   * @param {number} pageNumber - Page number
+   */
+  async waitForPage(pageNumber) {
+    await expect.poll(() => this.getCurrentPage(), {
+      message: `Table should show page ${pageNumber}`,
+      timeout: testData.timeouts.medium
+    }).toBe(pageNumber);
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Get the page size
+   * @returns {Promise<number|null>} Rows per page, null for an unpaginated table
+   */
+  async getPageSize() {
+    if (!await this.hasPagination()) {
+      return null;
+    }
+    return parseInt(await this.getText(this.selectors.pageSizeChanger), 10);
+  }
+
+  /**
+   * Change the page size through the size changer; the table goes back to its first page
+   * @param {number} size - Rows per page, one of the sizes the changer offers (10, 20, 50, 100)
+   */
+  async setPageSize(size) {
+    if (await this.getPageSize() === size) {
+      return;
+    }
+    await this.click(this.selectors.pageSizeChanger);
+    await this.click(this.selectors.selectOption(`${size} / page`));
+    await expect.poll(() => this.getPageSize(), {
+      message: `Table should show ${size} rows per page`,
+      timeout: testData.timeouts.medium
+    }).toBe(size);
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Get the sort order of a column
+   * @param {string} header - Header text
+   * @returns {Promise<string>} ascending, descending or none
+   */
+  async getSortOrder(header) {
+    return await this.getAttribute(this.selectors.columnHeader(header), 'aria-sort') || 'none';
+  }
+
+  /**
+   * Sort the table by a column, clicking its header until the sorter shows the order
+   * @param {string} header - Header text
+   * @param {string} order - ascending or descending
+   * @throws {Error} When the column is not sortable in that order
+   */
+  async sortBy(header, order = 'ascending') {
+    if (!SORT_ORDERS.includes(order)) {
+      throw new Error(`Unknown sort order "${order}" (use ${SORT_ORDERS.join(' or ')})`);
+    }
+    // A sorter cycles through ascending, descending and unsorted
+    for (let click = 0; click <= SORT_ORDERS.length; click += 1) {
+      if (await this.getSortOrder(header) === order) {
+        return;
+      }
+      await this.click(this.selectors.columnHeader(header));
+      await this.waitForNavigation();
+    }
+    throw new Error(`The table cannot be sorted by "${header}" ${order}`);
+  }
+
+  /**
+   * Get the cell texts of a column
+   * @param {string} header - Header text
+   * @param {Object} options - Read options
+   * @param {boolean} options.allPages - Read every page instead of the current one
+   * @returns {Promise<Array<string>>} Cell texts in the order shown
+   */
+  async getColumnValues(header, { allPages = false } = {}) {
+    const index = await this.columnIndex(header);
+    const values = [];
+    const read = async () => {
+      values.push(...(await this.readCells()).map(cells => cells[index] ?? ''));
+    };
+
+    if (allPages) {
+      await this.forEachPage(read);
+    } else {
+      await read();
+    }
+    return values;
+  }
+
+  /**
+   * Check that a column's values are in sort order across all pages
+   * @param {string} header - Header text
+   * @param {string} order - ascending or descending
+   * @returns {Promise<boolean>} True if every value is in order with the one before it
+   */
+  async isSortedBy(header, order = 'ascending') {
+    const direction = order === 'descending' ? -1 : 1;
+    const values = await this.getColumnValues(header, { allPages: true });
+    return values.every((value, index) => index === 0 || direction * compareText(values[index - 1], value) <= 0);
+  }
+}
+
+module.exports = DataTable;
@@ -0,0 +1,116 @@
+/**
+ * Search Box component for Cempal Portal page objects
+ * Drives the ant-design Input.Search above a list: searches wait for the list request carrying the term
+ * instead of sleeping, and the rows shown can be checked against the term. A page without search fails
+ * the test instead of silently skipping it.
+ */
+
+const BasePage = require('../BasePage');
+const testData = require('../../config/testData');
+
+class SearchBox extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} options - Search options
+   * @param {import('./DataTable')} options.table - Table of the list the search filters
+   * @param {RegExp} options.endpoint - Path of the API request that loads the list, e.g. /\/tenants$/
+   * @param {Array<string>} options.fields - Row fields the search matches, as read by the table
+   */
+  constructor(page, { table, endpoint, fields }) {
+    super(page);
+    this.selectors = testData.selectors;
+    this.table = table;
+    this.endpoint = endpoint;
+    this.fields = fields;
+  }
+
+  /**
+   * Check if the page has a search input
+   * @returns {Promise<boolean>} True if the search input is visible
+   */
+  async isAvailable() {
+    return await this.isVisible(this.selectors.searchInput);
+  }
+
+  /**
+   * Fail unless the page has a search input
+   * @throws {Error} When there is no search input
+   */
+  async requireSearch() {
+    if (!await this.isAvailable()) {
+      throw new Error(`No search input on ${this.page.url()}: the list cannot be searched`);
+    }
+  }
+
+  /**
+   * Check if a response is the list request for a search term
+   * @param {import('@playwright/test').Response} response - Response
+   * @param {string} term - Search term; an empty term accepts any list request
+   * @returns {boolean} True if it loads the list filtered by the term
+   */
+  isFilterResponse(response, term) {
+    const url = new URL(response.url());
+    if (response.request().method() !== 'GET' || !this.endpoint.test(url.pathname)) {
+      return false;
+    }
+    return !term || [...url.searchParams.values()].includes(term);
+  }
+
+  /**
+   * Search the list and wait for the filtered rows
+   * @param {string} term - Search term
+   * @throws {Error} When the page has no search or the search sends no list request
+   */
+  async search(term) {
+    await this.requireSearch();
+    const expected = term.trim();
+    const filtered = this.page.waitForResponse(response => this.isFilterResponse(response, expected),
+      { timeout: testData.timeouts.medium });
+
+    await this.fill(this.selectors.searchInput, term);
+    await this.click(this.selectors.searchButton);
+    try {
+      await filtered;
+    } catch (error) {
+      throw new Error(`Searching for "${term}" did not request the list (${this.endpoint}): ${error.message}`);
+    }
+    await this.waitForNavigation();
+  }
+
+  /**
+   * Clear the search and wait for the full list
+   */
+  async clear() {
+    await this.search('');
+  }
+
+  /**
+   * Get the term in the search input
+   * @returns {Promise<string>} Search term
+   */
+  async getValue() {
+    await this.requireSearch();
+    return await (await this.locate(this.selectors.searchInput)).inputValue();
+  }
+
+  /**
+   * Get the rows shown that do not contain the term in any searched field (case-insensitive)
+   * @param {string} term - Search term
+   * @returns {Promise<Array<Object>>} Rows of the current page that should have been filtered out
+   */
+  async findNonMatchingRows(term) {
+    const expected = term.trim().toLowerCase();
+    const rows = await this.table.getRows();
+    return rows.filter(row => !this.fields.some(field => String(row[field] ?? '').toLowerCase().includes(expected)));
+  }
+
+  /**
+   * Check if the search left the list empty
+   * @returns {Promise<boolean>} True if no rows and the empty placeholder are shown
+   */
+  async hasNoResults() {
+    return (await this.table.readCells()).length === 0 && await this.isVisible(this.selectors.tableEmpty);
+  }
+}
+
+module.exports = SearchBox;
@@ -0,0 +1,86 @@
+/**
+ * Select Field component for Cempal Portal page objects
+ * Drives an ant-design Select with search (showSearch). The portal renders the options in a virtual list, where an
+ * option scrolled out of view is not in the DOM, so options are found by typing into the select's search: an
+ * option is missing only when the filtered popup shows the empty state ("No data"), never because a wait timed out.
+ */
+
+const BasePage = require('../BasePage');
+const testData = require('../../config/testData');
+const { anyStrategyLocator } = require('../../utils/selfHealing');
+
+class SelectField extends BasePage {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} select - Locator descriptor of the select's search input (role combobox)
+   */
+  constructor(page, select) {
+    super(page);
+    this.selectors = testData.selectors;
+    this.select = select;
+  }
+
+  /**
+   * Check if the popup of the select is open
+   * @returns {Promise<boolean>} True if open
+   */
+  async isOpen() {
+    return await this.getAttribute(this.select, 'aria-expanded') === 'true';
+  }
+
+  /**
+   * Open the popup of the select, unless it is open already
+   */
+  async open() {
+    if (!await this.isOpen()) {
+      await this.click(this.select);
+    }
+    await this.waitForElement(this.selectors.selectDropdown);
+  }
+
+  /**
+   * Close the popup without choosing an option; the search is cleared
+   */
+  async close() {
+    if (await this.isOpen()) {
+      await (await this.locate(this.select)).press('Escape');
+      await this.waitForElementToDisappear(this.selectors.selectDropdown);
+    }
+  }
+
+  /**
+   * Type a label into the search of the select and wait for the filtered popup
+   * @param {string} label - Option label
+   * @returns {Promise<boolean>} True if the option is offered, false if the popup shows the empty state
+   * @throws {Error} When the popup shows neither, e.g. only options that contain the label
+   */
+  async search(label) {
+    await this.open();
+    await this.fill(this.select, label);
+
+    const option = anyStrategyLocator(this.page, this.selectors.selectOption(label));
+    const empty = anyStrategyLocator(this.page, this.selectors.selectEmpty);
+    try {
+      await option.or(empty).first().waitFor({ timeout: testData.timeouts.medium });
+    } catch (error) {
+      throw new Error(`Searching the ${this.select.label || 'select'} for "${label}" showed neither the option nor "No data"`);
+    }
+    return await option.isVisible();
+  }
+
+  /**
+   * Choose an option through the search of the select
+   * @param {string} label - Option label
+   * @returns {Promise<boolean>} True if chosen, false if the option is not offered (the popup is closed again)
+   */
+  async choose(label) {
+    if (!await this.search(label)) {
+      await this.close();
+      return false;
+    }
+    await this.click(this.selectors.selectOption(label));
+    return true;
+  }
+}
+
+module.exports = SelectField;
@@ -1,11 +1,25 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
+const testData = require('./config/testData');
+const { createRunId } = require('./utils/dataFactory');
+
+/* One run id for all workers: the prefix of the tenants and users they create (utils/dataFactory.js) */
+process.env.TEST_RUN_ID = process.env.TEST_RUN_ID || createRunId();
+
+/* Port of the bundled mock portal when the local-mock profile is selected (TEST_ENV=local-mock) */
+const mockPortalPort = new URL(testData.baseUrl).port || 3000;
 
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
 module.exports = defineConfig({
   testDir: './tests',
+  /* Unit tests of the utilities run without a browser: npm run test:unit (playwright.unit.config.js) */
+  testIgnore: 'unit/**',
+  /* Log each configured role in once and save its session for tests using authenticatedAs(role) */
+  globalSetup: require.resolve('./global-setup'),
+  /* Merge the traffic recorded with HAR_MODE=record into one archive per spec (utils/harArchive.js) */
+  globalTeardown: require.resolve('./global-teardown'),
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -16,6 +30,10 @@ module.exports = defineConfig({
   workers: process.env.CI ? 1 : undefined,
   /* Reporter to use. See https://playwright.dev/docs/test-reporters */
   reporter: [
+    /* Must stay first: scrubs registered secrets before the other reporters read the results */
+    ['./utils/maskingReporter.js'],
+    /* Lists selectors that only matched through a fallback strategy (reports/healed-selectors.json) */
+    ['./utils/healingReporter.js'],
     ['html', { outputFolder: 'reports/html-report' }],
     ['json', { outputFile: 'reports/results.json' }],
     ['allure-playwright', { outputFolder: 'allure-results' }],
@@ -24,7 +42,10 @@ module.exports = defineConfig({
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: 'https://dev.cempal.craftsmenltd.com',
+    baseURL: testData.baseUrl,
+    /* Browser settings of the selected environment profile */
+    headless: testData.browser.headless,
+    launchOptions: { slowMo: testData.browser.slowMo },
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
     /* Take screenshot on failure */
@@ -32,9 +53,9 @@ module.exports = defineConfig({
     /* Record video on failure */
     video: 'retain-on-failure',
     /* Global timeout for each action */
-    actionTimeout: 30000,
+    actionTimeout: testData.timeouts.long,
     /* Global timeout for navigation */
-    navigationTimeout: 30000,
+    navigationTimeout: testData.timeouts.long,
   },
 
   /* Configure projects for major browsers */
@@ -75,10 +96,11 @@ module.exports = defineConfig({
     },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Run the local mock portal before starting the tests */
+  webServer: testData.mockPortal ? {
+    command: `node mock-portal/server.js --port ${mockPortalPort}`,
+    url: `${testData.baseUrl}/__mock/health`,
+    reuseExistingServer: !process.env.CI,
+    timeout: 30000,
+  } : undefined,
 });
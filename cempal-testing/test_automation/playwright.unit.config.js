@@ -0,0 +1,13 @@
+// @ts-check
+const { defineConfig } = require('@playwright/test');
+
+/**
+ * Unit tests of the utilities (tests/unit): plain Node, no browser, portal or saved sessions
+ * @see https://playwright.dev/docs/test-configuration
+ */
+module.exports = defineConfig({
+  testDir: './tests/unit',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  reporter: [['list']]
+});
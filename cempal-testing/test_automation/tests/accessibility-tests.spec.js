@@ -3,49 +3,40 @@
  * Tests for WCAG compliance and accessibility features
  */
 
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../pages/LoginPage');
-const DashboardPage = require('../pages/DashboardPage');
+const { test, expect } = require('../fixtures');
 const testData = require('../config/testData');
+const { authenticatedAs } = require('../utils/authState');
 
 test.describe('Cempal Portal Accessibility Tests', () => {
-  let loginPage;
-  let dashboardPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-    dashboardPage = new DashboardPage(page);
-  });
-
-  test('Keyboard Navigation Tests', async ({ page }) => {
+  test('Keyboard Navigation Tests', async ({ page, loginPage }) => {
     console.log('Testing keyboard navigation...');
 
     await loginPage.navigateToLogin();
 
     // Test tab navigation
     await page.keyboard.press('Tab');
-    await expect(page.locator(loginPage.selectors.emailInput)).toBeFocused();
+    await expect(await loginPage.locate(loginPage.selectors.emailInput)).toBeFocused();
 
     await page.keyboard.press('Tab');
-    await expect(page.locator(loginPage.selectors.passwordInput)).toBeFocused();
+    await expect(await loginPage.locate(loginPage.selectors.passwordInput)).toBeFocused();
 
     await page.keyboard.press('Tab');
-    await expect(page.locator(loginPage.selectors.signInButton)).toBeFocused();
+    await expect(await loginPage.locate(loginPage.selectors.signInButton)).toBeFocused();
 
     // Test Enter key on focused elements
     await page.keyboard.press('Enter');
     await expect(loginPage.isLoginFailed()).toBeTruthy(); // Should show error for empty fields
   });
 
-  test('ARIA Labels and Roles Tests', async ({ page }) => {
+  test('ARIA Labels and Roles Tests', async ({ page, loginPage }) => {
     console.log('Testing ARIA labels and roles...');
 
     await loginPage.navigateToLogin();
 
     // Check for proper ARIA labels
-    const emailInput = page.locator(loginPage.selectors.emailInput);
-    const passwordInput = page.locator(loginPage.selectors.passwordInput);
-    const signInButton = page.locator(loginPage.selectors.signInButton);
+    const emailInput = await loginPage.locate(loginPage.selectors.emailInput);
+    const passwordInput = await loginPage.locate(loginPage.selectors.passwordInput);
+    const signInButton = await loginPage.locate(loginPage.selectors.signInButton);
 
     // Check aria-label or aria-labelledby
     await expect(emailInput).toHaveAttribute('aria-label').or.toHaveAttribute('aria-labelledby');
@@ -56,7 +47,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     await expect(signInButton).toHaveAttribute('type', 'submit');
   });
 
-  test('Color Contrast Tests', async ({ page }) => {
+  test('Color Contrast Tests', async ({ page, loginPage }) => {
     console.log('Testing color contrast...');
 
     await loginPage.navigateToLogin();
@@ -79,7 +70,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Focus Management Tests', async ({ page }) => {
+  test('Focus Management Tests', async ({ page, loginPage, dashboardPage }) => {
     console.log('Testing focus management...');
 
     await loginPage.navigateToLogin();
@@ -100,7 +91,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     expect(hasFocus).toBeTruthy();
   });
 
-  test('Screen Reader Compatibility Tests', async ({ page }) => {
+  test('Screen Reader Compatibility Tests', async ({ page, loginPage }) => {
     console.log('Testing screen reader compatibility...');
 
     await loginPage.navigateToLogin();
@@ -121,7 +112,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Error Message Accessibility Tests', async ({ page }) => {
+  test('Error Message Accessibility Tests', async ({ page, loginPage }) => {
     console.log('Testing error message accessibility...');
 
     await loginPage.navigateToLogin();
@@ -141,7 +132,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Responsive Design Accessibility Tests', async ({ page }) => {
+  test('Responsive Design Accessibility Tests', async ({ page, loginPage }) => {
     console.log('Testing responsive design accessibility...');
 
     // Test different viewport sizes
@@ -170,7 +161,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Language and Direction Tests', async ({ page }) => {
+  test('Language and Direction Tests', async ({ page, loginPage }) => {
     console.log('Testing language and direction...');
 
     await loginPage.navigateToLogin();
@@ -187,7 +178,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Skip Links Tests', async ({ page }) => {
+  test('Skip Links Tests', async ({ page, loginPage }) => {
     console.log('Testing skip links...');
 
     await loginPage.navigateToLogin();
@@ -211,7 +202,7 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Form Validation Accessibility Tests', async ({ page }) => {
+  test('Form Validation Accessibility Tests', async ({ page, loginPage }) => {
     console.log('Testing form validation accessibility...');
 
     await loginPage.navigateToLogin();
@@ -233,26 +224,31 @@ test.describe('Cempal Portal Accessibility Tests', () => {
     }
   });
 
-  test('Modal and Dialog Accessibility Tests', async ({ page }) => {
-    console.log('Testing modal and dialog accessibility...');
+  test.describe('Signed in as super admin', () => {
+    // Starts from the session saved by global-setup.js instead of the login form
+    test.use(authenticatedAs('super_admin'));
+
+    test('Modal and Dialog Accessibility Tests', async ({ page, dashboardPage }) => {
+      console.log('Testing modal and dialog accessibility...');
 
-    await loginPage.login();
-    await dashboardPage.navigateToTenantList();
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
 
-    // Open a modal
-    await page.click('//span[normalize-space()="Create new Tenant"]');
+      // Open a modal
+      await page.click('//span[normalize-space()="Create new Tenant"]');
 
-    // Check for proper modal attributes
-    const modal = page.locator('.ant-modal-content');
-    await expect(modal).toBeVisible();
+      // Check for proper modal attributes
+      const modal = page.locator('.ant-modal-content');
+      await expect(modal).toBeVisible();
 
-    // Check for proper focus management in modal
-    const modalInputs = modal.locator('input, select, textarea, button');
-    const firstInput = modalInputs.first();
-    await expect(firstInput).toBeFocused();
+      // Check for proper focus management in modal
+      const modalInputs = modal.locator('input, select, textarea, button');
+      const firstInput = modalInputs.first();
+      await expect(firstInput).toBeFocused();
 
-    // Check for proper modal role
-    const modalRole = await modal.getAttribute('role');
-    expect(modalRole).toBe('dialog');
+      // Check for proper modal role
+      const modalRole = await modal.getAttribute('role');
+      expect(modalRole).toBe('dialog');
+    });
   });
 });
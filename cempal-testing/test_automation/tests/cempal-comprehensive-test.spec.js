@@ -9,28 +9,20 @@
  * - Test Date: 28 Oct 2025 / 22:35:25 GMT+6
  */
 
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../pages/LoginPage');
-const DashboardPage = require('../pages/DashboardPage');
-const TenantManagementPage = require('../pages/TenantManagementPage');
-const UserAssignmentPage = require('../pages/UserAssignmentPage');
+const fs = require('fs');
+const { test, expect } = require('../fixtures');
 const testData = require('../config/testData');
+const { authenticatedAs } = require('../utils/authState');
+const { getDataFactory } = require('../utils/dataFactory');
+const { getCredentialVault, ROLES } = require('../utils/credentialVault');
+const { generateTotp } = require('../utils/totp');
+const { readRoster, runBulkAssignment, formatResults, STATUS } = require('../utils/bulkAssignment');
 
 test.describe('Cempal Portal Comprehensive Test Suite', () => {
-  let loginPage;
-  let dashboardPage;
-  let tenantManagementPage;
-  let userAssignmentPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-    dashboardPage = new DashboardPage(page);
-    tenantManagementPage = new TenantManagementPage(page);
-    userAssignmentPage = new UserAssignmentPage(page);
-  });
-
-  test('Complete Cempal Portal Test Flow - All 71 Steps', async ({ page }) => {
+  test('Complete Cempal Portal Test Flow - All 71 Steps', async ({ page, loginPage, dashboardPage, tenantPage, tenantDetailsPage, tenantGroupsPage, assignmentPage, assignableUser }) => {
     console.log('Starting comprehensive Cempal Portal test...');
+    // Unique per run and worker, so reruns do not pile up copies of the recorded "ee" tenant
+    const tenant = getDataFactory().tenant();
 
     // Step 1: Open website
     console.log('Step 1: Opening website...');
@@ -137,166 +129,167 @@ test.describe('Cempal Portal Comprehensive Test Suite', () => {
     // Step 22: Click on "Tenant List"
     console.log('Step 22: Navigating to tenant list...');
     await dashboardPage.navigateToTenantList();
-    await tenantManagementPage.waitForTenantListLoad();
+    await tenantPage.waitForTenantListLoad();
     await loginPage.takeScreenshot('step-22-tenant-list-opened');
 
     // Step 23: Click on "Create new Tenant"
     console.log('Step 23: Clicking create new tenant...');
-    await tenantManagementPage.clickCreateNewTenant();
+    await tenantPage.clickCreateNewTenant();
     await loginPage.takeScreenshot('step-23-create-tenant-modal-opened');
 
     // Step 24: Enter tenant name
     console.log('Step 24: Entering tenant name...');
-    await tenantManagementPage.fillTenantName('ee');
+    await tenantPage.fillTenantName(tenant.name);
     await loginPage.takeScreenshot('step-24-tenant-name-entered');
 
     // Step 25: Enter domain name
     console.log('Step 25: Entering domain name...');
-    await tenantManagementPage.fillDomainName('ee');
+    await tenantPage.fillDomainName('ee');
     await loginPage.takeScreenshot('step-25-domain-name-entered');
 
     // Step 26: Enter contact email
     console.log('Step 26: Entering contact email...');
-    await tenantManagementPage.fillContactEmail('ee');
+    await tenantPage.fillContactEmail('ee');
     await loginPage.takeScreenshot('step-26-contact-email-entered');
 
     // Step 27-28: Enter address
     console.log('Steps 27-28: Entering address...');
-    await tenantManagementPage.click('//textarea[@id="address"]');
-    await tenantManagementPage.fillAddress('eee');
+    await tenantPage.click('//textarea[@id="address"]');
+    await tenantPage.fillAddress(tenant.address);
     await loginPage.takeScreenshot('step-28-address-entered');
 
     // Step 29: Click on modal content
     console.log('Step 29: Clicking modal content...');
-    await tenantManagementPage.click('//div[@class="ant-modal-content"]');
+    await tenantPage.click('//div[@class="ant-modal-content"]');
     await loginPage.takeScreenshot('step-29-modal-content-clicked');
 
     // Step 30: Update contact email
     console.log('Step 30: Updating contact email...');
-    await tenantManagementPage.fillContactEmail('s@g.com');
+    await tenantPage.fillContactEmail(tenant.contactEmail);
     await loginPage.takeScreenshot('step-30-contact-email-updated');
 
     // Step 31-32: Update domain name
     console.log('Steps 31-32: Updating domain name...');
-    await tenantManagementPage.fillDomainName('');
-    await tenantManagementPage.fillDomainName('dev.cempal.craftsmenltd.com');
+    await tenantPage.fillDomainName('');
+    await tenantPage.fillDomainName(tenant.domain);
     await loginPage.takeScreenshot('step-32-domain-name-updated');
 
     // Step 33: Click on "Create Tenant"
     console.log('Step 33: Creating tenant...');
-    await tenantManagementPage.clickCreateTenantSubmit();
+    await tenantPage.clickCreateTenantSubmit();
     await loginPage.takeScreenshot('step-33-tenant-creation-submitted');
 
     // Step 34: Update domain name again
     console.log('Step 34: Updating domain name again...');
-    await tenantManagementPage.fillDomainName('dev.cem0pal.craftsmenltd.com');
+    await tenantPage.fillDomainName(tenant.domain);
     await loginPage.takeScreenshot('step-34-domain-name-updated-again');
 
     // Step 35: Click on send button
     console.log('Step 35: Clicking send button...');
-    await tenantManagementPage.click("//svg[@aria-label='send']");
+    await tenantPage.click("//svg[@aria-label='send']");
     await loginPage.takeScreenshot('step-35-send-clicked');
 
     // Step 36: Click on read_more
     console.log('Step 36: Clicking read more...');
-    await tenantManagementPage.clickTenantAction('ee', 'read_more');
+    await tenantDetailsPage.open(tenant.name);
+    expect(await tenantDetailsPage.findMismatches(tenant)).toEqual([]);
     await loginPage.takeScreenshot('step-36-read-more-clicked');
 
     // Step 37: Click on Close
     console.log('Step 37: Clicking close...');
-    await tenantManagementPage.clickCloseModal();
+    await tenantDetailsPage.close();
     await loginPage.takeScreenshot('step-37-close-clicked');
 
     // Step 38: Click on edit_note
     console.log('Step 38: Clicking edit note...');
-    await tenantManagementPage.clickTenantAction('ee', 'edit_note');
+    await tenantPage.clickTenantAction(tenant.name, 'edit_note');
     await loginPage.takeScreenshot('step-38-edit-note-clicked');
 
     // Step 39-40: Update address
     console.log('Steps 39-40: Updating address...');
-    await tenantManagementPage.click('//textarea[@id="address"]');
-    await tenantManagementPage.fillAddress('eee12');
+    await tenantPage.click('//textarea[@id="address"]');
+    await tenantPage.fillAddress(tenant.updatedAddress);
     await loginPage.takeScreenshot('step-40-address-updated');
 
     // Step 41: Click on Update
     console.log('Step 41: Clicking update...');
-    await tenantManagementPage.clickUpdateTenant();
+    await tenantPage.clickUpdateTenant();
     await loginPage.takeScreenshot('step-41-update-clicked');
 
     // Step 42: Click on edit_note again
     console.log('Step 42: Clicking edit note again...');
-    await tenantManagementPage.clickTenantAction('ee', 'edit_note');
+    await tenantPage.clickTenantAction(tenant.name, 'edit_note');
     await loginPage.takeScreenshot('step-42-edit-note-clicked-again');
 
     // Step 43: Click on modal wrap
     console.log('Step 43: Clicking modal wrap...');
-    await tenantManagementPage.click('//div[@class="ant-modal-wrap"]');
+    await tenantPage.click('//div[@class="ant-modal-wrap"]');
     await loginPage.takeScreenshot('step-43-modal-wrap-clicked');
 
     // Step 44: Click on Update
     console.log('Step 44: Clicking update...');
-    await tenantManagementPage.click('//button[@type="submit"]');
+    await tenantPage.click('//button[@type="submit"]');
     await loginPage.takeScreenshot('step-44-update-submitted');
 
     // Step 45: Click on groups
     console.log('Step 45: Clicking groups...');
-    await tenantManagementPage.clickTenantAction('ee', 'groups');
+    await tenantGroupsPage.open(tenant.name);
     await loginPage.takeScreenshot('step-45-groups-clicked');
 
     // Step 46: Click on close
     console.log('Step 46: Clicking close...');
-    await tenantManagementPage.clickCloseModal();
+    await tenantGroupsPage.close();
     await loginPage.takeScreenshot('step-46-groups-close-clicked');
 
     // Step 47: Click on "Super Admins"
     console.log('Step 47: Navigating to super admins...');
     await dashboardPage.navigateToSuperAdmins();
-    await userAssignmentPage.waitForSuperAdminsLoad();
+    await assignmentPage.waitForSuperAdminsLoad();
     await loginPage.takeScreenshot('step-47-super-admins-opened');
 
     // Step 48: Click on "Assign"
     console.log('Step 48: Clicking assign...');
-    await userAssignmentPage.clickAssignButton('mehedimohammad213@gmail.com');
+    await assignmentPage.clickAssignButton(assignableUser.email);
     await loginPage.takeScreenshot('step-48-assign-clicked');
 
     // Step 49: Click on "Tenant"
     console.log('Step 49: Clicking tenant dropdown...');
-    await userAssignmentPage.clickTenantDropdown();
+    await assignmentPage.clickTenantDropdown();
     await loginPage.takeScreenshot('step-49-tenant-dropdown-clicked');
 
     // Step 50: Click on tenant option
     console.log('Step 50: Selecting tenant...');
-    await userAssignmentPage.selectTenant('@#$%');
+    await assignmentPage.selectTenant('@#$%');
     await loginPage.takeScreenshot('step-50-tenant-selected');
 
     // Step 51: Click on "Group"
     console.log('Step 51: Clicking group dropdown...');
-    await userAssignmentPage.clickGroupDropdown();
+    await assignmentPage.clickGroupDropdown();
     await loginPage.takeScreenshot('step-51-group-dropdown-clicked');
 
     // Step 52: Click on "Tenant Admin"
     console.log('Step 52: Selecting tenant admin...');
-    await userAssignmentPage.selectUserGroup('Tenant Admin');
+    await assignmentPage.selectUserGroup('Tenant Admin');
     await loginPage.takeScreenshot('step-52-tenant-admin-selected');
 
     // Step 53: Click on "Team"
     console.log('Step 53: Clicking team dropdown...');
-    await userAssignmentPage.clickTeamDropdown();
+    await assignmentPage.clickTeamDropdown();
     await loginPage.takeScreenshot('step-53-team-dropdown-clicked');
 
     // Step 54: Click on "Cutting Shoaib Vai"
     console.log('Step 54: Selecting team...');
-    await userAssignmentPage.selectTeam('Cutting Shoaib Vai');
+    await assignmentPage.selectTeam('Cutting Shoaib Vai');
     await loginPage.takeScreenshot('step-54-team-selected');
 
     // Step 55: Click on "Assign"
     console.log('Step 55: Submitting assignment...');
-    await userAssignmentPage.clickAssignSubmit();
+    await assignmentPage.clickAssignSubmit();
     await loginPage.takeScreenshot('step-55-assignment-submitted');
 
     // Step 56: Click on close
     console.log('Step 56: Clicking close...');
-    await userAssignmentPage.closeAssignmentModal();
+    await assignmentPage.closeAssignmentModal();
     await loginPage.takeScreenshot('step-56-assignment-close-clicked');
 
     // Step 57: Click on tenant logo
@@ -359,7 +352,7 @@ test.describe('Cempal Portal Comprehensive Test Suite', () => {
   });
 
   // Additional test cases for specific functionality
-  test('Login Functionality Tests', async ({ page }) => {
+  test('Login Functionality Tests', async ({ loginPage, dashboardPage }) => {
     console.log('Testing login functionality...');
 
     await loginPage.navigateToLogin();
@@ -374,51 +367,634 @@ test.describe('Cempal Portal Comprehensive Test Suite', () => {
     await expect(loginPage.isLoginFormVisible()).toBeTruthy();
   });
 
-  test('Tenant Management Tests', async ({ page }) => {
-    console.log('Testing tenant management...');
+  test('Password Reset Tests', async ({ loginPage, passwordResetPage, mailbox, resetAccount }) => {
+    test.skip(!mailbox.isAvailable() || !resetAccount, 'No mail sink or throwaway account for this portal (MAILBOX_URL, TEST_ENV=local-mock)');
+    console.log('Testing password reset...');
+    const newPassword = getDataFactory().password();
 
-    await loginPage.login();
-    await dashboardPage.navigateToTenantList();
+    // Reset with the code mailed to the account
+    await passwordResetPage.resetPassword(resetAccount.email, newPassword, mailbox);
+    expect(await passwordResetPage.isResetComplete()).toBe(true);
 
-    // Test create tenant
-    await tenantManagementPage.createTenant();
-    await expect(tenantManagementPage.tenantExists('ee')).toBeTruthy();
+    // Sign in with the new password
+    await loginPage.login(resetAccount.email, newPassword);
+    expect(await loginPage.isLoginSuccessful()).toBe(true);
+  });
 
-    // Test edit tenant
-    await tenantManagementPage.editTenant('ee', { address: 'Updated Address' });
+  test('Password Reset Negative Tests', async ({ loginPage, passwordResetPage, mailbox, resetAccount }) => {
+    test.skip(!mailbox.isAvailable() || !resetAccount, 'No mail sink or throwaway account for this portal (MAILBOX_URL, TEST_ENV=local-mock)');
+    console.log('Testing password reset errors...');
+    const factory = getDataFactory();
+    const newPassword = factory.password();
+    const since = Date.now();
+
+    await passwordResetPage.open();
+    await passwordResetPage.requestCode(resetAccount.email);
+    const code = await mailbox.waitForCode(resetAccount.email, { since });
+
+    // Wrong code
+    const wrongCode = code === '000000' ? '111111' : '000000';
+    expect(await passwordResetPage.confirmReset(wrongCode, newPassword)).toBe(false);
+    expect(await passwordResetPage.getErrorMessage()).toContain('Invalid verification code');
+
+    // Password that fails the policy, with the right code
+    expect(await passwordResetPage.confirmReset(code, factory.invalidPassword('noSymbol'))).toBe(false);
+    expect(await passwordResetPage.getErrorMessage()).toContain('does not conform to policy');
+
+    // Expired code
+    expect(await mailbox.expireCode(resetAccount.email)).toBe(true);
+    expect(await passwordResetPage.confirmReset(code, newPassword)).toBe(false);
+    expect(await passwordResetPage.getErrorMessage()).toContain('request a code again');
+    expect(await passwordResetPage.isCodeStepVisible()).toBe(true);
+
+    // None of the attempts changed the password
+    await passwordResetPage.backToSignIn();
+    await loginPage.login(resetAccount.email, resetAccount.password);
+    expect(await loginPage.isLoginSuccessful()).toBe(true);
   });
 
-  test('User Assignment Tests', async ({ page }) => {
-    console.log('Testing user assignment...');
+  test('Google Sign-In Tests', async ({ loginPage, dashboardPage, addGoogleAccount }) => {
+    test.skip(!testData.mockPortal, 'Only the mock portal has a Google identity provider to sign in with (TEST_ENV=local-mock)');
+    console.log('Testing Google sign-in...');
 
-    await loginPage.login();
-    await dashboardPage.navigateToSuperAdmins();
+    // Redirect to Google, choose the account and continue on the consent screen
+    const consenting = await addGoogleAccount({ linkedUser: testData.credentials.email, consent: 'prompt' });
+    await loginPage.navigateToLogin();
+    expect(await loginPage.loginWithGoogle(consenting.email)).toBe(true);
+    expect(await dashboardPage.isLoggedIn()).toBeTruthy();
+    await dashboardPage.logout();
 
-    // Test user assignment
-    await userAssignmentPage.assignUser('mehedimohammad213@gmail.com');
+    // Google in a popup, for an account that granted consent before
+    const returning = await addGoogleAccount({ linkedUser: testData.credentials.email });
+    await loginPage.goto('/login?oauth=popup');
+    expect(await loginPage.loginWithGoogle(returning.email)).toBe(true);
+    expect(await dashboardPage.isLoggedIn()).toBeTruthy();
   });
 
-  test('Theme Toggle Tests', async ({ page }) => {
-    console.log('Testing theme toggle...');
+  test('Google Sign-In Negative Tests', async ({ loginPage, addGoogleAccount }) => {
+    test.skip(!testData.mockPortal, 'Only the mock portal has a Google identity provider to sign in with (TEST_ENV=local-mock)');
+    console.log('Testing rejected Google sign-ins...');
 
-    await loginPage.login();
+    // Cancelled consent
+    const consenting = await addGoogleAccount({ linkedUser: testData.credentials.email, consent: 'prompt' });
+    await loginPage.navigateToLogin();
+    expect(await loginPage.loginWithGoogle(consenting.email, { consent: false })).toBe(false);
+    expect(await loginPage.getErrorMessage()).toContain('cancelled');
 
-    // Test theme toggle
-    const initialTheme = await dashboardPage.getCurrentTheme();
-    await dashboardPage.toggleTheme();
-    const newTheme = await dashboardPage.getCurrentTheme();
+    // Google account not linked to a Cempal user, in a popup
+    const unlinked = await addGoogleAccount();
+    await loginPage.goto('/login?oauth=popup');
+    expect(await loginPage.loginWithGoogle(unlinked.email)).toBe(false);
+    expect(await loginPage.getErrorMessage()).toContain('not linked to a Cempal user');
 
-    expect(newTheme).not.toBe(initialTheme);
+    // Google answers with an error
+    const failing = await addGoogleAccount({ linkedUser: testData.credentials.email, error: 'temporarily_unavailable' });
+    await loginPage.navigateToLogin();
+    expect(await loginPage.loginWithGoogle(failing.email)).toBe(false);
+    expect(await loginPage.getErrorMessage()).toContain('temporarily_unavailable');
+    expect(await loginPage.isLoginFormVisible()).toBe(true);
   });
 
-  test('Navigation Tests', async ({ page }) => {
-    console.log('Testing navigation...');
+  test('TOTP Sign-In Tests', async ({ loginPage, dashboardPage }) => {
+    const vault = getCredentialVault();
+    const role = ROLES.find(candidate => vault.hasAccount(candidate) && vault.getAccount(candidate).totpSecret);
+    test.skip(!role, 'No role has a TOTP secret (set <ROLE>_TOTP_SECRET; TEST_ENV=local-mock has one for team_lead)');
+    console.log(`Testing TOTP sign-in as ${role}...`);
+    const account = vault.getAccount(role);
 
-    await loginPage.login();
+    // The code is generated from the secret the vault holds for the account
+    await loginPage.navigateToLogin();
+    await loginPage.login(account.email, account.password);
+    expect(await loginPage.isLoginSuccessful()).toBe(true);
+    expect(await dashboardPage.isLoggedIn()).toBeTruthy();
+  });
+
+  test('MFA Enrolment and Remembered Device Tests', async ({ loginPage, dashboardPage, addMfaAccount }) => {
+    test.skip(!testData.mockPortal, 'Only the mock portal takes throwaway MFA accounts (TEST_ENV=local-mock)');
+    console.log('Testing MFA enrolment and remembered devices...');
+    const account = await addMfaAccount({ enrolled: false });
+
+    // The first sign-in sets up an authenticator from the QR code's secret
+    await loginPage.navigateToLogin();
+    await loginPage.login(account.email, account.password);
+    expect(await loginPage.isTotpSetupVisible()).toBe(true);
+    expect(await loginPage.isQrCodeVisible()).toBe(true);
+    const secret = await loginPage.setupTotp();
+    expect(await dashboardPage.isLoggedIn()).toBeTruthy();
+    await dashboardPage.logout();
+
+    // Later sign-ins answer the challenge with the enrolled secret, and remember the browser
+    await loginPage.login(account.email, account.password, { totpSecret: secret, rememberDevice: true });
+    expect(await loginPage.isLoginSuccessful()).toBe(true);
+    await dashboardPage.logout();
+
+    // The remembered browser skips the challenge, even after signing out
+    await loginPage.enterEmail(account.email);
+    await loginPage.enterPassword(account.password);
+    await loginPage.clickSignIn();
+    expect(await loginPage.waitForSignInStep()).toBe('dashboard');
+  });
+
+  test('MFA Negative Tests', async ({ loginPage, dashboardPage, addMfaAccount }) => {
+    test.skip(!testData.mockPortal, 'Only the mock portal takes throwaway MFA accounts (TEST_ENV=local-mock)');
+    console.log('Testing rejected TOTP codes...');
+    const account = await addMfaAccount();
+
+    // No secret to answer the challenge with
+    await loginPage.navigateToLogin();
+    await expect(loginPage.login(account.email, account.password)).rejects.toThrow('has no TOTP secret');
+    expect(await loginPage.isTotpChallengeVisible()).toBe(true);
+
+    // Wrong code: the challenge stays open for another try
+    const wrongCode = String((Number(generateTotp(account.totpSecret)) + 500000) % 1000000).padStart(6, '0');
+    expect(await loginPage.submitTotpCode(wrongCode)).toBe(false);
+    expect(await loginPage.getErrorMessage()).toContain('Invalid code received');
+    expect(await loginPage.isTotpChallengeVisible()).toBe(true);
+
+    // Right code; the browser was not remembered, so the next sign-in is challenged again
+    await loginPage.completeTotpChallenge(account.totpSecret);
+    expect(await dashboardPage.isLoggedIn()).toBeTruthy();
+    await dashboardPage.logout();
+    await loginPage.enterEmail(account.email);
+    await loginPage.enterPassword(account.password);
+    await loginPage.clickSignIn();
+    expect(await loginPage.waitForSignInStep()).toBe('totp');
+  });
 
-    // Test all navigation links
-    await expect(dashboardPage.isTenantListVisible()).toBeTruthy();
-    await expect(dashboardPage.isSuperAdminsVisible()).toBeTruthy();
-    await expect(dashboardPage.isPrivacyPolicyVisible()).toBeTruthy();
+  test.describe('Signed in as super admin', () => {
+    // Starts from the session saved by global-setup.js instead of the login form
+    test.use(authenticatedAs('super_admin'));
+
+    test('Tenant Management Tests', async ({ dashboardPage, tenantPage, seededTenant }) => {
+      console.log('Testing tenant management...');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // Test create tenant (a new unique tenant from the data factory)
+      const tenant = await tenantPage.createTenant();
+      expect(await tenantPage.tenantExists(tenant.name)).toBeTruthy();
+
+      // Test edit tenant (the worker's own tenant, so parallel runs never edit the same row)
+      await tenantPage.editTenant(seededTenant.name, { address: 'Updated Address' });
+    });
+
+    test('Tenant List Matches Backend Tests', async ({ dashboardPage, tenantPage, api }) => {
+      console.log('Testing tenant list against the API...');
+
+      // Seed through the API instead of the create modal
+      const { updatedAddress, ...tenantData } = getDataFactory().tenant();
+      const created = await api.createTenant(tenantData);
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      expect(await tenantPage.tenantExists(created.name)).toBeTruthy();
+
+      const backendRecord = await api.getTenant(created.id);
+      expect(await tenantPage.getTenantDetails(created.name)).toEqual({
+        name: backendRecord.name,
+        domain: backendRecord.domain,
+        contactEmail: backendRecord.contactEmail,
+        address: backendRecord.address
+      });
+
+      // An edit through the UI reaches the backend
+      await tenantPage.editTenant(created.name, { address: updatedAddress });
+      await expect.poll(async () => (await api.getTenant(created.id)).address).toBe(updatedAddress);
+    });
+
+    test('Tenant Table Tests', async ({ dashboardPage, tenantPage, api }) => {
+      console.log('Testing tenant list pagination and sorting...');
+
+      // Seed enough tenants through the API for a second page at the smallest page size
+      const seeded = [];
+      const missing = Math.max(1, 11 - (await api.listTenants()).length);
+      for (let index = 0; index < missing; index += 1) {
+        const { updatedAddress, ...tenantData } = getDataFactory().tenant();
+        seeded.push(await api.createTenant(tenantData));
+      }
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      const table = tenantPage.table;
+      expect(await table.getHeaders()).toEqual(expect.arrayContaining(['Tenant Name', 'Domain Name', 'Contact Email', 'Address']));
+
+      // Rows are read from every page, not just the one shown
+      await table.setPageSize(10);
+      expect(await table.getPageCount()).toBeGreaterThan(1);
+      const names = (await tenantPage.getTenants()).map(tenant => tenant.name);
+      expect(names).toEqual(expect.arrayContaining(seeded.map(tenant => tenant.name)));
+      expect(new Set(names).size).toBe(names.length);
+
+      await table.goToPage(1);
+      expect(await table.nextPage()).toBeTruthy();
+      expect(await table.getCurrentPage()).toBe(2);
+      expect(await table.previousPage()).toBeTruthy();
+      expect(await table.getCurrentPage()).toBe(1);
+
+      // A larger page size shows more rows per page and starts over at page 1
+      await table.setPageSize(20);
+      expect(await table.getCurrentPage()).toBe(1);
+      const firstPage = await table.getRows();
+      expect(firstPage.length).toBeGreaterThan(10);
+      expect(firstPage.length).toBeLessThanOrEqual(20);
+
+      // Every column sorts both ways across all pages
+      for (const header of ['Tenant Name', 'Domain Name', 'Contact Email', 'Address']) {
+        for (const order of ['ascending', 'descending']) {
+          await table.sortBy(header, order);
+          expect(await table.getSortOrder(header)).toBe(order);
+          expect(await table.isSortedBy(header, order)).toBeTruthy();
+        }
+      }
+
+      // Typed rows match the backend, wherever the tenant's page is
+      const last = seeded[seeded.length - 1];
+      expect(await tenantPage.getTenantDetails(last.name)).toEqual({
+        name: last.name,
+        domain: last.domain,
+        contactEmail: last.contactEmail,
+        address: last.address
+      });
+    });
+
+    test('Tenant Search Tests', async ({ dashboardPage, tenantPage, api }) => {
+      console.log('Testing tenant search...');
+
+      const { updatedAddress, ...tenantData } = getDataFactory().tenant();
+      const created = await api.createTenant(tenantData);
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      await tenantPage.waitForTenantListLoad();
+      const searchBox = tenantPage.searchBox;
+
+      // Partial term: every row shown contains it, the tenant is among them
+      const partial = created.name.slice(3, -2);
+      await searchBox.search(partial);
+      expect(await searchBox.findNonMatchingRows(partial)).toEqual([]);
+      expect(await tenantPage.findTenantInList(created.name)).toBeTruthy();
+
+      // Case-insensitive
+      const upperCase = created.name.toUpperCase();
+      await searchBox.search(upperCase);
+      expect(await searchBox.findNonMatchingRows(upperCase)).toEqual([]);
+      expect(await tenantPage.findTenantInList(created.name)).toBeTruthy();
+
+      // Special characters are searched literally
+      expect(await tenantPage.searchTenant('@#$%')).toBeTruthy();
+      expect(await searchBox.findNonMatchingRows('@#$%')).toEqual([]);
+
+      // No results
+      await searchBox.search(`${getDataFactory().nextName()} missing`);
+      expect(await searchBox.hasNoResults()).toBeTruthy();
+
+      // Clearing the search lists every tenant again
+      await searchBox.clear();
+      expect(await searchBox.getValue()).toBe('');
+      expect(await tenantPage.findTenantInList(created.name)).toBeTruthy();
+    });
+
+    test('Tenant Details Tests', async ({ dashboardPage, tenantPage, tenantDetailsPage }) => {
+      console.log('Testing tenant details...');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // The details show what was entered in the create modal
+      const tenant = await tenantPage.createTenant();
+      await tenantDetailsPage.open(tenant.name);
+      const created = await tenantDetailsPage.getDetails();
+      expect(await tenantDetailsPage.findMismatches(tenant)).toEqual([]);
+      expect(created.createdAt).toBeTruthy();
+      await tenantDetailsPage.close();
+
+      // ... and what was changed in the edit modal
+      const changes = { contactEmail: `updated.${tenant.contactEmail}`, address: tenant.updatedAddress };
+      await tenantPage.editTenant(tenant.name, changes);
+      await tenantDetailsPage.open(tenant.name);
+      expect(await tenantDetailsPage.findMismatches({ ...tenant, ...changes })).toEqual([]);
+      await tenantDetailsPage.close({ using: 'escape' });
+      expect(await tenantDetailsPage.isOpen()).toBeFalsy();
+    });
+
+    test('Tenant Groups Tests', async ({ dashboardPage, tenantGroupsPage, assignmentPage, api }) => {
+      console.log('Testing tenant groups...');
+      const { tenantName, userGroup } = testData.userAssignment;
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // The groups modal lists the groups and members the backend has
+      await tenantGroupsPage.open(tenantName);
+      const groups = await tenantGroupsPage.getGroups();
+      const tenant = await api.findTenantByName(tenantName);
+      const backendGroups = await api.listGroups(tenant.id);
+      expect(groups.map(group => group.name).sort()).toEqual(backendGroups.map(group => group.name).sort());
+      for (const group of backendGroups) {
+        expect((await tenantGroupsPage.getMembers(group.name)).sort()).toEqual([...group.members].sort());
+      }
+      await tenantGroupsPage.close();
+
+      // The Assign modal offers the same groups, including the one assignments use
+      expect(groups.map(group => group.name)).toContain(userGroup);
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.clickAssignButton(testData.credentials.email);
+      await assignmentPage.selectTenant(tenantName);
+      expect((await assignmentPage.getAvailableUserGroups()).sort()).toEqual(groups.map(group => group.name).sort());
+      await assignmentPage.closeAssignmentModal();
+    });
+
+    test('Tenant Group Management Tests', async ({ dashboardPage, tenantGroupsPage, assignmentPage, api }) => {
+      console.log('Testing tenant group management...');
+
+      const tenant = await api.createTenant(getDataFactory().tenant());
+      const group = getDataFactory().group();
+      const backendGroupNames = async () => (await api.listGroups(tenant.id)).map(item => item.name);
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      await tenantGroupsPage.open(tenant.name);
+      test.skip(!await tenantGroupsPage.canManageGroups(), 'The groups modal of this portal is read-only');
+
+      // Added and renamed groups reach the backend
+      await tenantGroupsPage.createGroup(group.name);
+      expect(await backendGroupNames()).toContain(group.name);
+      await tenantGroupsPage.renameGroup(group.name, group.updatedName);
+      expect(await tenantGroupsPage.hasGroup(group.name)).toBeFalsy();
+      expect(await backendGroupNames()).toContain(group.updatedName);
+      expect(await backendGroupNames()).not.toContain(group.name);
+      await tenantGroupsPage.close();
+
+      // ... and are offered by the Assign modal under the new name
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.clickAssignButton(testData.credentials.email);
+      await assignmentPage.selectTenant(tenant.name);
+      expect(await assignmentPage.getAvailableUserGroups()).toContain(group.updatedName);
+      await assignmentPage.closeAssignmentModal();
+
+      // Cancelling the deletion keeps the group, confirming removes it
+      await dashboardPage.navigateToTenantList();
+      await tenantGroupsPage.open(tenant.name);
+      await tenantGroupsPage.deleteGroup(group.updatedName, { confirm: false });
+      expect(await tenantGroupsPage.hasGroup(group.updatedName)).toBeTruthy();
+      await tenantGroupsPage.deleteGroup(group.updatedName);
+      expect(await backendGroupNames()).not.toContain(group.updatedName);
+    });
+
+    test('Team Dropdown Tests', async ({ dashboardPage, assignmentPage, teamPage, api, assignableUser }) => {
+      console.log('Testing the team dropdown...');
+
+      const { tenantName } = testData.userAssignment;
+      const tenant = await api.findTenantByName(tenantName);
+      const teams = (await api.listTeams(tenant.id)).map(team => team.name);
+
+      // A second tenant lacking one of the assignment tenant's teams, to switch to
+      let other = null;
+      for (const candidate of await api.listTenants()) {
+        const candidateTeams = candidate.id === tenant.id ? [] : (await api.listTeams(candidate.id)).map(team => team.name);
+        if (candidateTeams.length > 0 && teams.some(name => !candidateTeams.includes(name))) {
+          other = { tenant: candidate, teams: candidateTeams };
+          break;
+        }
+      }
+      test.skip(!other, 'The portal has no second tenant with teams of its own');
+      const foreignTeam = teams.find(name => !other.teams.includes(name));
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.clickAssignButton(assignableUser.email);
+      await assignmentPage.waitForElement(testData.selectors.modal);
+
+      // The options are the chosen tenant's teams, read from the open popup only
+      await assignmentPage.selectTenant(tenantName);
+      expect((await teamPage.getTeamOptions()).sort()).toEqual([...teams].sort());
+
+      // Choosing another tenant replaces them
+      await assignmentPage.selectTenant(other.tenant.name);
+      expect((await teamPage.getTeamOptions()).sort()).toEqual([...other.teams].sort());
+      expect(await teamPage.isTeamOffered(foreignTeam)).toBeFalsy();
+      await expect(teamPage.selectTeam(foreignTeam)).rejects.toThrow('not a team of the chosen tenant');
+      await assignmentPage.closeAssignmentModal();
+
+      // The backend refuses a team of another tenant as well
+      const [group] = await api.listGroups(other.tenant.id);
+      const team = (await api.listTeams(tenant.id)).find(item => item.name === foreignTeam);
+      await expect(api.assignUser(assignableUser.id, { tenantId: other.tenant.id, groupId: group.id, teamId: team.id }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('Team Management Tests', async ({ dashboardPage, teamPage, assignmentPage, api, assignableUser }) => {
+      console.log('Testing team management...');
+
+      const { updatedAddress, ...tenantData } = getDataFactory().tenant();
+      const tenant = await api.createTenant(tenantData);
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+      test.skip(!await teamPage.canOpen(tenant.name), 'The portal has no teams action on the tenant list');
+      await teamPage.open(tenant.name);
+      test.skip(!await teamPage.canManageTeams(), 'The portal does not allow adding teams here');
+
+      // A team added in the modal reaches the backend
+      const team = getDataFactory().team();
+      await teamPage.createTeam(team.name);
+      expect(await teamPage.getTeamNames()).toContain(team.name);
+      await teamPage.close();
+      expect((await api.listTeams(tenant.id)).map(item => item.name)).toContain(team.name);
+
+      // It is offered for its own tenant only
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.clickAssignButton(assignableUser.email);
+      await assignmentPage.selectTenant(tenant.name);
+      expect(await teamPage.getTeamOptions()).toContain(team.name);
+      await assignmentPage.selectTenant(testData.userAssignment.tenantName);
+      expect(await teamPage.isTeamOffered(team.name)).toBeFalsy();
+      await assignmentPage.closeAssignmentModal();
+    });
+
+    test('Tenant Delete Tests', async ({ dashboardPage, tenantPage, assignmentPage, api }) => {
+      console.log('Testing tenant deletion...');
+
+      const tenant = await api.createTenant(getDataFactory().tenant());
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // Confirming removes the row and the backend record
+      await tenantPage.clickDeleteTenant(tenant.name);
+      expect(await tenantPage.isDeleteTenantModalVisible()).toBeTruthy();
+      await tenantPage.confirmDeleteTenant();
+      await tenantPage.waitForTenantRemoved(tenant.name);
+      expect(await tenantPage.tenantExists(tenant.name)).toBeFalsy();
+      await expect(api.getTenant(tenant.id)).rejects.toMatchObject({ status: 404 });
+
+      // A deleted tenant can no longer be assigned
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.clickAssignButton(testData.credentials.email);
+      await expect(assignmentPage.selectTenant(tenant.name)).rejects.toThrow('cannot be selected');
+      await assignmentPage.closeAssignmentModal();
+    });
+
+    test('Tenant Delete Cancel Tests', async ({ dashboardPage, tenantPage, api }) => {
+      console.log('Testing cancelled tenant deletion...');
+
+      const tenant = await api.createTenant(getDataFactory().tenant());
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // Cancelling keeps the row and the backend record
+      await tenantPage.deleteTenant(tenant.name, { confirm: false });
+      expect(await tenantPage.isDeleteTenantModalVisible()).toBeFalsy();
+      expect(await tenantPage.tenantExists(tenant.name)).toBeTruthy();
+      expect((await api.getTenant(tenant.id)).name).toBe(tenant.name);
+    });
+
+    test('User Assignment Tests', async ({ dashboardPage, assignmentPage, assignableUser }) => {
+      console.log('Testing user assignment...');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToSuperAdmins();
+
+      // Test user assignment
+      await assignmentPage.assignUser(assignableUser.email);
+    });
+
+    test('User Reassignment Tests', async ({ dashboardPage, assignmentPage, api, assignableUser }) => {
+      console.log('Testing user reassignment...');
+
+      const userEmail = assignableUser.email;
+      const from = getDataFactory().assignment();
+      await api.assignUserByName(userEmail, from);
+
+      // A second tenant with a group and a team, to move the user to
+      let to = null;
+      for (const candidate of await api.listTenants()) {
+        const [group] = candidate.name === from.tenantName ? [] : await api.listGroups(candidate.id);
+        const [team] = group ? await api.listTeams(candidate.id) : [];
+        if (team) {
+          to = { tenantName: candidate.name, userGroup: group.name, teamName: team.name };
+          break;
+        }
+      }
+      test.skip(!to, 'The portal has no second tenant with a group and a team');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.waitForSuperAdminsLoad();
+
+      // The current assignment is read by column, not guessed from the status
+      expect(await assignmentPage.getAssignment(userEmail))
+        .toEqual({ tenantName: from.tenantName, groupName: from.userGroup, teamName: from.teamName });
+
+      // Reassigning replaces it: one row, one assignment, and the user left the previous team
+      const previous = await assignmentPage.reassignUser(userEmail, to);
+      expect(previous.tenantName).toBe(from.tenantName);
+      expect(await assignmentPage.getAssignment(userEmail))
+        .toEqual({ tenantName: to.tenantName, groupName: to.userGroup, teamName: to.teamName });
+      expect((await assignmentPage.table.getAllRows()).filter(row => row.email === userEmail)).toHaveLength(1);
+
+      const user = await api.findUserByEmail(userEmail);
+      expect(user.assignment).toMatchObject({ tenantName: to.tenantName, groupName: to.userGroup, teamName: to.teamName });
+      const fromTenant = await api.findTenantByName(from.tenantName);
+      const fromTeam = (await api.listTeams(fromTenant.id)).find(team => team.name === from.teamName);
+      expect(fromTeam.members || []).not.toContain(userEmail);
+    });
+
+    test('User Unassign Tests', async ({ dashboardPage, assignmentPage, api, assignableUser }) => {
+      console.log('Testing user unassignment...');
+
+      const userEmail = assignableUser.email;
+      await api.assignUserByName(userEmail, getDataFactory().assignment());
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.waitForSuperAdminsLoad();
+      test.skip(!await assignmentPage.canUnassign(userEmail), 'The portal has no unassign action on the super admins list');
+
+      // Cancelling keeps the assignment
+      await assignmentPage.unassignUser(userEmail, { confirm: false });
+      expect(await assignmentPage.isUserAssigned(userEmail)).toBeTruthy();
+
+      // Confirming clears the row and the backend record
+      await assignmentPage.unassignUser(userEmail);
+      expect(await assignmentPage.getAssignment(userEmail)).toBeNull();
+      expect(await assignmentPage.canUnassign(userEmail)).toBeFalsy();
+      expect((await api.findUserByEmail(userEmail)).assignment).toBeFalsy();
+    });
+
+    test('Bulk Assignment Tests', async ({ assignmentPage, api, assignableUser }) => {
+      const factory = getDataFactory();
+      const { tenantName, userGroup, teamName } = factory.assignment();
+      // A second throwaway user, so the missing tenant row is not rejected as a duplicate
+      const otherUser = await api.createUser(factory.user());
+      const rosterFile = test.info().outputPath('roster.csv');
+      fs.writeFileSync(rosterFile, formatResults([
+        { email: assignableUser.email, tenant: tenantName, group: userGroup, team: teamName },
+        { email: otherUser.email, tenant: `${factory.nextName()} missing tenant`, group: userGroup, team: teamName },
+        { email: assignableUser.email, tenant: tenantName, group: userGroup, team: teamName },
+        { email: 'no-email', tenant: tenantName, group: '', team: teamName }
+      ], 'csv'));
+
+      // Every row gets a result; failed rows do not stop the run
+      const results = await runBulkAssignment(assignmentPage, readRoster(rosterFile));
+      expect(results.map(result => result.row)).toEqual([2, 3, 4, 5]);
+      expect(results[0].status).toBe(STATUS.assigned);
+      expect(results[1]).toMatchObject({ status: STATUS.failed, reason: expect.stringContaining('cannot be selected') });
+      expect(results[2]).toMatchObject({ status: STATUS.failed, reason: expect.stringContaining('already listed in row 2') });
+      expect(results[3]).toMatchObject({ status: STATUS.failed, reason: 'missing group' });
+      expect(await assignmentPage.getAssignment(assignableUser.email))
+        .toEqual({ tenantName, groupName: userGroup, teamName });
+      expect(await assignmentPage.getAssignment(otherUser.email)).toBeNull();
+
+      // The result file is a roster too: running it again changes nothing
+      const resultFile = test.info().outputPath('results.csv');
+      fs.writeFileSync(resultFile, formatResults(results, 'csv'));
+      const rerun = await runBulkAssignment(assignmentPage, readRoster(resultFile));
+      expect(rerun.map(result => result.status))
+        .toEqual([STATUS.alreadyAssigned, STATUS.failed, STATUS.failed, STATUS.failed]);
+    });
+
+    test('User Search Tests', async ({ dashboardPage, assignmentPage, assignableUser }) => {
+      console.log('Testing user search...');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToSuperAdmins();
+      await assignmentPage.waitForSuperAdminsLoad();
+
+      // Partial, case-insensitive search by email
+      const term = assignableUser.email.split('@')[0].toUpperCase();
+      await assignmentPage.searchBox.search(term);
+      expect(await assignmentPage.searchBox.findNonMatchingRows(term)).toEqual([]);
+      expect(await assignmentPage.table.showRow(assignableUser.email)).toBeTruthy();
+
+      expect(await assignmentPage.searchUser(assignableUser.email)).toBeTruthy();
+
+      await assignmentPage.searchBox.search('@#$%');
+      expect(await assignmentPage.searchBox.hasNoResults()).toBeTruthy();
+    });
+
+    test('Theme Toggle Tests', async ({ dashboardPage }) => {
+      console.log('Testing theme toggle...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Test theme toggle
+      const initialTheme = await dashboardPage.getCurrentTheme();
+      await dashboardPage.toggleTheme();
+      const newTheme = await dashboardPage.getCurrentTheme();
+
+      expect(newTheme).not.toBe(initialTheme);
+    });
+
+    test('Navigation Tests', async ({ dashboardPage }) => {
+      console.log('Testing navigation...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Test all navigation links
+      await expect(dashboardPage.isTenantListVisible()).toBeTruthy();
+      await expect(dashboardPage.isSuperAdminsVisible()).toBeTruthy();
+      await expect(dashboardPage.isPrivacyPolicyVisible()).toBeTruthy();
+    });
   });
 });
@@ -0,0 +1,292 @@
+/**
+ * Generated from dev-2025-10-28-22-35-25.csv by utils/specGenerator.js - regenerate instead of editing
+ * Recorded on: os: Linux 6.14.0 | browser: Chrome 141 | resolution: 1920x1080 | time: 28 Oct 2025 / 22:35:25 GMT+6
+ */
+
+const { test } = require('../../fixtures');
+const testData = require('../../config/testData');
+const GoogleSignInPage = require('../../pages/GoogleSignInPage');
+
+// Recorded selectors without a testData.selectors entry
+const recordedSelectors = {
+  loginGutterSm: "//div[@class='login gutter-sm']",
+  antModalContent: "//div[@class='ant-modal-content']",
+  sendIcon: "svg[aria-label='send']",
+  close: "//*[normalize-space()='Close']",
+  antModalWrap: "//div[@class='ant-modal-wrap']",
+  close2: "//*[normalize-space()='close']",
+  dashboardIcon: "svg[viewBox='64 64 896 896'][focusable='false'][data-icon='dashboard']"
+};
+
+test.describe('Recorded: dev-2025-10-28-22-35-25', () => {
+  test('dev-2025-10-28-22-35-25 (71 steps)', async ({ loginPage, dashboardPage, tenantPage, assignmentPage }) => {
+    await test.step('#1 Open website', async () => {
+      await loginPage.navigateToLogin();
+    });
+
+    await test.step('#2 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#3 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+
+    await test.step('#4 Click on "Sign in to your accountSign In with GoogleSign inEmailPasswordPassword is hiddenSign inReset Passwor"', async () => {
+      await loginPage.click(recordedSelectors.loginGutterSm);
+    });
+
+    await test.step('#5-6 Click on "Sign In with Google", Click on "<super_admin googleEmail>"', async () => {
+      const googleSignInPage = new GoogleSignInPage(await loginPage.openGoogleSignIn());
+      await googleSignInPage.chooseAccount(testData.credentials.googleEmail);
+    });
+
+    await test.step('#7 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#8 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+
+    await test.step('#9 Click on "Reset Password"', async () => {
+      await loginPage.clickResetPassword();
+    });
+
+    await test.step('#10 Click on "Signing in"', async () => {
+      await loginPage.clickSignIn();
+    });
+
+    await test.step('#11 Click on "account_circle"', async () => {
+      await dashboardPage.clickAccountCircle();
+    });
+
+    await test.step('#12 Click on "Privacy Policy"', async () => {
+      await dashboardPage.clickPrivacyPolicy();
+    });
+
+    await test.step('#13 Click on "Dashboard"', async () => {
+      await dashboardPage.clickDashboardButton();
+    });
+
+    await test.step('#14 Click on "tenantLogo"', async () => {
+      await dashboardPage.clickTenantLogo();
+    });
+
+    await test.step('#15 Click on "Logout from Cempal"', async () => {
+      await dashboardPage.clickLogout();
+    });
+
+    await test.step('#16 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#17 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+
+    await test.step('#18 Click on "Signing in"', async () => {
+      await loginPage.clickSignIn();
+    });
+
+    await test.step('#19 Click on "tenantLogo"', async () => {
+      await dashboardPage.clickTenantLogo();
+    });
+
+    await test.step('#20 Click on "Light ThemeDark Theme"', async () => {
+      await dashboardPage.toggleTheme();
+    });
+
+    await test.step('#21 Click on "Light ThemeDark Theme"', async () => {
+      await dashboardPage.toggleTheme();
+    });
+
+    await test.step('#22 Click on "Tenant List"', async () => {
+      await dashboardPage.navigateToTenantList();
+    });
+
+    await test.step('#23 Click on "Create new Tenant"', async () => {
+      await tenantPage.clickCreateNewTenant();
+    });
+
+    await test.step('#24 Enter "ee" into "Tenant Name"', async () => {
+      await tenantPage.fillTenantName(testData.tenant.name);
+    });
+
+    await test.step('#25 Enter "ee" into "Domain Name"', async () => {
+      await tenantPage.fillDomainName('ee');
+    });
+
+    await test.step('#26 Enter "ee" into "Contact Email"', async () => {
+      await tenantPage.fillContactEmail('ee');
+    });
+
+    await test.step('#27 Click on "Address"', async () => {
+      await tenantPage.click(testData.selectors.addressTextarea);
+    });
+
+    await test.step('#28 Enter "eee" into "Address"', async () => {
+      await tenantPage.fillAddress('eee');
+    });
+
+    await test.step('#29 Click on "Add a New TenantTenant NameDomain NamePlease enter a valid domain (e.g., example.com or sub.example."', async () => {
+      await tenantPage.click(recordedSelectors.antModalContent);
+    });
+
+    await test.step('#30 Enter "s@g.com" into "Contact Email"', async () => {
+      await tenantPage.fillContactEmail(testData.tenant.contactEmail);
+    });
+
+    await test.step('#31 Enter "" into "Domain Name"', async () => {
+      await tenantPage.fillDomainName('');
+    });
+
+    await test.step('#32 Enter "dev.cempal.craftsmenltd.com" into "Domain Name"', async () => {
+      await tenantPage.fillDomainName('dev.cempal.craftsmenltd.com');
+    });
+
+    await test.step('#33 Click on "Create Tenant"', async () => {
+      await tenantPage.clickCreateTenantSubmit();
+    });
+
+    await test.step('#34 Enter "dev.cem0pal.craftsmenltd.com" into "Domain Name"', async () => {
+      await tenantPage.fillDomainName(testData.tenant.domain);
+    });
+
+    await test.step('#35 Click on "send"', async () => {
+      await tenantPage.click(recordedSelectors.sendIcon);
+    });
+
+    await test.step('#36 Click on "read_more"', async () => {
+      await tenantPage.clickTenantAction(testData.tenant.name, 'read_more');
+    });
+
+    await test.step('#37 Click on "Close"', async () => {
+      await tenantPage.click(recordedSelectors.close);
+    });
+
+    await test.step('#38 Click on "edit_note"', async () => {
+      await tenantPage.clickTenantAction(testData.tenant.name, 'edit_note');
+    });
+
+    await test.step('#39 Click on "Address"', async () => {
+      await tenantPage.click(testData.selectors.addressTextarea);
+    });
+
+    await test.step('#40 Enter "eee12" into "Address"', async () => {
+      await tenantPage.fillAddress(testData.tenant.address);
+    });
+
+    await test.step('#41 Click on "Update"', async () => {
+      await tenantPage.clickUpdateTenant();
+    });
+
+    await test.step('#42 Click on "edit_note"', async () => {
+      await tenantPage.clickTenantAction(testData.tenant.name, 'edit_note');
+    });
+
+    await test.step('#43 Click on "Edit Tenant InformationName: eeDomain: dev.cem0pal.craftsmenltd.comContact EmailAddresseee12UpdateCa"', async () => {
+      await tenantPage.click(recordedSelectors.antModalWrap);
+    });
+
+    await test.step('#44 Click on "Update"', async () => {
+      await tenantPage.clickUpdateTenant();
+    });
+
+    await test.step('#45 Click on "groups"', async () => {
+      await tenantPage.clickTenantAction(testData.tenant.name, 'groups');
+    });
+
+    await test.step('#46 Click on "close"', async () => {
+      await tenantPage.clickCloseModal();
+    });
+
+    await test.step('#47 Click on "Super Admins"', async () => {
+      await dashboardPage.navigateToSuperAdmins();
+    });
+
+    await test.step('#48 Click on "Assign"', async () => {
+      await assignmentPage.click(testData.selectors.assignButton);
+    });
+
+    await test.step('#49-50 Click on "Tenant", Click on "@#$%"', async () => {
+      await assignmentPage.selectTenant(testData.userAssignment.tenantName);
+    });
+
+    await test.step('#51-52 Click on "Group", Click on "Tenant Admin"', async () => {
+      await assignmentPage.selectUserGroup(testData.userAssignment.userGroup);
+    });
+
+    await test.step('#53-54 Click on "Team", Click on "Cutting Shoaib Vai"', async () => {
+      await assignmentPage.selectTeam(testData.userAssignment.teamName);
+    });
+
+    await test.step('#55 Click on "Assign"', async () => {
+      await assignmentPage.clickAssignSubmit();
+    });
+
+    await test.step('#56 Click on "close"', async () => {
+      await assignmentPage.click(recordedSelectors.close2);
+    });
+
+    await test.step('#57 Click on "tenantLogo"', async () => {
+      await dashboardPage.clickTenantLogo();
+    });
+
+    await test.step('#58 Click on "Privacy Policy"', async () => {
+      await dashboardPage.clickPrivacyPolicy();
+    });
+
+    await test.step('#59 Click on "Dashboard"', async () => {
+      await dashboardPage.clickDashboardButton();
+    });
+
+    await test.step('#60 Click on "account_circle"', async () => {
+      await dashboardPage.clickAccountCircle();
+    });
+
+    await test.step('#61 Click on "Logout from Cempal"', async () => {
+      await dashboardPage.clickLogout();
+    });
+
+    await test.step('#62 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#63 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+
+    await test.step('#64 Click on "dashboard"', async () => {
+      await loginPage.click(recordedSelectors.dashboardIcon);
+    });
+
+    await test.step('#65 Reload', async () => {
+      await loginPage.reload();
+    });
+
+    await test.step('#66 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#67 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+
+    await test.step('#68 Click on "Cempal Logo"', async () => {
+      await loginPage.clickCempalLogo();
+    });
+
+    await test.step('#69 Click on "Get Started"', async () => {
+      await loginPage.clickGetStarted();
+    });
+
+    await test.step('#70 Enter "<super_admin email>" into "Email"', async () => {
+      await loginPage.enterEmail(testData.credentials.email);
+    });
+
+    await test.step('#71 Enter "******" into "Password"', async () => {
+      await loginPage.enterPassword(testData.credentials.password);
+    });
+  });
+});
@@ -3,24 +3,13 @@
  * Tests for page load times, response times, and performance metrics
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../fixtures');
 const LoginPage = require('../pages/LoginPage');
-const DashboardPage = require('../pages/DashboardPage');
-const TenantManagementPage = require('../pages/TenantManagementPage');
 const testData = require('../config/testData');
+const { authenticatedAs } = require('../utils/authState');
 
 test.describe('Cempal Portal Performance Tests', () => {
-  let loginPage;
-  let dashboardPage;
-  let tenantManagementPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-    dashboardPage = new DashboardPage(page);
-    tenantManagementPage = new TenantManagementPage(page);
-  });
-
-  test('Page Load Performance Tests', async ({ page }) => {
+  test('Page Load Performance Tests', async ({ page, loginPage, dashboardPage }) => {
     console.log('Testing page load performance...');
 
     // Test login page load time
@@ -42,77 +31,7 @@ test.describe('Cempal Portal Performance Tests', () => {
     expect(dashboardLoadTime).toBeLessThan(3000); // Should load within 3 seconds
   });
 
-  test('API Response Time Tests', async ({ page }) => {
-    console.log('Testing API response times...');
-
-    await loginPage.login();
-
-    // Monitor network requests
-    const requests = [];
-    page.on('request', request => {
-      requests.push({
-        url: request.url(),
-        method: request.method(),
-        timestamp: Date.now()
-      });
-    });
-
-    const responses = [];
-    page.on('response', response => {
-      responses.push({
-        url: response.url(),
-        status: response.status(),
-        timestamp: Date.now()
-      });
-    });
-
-    // Navigate to tenant list to trigger API calls
-    await dashboardPage.navigateToTenantList();
-    await tenantManagementPage.waitForTenantListLoad();
-
-    // Calculate response times
-    const apiResponses = responses.filter(r =>
-      r.url.includes('/api/') || r.url.includes('/graphql')
-    );
-
-    for (const response of apiResponses) {
-      const request = requests.find(r => r.url === response.url);
-      if (request) {
-        const responseTime = response.timestamp - request.timestamp;
-        console.log(`API ${response.url} response time: ${responseTime}ms`);
-        expect(responseTime).toBeLessThan(2000); // API should respond within 2 seconds
-      }
-    }
-  });
-
-  test('Memory Usage Tests', async ({ page }) => {
-    console.log('Testing memory usage...');
-
-    await loginPage.login();
-
-    // Get initial memory usage
-    const initialMemory = await page.evaluate(() => {
-      return performance.memory ? performance.memory.usedJSHeapSize : 0;
-    });
-
-    // Perform multiple operations
-    for (let i = 0; i < 10; i++) {
-      await dashboardPage.navigateToTenantList();
-      await dashboardPage.navigateToSuperAdmins();
-      await dashboardPage.navigateToDashboard();
-    }
-
-    // Get final memory usage
-    const finalMemory = await page.evaluate(() => {
-      return performance.memory ? performance.memory.usedJSHeapSize : 0;
-    });
-
-    const memoryIncrease = finalMemory - initialMemory;
-    console.log(`Memory increase: ${memoryIncrease} bytes`);
-    expect(memoryIncrease).toBeLessThan(50 * 1024 * 1024); // Should not increase by more than 50MB
-  });
-
-  test('Concurrent User Simulation', async ({ browser }) => {
+  test('Concurrent User Simulation', async ({ browser, har }) => {
     console.log('Testing concurrent user simulation...');
 
     const contexts = [];
@@ -122,6 +41,7 @@ test.describe('Cempal Portal Performance Tests', () => {
       // Create multiple browser contexts to simulate concurrent users
       for (let i = 0; i < 5; i++) {
         const context = await browser.newContext();
+        await har.attach(context);
         const page = await context.newPage();
         contexts.push(context);
         pages.push(page);
@@ -152,22 +72,7 @@ test.describe('Cempal Portal Performance Tests', () => {
     }
   });
 
-  test('Large Dataset Performance', async ({ page }) => {
-    console.log('Testing large dataset performance...');
-
-    await loginPage.login();
-    await dashboardPage.navigateToTenantList();
-
-    // Test with large number of tenants (if available)
-    const startTime = Date.now();
-    await tenantManagementPage.waitForTenantListLoad();
-    const loadTime = Date.now() - startTime;
-
-    console.log(`Tenant list load time: ${loadTime}ms`);
-    expect(loadTime).toBeLessThan(5000); // Should load within 5 seconds even with many tenants
-  });
-
-  test('Image and Asset Loading Performance', async ({ page }) => {
+  test('Image and Asset Loading Performance', async ({ page, loginPage, dashboardPage }) => {
     console.log('Testing image and asset loading performance...');
 
     const resourceTimings = [];
@@ -195,36 +100,7 @@ test.describe('Cempal Portal Performance Tests', () => {
     console.log(`Loaded ${resourceTimings.length} resources`);
   });
 
-  test('Database Query Performance', async ({ page }) => {
-    console.log('Testing database query performance...');
-
-    await loginPage.login();
-
-    // Monitor database-related requests
-    const dbRequests = [];
-    page.on('response', response => {
-      const url = response.url();
-      if (url.includes('/api/') && (url.includes('tenant') || url.includes('user'))) {
-        dbRequests.push({
-          url: url,
-          status: response.status(),
-          timestamp: Date.now()
-        });
-      }
-    });
-
-    // Perform database-intensive operations
-    await dashboardPage.navigateToTenantList();
-    await dashboardPage.navigateToSuperAdmins();
-
-    // Check that database queries are fast
-    for (const request of dbRequests) {
-      console.log(`DB request ${request.url} status: ${request.status}`);
-      expect(request.status).toBe(200);
-    }
-  });
-
-  test('Caching Performance', async ({ page }) => {
+  test('Caching Performance', async ({ page, loginPage }) => {
     console.log('Testing caching performance...');
 
     // First visit
@@ -242,4 +118,123 @@ test.describe('Cempal Portal Performance Tests', () => {
     console.log(`First visit: ${firstVisitTime}ms, Second visit: ${secondVisitTime}ms`);
     expect(secondVisitTime).toBeLessThan(firstVisitTime); // Second visit should be faster
   });
+
+  test.describe('Signed in as super admin', () => {
+    // Starts from the session saved by global-setup.js instead of the login form
+    test.use(authenticatedAs('super_admin'));
+
+    test('API Response Time Tests', async ({ page, dashboardPage, tenantPage }) => {
+      console.log('Testing API response times...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Monitor network requests
+      const requests = [];
+      page.on('request', request => {
+        requests.push({
+          url: request.url(),
+          method: request.method(),
+          timestamp: Date.now()
+        });
+      });
+
+      const responses = [];
+      page.on('response', response => {
+        responses.push({
+          url: response.url(),
+          status: response.status(),
+          timestamp: Date.now()
+        });
+      });
+
+      // Navigate to tenant list to trigger API calls
+      await dashboardPage.navigateToTenantList();
+      await tenantPage.waitForTenantListLoad();
+
+      // Calculate response times
+      const apiResponses = responses.filter(r =>
+        r.url.includes('/api/') || r.url.includes('/graphql')
+      );
+
+      for (const response of apiResponses) {
+        const request = requests.find(r => r.url === response.url);
+        if (request) {
+          const responseTime = response.timestamp - request.timestamp;
+          console.log(`API ${response.url} response time: ${responseTime}ms`);
+          expect(responseTime).toBeLessThan(2000); // API should respond within 2 seconds
+        }
+      }
+    });
+
+    test('Memory Usage Tests', async ({ page, dashboardPage }) => {
+      console.log('Testing memory usage...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Get initial memory usage
+      const initialMemory = await page.evaluate(() => {
+        return performance.memory ? performance.memory.usedJSHeapSize : 0;
+      });
+
+      // Perform multiple operations
+      for (let i = 0; i < 10; i++) {
+        await dashboardPage.navigateToTenantList();
+        await dashboardPage.navigateToSuperAdmins();
+        await dashboardPage.navigateToDashboard();
+      }
+
+      // Get final memory usage
+      const finalMemory = await page.evaluate(() => {
+        return performance.memory ? performance.memory.usedJSHeapSize : 0;
+      });
+
+      const memoryIncrease = finalMemory - initialMemory;
+      console.log(`Memory increase: ${memoryIncrease} bytes`);
+      expect(memoryIncrease).toBeLessThan(50 * 1024 * 1024); // Should not increase by more than 50MB
+    });
+
+    test('Large Dataset Performance', async ({ dashboardPage, tenantPage }) => {
+      console.log('Testing large dataset performance...');
+
+      await dashboardPage.navigateToDashboard();
+      await dashboardPage.navigateToTenantList();
+
+      // Test with large number of tenants (if available)
+      const startTime = Date.now();
+      await tenantPage.waitForTenantListLoad();
+      const loadTime = Date.now() - startTime;
+
+      console.log(`Tenant list load time: ${loadTime}ms`);
+      expect(loadTime).toBeLessThan(5000); // Should load within 5 seconds even with many tenants
+    });
+
+    test('Database Query Performance', async ({ page, dashboardPage }) => {
+      console.log('Testing database query performance...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Monitor database-related requests
+      const dbRequests = [];
+      page.on('response', response => {
+        const url = response.url();
+        if (url.includes('/api/') && (url.includes('tenant') || url.includes('user'))) {
+          dbRequests.push({
+            url: url,
+            status: response.status(),
+            timestamp: Date.now()
+          });
+        }
+      });
+
+      // Perform database-intensive operations
+      await dashboardPage.navigateToTenantList();
+      await dashboardPage.navigateToSuperAdmins();
+
+      // Check that database queries are fast
+      for (const request of dbRequests) {
+        console.log(`DB request ${request.url} status: ${request.status}`);
+        expect(request.status).toBe(200);
+      }
+    });
+  });
 });
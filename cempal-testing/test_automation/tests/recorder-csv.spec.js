@@ -0,0 +1,38 @@
+/**
+ * Recorder CSV Tests for Cempal Portal
+ * Replays test recorder exports (e.g. dev-2025-10-28-22-35-25.csv) row by row
+ *
+ * RECORDER_CSV selects the exports to run (comma separated paths, relative to this project);
+ * by default the 71-step export at the repository root is replayed.
+ */
+
+const path = require('path');
+const { test } = require('../fixtures');
+const { readRecorderCsv } = require('../utils/recorderCsv');
+const CsvStepRunner = require('../utils/csvStepRunner');
+
+const DEFAULT_EXPORTS = ['../../dev-2025-10-28-22-35-25.csv'];
+const exportPaths = (process.env.RECORDER_CSV ? process.env.RECORDER_CSV.split(',') : DEFAULT_EXPORTS)
+  .map(file => path.resolve(__dirname, '..', file.trim()));
+
+test.describe('Cempal Portal Recorder CSV Tests', () => {
+  for (const exportPath of exportPaths) {
+    const { environment, steps } = readRecorderCsv(exportPath);
+
+    test(`${path.basename(exportPath)} (${steps.length} steps)`, async ({ page }, testInfo) => {
+      const recordedOn = Object.entries(environment).map(([key, value]) => `${key}: ${value}`).join(' | ');
+      testInfo.annotations.push({ type: 'recorded environment', description: recordedOn });
+
+      const runner = new CsvStepRunner(page);
+      try {
+        await runner.run(steps);
+      } finally {
+        console.log(runner.summary());
+        await testInfo.attach('csv-step-results', {
+          body: JSON.stringify({ export: path.basename(exportPath), environment, results: runner.results }, null, 2),
+          contentType: 'application/json'
+        });
+      }
+    });
+  }
+});
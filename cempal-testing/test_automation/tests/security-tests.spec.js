@@ -3,21 +3,12 @@
  * Tests for authentication, authorization, and security vulnerabilities
  */
 
-const { test, expect } = require('@playwright/test');
-const LoginPage = require('../pages/LoginPage');
-const DashboardPage = require('../pages/DashboardPage');
+const { test, expect } = require('../fixtures');
 const testData = require('../config/testData');
+const { authenticatedAs } = require('../utils/authState');
 
 test.describe('Cempal Portal Security Tests', () => {
-  let loginPage;
-  let dashboardPage;
-
-  test.beforeEach(async ({ page }) => {
-    loginPage = new LoginPage(page);
-    dashboardPage = new DashboardPage(page);
-  });
-
-  test('Authentication Security Tests', async ({ page }) => {
+  test('Authentication Security Tests', async ({ loginPage }) => {
     console.log('Testing authentication security...');
 
     // Test invalid credentials
@@ -40,7 +31,7 @@ test.describe('Cempal Portal Security Tests', () => {
     await expect(loginPage.isLoginFailed()).toBeTruthy();
   });
 
-  test('Session Management Tests', async ({ page }) => {
+  test('Session Management Tests', async ({ page, loginPage, dashboardPage }) => {
     console.log('Testing session management...');
 
     // Test session persistence
@@ -56,20 +47,7 @@ test.describe('Cempal Portal Security Tests', () => {
     await expect(loginPage.isLoginFormVisible()).toBeTruthy();
   });
 
-  test('Authorization Tests', async ({ page }) => {
-    console.log('Testing authorization...');
-
-    await loginPage.login();
-
-    // Test role-based access
-    await expect(dashboardPage.hasRole('super_admin')).toBeTruthy();
-
-    // Test direct URL access
-    await page.goto('/super-admins');
-    await expect(dashboardPage.isLoggedIn()).toBeTruthy();
-  });
-
-  test('Input Validation Tests', async ({ page }) => {
+  test('Input Validation Tests', async ({ loginPage }) => {
     console.log('Testing input validation...');
 
     await loginPage.navigateToLogin();
@@ -95,7 +73,7 @@ test.describe('Cempal Portal Security Tests', () => {
     }
   });
 
-  test('Password Security Tests', async ({ page }) => {
+  test('Password Security Tests', async ({ loginPage }) => {
     console.log('Testing password security...');
 
     await loginPage.navigateToLogin();
@@ -110,28 +88,16 @@ test.describe('Cempal Portal Security Tests', () => {
     await expect(loginPage.isLoginFailed()).toBeTruthy();
   });
 
-  test('CSRF Protection Tests', async ({ page }) => {
-    console.log('Testing CSRF protection...');
-
-    await loginPage.login();
-
-    // Test if forms have CSRF tokens
-    const forms = await page.locator('form').all();
-    for (const form of forms) {
-      const csrfToken = await form.locator('input[name*="csrf"], input[name*="token"]').count();
-      expect(csrfToken).toBeGreaterThan(0);
-    }
-  });
-
   test('HTTPS Enforcement Tests', async ({ page }) => {
     console.log('Testing HTTPS enforcement...');
+    test.skip(!testData.baseUrl.startsWith('https:'), `${testData.profile} is not served over HTTPS`);
 
     // Test redirect to HTTPS
-    await page.goto('http://dev.cempal.craftsmenltd.com/login');
+    await page.goto(`${testData.baseUrl.replace(/^https:/, 'http:')}/login`);
     await expect(page).toHaveURL(/^https:/);
   });
 
-  test('Content Security Policy Tests', async ({ page }) => {
+  test('Content Security Policy Tests', async ({ page, loginPage }) => {
     console.log('Testing Content Security Policy...');
 
     await loginPage.navigateToLogin();
@@ -141,4 +107,35 @@ test.describe('Cempal Portal Security Tests', () => {
     const cspHeader = response.headers()['content-security-policy'];
     expect(cspHeader).toBeDefined();
   });
+
+  test.describe('Signed in as super admin', () => {
+    // Starts from the session saved by global-setup.js instead of the login form
+    test.use(authenticatedAs('super_admin'));
+
+    test('Authorization Tests', async ({ page, dashboardPage }) => {
+      console.log('Testing authorization...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Test role-based access
+      await expect(dashboardPage.hasRole('super_admin')).toBeTruthy();
+
+      // Test direct URL access
+      await page.goto('/super-admins');
+      await expect(dashboardPage.isLoggedIn()).toBeTruthy();
+    });
+
+    test('CSRF Protection Tests', async ({ page, dashboardPage }) => {
+      console.log('Testing CSRF protection...');
+
+      await dashboardPage.navigateToDashboard();
+
+      // Test if forms have CSRF tokens
+      const forms = await page.locator('form').all();
+      for (const form of forms) {
+        const csrfToken = await form.locator('input[name*="csrf"], input[name*="token"]').count();
+        expect(csrfToken).toBeGreaterThan(0);
+      }
+    });
+  });
 });
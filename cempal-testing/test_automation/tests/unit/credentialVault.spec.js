@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { createCredentialVault, encryptCredentials } = require('../../utils/credentialVault');
+const { secretMasker } = require('../../utils/secretMasker');
+const { ConfigError } = require('../../config/environment');
+
+const CREDENTIALS_KEY = 'unit test passphrase';
+
+/**
+ * Vault of a profile built from the given variables only: no .env files, and an encrypted file when given
+ * @param {string} profile - Profile name
+ * @param {Object} env - Environment variables
+ * @param {Object} document - Plain credentials to encrypt, none by default
+ * @returns {import('../../utils/credentialVault').CredentialVault} Vault
+ */
+function vaultOf(profile, env = {}, document = null) {
+  const rootDir = test.info().outputPath('root');
+  const credentialsFile = test.info().outputPath('credentials.enc.json');
+  fs.mkdirSync(rootDir, { recursive: true });
+  if (document) {
+    fs.writeFileSync(credentialsFile, JSON.stringify(encryptCredentials(document, CREDENTIALS_KEY)));
+  }
+  return createCredentialVault({
+    profile,
+    rootDir,
+    env: { CREDENTIALS_FILE: credentialsFile, CREDENTIALS_KEY, ...env }
+  });
+}
+
+test.describe('credential vault resolution', () => {
+  test('takes variables over the encrypted file, and the file over the profile', () => {
+    const vault = vaultOf('dev', { SUPER_ADMIN_PASSWORD: 'env-password' }, {
+      dev: { super_admin: { email: 'file.admin@example.com', password: 'file-password', totpSecret: 'FILESECRET' } }
+    });
+
+    expect(vault.getAccount('super_admin')).toEqual({
+      email: 'file.admin@example.com',
+      password: 'env-password',
+      googleEmail: 'mehedimohammad7728@gmail.com',
+      totpSecret: 'FILESECRET'
+    });
+  });
+
+  test('reads only the accounts of the selected profile from the file', () => {
+    const vault = vaultOf('dev', {}, {
+      staging: { tenant_admin: { email: 'tenant.admin@example.com', password: 'staging-password' } }
+    });
+
+    expect(vault.hasAccount('tenant_admin')).toBe(false);
+  });
+
+  test('takes the role variable over the legacy super admin variable', () => {
+    expect(vaultOf('dev', { TEST_PASSWORD: 'legacy-password' }).getAccount('super_admin').password).toBe('legacy-password');
+    expect(vaultOf('dev', { TEST_PASSWORD: 'legacy-password', SUPER_ADMIN_PASSWORD: 'role-password' })
+      .getAccount('super_admin').password).toBe('role-password');
+  });
+
+  test('takes the accounts of a mock portal profile from the profile only', () => {
+    const vault = vaultOf('local-mock', { TEST_PASSWORD: 'env-password', TENANT_ADMIN_EMAIL: 'someone@example.com' }, {
+      'local-mock': { team_lead: { password: 'file-password' } }
+    });
+
+    expect(vault.getAccount('super_admin').password).toBe('MockPortal#2025');
+    expect(vault.getAccount('tenant_admin').email).toBe('tenant.admin@cempal.local');
+    expect(vault.getAccount('team_lead').password).toBe('MockPortal#2025');
+  });
+
+  test('fails with the missing fields and the variables that set them', () => {
+    const vault = vaultOf('dev');
+
+    expect(vault.listRoles()).toEqual([]);
+    expect(() => vault.getAccount('super_admin')).toThrow(ConfigError);
+    expect(() => vault.getAccount('super_admin')).toThrow('No password for role "super_admin" in test environment profile "dev"');
+    expect(() => vault.getAccount('super_admin')).toThrow('set SUPER_ADMIN_PASSWORD or TEST_PASSWORD, or add dev.super_admin.password');
+    expect(() => vault.getAccount('auditor')).toThrow('Unknown role "auditor"');
+  });
+});
+
+test.describe('credential vault masking', () => {
+  test('registers passwords, TOTP secrets and secret variables', () => {
+    vaultOf('dev', { TENANT_ADMIN_EMAIL: 'tenant.admin@example.com', TENANT_ADMIN_PASSWORD: 'p@ss word!', RECORDER_PASSWORD: 'recorder-secret' }, {
+      dev: { team_lead: { email: 'team.lead@example.com', password: 'lead-password', totpSecret: 'LEADSECRET' } }
+    });
+
+    expect(secretMasker.mask('tenant.admin@example.com / p@ss word!')).toBe('tenant.admin@example.com / ******');
+    expect(secretMasker.mask(`password=${encodeURIComponent('p@ss word!')}`)).toBe('password=******');
+    expect(secretMasker.mask('lead-password LEADSECRET recorder-secret')).toBe('****** ****** ******');
+    expect(secretMasker.mask(CREDENTIALS_KEY)).toBe('******');
+  });
+
+  test('leaves the console alone', () => {
+    const { log, error } = console;
+    vaultOf('dev', { SUPER_ADMIN_PASSWORD: 'console-password' });
+
+    expect(console.log).toBe(log);
+    expect(console.error).toBe(error);
+  });
+});
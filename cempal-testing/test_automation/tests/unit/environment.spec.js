@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadEnvironment, ConfigError, PROJECT_ROOT } = require('../../config/environment');
+
+/**
+ * Directory holding the given .env files
+ * @param {Object} files - Contents by file name, e.g. { '.env': 'HEADLESS=false' }
+ * @returns {string} Directory
+ */
+function envDir(files = {}) {
+  const rootDir = test.info().outputPath('root');
+  fs.mkdirSync(rootDir, { recursive: true });
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(rootDir, name), content));
+  return rootDir;
+}
+
+/**
+ * Error thrown by a call
+ * @param {Function} call - Call expected to throw
+ * @returns {Error} Error
+ */
+function errorOf(call) {
+  try {
+    call();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+}
+
+test.describe('environment loader', () => {
+  test('converts the variables to the types of their settings', () => {
+    const config = loadEnvironment({
+      profile: 'dev',
+      rootDir: envDir(),
+      env: { HEADLESS: 'FALSE', SLOW_MO: '250', HAR_MODE: 'replay', TEST_DATA_SEED: '42', MEDIUM_TIMEOUT: '15000' }
+    });
+
+    expect(config.browser).toMatchObject({ headless: false, slowMo: 250 });
+    expect(config.har.mode).toBe('replay');
+    expect(config.dataSeed).toBe(42);
+    expect(config.timeouts).toEqual({ short: 5000, medium: 15000, long: 30000, veryLong: 60000 });
+  });
+
+  test('takes the shell over .env.<profile>, .env over the profile, and ignores empty values', () => {
+    const config = loadEnvironment({
+      profile: 'dev',
+      rootDir: envDir({ '.env': 'TENANT_NAME=from-env-file\nUSER_GROUP=Team Lead\nADDRESS=', '.env.dev': 'TENANT_NAME=from-profile-file' }),
+      env: { USER_GROUP: 'Employee' }
+    });
+
+    expect(config.tenant).toMatchObject({ name: 'from-profile-file', address: 'eee12' });
+    expect(config.userAssignment.userGroup).toBe('Employee');
+  });
+
+  test('lists every malformed value in one ConfigError', () => {
+    const error = errorOf(() => loadEnvironment({
+      profile: 'dev',
+      rootDir: envDir(),
+      env: { SLOW_MO: 'fast', HEADLESS: 'maybe', HAR_MODE: 'rewind', SHORT_TIMEOUT: '-1', BASE_URL: 'dev.cempal.local' }
+    }));
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'HEADLESS must be true or false (got "maybe")',
+      'SLOW_MO must be a non-negative integer (got "fast")',
+      'HAR_MODE must be one of off, record, replay (got "rewind")',
+      'SHORT_TIMEOUT must be a non-negative integer (got "-1")',
+      'BASE_URL must be an absolute URL (got "dev.cempal.local")'
+    ]);
+    expect(error.message).toContain('Invalid configuration for test environment profile "dev"');
+  });
+
+  test('requires the keys a profile leaves unset', () => {
+    const error = errorOf(() => loadEnvironment({ profile: 'staging', rootDir: envDir(), env: {} }));
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual(['BASE_URL is required (baseUrl)']);
+    expect(loadEnvironment({ profile: 'staging', rootDir: envDir(), env: { BASE_URL: 'https://staging.example.com/' } }).baseUrl)
+      .toBe('https://staging.example.com');
+  });
+
+  test('rejects an unknown profile', () => {
+    expect(() => loadEnvironment({ profile: 'prod', rootDir: envDir(), env: {} }))
+      .toThrow('Unknown test environment profile "prod". Available profiles: dev, local-mock, staging');
+  });
+
+  test('keeps the values of the profile when env.example is copied to .env', () => {
+    const rootDir = envDir({ '.env': fs.readFileSync(path.join(PROJECT_ROOT, 'env.example'), 'utf8') });
+    const config = loadEnvironment({ rootDir, env: { TEST_ENV: 'local-mock' } });
+
+    expect(config.profile).toBe('local-mock');
+    expect(config.baseUrl).toBe('http://127.0.0.1:3000');
+    expect(config.browser).toMatchObject({ headless: true, slowMo: 0 });
+    expect(config.mailboxUrl).toBe('http://127.0.0.1:3000/__mock/mailbox');
+  });
+});
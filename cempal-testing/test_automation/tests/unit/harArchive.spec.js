@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { redactEntry, mergeRecordings, specHarPath } = require('../../utils/harArchive');
+
+/**
+ * Unsigned JWT with the given claims
+ * @param {Object} claims - Payload
+ * @returns {string} Token
+ */
+function jwt(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'RS256' })}.${encode(claims)}.signature`;
+}
+
+/**
+ * Decode the payload of a JWT
+ * @param {string} token - Token
+ * @returns {Object} Claims
+ */
+function claimsOf(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+/**
+ * HAR entry of a JSON call
+ * @param {Object} options - Entry fields
+ * @returns {Object} HAR entry
+ */
+function entry({ method = 'GET', url, requestBody, responseBody = {}, startedDateTime = '2025-01-01T00:00:00.000Z', headers = [] }) {
+  return {
+    startedDateTime,
+    request: {
+      method,
+      url,
+      headers,
+      cookies: [{ name: 'session', value: 'secret' }],
+      ...(requestBody ? { postData: { mimeType: 'application/json', text: JSON.stringify(requestBody) } } : {})
+    },
+    response: {
+      status: 200,
+      headers: [{ name: 'Content-Length', value: '10' }, { name: 'Set-Cookie', value: 'session=secret' }],
+      cookies: [{ name: 'session', value: 'secret' }],
+      content: { mimeType: 'application/json', text: JSON.stringify(responseBody) }
+    }
+  };
+}
+
+/**
+ * Write a HAR file
+ * @param {string} file - HAR path
+ * @param {Array<Object>} entries - Entries
+ */
+function writeHar(file, entries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ log: { version: '1.2', creator: { name: 'Playwright' }, entries } }));
+}
+
+test.describe('redactEntry', () => {
+  test('redacts secret headers and cookies, and drops content-length', () => {
+    const redacted = redactEntry(entry({
+      url: 'https://portal.example.com/api/me',
+      headers: [{ name: 'Authorization', value: `Bearer ${jwt({ sub: 'u-1' })}` }, { name: 'Accept', value: 'application/json' }]
+    }));
+
+    expect(redacted.request.headers).toEqual([
+      { name: 'Authorization', value: 'REDACTED' },
+      { name: 'Accept', value: 'application/json' }
+    ]);
+    expect(redacted.request.cookies).toEqual([]);
+    expect(redacted.response.headers).toEqual([{ name: 'Set-Cookie', value: 'REDACTED' }]);
+    expect(redacted.response.cookies).toEqual([]);
+  });
+
+  test('replaces tokens with unsigned ones that do not expire and redacts passwords', () => {
+    const token = jwt({ email: 'admin@example.com', exp: 1700000000 });
+    const redacted = redactEntry(entry({
+      url: 'https://portal.example.com/api/auth/refresh',
+      responseBody: { accessToken: token, refreshToken: 'refresh-secret', user: { password: 'Secret1!' } }
+    }));
+
+    const body = JSON.parse(redacted.response.content.text);
+    expect(body.accessToken).toMatch(/\.redacted$/);
+    expect(claimsOf(body.accessToken)).toEqual({ email: 'admin@example.com', exp: 4102444800 });
+    expect(body.refreshToken).toBe('REDACTED');
+    expect(body.user.password).toBe('REDACTED');
+    expect(redacted.response.content.size).toBe(Buffer.byteLength(redacted.response.content.text));
+  });
+
+  test('keeps emails in URLs and bodies, so replayed requests and assertions match', () => {
+    const url = 'https://portal.example.com/api/users?search=admin%40example.com&email=admin@example.com';
+    const redacted = redactEntry(entry({
+      url,
+      responseBody: { items: [{ email: 'admin@example.com', name: 'Admin' }] }
+    }));
+
+    expect(redacted.request.url).toBe(url);
+    expect(JSON.parse(redacted.response.content.text)).toEqual({ items: [{ email: 'admin@example.com', name: 'Admin' }] });
+  });
+
+  test('drops a request body holding a secret and keeps the others', () => {
+    const signIn = redactEntry(entry({
+      method: 'POST',
+      url: 'https://portal.example.com/api/auth/sign-in',
+      requestBody: { email: 'admin@example.com', password: 'Secret1!' }
+    }));
+    const create = redactEntry(entry({
+      method: 'POST',
+      url: 'https://portal.example.com/api/tenants',
+      requestBody: { name: 'Acme', contactEmail: 'admin@example.com' }
+    }));
+
+    expect(signIn.request.postData).toBeUndefined();
+    expect(JSON.parse(create.request.postData.text)).toEqual({ name: 'Acme', contactEmail: 'admin@example.com' });
+  });
+
+  test('leaves binary content alone', () => {
+    const recorded = entry({ url: 'https://portal.example.com/logo.png' });
+    recorded.response.content = { mimeType: 'image/png', encoding: 'base64', text: 'iVBORw0KGgo=' };
+
+    expect(redactEntry(recorded).response.content).toEqual(recorded.response.content);
+  });
+});
+
+test.describe('mergeRecordings', () => {
+  const profile = 'unit';
+  const spec = 'tenant-tests.spec.js';
+
+  test('merges the recordings of a spec into its archive, replacing the entries recorded again', () => {
+    const harRoot = test.info().outputPath('hars');
+    const recordingDir = path.join(harRoot, '.recording', profile, encodeURIComponent(spec));
+    const target = specHarPath(spec, { harRoot, profile });
+
+    writeHar(target, [
+      entry({ url: 'https://portal.example.com/api/tenants', responseBody: { items: ['old'] } }),
+      entry({ url: 'https://portal.example.com/api/users', responseBody: { items: ['kept'] } })
+    ]);
+    writeHar(path.join(recordingDir, 'test-1-chromium-1.har'), [
+      entry({ url: 'https://portal.example.com/api/tenants', responseBody: { items: ['new'] }, startedDateTime: '2025-01-02T00:00:01.000Z' })
+    ]);
+    writeHar(path.join(recordingDir, 'test-2-chromium-1.har'), [
+      entry({
+        url: 'https://portal.example.com/',
+        headers: [{ name: 'Authorization', value: 'Bearer secret' }],
+        startedDateTime: '2025-01-02T00:00:00.000Z'
+      })
+    ]);
+
+    expect(mergeRecordings({ harRoot, profile })).toEqual([{ file: target, entries: 3 }]);
+
+    const { entries } = JSON.parse(fs.readFileSync(target, 'utf8')).log;
+    expect(entries.map(item => item.request.url)).toEqual([
+      'https://portal.example.com/',
+      'https://portal.example.com/api/tenants',
+      'https://portal.example.com/api/users'
+    ]);
+    expect(entries[0].request.headers).toEqual([{ name: 'Authorization', value: 'REDACTED' }]);
+    expect(JSON.parse(entries[1].response.content.text)).toEqual({ items: ['new'] });
+    expect(JSON.parse(entries[2].response.content.text)).toEqual({ items: ['kept'] });
+    expect(fs.existsSync(path.join(harRoot, '.recording', profile))).toBeFalsy();
+  });
+
+  test('writes nothing when nothing was recorded', () => {
+    expect(mergeRecordings({ harRoot: test.info().outputPath('hars'), profile })).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const HealingReporter = require('../../utils/healingReporter');
+const { HEALED_ANNOTATION } = require('../../utils/selfHealing');
+
+/**
+ * Test as the reporter sees it
+ * @param {string} title - Test title
+ * @param {Array<Object>} healings - Healed selectors annotated on the test
+ * @returns {{test: Object, result: Object}} Test and result
+ */
+function testWith(title, healings) {
+  return {
+    test: {
+      titlePath: () => ['', 'chromium', 'login.spec.js', title],
+      annotations: healings.map(healing => ({ type: HEALED_ANNOTATION, description: JSON.stringify(healing) }))
+    },
+    result: { annotations: [] }
+  };
+}
+
+/**
+ * Run the reporter over tests, keeping its console output
+ * @param {HealingReporter} reporter - Reporter
+ * @param {Array<Object>} tests - Tests from testWith
+ * @returns {Array<string>} Printed lines
+ */
+function report(reporter, tests) {
+  const printed = [];
+  const { log } = console;
+  console.log = (...args) => printed.push(args.join(' '));
+  try {
+    tests.forEach(item => reporter.onTestEnd(item.test, item.result));
+    reporter.onEnd();
+  } finally {
+    console.log = log;
+  }
+  return printed;
+}
+
+test.describe('healing reporter', () => {
+  const healing = { selector: 'emailInput', failed: ['css'], matched: 'label' };
+
+  test('lists every healed selector once, with the tests it healed in', () => {
+    const outputFile = test.info().outputPath('healed-selectors.json');
+    const printed = report(new HealingReporter({ outputFile }), [testWith('signs in', [healing]), testWith('signs out', [healing])]);
+
+    expect(JSON.parse(fs.readFileSync(outputFile, 'utf8'))).toEqual([
+      { ...healing, tests: ['chromium › login.spec.js › signs in', 'chromium › login.spec.js › signs out'] }
+    ]);
+    expect(printed.join('\n')).toContain('emailInput: css did not match, healed with label (2 tests)');
+  });
+
+  test('replaces the report of an earlier run with an empty list when nothing healed', () => {
+    const outputFile = test.info().outputPath('healed-selectors.json');
+    fs.writeFileSync(outputFile, JSON.stringify([{ ...healing, tests: ['an earlier run'] }]));
+
+    const printed = report(new HealingReporter({ outputFile }), [testWith('signs in', [])]);
+
+    expect(JSON.parse(fs.readFileSync(outputFile, 'utf8'))).toEqual([]);
+    expect(printed).toEqual([]);
+  });
+});
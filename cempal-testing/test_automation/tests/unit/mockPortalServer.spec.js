@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const { startPortalServer } = require('../../mock-portal/server');
+
+test.describe('mock portal server', () => {
+  let portal;
+
+  test.beforeAll(async () => {
+    portal = await startPortalServer({ port: 0 });
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => portal.server.close(resolve));
+  });
+
+  /**
+   * Request a path without following redirects
+   * @param {string} path - Path and query
+   * @returns {Promise<Response>} Response
+   */
+  function get(path) {
+    return fetch(`${portal.url}${path}`, { redirect: 'manual' });
+  }
+
+  /**
+   * Account chooser answer of the identity provider
+   * @param {string|undefined} redirectUri - redirect_uri parameter, left out if undefined
+   * @returns {string} Path and query
+   */
+  function selectAccount(redirectUri) {
+    const params = new URLSearchParams({ client_id: 'cempal-portal', response_type: 'code', state: 'state-1', email: 'nobody@example.com' });
+    if (redirectUri !== undefined) {
+      params.set('redirect_uri', redirectUri);
+    }
+    return `/mock-idp/select?${params}`;
+  }
+
+  test('answers a malformed percent-encoding in an API path with 400', async () => {
+    const response = await get('/api/tenants/%E0');
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toContain('%E0');
+  });
+
+  for (const [name, redirectUri] of [['a missing', undefined], ['an invalid', 'not a url'], ['a foreign', 'https://attacker.example/callback']]) {
+    test(`rejects ${name} redirect_uri at the identity provider`, async () => {
+      const response = await get(selectAccount(redirectUri));
+
+      expect(response.status).toBe(400);
+      expect(response.headers.get('location')).toBeNull();
+    });
+  }
+
+  test('redirects to a redirect_uri of the portal itself', async () => {
+    const response = await get(selectAccount(`${portal.url}/oauth2/idpresponse`));
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe(`${portal.url}/oauth2/idpresponse?error=access_denied&state=state-1`);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Cempal Portal REST API client for Cempal Portal testing
+ * Sets up and verifies state without the UI, using the access token of a role's saved session
+ * (storageState, see utils/authState.js). Calls go to testData.apiUrl (API_URL, <BASE_URL>/api by default).
+ *
+ * Usage:
+ *   const api = await createApiClient({ browser });
+ *   const tenant = await api.createTenant(getDataFactory().tenant());
+ *   await api.assignUserByName('user@example.com', getDataFactory().assignment({ tenantName: tenant.name }));
+ *   await api.dispose();
+ *
+ * Given an entity ledger (utils/entityLedger.js), created tenants, users and assignments are cleaned up after the
+ * test like the ones created through the page objects.
+ */
+
+const { request } = require('@playwright/test');
+const testData = require('../config/testData');
+const { getAccessToken } = require('./authState');
+
+/**
+ * Error raised for a failed API call, with the HTTP status and the field errors of the response
+ */
+class ApiError extends Error {
+  constructor(method, url, status, body = {}) {
+    super(`${method} ${url} failed with ${status}${body.message ? `: ${body.message}` : ''}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fields = body.fields || {};
+  }
+}
+
+class CempalApiClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} context - Request context with the Authorization header
+   * @param {Object} options - Client options
+   * @param {string} options.apiUrl - API base URL
+   * @param {import('./entityLedger').EntityLedger} options.ledger - Ledger recording created tenants, users and assignments
+   */
+  constructor(context, { apiUrl = testData.apiUrl, ledger = null } = {}) {
+    this.context = context;
+    this.apiUrl = apiUrl;
+    this.ledger = ledger;
+  }
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API URL, e.g. /tenants
+   * @param {Object} data - JSON body
+   * @returns {Promise<Object>} Response body
+   */
+  async call(method, path, data) {
+    const url = `${this.apiUrl}${path}`;
+    const response = await this.context.fetch(url, { method, data });
+    if (!response.ok()) {
+      throw new ApiError(method, path, response.status(), await response.json().catch(() => ({})));
+    }
+    return response.json();
+  }
+
+  /**
+   * List all tenants
+   * @returns {Promise<Array<Object>>} Tenants
+   */
+  async listTenants() {
+    return (await this.call('GET', '/tenants')).items;
+  }
+
+  /**
+   * Get a tenant by id
+   * @param {string} tenantId - Tenant id
+   * @returns {Promise<Object>} Tenant
+   */
+  async getTenant(tenantId) {
+    return this.call('GET', `/tenants/${encodeURIComponent(tenantId)}`);
+  }
+
+  /**
+   * Find a tenant by its exact name
+   * @param {string} name - Tenant name
+   * @returns {Promise<Object|undefined>} Newest tenant of that name
+   */
+  async findTenantByName(name) {
+    return (await this.listTenants()).filter(tenant => tenant.name === name).pop();
+  }
+
+  /**
+   * Create a tenant
+   * @param {{name: string, domain: string, contactEmail: string, address: string}} tenant - Tenant data (e.g. from the data factory)
+   * @returns {Promise<Object>} Created tenant
+   */
+  async createTenant({ name, domain, contactEmail, address }) {
+    const existingIds = this.ledger ? await this.ledger.tenantIdsNamed(name) : undefined;
+    const tenant = await this.call('POST', '/tenants', { name, domain, contactEmail, address });
+    if (this.ledger) {
+      await this.ledger.trackTenant(name, existingIds);
+    }
+    return tenant;
+  }
+
+  /**
+   * Update the editable fields of a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {{contactEmail: string, address: string}} changes - Fields to change
+   * @returns {Promise<Object>} Updated tenant
+   */
+  async updateTenant(tenantId, { contactEmail, address }) {
+    return this.call('PUT', `/tenants/${encodeURIComponent(tenantId)}`, { contactEmail, address });
+  }
+
+  /**
+   * Delete a tenant
+   * @param {string} tenantId - Tenant id
+   * @returns {Promise<Object>} Deleted tenant
+   */
+  async deleteTenant(tenantId) {
+    return this.call('DELETE', `/tenants/${encodeURIComponent(tenantId)}`);
+  }
+
+  /**
+   * List the groups of a tenant
+   * @param {string} tenantId - Tenant id
+   * @returns {Promise<Array<Object>>} Groups with their member emails
+   */
+  async listGroups(tenantId) {
+    return (await this.call('GET', `/tenants/${encodeURIComponent(tenantId)}/groups`)).items;
+  }
+
+  /**
+   * Create a group in a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Group name
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(tenantId, name) {
+    if (this.ledger) {
+      await this.ledger.trackGroup((await this.getTenant(tenantId)).name, name);
+    }
+    return this.call('POST', `/tenants/${encodeURIComponent(tenantId)}/groups`, { name });
+  }
+
+  /**
+   * Rename a group of a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} groupId - Group id
+   * @param {string} name - New group name
+   * @returns {Promise<Object>} Renamed group
+   */
+  async renameGroup(tenantId, groupId, name) {
+    if (this.ledger) {
+      const group = (await this.listGroups(tenantId)).find(item => item.id === groupId);
+      if (group) {
+        await this.ledger.trackGroupRename((await this.getTenant(tenantId)).name, group.name, name);
+      }
+    }
+    return this.call('PUT', `/tenants/${encodeURIComponent(tenantId)}/groups/${encodeURIComponent(groupId)}`, { name });
+  }
+
+  /**
+   * Delete a group of a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} groupId - Group id
+   * @returns {Promise<Object>} Deleted group
+   */
+  async deleteGroup(tenantId, groupId) {
+    return this.call('DELETE', `/tenants/${encodeURIComponent(tenantId)}/groups/${encodeURIComponent(groupId)}`);
+  }
+
+  /**
+   * List the teams of a tenant
+   * @param {string} tenantId - Tenant id
+   * @returns {Promise<Array<Object>>} Teams
+   */
+  async listTeams(tenantId) {
+    return (await this.call('GET', `/tenants/${encodeURIComponent(tenantId)}/teams`)).items;
+  }
+
+  /**
+   * Create a team in a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Team name
+   * @returns {Promise<Object>} Created team
+   */
+  async createTeam(tenantId, name) {
+    if (this.ledger) {
+      await this.ledger.trackTeam((await this.getTenant(tenantId)).name, name);
+    }
+    return this.call('POST', `/tenants/${encodeURIComponent(tenantId)}/teams`, { name });
+  }
+
+  /**
+   * Delete a team of a tenant
+   * @param {string} tenantId - Tenant id
+   * @param {string} teamId - Team id
+   * @returns {Promise<Object>} Deleted team
+   */
+  async deleteTeam(tenantId, teamId) {
+    return this.call('DELETE', `/tenants/${encodeURIComponent(tenantId)}/teams/${encodeURIComponent(teamId)}`);
+  }
+
+  /**
+   * List the users of the Super Admins page
+   * @returns {Promise<Array<Object>>} Users with their assignment (tenant, group and team ids and names)
+   */
+  async listSuperAdmins() {
+    return (await this.call('GET', '/users')).items;
+  }
+
+  /**
+   * Find a user of the Super Admins page by email
+   * @param {string} email - User email
+   * @returns {Promise<Object|undefined>} User
+   */
+  async findUserByEmail(email) {
+    return (await this.listSuperAdmins()).find(user => user.email.toLowerCase() === email.toLowerCase());
+  }
+
+  /**
+   * Invite a user, e.g. a throwaway user to assign
+   * @param {{email: string, name: string}} user - User data (e.g. from the data factory)
+   * @returns {Promise<Object>} Created user, without an assignment
+   */
+  async createUser({ email, name }) {
+    if (this.ledger) {
+      await this.ledger.trackUser(email);
+    }
+    return this.call('POST', '/users', { email, name });
+  }
+
+  /**
+   * Delete a user
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} Deleted user
+   */
+  async deleteUser(userId) {
+    return this.call('DELETE', `/users/${encodeURIComponent(userId)}`);
+  }
+
+  /**
+   * Assign a user to a tenant, group and team
+   * @param {string} userId - User id
+   * @param {{tenantId: string, groupId: string, teamId: string}} assignment - Ids to assign
+   * @returns {Promise<Object>} Updated user
+   */
+  async assignUser(userId, { tenantId, groupId, teamId }) {
+    if (this.ledger) {
+      const user = (await this.listSuperAdmins()).find(item => item.id === userId);
+      if (user) {
+        await this.ledger.trackAssignment(user.email);
+      }
+    }
+    return this.call('PUT', `/users/${encodeURIComponent(userId)}/assignment`, { tenantId, groupId, teamId });
+  }
+
+  /**
+   * Assign a user by the names the Assign modal shows
+   * @param {string} userEmail - User email
+   * @param {{tenantName: string, userGroup: string, teamName: string}} assignment - Names (e.g. from the data factory)
+   * @returns {Promise<Object>} Updated user
+   */
+  async assignUserByName(userEmail, { tenantName, userGroup, teamName }) {
+    const user = await this.findUserByEmail(userEmail);
+    const tenant = await this.findTenantByName(tenantName);
+    if (!user || !tenant) {
+      throw new Error(`Cannot assign ${userEmail} to "${tenantName}": ${user ? 'tenant' : 'user'} not found`);
+    }
+
+    const group = (await this.listGroups(tenant.id)).find(item => item.name === userGroup);
+    const team = (await this.listTeams(tenant.id)).find(item => item.name === teamName);
+    if (!group || !team) {
+      throw new Error(`Tenant "${tenantName}" has no ${group ? `team "${teamName}"` : `group "${userGroup}"`}`);
+    }
+    return this.assignUser(user.id, { tenantId: tenant.id, groupId: group.id, teamId: team.id });
+  }
+
+  /**
+   * Remove the assignment of a user
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} Updated user
+   */
+  async unassignUser(userId) {
+    return this.call('DELETE', `/users/${encodeURIComponent(userId)}/assignment`);
+  }
+
+  /**
+   * Release the request context
+   */
+  async dispose() {
+    await this.context.dispose();
+  }
+}
+
+/**
+ * Client signed in as a role
+ * @param {Object} options - Client options
+ * @param {import('@playwright/test').Browser} options.browser - Browser to log in with when the saved session is stale
+ * @param {string} options.role - Portal role, super_admin by default
+ * @param {import('./entityLedger').EntityLedger} options.ledger - Ledger recording created tenants, users and assignments
+ * @returns {Promise<CempalApiClient>} Client
+ */
+async function createApiClient({ browser, role = 'super_admin', ledger = null }) {
+  const token = await getAccessToken(browser, role);
+  const context = await request.newContext({ extraHTTPHeaders: { Authorization: `Bearer ${token}` } });
+  return new CempalApiClient(context, { ledger });
+}
+
+module.exports = { CempalApiClient, ApiError, createApiClient };
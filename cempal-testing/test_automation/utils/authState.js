@@ -0,0 +1,173 @@
+/**
+ * Reusable authenticated sessions for Cempal Portal testing
+ * Logs a role in through the UI once (answering the TOTP challenge of a role that requires MFA), saves the
+ * Playwright storageState (the Amplify tokens live in localStorage) and reuses it until the tokens are about to expire
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testData = require('../config/testData');
+const { getCredentialVault } = require('./credentialVault');
+const { PROJECT_ROOT } = require('../config/environment');
+const { recordedStorageStatePath } = require('./harArchive');
+const LoginPage = require('../pages/LoginPage');
+const DashboardPage = require('../pages/DashboardPage');
+
+const AUTH_DIR = path.join(PROJECT_ROOT, '.auth');
+// A saved session is refreshed when its tokens expire within this margin
+const MIN_REMAINING_VALIDITY_MS = 5 * 60 * 1000;
+const TOKEN_KEY = /\.(idToken|accessToken)$/;
+
+/**
+ * Path of the storageState file of a role in the active profile
+ * @param {string} role - Portal role
+ * @returns {string} File path
+ */
+function storageStatePath(role) {
+  return path.join(AUTH_DIR, testData.profile, `${role}.json`);
+}
+
+/**
+ * Read the exp claim of a JWT
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in milliseconds since epoch
+ */
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Earliest token expiry of a saved session for the portal origin
+ * @param {Object} state - storageState contents
+ * @returns {number|null} Expiry in milliseconds since epoch, null without tokens
+ */
+function sessionExpiry(state) {
+  const origin = new URL(testData.baseUrl).origin;
+  const expiries = (state.origins || [])
+    .filter(entry => entry.origin === origin)
+    .flatMap(entry => entry.localStorage)
+    .filter(item => TOKEN_KEY.test(item.name))
+    .map(item => tokenExpiry(item.value))
+    .filter(expiry => expiry !== null);
+
+  return expiries.length > 0 ? Math.min(...expiries) : null;
+}
+
+/**
+ * Check if the saved session of a role can still be used
+ * @param {string} role - Portal role
+ * @returns {boolean} True if the file exists and its tokens outlive the margin
+ */
+function isStorageStateFresh(role) {
+  const file = storageStatePath(role);
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+  try {
+    const expiry = sessionExpiry(JSON.parse(fs.readFileSync(file, 'utf8')));
+    return expiry !== null && expiry - Date.now() > MIN_REMAINING_VALIDITY_MS;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Log a role in through the UI and save its storageState
+ * @param {import('@playwright/test').Browser} browser - Browser to log in with
+ * @param {string} role - Portal role
+ * @returns {Promise<string>} Path of the saved file
+ */
+async function saveStorageState(browser, role) {
+  const account = getCredentialVault().getAccount(role);
+  const context = await browser.newContext({ baseURL: testData.baseUrl });
+
+  try {
+    const page = await context.newPage();
+    const loginPage = new LoginPage(page);
+    await loginPage.navigateToLogin();
+    await loginPage.login(account.email, account.password, { totpSecret: account.totpSecret });
+
+    if (!await loginPage.isLoginSuccessful()) {
+      const reason = await loginPage.getErrorMessage().catch(() => null);
+      throw new Error(`Could not log in as ${role} (${account.email}) on ${testData.baseUrl}${reason ? `: ${reason}` : ''}`);
+    }
+    await new DashboardPage(page).waitForDashboardLoad();
+
+    // Write then rename, so a worker never reads a half-written file
+    const file = storageStatePath(role);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    await context.storageState({ path: temporaryFile });
+    fs.renameSync(temporaryFile, file);
+    return file;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Get a usable storageState file for a role, logging in again if it is missing or expiring
+ * When replaying API traffic (HAR_MODE=replay) the session recorded with it is used instead
+ * @param {import('@playwright/test').Browser} browser - Browser to log in with
+ * @param {string} role - Portal role
+ * @returns {Promise<string>} Path of the storageState file
+ */
+async function ensureStorageState(browser, role) {
+  if (testData.har.mode === 'replay') {
+    const file = recordedStorageStatePath(role);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded session for ${role} (${path.relative(PROJECT_ROOT, file)}); record one with npm run test:record`);
+    }
+    return file;
+  }
+  return isStorageStateFresh(role) ? storageStatePath(role) : saveStorageState(browser, role);
+}
+
+/**
+ * Access token of a role's saved session, for calling the portal API directly
+ * @param {import('@playwright/test').Browser} browser - Browser to log in with when the session is stale
+ * @param {string} role - Portal role
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken(browser, role) {
+  const state = JSON.parse(fs.readFileSync(await ensureStorageState(browser, role), 'utf8'));
+  const origin = new URL(testData.baseUrl).origin;
+  const item = (state.origins || [])
+    .filter(entry => entry.origin === origin)
+    .flatMap(entry => entry.localStorage)
+    .find(entry => entry.name.endsWith('.accessToken'));
+
+  if (!item) {
+    throw new Error(`The saved session of ${role} holds no access token for ${origin}`);
+  }
+  return item.value;
+}
+
+/**
+ * Test options that run the tests of a file or describe block as an authenticated role
+ * Usage: test.use(authenticatedAs('tenant_admin'));
+ * @param {string} role - Portal role (super_admin, tenant_admin, team_lead, employee)
+ * @returns {Object} Options for test.use
+ */
+function authenticatedAs(role) {
+  return {
+    storageState: async ({ browser }, use) => {
+      await use(await ensureStorageState(browser, role));
+    }
+  };
+}
+
+module.exports = {
+  authenticatedAs,
+  ensureStorageState,
+  getAccessToken,
+  saveStorageState,
+  isStorageStateFresh,
+  storageStatePath,
+  AUTH_DIR
+};
@@ -0,0 +1,376 @@
+/**
+ * Bulk user assignment for Cempal Portal
+ * Assigns the users of a roster file (CSV or JSON: email, tenant, group, team) through UserAssignmentPage and
+ * writes one result per row: assigned, already assigned or failed with the reason. Users already assigned as
+ * listed are left alone, so a roster - or its result file, which is a roster too - can be run again safely.
+ *
+ * Usage:
+ *   node utils/bulkAssignment.js <roster.csv|roster.json> [--out reports/bulk-assignment-results.csv] [--headed]
+ *
+ * Roster CSV (JSON: an array of objects with the same keys):
+ *   email,tenant,group,team
+ *   jane@example.com,Craftsmen,Team Lead,Platform
+ *
+ * Exit code 1 when a row failed, 2 when the run could not start (unreadable roster, sign-in failed).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('@playwright/test');
+const testData = require('../config/testData');
+const { PROJECT_ROOT } = require('../config/environment');
+const { ensureStorageState } = require('./authState');
+const { secretMasker } = require('./secretMasker');
+const { parseCsv } = require('./recorderCsv');
+const UserAssignmentPage = require('../pages/UserAssignmentPage');
+
+const DEFAULT_OUTPUT_BASENAME = path.join(PROJECT_ROOT, 'reports', 'bulk-assignment-results');
+
+// Roster fields and the column names (or JSON keys) they are read from, compared without case and punctuation
+const ROSTER_FIELDS = {
+  email: ['email', 'useremail'],
+  tenantName: ['tenant', 'tenantname'],
+  userGroup: ['group', 'usergroup', 'groupname'],
+  teamName: ['team', 'teamname']
+};
+
+// Columns of the result file: the roster columns first, so it can be run as a roster again
+const RESULT_COLUMNS = ['email', 'tenant', 'group', 'team', 'status', 'reason'];
+
+const STATUS = {
+  assigned: 'assigned',
+  alreadyAssigned: 'already assigned',
+  failed: 'failed'
+};
+
+/**
+ * Error raised for a roster file that cannot be read
+ */
+class RosterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RosterError';
+  }
+}
+
+/**
+ * Roster field a column name or JSON key is read into
+ * @param {string} key - Column name or key, e.g. "Tenant Name"
+ * @returns {string|undefined} Field, e.g. tenantName
+ */
+function fieldOf(key) {
+  const normalized = String(key).toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(ROSTER_FIELDS).find(field => ROSTER_FIELDS[field].includes(normalized));
+}
+
+/**
+ * Read one roster entry from a record; unknown keys (such as the status of a result file) are ignored
+ * @param {Object} record - Values keyed by column name
+ * @param {number} row - Row number in the file, the header being row 1 for CSV
+ * @returns {{row: number, email: string, tenantName: string, userGroup: string, teamName: string}} Entry
+ */
+function toEntry(record, row) {
+  const entry = { row, email: '', tenantName: '', userGroup: '', teamName: '' };
+  for (const [key, value] of Object.entries(record)) {
+    const field = fieldOf(key);
+    if (field && value !== undefined && value !== null) {
+      entry[field] = String(value).trim();
+    }
+  }
+  return entry;
+}
+
+/**
+ * Parse roster text
+ * @param {string} text - File content
+ * @param {string} format - csv or json
+ * @returns {Array<Object>} Roster entries
+ * @throws {RosterError} When the content is not a roster
+ */
+function parseRoster(text, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new RosterError(`Roster is not valid JSON: ${error.message}`);
+    }
+    const records = Array.isArray(data) ? data : data && data.users;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new RosterError('A JSON roster must be an array of { email, tenant, group, team } objects (or { "users": [...] })');
+    }
+    return records.map((record, index) => toEntry(record, index + 1));
+  }
+
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(row => row.some(field => field.trim() !== ''));
+  if (headerIndex === -1) {
+    throw new RosterError('Roster is empty');
+  }
+  const header = rows[headerIndex];
+  const missing = Object.keys(ROSTER_FIELDS).filter(field => !header.some(column => fieldOf(column) === field));
+  if (missing.length > 0) {
+    throw new RosterError(`Roster has no ${missing.map(field => ROSTER_FIELDS[field][0]).join(', ')} column (header: ${RESULT_COLUMNS.slice(0, 4).join(',')})`);
+  }
+
+  return rows.slice(headerIndex + 1)
+    .map((row, index) => ({ row, number: headerIndex + index + 2 }))
+    .filter(({ row }) => row.some(field => field.trim() !== ''))
+    .map(({ row, number }) => toEntry(Object.fromEntries(header.map((column, index) => [column, row[index]])), number));
+}
+
+/**
+ * Format of a roster or result file, from its extension
+ * @param {string} file - File path
+ * @returns {string} csv or json
+ * @throws {RosterError} For other extensions
+ */
+function formatOf(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (format !== 'csv' && format !== 'json') {
+    throw new RosterError(`${file} is neither a .csv nor a .json file`);
+  }
+  return format;
+}
+
+/**
+ * Read a roster file
+ * @param {string} file - Path of the CSV or JSON roster
+ * @returns {Array<Object>} Roster entries
+ * @throws {RosterError} When the file cannot be read or is not a roster
+ */
+function readRoster(file) {
+  const format = formatOf(file);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new RosterError(`Cannot read roster ${file}: ${error.message}`);
+  }
+  return parseRoster(text, format);
+}
+
+/**
+ * Why a roster entry cannot be run, before the portal is touched
+ * @param {Object} entry - Roster entry
+ * @param {Map<string, number>} seen - Row of each email listed so far
+ * @returns {string|null} Reason, null for a runnable entry
+ */
+function invalidReason(entry, seen) {
+  const missing = Object.keys(ROSTER_FIELDS).filter(field => !entry[field]).map(field => ROSTER_FIELDS[field][0]);
+  if (missing.length > 0) {
+    return `missing ${missing.join(', ')}`;
+  }
+  if (!/^[^@\s]+@[^@\s]+$/.test(entry.email)) {
+    return `"${entry.email}" is not an email address`;
+  }
+  const earlierRow = seen.get(entry.email.toLowerCase());
+  if (earlierRow !== undefined) {
+    return `${entry.email} is already listed in row ${earlierRow}`;
+  }
+  return null;
+}
+
+/**
+ * Check if a user's current assignment is the one a roster entry asks for
+ * @param {import('../pages/UserAssignmentPage').Assignment|null} assignment - Current assignment
+ * @param {Object} entry - Roster entry
+ * @returns {boolean} True if tenant, group and team match
+ */
+function matchesEntry(assignment, entry) {
+  return !!assignment
+    && assignment.tenantName === entry.tenantName
+    && assignment.groupName === entry.userGroup
+    && assignment.teamName === entry.teamName;
+}
+
+/**
+ * Readable assignment, e.g. Craftsmen / Team Lead / Platform
+ * @param {import('../pages/UserAssignmentPage').Assignment} assignment - Assignment
+ * @returns {string} Description
+ */
+function describeAssignment(assignment) {
+  return [assignment.tenantName, assignment.groupName, assignment.teamName].join(' / ');
+}
+
+/**
+ * Assign one roster entry, unless the user already has that assignment
+ * @param {import('../pages/UserAssignmentPage')} assignmentPage - Page object on the super admins list
+ * @param {Object} entry - Roster entry
+ * @returns {Promise<{status: string, reason: string}>} Outcome
+ */
+async function assignEntry(assignmentPage, entry) {
+  const current = await assignmentPage.getAssignment(entry.email);
+  if (matchesEntry(current, entry)) {
+    return { status: STATUS.alreadyAssigned, reason: '' };
+  }
+
+  await assignmentPage.assignUser(entry.email, {
+    tenantName: entry.tenantName,
+    userGroup: entry.userGroup,
+    teamName: entry.teamName
+  });
+  try {
+    await assignmentPage.waitForElementToDisappear(testData.selectors.modal);
+  } catch (error) {
+    throw new Error('the Assign modal stayed open after submitting');
+  }
+
+  const assigned = await assignmentPage.getAssignment(entry.email);
+  if (!matchesEntry(assigned, entry)) {
+    throw new Error(`the list shows ${assigned ? describeAssignment(assigned) : 'no assignment'} after submitting`);
+  }
+  return { status: STATUS.assigned, reason: current ? `replaced ${describeAssignment(current)}` : '' };
+}
+
+/**
+ * Run a roster through the Assign modal, one row after the other; a failed row does not stop the run
+ * @param {import('../pages/UserAssignmentPage')} assignmentPage - Page object of a signed-in super admin page
+ * @param {Array<Object>} roster - Roster entries (readRoster)
+ * @param {Object} options - Run options
+ * @param {function(Object): void} options.onResult - Called with each result as soon as it is known
+ * @returns {Promise<Array<Object>>} One result per entry: row, email, tenant, group, team, status, reason
+ */
+async function runBulkAssignment(assignmentPage, roster, { onResult = () => {} } = {}) {
+  const seen = new Map();
+  const results = [];
+
+  await assignmentPage.navigateToSuperAdmins();
+  await assignmentPage.waitForSuperAdminsLoad();
+
+  for (const entry of roster) {
+    let outcome;
+    const invalid = invalidReason(entry, seen);
+
+    if (invalid) {
+      outcome = { status: STATUS.failed, reason: invalid };
+    } else {
+      seen.set(entry.email.toLowerCase(), entry.row);
+      try {
+        outcome = await assignEntry(assignmentPage, entry);
+      } catch (error) {
+        outcome = { status: STATUS.failed, reason: error.message.split('\n')[0] };
+        // Leave the list usable for the next row
+        if (await assignmentPage.isAssignmentModalVisible()) {
+          await assignmentPage.closeAssignmentModal().catch(() => {});
+        }
+      }
+    }
+
+    const result = {
+      row: entry.row,
+      email: entry.email,
+      tenant: entry.tenantName,
+      group: entry.userGroup,
+      team: entry.teamName,
+      ...outcome
+    };
+    results.push(result);
+    onResult(result);
+  }
+
+  return results;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize results in the format of the result file
+ * @param {Array<Object>} results - Results of runBulkAssignment
+ * @param {string} format - csv or json
+ * @returns {string} File content
+ */
+function formatResults(results, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(results.map(result => Object.fromEntries(RESULT_COLUMNS.map(column => [column, result[column]]))), null, 2)}\n`;
+  }
+  return `${[RESULT_COLUMNS, ...results.map(result => RESULT_COLUMNS.map(column => result[column]))]
+    .map(row => row.map(csvField).join(','))
+    .join('\n')}\n`;
+}
+
+/**
+ * Count the results per status
+ * @param {Array<Object>} results - Results of runBulkAssignment
+ * @returns {{assigned: number, alreadyAssigned: number, failed: number}} Counts
+ */
+function summarize(results) {
+  return Object.fromEntries(Object.entries(STATUS)
+    .map(([key, status]) => [key, results.filter(result => result.status === status).length]));
+}
+
+/**
+ * Sign in as the super admin and run a roster
+ * @param {Array<Object>} roster - Roster entries
+ * @param {Object} options - Run options
+ * @param {boolean} options.headless - Run the browser headless
+ * @param {function(Object): void} options.onResult - Called with each result
+ * @returns {Promise<Array<Object>>} Results
+ */
+async function runRoster(roster, { headless = testData.browser.headless, onResult } = {}) {
+  const browser = await chromium.launch({ headless });
+  try {
+    const storageState = await ensureStorageState(browser, 'super_admin');
+    const context = await browser.newContext({ baseURL: testData.baseUrl, storageState });
+    try {
+      const assignmentPage = new UserAssignmentPage(await context.newPage());
+      return await runBulkAssignment(assignmentPage, roster, { onResult });
+    } finally {
+      await context.close();
+    }
+  } finally {
+    await browser.close();
+  }
+}
+
+if (require.main === module) {
+  secretMasker.maskConsole();
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const rosterFile = args.find((arg, index) => !arg.startsWith('--') && (outIndex === -1 || index !== outIndex + 1));
+
+  (async () => {
+    if (!rosterFile) {
+      throw new RosterError('Usage: node utils/bulkAssignment.js <roster.csv|roster.json> [--out <results.csv|results.json>] [--headed]');
+    }
+    const roster = readRoster(rosterFile);
+    const outputFile = outIndex > -1 ? path.resolve(args[outIndex + 1]) : `${DEFAULT_OUTPUT_BASENAME}.${formatOf(rosterFile)}`;
+    const outputFormat = formatOf(outputFile);
+
+    console.log(`Assigning ${roster.length} roster row(s) from ${rosterFile} on ${testData.baseUrl}`);
+    const results = await runRoster(roster, {
+      headless: args.includes('--headed') ? false : testData.browser.headless,
+      onResult: result => console.log(`  row ${result.row} ${result.email || '(no email)'}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`)
+    });
+
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, formatResults(results, outputFormat));
+    const { assigned, alreadyAssigned, failed } = summarize(results);
+    console.log(`\n${assigned} assigned, ${alreadyAssigned} already assigned, ${failed} failed`);
+    console.log(`Results written to ${path.relative(process.cwd(), outputFile)}`);
+    return failed > 0 ? 1 : 0;
+  })()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Bulk assignment failed: ${error.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = {
+  readRoster,
+  parseRoster,
+  runBulkAssignment,
+  formatResults,
+  summarize,
+  RosterError,
+  STATUS
+};
@@ -0,0 +1,313 @@
+/**
+ * Credential vault for Cempal Portal testing
+ * Resolves the account of each portal role and registers every secret with the masking layer,
+ * so passwords never have to live in profiles, test data or documentation
+ *
+ * Precedence (highest first):
+ *   1. Environment variables (.env files included): <ROLE>_EMAIL, <ROLE>_PASSWORD, <ROLE>_GOOGLE_EMAIL,
+ *      <ROLE>_TOTP_SECRET, with TEST_EMAIL, TEST_PASSWORD, GOOGLE_EMAIL and TEST_TOTP_SECRET accepted
+ *      for the super admin
+ *   2. Encrypted local file (config/credentials.enc.json or CREDENTIALS_FILE), unlocked with CREDENTIALS_KEY
+ *   3. The "accounts" section of the profile (emails, and passwords of the local mock only)
+ * A mock portal profile (mockPortal: true) takes its accounts from the profile only: they are the ones the mock
+ * seeds (mock-portal/seed.js), so neither the environment nor the file can make the two sides disagree.
+ *
+ * Secrets are registered with the masking layer; console output is masked by the masking reporter and the
+ * command line tools, never as a side effect of loading the vault.
+ *
+ * Usage:
+ *   node utils/credentialVault.js encrypt <plain.json> [--file config/credentials.enc.json]
+ *   node utils/credentialVault.js decrypt --out <plain.json> [--file config/credentials.enc.json]
+ *   node utils/credentialVault.js list
+ *   node utils/credentialVault.js scrub <file...>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveVariables, ConfigError, PROJECT_ROOT } = require('../config/environment');
+const { secretMasker } = require('./secretMasker');
+
+const ROLES = ['super_admin', 'tenant_admin', 'team_lead', 'employee'];
+const DEFAULT_CREDENTIALS_FILE = path.join(PROJECT_ROOT, 'config', 'credentials.enc.json');
+const CIPHER = 'aes-256-gcm';
+const FILE_VERSION = 1;
+const SECRET_VARIABLE = /(PASSWORD|SECRET|TOKEN|_KEY)$/;
+
+// Variables accepted for the super admin besides SUPER_ADMIN_*, kept for existing .env files
+const LEGACY_VARIABLES = {
+  super_admin: { email: 'TEST_EMAIL', password: 'TEST_PASSWORD', googleEmail: 'GOOGLE_EMAIL', totpSecret: 'TEST_TOTP_SECRET' }
+};
+const ACCOUNT_FIELDS = ['email', 'password', 'googleEmail', 'totpSecret'];
+
+/**
+ * Names of the environment variables holding an account field
+ * @param {string} role - Portal role
+ * @param {string} field - email, password, googleEmail or totpSecret
+ * @returns {Array<string>} Variable names, most specific first
+ */
+function variableNames(role, field) {
+  const suffix = { email: 'EMAIL', password: 'PASSWORD', googleEmail: 'GOOGLE_EMAIL', totpSecret: 'TOTP_SECRET' }[field];
+  const names = [`${role.toUpperCase()}_${suffix}`];
+  if (LEGACY_VARIABLES[role]) {
+    names.push(LEGACY_VARIABLES[role][field]);
+  }
+  return names;
+}
+
+/**
+ * Derive the file key from a passphrase
+ * @param {string} passphrase - CREDENTIALS_KEY value
+ * @param {Buffer} salt - Random salt
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypt a credentials document
+ * @param {Object} document - Plain credentials, { "<profile>": { "<role>": { email, password } } }
+ * @param {string} passphrase - CREDENTIALS_KEY value
+ * @returns {Object} Encrypted file contents
+ */
+function encryptCredentials(document, passphrase) {
+  if (!passphrase) {
+    throw new ConfigError('CREDENTIALS_KEY is required to encrypt the credentials file');
+  }
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(document), 'utf8'), cipher.final()]);
+
+  return {
+    version: FILE_VERSION,
+    cipher: CIPHER,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt the contents of a credentials file
+ * @param {Object} envelope - Encrypted file contents
+ * @param {string} passphrase - CREDENTIALS_KEY value
+ * @returns {Object} Plain credentials
+ */
+function decryptCredentials(envelope, passphrase) {
+  if (!passphrase) {
+    throw new ConfigError('CREDENTIALS_KEY is required to decrypt the credentials file');
+  }
+  if (envelope.version !== FILE_VERSION || envelope.cipher !== CIPHER) {
+    throw new ConfigError(`Unsupported credentials file format (version ${envelope.version}, cipher ${envelope.cipher})`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    throw new ConfigError('Could not decrypt the credentials file: CREDENTIALS_KEY is wrong or the file is corrupted');
+  }
+}
+
+class CredentialVault {
+  /**
+   * @param {Object} options - Vault options
+   * @param {string} options.profile - Profile name
+   * @param {Object} options.profileAccounts - "accounts" section of the profile
+   * @param {Object} options.fileAccounts - Accounts of the profile from the encrypted file
+   * @param {Object} options.variables - Environment variables
+   * @param {boolean} options.profileOnly - Take the accounts from the profile only; the variables are still masked
+   */
+  constructor({ profile, profileAccounts = {}, fileAccounts = {}, variables = {}, profileOnly = false }) {
+    this.profile = profile;
+    this.accounts = {};
+
+    for (const role of ROLES) {
+      const account = { ...profileAccounts[role], ...(profileOnly ? {} : fileAccounts[role]) };
+      for (const field of profileOnly ? [] : ACCOUNT_FIELDS) {
+        const name = variableNames(role, field).find(candidate => variables[candidate]);
+        if (name) {
+          account[field] = variables[name];
+        }
+      }
+      if (Object.keys(account).length > 0) {
+        this.accounts[role] = account;
+      }
+    }
+
+    // Register eagerly: the runner process only loads the config, but prints and reports everything.
+    // Other secret-looking variables (e.g. RECORDER_PASSWORD, CREDENTIALS_KEY) are masked as well.
+    Object.values(this.accounts).forEach(account => {
+      secretMasker.register(account.password);
+      secretMasker.register(account.totpSecret);
+    });
+    Object.entries(variables)
+      .filter(([name]) => SECRET_VARIABLE.test(name))
+      .forEach(([, value]) => secretMasker.register(value));
+  }
+
+  /**
+   * Roles with a complete account
+   * @returns {Array<string>} Role names
+   */
+  listRoles() {
+    return ROLES.filter(role => this.hasAccount(role));
+  }
+
+  /**
+   * Check if a role has both an email and a password
+   * @param {string} role - Portal role
+   * @returns {boolean} True if the role can sign in
+   */
+  hasAccount(role) {
+    const account = this.accounts[role];
+    return Boolean(account && account.email && account.password);
+  }
+
+  /**
+   * Get the account of a role
+   * @param {string} role - Portal role (super_admin, tenant_admin, team_lead, employee)
+   * @returns {{email: string, password: string, googleEmail: string, totpSecret: string}} Account
+   */
+  getAccount(role) {
+    if (!ROLES.includes(role)) {
+      throw new ConfigError(`Unknown role "${role}". Known roles: ${ROLES.join(', ')}`);
+    }
+    if (!this.hasAccount(role)) {
+      const missing = ['email', 'password'].filter(field => !(this.accounts[role] || {})[field]);
+      throw new ConfigError(`No ${missing.join(' or ')} for role "${role}" in test environment profile "${this.profile}"`,
+        missing.map(field => `set ${variableNames(role, field).join(' or ')}, or add ${this.profile}.${role}.${field} to the encrypted credentials file`));
+    }
+    return { ...this.accounts[role] };
+  }
+
+  /**
+   * Find the account that signs in with an email, e.g. for the TOTP secret of a login
+   * @param {string} email - Email address
+   * @returns {Object|null} Account with its role, null when no role has the email
+   */
+  findAccount(email) {
+    const wanted = String(email || '').toLowerCase();
+    const role = ROLES.find(candidate => (this.accounts[candidate] || {}).email && this.accounts[candidate].email.toLowerCase() === wanted);
+    return role ? { role, ...this.accounts[role] } : null;
+  }
+}
+
+/**
+ * Build the vault of a profile from the environment and the encrypted file
+ * @param {Object} options - Loader options
+ * @param {string} options.profile - Profile name, TEST_ENV or "dev" by default
+ * @param {Object} options.env - Environment variables, process.env by default
+ * @param {string} options.rootDir - Directory holding the .env files
+ * @returns {CredentialVault} Vault
+ */
+function createCredentialVault(options = {}) {
+  const { profileName, profileValues, variables } = resolveVariables(options);
+  const profileOnly = Boolean(profileValues.mockPortal);
+  const filePath = variables.CREDENTIALS_FILE ? path.resolve(PROJECT_ROOT, variables.CREDENTIALS_FILE) : DEFAULT_CREDENTIALS_FILE;
+  let fileAccounts = {};
+
+  if (!profileOnly && fs.existsSync(filePath)) {
+    const document = decryptCredentials(JSON.parse(fs.readFileSync(filePath, 'utf8')), variables.CREDENTIALS_KEY);
+    fileAccounts = document[profileName] || {};
+  }
+
+  return new CredentialVault({
+    profile: profileName,
+    profileAccounts: profileValues.accounts,
+    fileAccounts,
+    variables,
+    profileOnly
+  });
+}
+
+let activeVault;
+
+/**
+ * Vault of the active profile, created once per process
+ * @returns {CredentialVault} Vault
+ */
+function getCredentialVault() {
+  if (!activeVault) {
+    activeVault = createCredentialVault();
+  }
+  return activeVault;
+}
+
+/**
+ * Read the value following a command line flag
+ * @param {Array<string>} args - Arguments
+ * @param {string} flag - Flag name
+ * @returns {string|undefined} Value
+ */
+function readFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index > -1 ? args[index + 1] : undefined;
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const { variables } = resolveVariables();
+  const filePath = path.resolve(PROJECT_ROOT, readFlag(args, '--file') || variables.CREDENTIALS_FILE || DEFAULT_CREDENTIALS_FILE);
+
+  try {
+    switch (command) {
+      case 'encrypt': {
+        const document = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+        fs.writeFileSync(filePath, `${JSON.stringify(encryptCredentials(document, variables.CREDENTIALS_KEY), null, 2)}\n`);
+        console.log(`Encrypted ${args[0]} into ${filePath}. Delete the plain file once you have checked the result.`);
+        break;
+      }
+      case 'decrypt': {
+        const output = readFlag(args, '--out');
+        if (!output) {
+          throw new ConfigError('decrypt writes to a file: pass --out <plain.json>');
+        }
+        const document = decryptCredentials(JSON.parse(fs.readFileSync(filePath, 'utf8')), variables.CREDENTIALS_KEY);
+        fs.writeFileSync(output, `${JSON.stringify(document, null, 2)}\n`, { mode: 0o600 });
+        console.log(`Decrypted ${filePath} into ${output}`);
+        break;
+      }
+      case 'list': {
+        const vault = getCredentialVault();
+        ROLES.forEach(role => {
+          const account = vault.accounts[role] || {};
+          console.log(`${role.padEnd(13)} ${vault.hasAccount(role) ? account.email : 'not configured'}`);
+        });
+        break;
+      }
+      case 'scrub': {
+        getCredentialVault();
+        args.forEach(file => {
+          const content = fs.readFileSync(file, 'utf8');
+          const masked = secretMasker.mask(content);
+          if (masked !== content) {
+            fs.writeFileSync(file, masked);
+          }
+          console.log(`${masked === content ? 'Clean' : 'Scrubbed'}: ${file}`);
+        });
+        break;
+      }
+      default:
+        console.log('Usage: node utils/credentialVault.js <encrypt <plain.json> | decrypt --out <plain.json> | list | scrub <file...>> [--file <encrypted file>]');
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  CredentialVault,
+  createCredentialVault,
+  getCredentialVault,
+  encryptCredentials,
+  decryptCredentials,
+  ROLES
+};
@@ -0,0 +1,172 @@
+/**
+ * Runs parsed recorder CSV steps (utils/recorderCsv.js) against the portal
+ * Every row becomes a test.step; the result of each row is kept for the run summary
+ *
+ * Masked "******" data is resolved, in order, from:
+ *   1. RECORDER_<FIELD> environment variables, e.g. RECORDER_PASSWORD for "Enter ****** into Password"
+ *   2. For password fields, the credential vault account of the email last entered in the run
+ */
+
+const { test, expect } = require('@playwright/test');
+const testData = require('../config/testData');
+const { resolveVariables } = require('../config/environment');
+const { getCredentialVault, ROLES } = require('./credentialVault');
+
+// Recorded selectors get this long before the step text is used to find the element instead
+const RECORDED_SELECTOR_TIMEOUT = 2000;
+
+class CsvStepRunner {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} options - Runner options
+   * @param {string} options.baseUrl - Base URL recorded URLs are rebased onto
+   * @param {Object} options.variables - Environment variables for masked data
+   */
+  constructor(page, { baseUrl = testData.baseUrl, variables = resolveVariables().variables } = {}) {
+    this.page = page;
+    this.baseUrl = baseUrl;
+    this.variables = variables;
+    this.enteredValues = {};
+    this.results = [];
+  }
+
+  /**
+   * Run the steps in order, stopping at the first failure
+   * @param {Array<Object>} steps - Parsed steps
+   * @returns {Promise<Array<Object>>} Result per row (passed, failed or skipped)
+   */
+  async run(steps) {
+    let failure = null;
+
+    for (const row of steps) {
+      if (failure) {
+        this.results.push({ number: row.number, step: row.step, status: 'skipped' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        await test.step(`#${row.number} ${row.step}`, async () => {
+          await this.runStep(row);
+        });
+        this.results.push({ number: row.number, step: row.step, status: 'passed', duration: Date.now() - startedAt });
+      } catch (error) {
+        failure = error;
+        this.results.push({ number: row.number, step: row.step, status: 'failed', duration: Date.now() - startedAt, error: error.message.split('\n')[0] });
+      }
+    }
+
+    if (failure) {
+      throw failure;
+    }
+    return this.results;
+  }
+
+  /**
+   * Perform the action of one row and check its expected result
+   * @param {Object} row - Parsed step
+   */
+  async runStep(row) {
+    switch (row.action.type) {
+      case 'open':
+        await this.page.goto(this.rebaseUrl(row.data));
+        break;
+      case 'enter': {
+        const value = row.masked ? this.resolveMaskedValue(row) : row.data;
+        await (await this.resolveTarget(row)).fill(value);
+        this.enteredValues[row.action.target.toLowerCase()] = value;
+        break;
+      }
+      case 'click':
+        await (await this.resolveTarget(row)).click();
+        break;
+      case 'reload':
+        await this.page.reload();
+        break;
+      default:
+        throw new Error(`No action for step type "${row.action.type}"`);
+    }
+
+    if (row.expected) {
+      await expect(this.page.getByText(row.expected).first()).toBeVisible();
+    }
+  }
+
+  /**
+   * Keep the path of a recorded URL but point it at the configured portal
+   * @param {string} recordedUrl - URL from the Data column
+   * @returns {string} URL on the configured base URL
+   */
+  rebaseUrl(recordedUrl) {
+    const url = new URL(recordedUrl, this.baseUrl);
+    return `${this.baseUrl}${url.pathname}${url.search}${url.hash}`;
+  }
+
+  /**
+   * Find the element of a row: the recorded XPath or CSS selector if it still matches,
+   * otherwise the field label (Enter) or visible text (Click) from the step text
+   * @param {Object} row - Parsed step
+   * @returns {Promise<import('@playwright/test').Locator>} Locator of the element
+   */
+  async resolveTarget(row) {
+    const recorded = [row.xpath, row.css]
+      .filter(selector => selector && /^[/(#.\[a-z]/i.test(selector))
+      .map(selector => this.page.locator(selector))
+      .reduce((union, locator) => (union ? union.or(locator) : locator), null);
+
+    if (recorded) {
+      const visible = recorded.filter({ visible: true }).first();
+      try {
+        await visible.waitFor({ timeout: RECORDED_SELECTOR_TIMEOUT });
+        return visible;
+      } catch (error) {
+        // Recorded ids such as amplify-id-:r2: change between sessions; fall back to the step text
+      }
+    }
+
+    const { type, target } = row.action;
+    const byStepText = type === 'enter'
+      ? this.page.getByLabel(target, { exact: true })
+      : this.page.getByText(target, { exact: true });
+    return byStepText.filter({ visible: true }).first();
+  }
+
+  /**
+   * Resolve the real value of a masked ****** cell
+   * @param {Object} row - Parsed step
+   * @returns {string} Value to enter
+   */
+  resolveMaskedValue(row) {
+    const field = row.action.target;
+    const variable = `RECORDER_${field.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+    if (this.variables[variable]) {
+      return this.variables[variable];
+    }
+
+    if (/password/i.test(field)) {
+      const email = Object.entries(this.enteredValues).find(([label]) => /e-?mail|user/i.test(label));
+      const vault = getCredentialVault();
+      const role = email && ROLES.find(candidate => vault.hasAccount(candidate) && vault.getAccount(candidate).email === email[1]);
+      if (role) {
+        return vault.getAccount(role).password;
+      }
+    }
+
+    throw new Error(`Step #${row.number} enters a masked value into "${field}": set ${variable}${/password/i.test(field) ? ' or enter the email of a credential vault account first' : ''}`);
+  }
+
+  /**
+   * Plain-text summary of the run, one line per row
+   * @returns {string} Summary
+   */
+  summary() {
+    const counts = this.results.reduce((total, result) => ({ ...total, [result.status]: (total[result.status] || 0) + 1 }), {});
+    const lines = this.results.map(result => {
+      const status = result.status.toUpperCase().padEnd(7);
+      return `${status} #${result.number} ${result.step}${result.error ? ` - ${result.error}` : ''}`;
+    });
+    return [`${counts.passed || 0} passed, ${counts.failed || 0} failed, ${counts.skipped || 0} skipped`, ...lines].join('\n');
+  }
+}
+
+module.exports = CsvStepRunner;
@@ -0,0 +1,322 @@
+/**
+ * Test data factory for Cempal Portal testing
+ * Builds tenants, assignments, users and passwords with Faker, valid by default or deliberately invalid for one field.
+ * Everything it creates is named after the run and the worker (qa-<run id>-w<worker>-<n>, the prefix is
+ * TEST_DATA_PREFIX), so reruns never collide with earlier data and parallel workers never collide with each other.
+ *
+ * Reproducing a run: TEST_RUN_ID fixes the prefix, TEST_DATA_SEED the Faker values (derived from the run id
+ * when unset), e.g. TEST_RUN_ID=m2x1k9f0 npx playwright test
+ */
+
+const { Faker, en } = require('@faker-js/faker');
+const testData = require('../config/testData');
+
+// Longest DNS label; tenant domains are <label>.com
+const MAX_DOMAIN_LABEL = 63;
+
+// Broken variants of a valid tenant, each failing one rule of the tenant form
+const INVALID_TENANTS = {
+  missingName: { field: 'name', value: () => '' },
+  blankName: { field: 'name', value: () => '   ' },
+  missingDomain: { field: 'domain', value: () => '' },
+  domainWithoutTld: { field: 'domain', value: tenant => tenant.domain.replace(/\.com$/, '') },
+  domainWithSpaces: { field: 'domain', value: tenant => tenant.domain.replace(/-/g, ' ') },
+  missingContactEmail: { field: 'contactEmail', value: () => '' },
+  contactEmailWithoutAt: { field: 'contactEmail', value: tenant => tenant.contactEmail.replace('@', '.at.') },
+  missingAddress: { field: 'address', value: () => '' }
+};
+
+// Broken variants of a valid assignment
+const INVALID_ASSIGNMENTS = {
+  unknownTenant: { field: 'tenantName', value: (assignment, factory) => `${factory.nextName()} missing tenant` },
+  missingGroup: { field: 'userGroup', value: () => '' },
+  missingTeam: { field: 'teamName', value: () => '' }
+};
+
+// Broken variants of a valid user
+const INVALID_USERS = {
+  missingEmail: { field: 'email', value: () => '' },
+  emailWithoutDomain: { field: 'email', value: user => user.email.split('@')[0] },
+  missingName: { field: 'name', value: () => '' }
+};
+
+// Ways a new password fails the portal's password policy (the Cognito defaults)
+const INVALID_PASSWORDS = {
+  tooShort: password => password.slice(0, 7),
+  noLowercase: password => password.toUpperCase(),
+  noUppercase: password => password.toLowerCase(),
+  noNumber: password => password.replace(/[0-9]/g, 'x'),
+  noSymbol: password => password.replace(/[^A-Za-z0-9]/g, 'x')
+};
+
+/**
+ * Id shared by all workers of a run: TEST_RUN_ID, set once by playwright.config.js
+ * @returns {string} Run id
+ */
+function createRunId() {
+  return Date.now().toString(36);
+}
+
+/**
+ * Numeric seed of a run id
+ * @param {string} runId - Run id
+ * @returns {number} Seed
+ */
+function seedOf(runId) {
+  return [...runId].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+}
+
+/**
+ * Run id of a name the factory generated
+ * @param {string} name - Tenant, group, team or user name, or email
+ * @param {string} dataPrefix - Data prefix
+ * @returns {string|null} Run id, null for names the factory did not generate (e.g. "qa-staging-tenant")
+ */
+function runIdOf(name, dataPrefix = testData.dataPrefix) {
+  const escapedPrefix = dataPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`^${escapedPrefix}-([0-9a-z]+)-(?:main|w\\d+)-\\d+\\b`).exec(name || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Lowercase DNS-safe form of a text
+ * @param {string} text - Text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Apply a named broken variant to a valid record
+ * @param {Object} cases - Invalid variants by name
+ * @param {string} reason - Variant name
+ * @param {Object} record - Valid record
+ * @param {DataFactory} factory - Factory, for variants that need a unique value
+ * @returns {Object} Record with invalidField and reason set
+ */
+function breakRecord(cases, reason, record, factory) {
+  const invalid = cases[reason];
+  if (!invalid) {
+    throw new Error(`Unknown invalid case "${reason}" (${Object.keys(cases).join(', ')})`);
+  }
+  return { ...record, [invalid.field]: invalid.value(record, factory), invalidField: invalid.field, reason };
+}
+
+class DataFactory {
+  /**
+   * @param {Object} options - Factory options
+   * @param {string} options.runId - Id of the run, shared by its workers
+   * @param {string} options.workerId - Worker of the run (TEST_WORKER_INDEX), unset outside workers
+   * @param {number} options.seed - Faker seed, derived from the run id by default
+   * @param {string} options.dataPrefix - Prefix of every name, so leftovers of any run can be found (TEST_DATA_PREFIX)
+   * @param {Object} options.userAssignment - Tenant, group and team that exist on the portal
+   */
+  constructor({ runId, workerId, seed = seedOf(runId), dataPrefix = testData.dataPrefix, userAssignment = testData.userAssignment }) {
+    this.runId = runId;
+    this.workerId = workerId;
+    this.seed = seed;
+    this.prefix = `${dataPrefix}-${runId}-${workerId === undefined ? 'main' : `w${workerId}`}`;
+    this.userAssignment = userAssignment;
+    this.sequence = 0;
+
+    this.faker = new Faker({ locale: [en] });
+    // Workers share the seed but must not generate the same values
+    this.faker.seed([seed, Number(workerId) || 0]);
+  }
+
+  /**
+   * Next unique name of this run and worker, e.g. qa-m2x1k9f0-w0-3
+   * @returns {string} Unique name
+   */
+  nextName() {
+    this.sequence += 1;
+    return `${this.prefix}-${this.sequence}`;
+  }
+
+  /**
+   * Valid tenant with a unique name, domain and contact email
+   * @param {Object} overrides - Fields to set instead
+   * @returns {{name: string, domain: string, contactEmail: string, address: string, updatedAddress: string}} Tenant
+   */
+  tenant(overrides = {}) {
+    const unique = this.nextName();
+    const company = this.faker.company.name();
+    const label = `${unique}-${slugify(company)}`.slice(0, MAX_DOMAIN_LABEL).replace(/-+$/, '');
+
+    return {
+      name: `${unique} ${company}`,
+      domain: `${label}.com`,
+      contactEmail: `${unique}.${slugify(this.faker.person.firstName())}@example.com`,
+      address: `${this.faker.location.streetAddress()}, ${this.faker.location.city()}`,
+      updatedAddress: `${this.faker.location.streetAddress()}, ${this.faker.location.city()}`,
+      ...overrides
+    };
+  }
+
+  /**
+   * Tenant that fails one rule of the tenant form
+   * @param {string} reason - Key of INVALID_TENANTS, e.g. contactEmailWithoutAt
+   * @param {Object} overrides - Fields of the valid tenant it starts from
+   * @returns {Object} Tenant with invalidField and reason
+   */
+  invalidTenant(reason, overrides = {}) {
+    return breakRecord(INVALID_TENANTS, reason, this.tenant(overrides), this);
+  }
+
+  /**
+   * One tenant per invalid case
+   * @returns {Array<Object>} Invalid tenants
+   */
+  invalidTenants() {
+    return Object.keys(INVALID_TENANTS).map(reason => this.invalidTenant(reason));
+  }
+
+  /**
+   * Group with a unique name, for the groups of a tenant
+   * @param {Object} overrides - Fields to set instead
+   * @returns {{name: string, updatedName: string}} Group, with a second unique name to rename it to
+   */
+  group(overrides = {}) {
+    const unique = this.nextName();
+    const department = this.faker.commerce.department();
+
+    return {
+      name: `${unique} ${department}`,
+      updatedName: `${unique} ${department} Renamed`,
+      ...overrides
+    };
+  }
+
+  /**
+   * Team with a unique name, for the teams of a tenant
+   * @param {Object} overrides - Fields to set instead
+   * @returns {{name: string}} Team
+   */
+  team(overrides = {}) {
+    return {
+      name: `${this.nextName()} ${this.faker.commerce.department()} Team`,
+      ...overrides
+    };
+  }
+
+  /**
+   * Valid assignment: tenants, groups and teams are reference data of the portal, so they come from the
+   * profile (userAssignment) unless given
+   * @param {Object} overrides - Tenant name, group or team to use instead
+   * @returns {{tenantName: string, userGroup: string, teamName: string}} Assignment
+   */
+  assignment(overrides = {}) {
+    return { ...this.userAssignment, ...overrides };
+  }
+
+  /**
+   * Assignment that cannot be saved
+   * @param {string} reason - Key of INVALID_ASSIGNMENTS, e.g. unknownTenant
+   * @param {Object} overrides - Fields of the valid assignment it starts from
+   * @returns {Object} Assignment with invalidField and reason
+   */
+  invalidAssignment(reason, overrides = {}) {
+    return breakRecord(INVALID_ASSIGNMENTS, reason, this.assignment(overrides), this);
+  }
+
+  /**
+   * One assignment per invalid case
+   * @returns {Array<Object>} Invalid assignments
+   */
+  invalidAssignments() {
+    return Object.keys(INVALID_ASSIGNMENTS).map(reason => this.invalidAssignment(reason));
+  }
+
+  /**
+   * Valid user with a unique email
+   * @param {Object} overrides - Fields to set instead (e.g. role)
+   * @returns {{firstName: string, lastName: string, name: string, email: string, role: string}} User
+   */
+  user(overrides = {}) {
+    const unique = this.nextName();
+    const firstName = this.faker.person.firstName();
+    const lastName = this.faker.person.lastName();
+
+    return {
+      firstName,
+      lastName,
+      name: `${firstName} ${lastName}`,
+      email: `${unique}.${slugify(`${firstName}.${lastName}`)}@example.com`,
+      role: 'employee',
+      ...overrides
+    };
+  }
+
+  /**
+   * User that fails one rule of the user form
+   * @param {string} reason - Key of INVALID_USERS, e.g. emailWithoutDomain
+   * @param {Object} overrides - Fields of the valid user it starts from
+   * @returns {Object} User with invalidField and reason
+   */
+  invalidUser(reason, overrides = {}) {
+    return breakRecord(INVALID_USERS, reason, this.user(overrides), this);
+  }
+
+  /**
+   * One user per invalid case
+   * @returns {Array<Object>} Invalid users
+   */
+  invalidUsers() {
+    return Object.keys(INVALID_USERS).map(reason => this.invalidUser(reason));
+  }
+
+  /**
+   * Password that meets the password policy: 8 or more characters with lower and upper case, a number and a symbol
+   * @returns {string} Password
+   */
+  password() {
+    const lower = this.faker.string.alpha({ length: 6, casing: 'lower' });
+    const upper = this.faker.string.alpha({ length: 3, casing: 'upper' });
+    return `${lower}${upper}${this.faker.string.numeric(3)}#`;
+  }
+
+  /**
+   * Password that fails one rule of the password policy
+   * @param {string} reason - Key of INVALID_PASSWORDS, e.g. noSymbol
+   * @returns {string} Password
+   */
+  invalidPassword(reason) {
+    if (!INVALID_PASSWORDS[reason]) {
+      throw new Error(`Unknown invalid password "${reason}", expected one of ${Object.keys(INVALID_PASSWORDS).join(', ')}`);
+    }
+    return INVALID_PASSWORDS[reason](this.password());
+  }
+}
+
+let activeFactory;
+
+/**
+ * Factory of this process (one per Playwright worker), created on first use
+ * @returns {DataFactory} Factory
+ */
+function getDataFactory() {
+  if (!activeFactory) {
+    if (!process.env.TEST_RUN_ID) {
+      // Scripts outside the test runner; playwright.config.js sets it for the whole run
+      process.env.TEST_RUN_ID = createRunId();
+    }
+    activeFactory = new DataFactory({
+      runId: process.env.TEST_RUN_ID,
+      workerId: process.env.TEST_WORKER_INDEX,
+      seed: testData.dataSeed
+    });
+  }
+  return activeFactory;
+}
+
+module.exports = {
+  DataFactory,
+  getDataFactory,
+  createRunId,
+  runIdOf,
+  INVALID_TENANTS,
+  INVALID_ASSIGNMENTS,
+  INVALID_USERS,
+  INVALID_PASSWORDS
+};
@@ -0,0 +1,340 @@
+/**
+ * Ledger of the entities tests create on the Cempal Portal
+ * Page objects record every assignment, group, group rename and team right before submitting it, and every tenant
+ * once the portal created it; the API client also records the throwaway users it invites. The fixtures
+ * (fixtures/index.js) delete or revert them after each passing test, and at the end of the worker for failed tests
+ * (their data stays while the failure is inspected) and worker fixtures such as seededTenant.
+ * Cleanup calls the portal REST API (utils/apiClient.js) with the super admin's saved session.
+ */
+
+const { runIdOf } = require('./dataFactory');
+
+/**
+ * Check if a record with this name was created by the test rather than found on the portal
+ * @param {Object} record - Tenant, group (created or renamed) or team
+ * @param {Array<string>|undefined} existingIds - Ids with the same name before the test created it, unknown when undefined
+ * @returns {boolean} True if the record can be removed
+ */
+function isCreatedRecord(record, existingIds) {
+  // Without a snapshot only uniquely named factory data is safe to remove
+  return existingIds ? !existingIds.includes(record.id) : runIdOf(record.name) !== null;
+}
+
+// Undo one ledger entry
+const CLEANUP = {
+  async tenant(client, { name, existingIds }) {
+    const tenants = (await client.listTenants()).filter(tenant => tenant.name === name && isCreatedRecord(tenant, existingIds));
+    for (const tenant of tenants) {
+      await client.deleteTenant(tenant.id);
+    }
+  },
+
+  async user(client, { userEmail }) {
+    const user = (await client.listSuperAdmins()).find(item => item.email.toLowerCase() === userEmail.toLowerCase());
+    if (!user) {
+      return;
+    }
+    if (runIdOf(userEmail) === null) {
+      throw new Error('not created by the suite, left as it is');
+    }
+    await client.deleteUser(user.id);
+  },
+
+  async assignment(client, { userEmail, previous }) {
+    const user = (await client.listSuperAdmins()).find(item => item.email.toLowerCase() === userEmail.toLowerCase());
+    if (!user) {
+      return;
+    }
+    if (previous) {
+      await client.assignUser(user.id, previous);
+    } else if (previous === null || runIdOf(userEmail) !== null) {
+      await client.unassignUser(user.id);
+    } else {
+      throw new Error('the previous assignment is unknown, left as it is');
+    }
+  },
+
+  async group(client, { tenantName, name, existingIds }) {
+    const tenant = (await client.listTenants()).find(item => item.name === tenantName);
+    if (!tenant) {
+      return;
+    }
+    const groups = (await client.listGroups(tenant.id)).filter(group => group.name === name && isCreatedRecord(group, existingIds));
+    for (const group of groups) {
+      await client.deleteGroup(tenant.id, group.id);
+    }
+  },
+
+  async groupRename(client, { tenantName, name, previousName, existingIds }) {
+    const tenant = (await client.listTenants()).find(item => item.name === tenantName);
+    if (!tenant) {
+      return;
+    }
+    // A rejected rename leaves nothing to revert; a group that already had the name is not the renamed one
+    const group = (await client.listGroups(tenant.id)).find(item => item.name === name && isCreatedRecord(item, existingIds));
+    if (group) {
+      await client.renameGroup(tenant.id, group.id, previousName);
+    }
+  },
+
+  async team(client, { tenantName, name, existingIds }) {
+    const tenant = (await client.listTenants()).find(item => item.name === tenantName);
+    if (!tenant) {
+      return;
+    }
+    const teams = (await client.listTeams(tenant.id)).filter(team => team.name === name && isCreatedRecord(team, existingIds));
+    for (const team of teams) {
+      await client.deleteTeam(tenant.id, team.id);
+    }
+  }
+};
+
+/**
+ * Readable form of a ledger entry
+ * @param {Object} entry - Ledger entry
+ * @returns {string} Description
+ */
+function describeEntry(entry) {
+  const descriptions = {
+    tenant: () => `tenant "${entry.name}"`,
+    user: () => `user ${entry.userEmail}`,
+    assignment: () => `assignment of ${entry.userEmail}`,
+    group: () => `group "${entry.name}" of tenant "${entry.tenantName}"`,
+    groupRename: () => `group "${entry.previousName}" of tenant "${entry.tenantName}", renamed to "${entry.name}"`,
+    team: () => `team "${entry.name}" of tenant "${entry.tenantName}"`
+  };
+  return descriptions[entry.type]();
+}
+
+class EntityLedger {
+  constructor() {
+    this.entries = [];
+    this.connector = null;
+    this.workerScope = 0;
+  }
+
+  /**
+   * Set how to reach the portal API
+   * @param {function(): Promise<import('./apiClient').CempalApiClient>} connector - Creates a signed-in client
+   */
+  connect(connector) {
+    this.connector = connector;
+  }
+
+  /**
+   * Run a callback with a fresh client, so long workers never use an expired token
+   * @param {function(import('./apiClient').CempalApiClient): Promise<*>} callback - Callback
+   * @returns {Promise<*>} Result of the callback
+   */
+  async withClient(callback) {
+    const client = await this.connector();
+    try {
+      return await callback(client);
+    } finally {
+      await client.dispose();
+    }
+  }
+
+  /**
+   * Read portal state before a change, to know later what to undo
+   * @param {function(import('./apiClient').CempalApiClient): Promise<*>} read - Reads the state
+   * @returns {Promise<*>} State, undefined when the portal cannot be reached
+   */
+  async snapshot(read) {
+    if (!this.connector) {
+      return undefined;
+    }
+    try {
+      return await this.withClient(read);
+    } catch (error) {
+      console.warn(`Entity ledger could not read the portal state: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Id of the running test, null for worker fixtures and scripts
+   * @returns {string|null} Test id
+   */
+  currentTestId() {
+    if (this.workerScope > 0) {
+      return null;
+    }
+    try {
+      // Lazy: page objects are also used outside the test runner (global setup, scripts)
+      return require('@playwright/test').test.info().testId;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record entities created in a callback for the end of the worker instead of the running test
+   * @param {function(): Promise<*>} callback - Callback creating worker-scoped entities
+   * @returns {Promise<*>} Result of the callback
+   */
+  async withinWorkerScope(callback) {
+    this.workerScope += 1;
+    try {
+      return await callback();
+    } finally {
+      this.workerScope -= 1;
+    }
+  }
+
+  /**
+   * Add an entry
+   * @param {string} type - tenant, user, assignment, group, groupRename or team
+   * @param {Object} details - What identifies the entity and its previous state
+   */
+  record(type, details) {
+    this.entries.push({ type, testId: this.currentTestId(), ...details });
+  }
+
+  /**
+   * Ids of the tenants with a name, before a test creates one with it
+   * @param {string} name - Tenant name
+   * @returns {Promise<Array<string>|undefined>} Tenant ids, undefined when the portal cannot be reached
+   */
+  async tenantIdsNamed(name) {
+    return this.snapshot(async client => (await client.listTenants())
+      .filter(tenant => tenant.name === name)
+      .map(tenant => tenant.id));
+  }
+
+  /**
+   * Record a tenant the portal created; a rejected create form leaves nothing to record
+   * @param {string} name - Tenant name
+   * @param {Array<string>|undefined} existingIds - Ids with the name before the create (tenantIdsNamed)
+   */
+  async trackTenant(name, existingIds) {
+    this.record('tenant', { name, existingIds });
+  }
+
+  /**
+   * Record a user about to be invited
+   * @param {string} userEmail - Email of the user
+   */
+  async trackUser(userEmail) {
+    this.record('user', { userEmail });
+  }
+
+  /**
+   * Record an assignment about to be made, with the assignment it replaces
+   * @param {string} userEmail - Email of the assigned user
+   */
+  async trackAssignment(userEmail) {
+    const previous = await this.snapshot(async client => {
+      const user = (await client.listSuperAdmins()).find(item => item.email.toLowerCase() === userEmail.toLowerCase());
+      if (!user) {
+        return undefined;
+      }
+      return user.assignment
+        ? { tenantId: user.assignment.tenantId, groupId: user.assignment.groupId, teamId: user.assignment.teamId }
+        : null;
+    });
+    this.record('assignment', { userEmail, previous });
+  }
+
+  /**
+   * Ids of the groups of a tenant with a name, before a test creates or renames one to it
+   * @param {string} tenantName - Tenant name
+   * @param {string} name - Group name
+   * @returns {Promise<Array<string>|undefined>} Group ids, undefined when the portal cannot be reached
+   */
+  async groupIdsNamed(tenantName, name) {
+    return this.snapshot(async client => {
+      const tenant = (await client.listTenants()).find(item => item.name === tenantName);
+      return tenant ? (await client.listGroups(tenant.id)).filter(group => group.name === name).map(group => group.id) : [];
+    });
+  }
+
+  /**
+   * Record a group about to be created in a tenant
+   * @param {string} tenantName - Tenant name
+   * @param {string} name - Group name
+   */
+  async trackGroup(tenantName, name) {
+    this.record('group', { tenantName, name, existingIds: await this.groupIdsNamed(tenantName, name) });
+  }
+
+  /**
+   * Record a group about to be renamed, so it gets its previous name back
+   * @param {string} tenantName - Tenant name
+   * @param {string} previousName - Current group name
+   * @param {string} name - New group name
+   */
+  async trackGroupRename(tenantName, previousName, name) {
+    this.record('groupRename', { tenantName, name, previousName, existingIds: await this.groupIdsNamed(tenantName, name) });
+  }
+
+  /**
+   * Record a team about to be created in a tenant
+   * @param {string} tenantName - Tenant name
+   * @param {string} name - Team name
+   */
+  async trackTeam(tenantName, name) {
+    const existingIds = await this.snapshot(async client => {
+      const tenant = (await client.listTenants()).find(item => item.name === tenantName);
+      return tenant ? (await client.listTeams(tenant.id)).filter(team => team.name === name).map(team => team.id) : [];
+    });
+    this.record('team', { tenantName, name, existingIds });
+  }
+
+  /**
+   * Entries not cleaned up yet
+   * @param {string} testId - Only the entries of this test
+   * @returns {Array<Object>} Entries
+   */
+  pending(testId) {
+    return this.entries.filter(entry => testId === undefined || entry.testId === testId);
+  }
+
+  /**
+   * Delete or revert recorded entities, newest first; entries that fail stay for the next cleanup
+   * @param {Object} options - Options
+   * @param {string} options.testId - Only the entities of this test
+   * @returns {Promise<Array<string>>} Problems, one per entity that could not be cleaned up
+   */
+  async cleanup({ testId } = {}) {
+    const entries = this.pending(testId).reverse();
+    if (entries.length === 0) {
+      return [];
+    }
+    if (!this.connector) {
+      return entries.map(entry => `${describeEntry(entry)}: no connection to the portal API`);
+    }
+
+    const problems = [];
+    try {
+      await this.withClient(async client => {
+        for (const entry of entries) {
+          try {
+            await CLEANUP[entry.type](client, entry);
+            this.entries.splice(this.entries.indexOf(entry), 1);
+          } catch (error) {
+            problems.push(`${describeEntry(entry)}: ${error.message}`);
+          }
+        }
+      });
+    } catch (error) {
+      return entries.map(entry => `${describeEntry(entry)}: ${error.message.split('\n')[0]}`);
+    }
+    return problems;
+  }
+}
+
+let activeLedger;
+
+/**
+ * Ledger of this process (one per Playwright worker)
+ * @returns {EntityLedger} Ledger
+ */
+function getEntityLedger() {
+  if (!activeLedger) {
+    activeLedger = new EntityLedger();
+  }
+  return activeLedger;
+}
+
+module.exports = { EntityLedger, getEntityLedger, describeEntry };
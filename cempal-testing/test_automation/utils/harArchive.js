@@ -0,0 +1,318 @@
+/**
+ * API traffic archives for Cempal Portal testing
+ * HAR_MODE=record captures the traffic of every test (the portal's pages and assets as well as its API) into
+ * one HAR per spec file (hars/<profile>/<spec>.har), HAR_MODE=replay serves those responses with routeFromHAR,
+ * so UI specs run offline and always see the same data.
+ *
+ * Archives are redacted before they are saved: tokens, passwords and secret headers never reach the repository.
+ * Everything else is kept as recorded, so replayed requests match and the UI shows the recorded data.
+ * A replayed test that makes a request missing from its archive fails with the list of those requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testData = require('../config/testData');
+const { PROJECT_ROOT } = require('../config/environment');
+
+const HAR_ROOT = path.resolve(PROJECT_ROOT, testData.har.dir);
+// Per-context archives of the running record session, merged into the spec archives by global-teardown.js
+const RECORDING_DIR = path.join(HAR_ROOT, '.recording');
+const REDACTED = 'REDACTED';
+// Redacted tokens stay valid for the portal so replays keep working: 2100-01-01
+const REPLAY_TOKEN_EXPIRY = 4102444800;
+
+// Every request of a context goes through the archive, whatever its host
+const ARCHIVED_URL = /^https?:\/\//;
+const JWT = /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+const SECRET_KEY = /password|secret|refresh_?token|otp|code_?verifier/i;
+const SECRET_HEADER = /^(authorization|cookie|set-cookie|x-api-key)$/i;
+
+/**
+ * Archive of a spec file
+ * @param {string} specPath - Spec path relative to the test directory, e.g. performance-tests.spec.js
+ * @param {Object} options - Archive location
+ * @param {string} options.harRoot - Archive directory, testData.har.dir by default
+ * @param {string} options.profile - Profile name, the active profile by default
+ * @returns {string} HAR path
+ */
+function specHarPath(specPath, { harRoot = HAR_ROOT, profile = testData.profile } = {}) {
+  return path.join(harRoot, profile, specPath.replace(/\.spec\.js$/, '.har'));
+}
+
+/**
+ * Recorded session of a role, used by authenticatedAs(role) when replaying
+ * @param {string} role - Portal role
+ * @returns {string} storageState path
+ */
+function recordedStorageStatePath(role) {
+  return path.join(HAR_ROOT, testData.profile, 'auth', `${role}.json`);
+}
+
+/**
+ * Replace the claims of a JWT with redacted ones that do not expire, and drop its signature
+ * @param {string} token - JWT
+ * @returns {string} Redacted token
+ */
+function redactJwt(token) {
+  const [header, payload] = token.split('.');
+  try {
+    const claims = redactValue(JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')));
+    if (typeof claims.exp === 'number') {
+      claims.exp = REPLAY_TOKEN_EXPIRY;
+    }
+    return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.redacted`;
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+/**
+ * Redact the tokens of a text
+ * @param {string} text - Text
+ * @returns {string} Redacted text
+ */
+function redactText(text) {
+  return text.replace(JWT, redactJwt);
+}
+
+/**
+ * Redact a parsed JSON value: secrets by key, tokens in every string
+ * @param {*} value - Value
+ * @param {string} key - Key the value is stored under
+ * @returns {*} Redacted value
+ */
+function redactValue(value, key = '') {
+  if (typeof value === 'string') {
+    return SECRET_KEY.test(key) ? REDACTED : redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactValue(item, name)]));
+  }
+  return value;
+}
+
+/**
+ * Redact a request or response body, JSON-aware
+ * @param {string} text - Body
+ * @returns {string} Redacted body
+ */
+function redactBody(text) {
+  try {
+    return JSON.stringify(redactValue(JSON.parse(text)));
+  } catch (error) {
+    return redactText(text);
+  }
+}
+
+/**
+ * Redact HAR headers; content-length is dropped as redaction changes the body length
+ * @param {Array<{name: string, value: string}>} headers - Headers
+ * @returns {Array<{name: string, value: string}>} Redacted headers
+ */
+function redactHeaders(headers = []) {
+  return headers
+    .filter(header => header.name.toLowerCase() !== 'content-length')
+    .map(header => ({ ...header, value: SECRET_HEADER.test(header.name) ? REDACTED : redactText(header.value) }));
+}
+
+/**
+ * Redact one HAR entry
+ * @param {Object} entry - HAR entry
+ * @returns {Object} Redacted entry
+ */
+function redactEntry(entry) {
+  const request = { ...entry.request, url: redactText(entry.request.url), headers: redactHeaders(entry.request.headers) };
+  if (request.postData && typeof request.postData.text === 'string') {
+    const text = redactBody(request.postData.text);
+    if (text === request.postData.text) {
+      request.postData = { ...request.postData };
+    } else {
+      // routeFromHAR compares POST bodies; a redacted body would never match again, so it matches by URL only
+      delete request.postData;
+    }
+  }
+
+  const content = { ...entry.response.content };
+  if (typeof content.text === 'string' && content.encoding !== 'base64') {
+    content.text = redactBody(content.text);
+    content.size = Buffer.byteLength(content.text);
+  }
+  const response = {
+    ...entry.response,
+    headers: redactHeaders(entry.response.headers),
+    cookies: [],
+    content
+  };
+  return { ...entry, request: { ...request, cookies: [] }, response };
+}
+
+/**
+ * Redact a storageState: tokens keep working for the portal but carry no signature
+ * @param {Object} state - storageState contents
+ * @returns {Object} Redacted storageState
+ */
+function redactStorageState(state) {
+  return {
+    cookies: (state.cookies || []).map(cookie => ({ ...cookie, value: REDACTED })),
+    origins: (state.origins || []).map(origin => ({
+      ...origin,
+      localStorage: origin.localStorage.map(item => ({
+        name: item.name,
+        value: SECRET_KEY.test(item.name) ? REDACTED : redactText(item.value)
+      }))
+    }))
+  };
+}
+
+/**
+ * Key that identifies an entry for routeFromHAR, which always serves the first match
+ * @param {Object} entry - HAR entry
+ * @returns {string} Key
+ */
+function entryKey(entry) {
+  return `${entry.request.method} ${entry.request.url} ${entry.request.postData ? entry.request.postData.text : ''}`;
+}
+
+/**
+ * Read a HAR file
+ * @param {string} file - HAR path
+ * @returns {Object} HAR
+ */
+function readHar(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Merge the recordings of the finished run into the spec archives
+ * Entries recorded now replace the archived ones with the same request; the rest of an archive is kept,
+ * so recording a single test or spec updates only what it touched
+ * @param {Object} options - Archive location
+ * @param {string} options.harRoot - Archive directory, testData.har.dir by default
+ * @param {string} options.profile - Profile name, the active profile by default
+ * @returns {Array<{file: string, entries: number}>} Written archives
+ */
+function mergeRecordings({ harRoot = HAR_ROOT, profile = testData.profile } = {}) {
+  const profileDir = path.join(harRoot, '.recording', profile);
+  if (!fs.existsSync(profileDir)) {
+    return [];
+  }
+
+  const written = [];
+  for (const specDir of fs.readdirSync(profileDir)) {
+    const partials = fs.readdirSync(path.join(profileDir, specDir))
+      .filter(file => file.endsWith('.har'))
+      .map(file => readHar(path.join(profileDir, specDir, file)));
+    const recorded = partials
+      .flatMap(har => har.log.entries)
+      .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime))
+      .map(redactEntry);
+
+    const target = specHarPath(decodeURIComponent(specDir), { harRoot, profile });
+    const archived = fs.existsSync(target) ? readHar(target).log.entries : [];
+    const seen = new Set();
+    const entries = [...recorded, ...archived].filter(entry => {
+      const key = entryKey(entry);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    const log = partials.length > 0 ? partials[0].log : { version: '1.2', creator: { name: 'Playwright' } };
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, `${JSON.stringify({ log: { ...log, pages: [], entries } }, null, 2)}\n`);
+    written.push({ file: target, entries: entries.length });
+  }
+
+  fs.rmSync(profileDir, { recursive: true, force: true });
+  return written;
+}
+
+/**
+ * Save the redacted session of a role for replays
+ * @param {string} role - Portal role
+ * @param {string} storageStateFile - Live storageState of the role
+ * @returns {string} Path of the recorded session
+ */
+function saveRecordedStorageState(role, storageStateFile) {
+  const target = recordedStorageStatePath(role);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const state = redactStorageState(JSON.parse(fs.readFileSync(storageStateFile, 'utf8')));
+  fs.writeFileSync(target, `${JSON.stringify(state, null, 2)}\n`);
+  return target;
+}
+
+/**
+ * Recording or replay of the API traffic of one test
+ */
+class HarSession {
+  /**
+   * @param {import('@playwright/test').TestInfo} testInfo - Running test
+   * @param {string} mode - off, record or replay
+   */
+  constructor(testInfo, mode = testData.har.mode) {
+    this.testInfo = testInfo;
+    this.mode = mode;
+    this.specPath = path.relative(testInfo.project.testDir, testInfo.file);
+    this.harPath = specHarPath(this.specPath);
+    this.contexts = 0;
+    this.unmatched = [];
+  }
+
+  /**
+   * Record or replay the traffic of a browser context
+   * @param {import('@playwright/test').BrowserContext} context - Context of the test
+   */
+  async attach(context) {
+    const url = ARCHIVED_URL;
+    this.contexts += 1;
+
+    if (this.mode === 'record') {
+      const file = path.join(
+        RECORDING_DIR,
+        testData.profile,
+        encodeURIComponent(this.specPath),
+        `${this.testInfo.testId}-${this.testInfo.project.name.replace(/\W+/g, '-')}-${this.contexts}.har`
+      );
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Written when the context closes
+      await context.routeFromHAR(file, { url, update: true, updateContent: 'embed', updateMode: 'minimal' });
+    } else if (this.mode === 'replay') {
+      if (!fs.existsSync(this.harPath)) {
+        throw new Error(`No recorded API traffic for ${this.specPath} (${path.relative(PROJECT_ROOT, this.harPath)}); `
+          + `record it with npm run test:record -- tests/${this.specPath}`);
+      }
+      // Registered first, so it only sees the requests the archive does not answer
+      await context.route(url, async route => {
+        this.unmatched.push(`${route.request().method()} ${route.request().url()}`);
+        await route.abort('blockedbyclient');
+      });
+      await context.routeFromHAR(this.harPath, { url, notFound: 'fallback' });
+    }
+  }
+
+  /**
+   * Fail a replayed test that made requests missing from its archive
+   */
+  verify() {
+    if (this.unmatched.length > 0) {
+      throw new Error(`${this.unmatched.length} request(s) are not in ${path.relative(PROJECT_ROOT, this.harPath)}:\n  `
+        + `${[...new Set(this.unmatched)].join('\n  ')}\nRecord them again with npm run test:record -- tests/${this.specPath}`);
+    }
+  }
+}
+
+module.exports = {
+  HarSession,
+  mergeRecordings,
+  redactEntry,
+  redactStorageState,
+  saveRecordedStorageState,
+  recordedStorageStatePath,
+  specHarPath,
+  HAR_ROOT
+};
@@ -0,0 +1,62 @@
+/**
+ * Reporter that lists the selectors healed during the run (see utils/selfHealing.js)
+ * Prints which strategy stopped matching and which one found the element instead, and writes the
+ * list to reports/healed-selectors.json, so testData.selectors can be updated. A run that healed nothing writes an
+ * empty list, so the file never shows the selectors of an earlier run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROJECT_ROOT } = require('../config/environment');
+const { HEALED_ANNOTATION } = require('./selfHealing');
+
+const DEFAULT_OUTPUT_FILE = path.join(PROJECT_ROOT, 'reports', 'healed-selectors.json');
+
+class HealingReporter {
+  /**
+   * @param {Object} options - Reporter options
+   * @param {string} options.outputFile - JSON file the healed selectors are written to
+   */
+  constructor({ outputFile = DEFAULT_OUTPUT_FILE } = {}) {
+    this.outputFile = path.resolve(PROJECT_ROOT, outputFile);
+    this.healed = new Map();
+  }
+
+  onTestEnd(test, result) {
+    const annotations = [...test.annotations, ...(result.annotations || [])]
+      .filter(annotation => annotation.type === HEALED_ANNOTATION);
+
+    for (const annotation of annotations) {
+      const healing = JSON.parse(annotation.description);
+      const key = `${healing.selector} ${healing.matched}`;
+      const entry = this.healed.get(key) || { ...healing, tests: [] };
+      const title = test.titlePath().filter(Boolean).join(' › ');
+      if (!entry.tests.includes(title)) {
+        entry.tests.push(title);
+      }
+      this.healed.set(key, entry);
+    }
+  }
+
+  onEnd() {
+    const healed = [...this.healed.values()];
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+    fs.writeFileSync(this.outputFile, JSON.stringify(healed, null, 2));
+    if (healed.length === 0) {
+      return;
+    }
+
+    const lines = healed.map(entry => `  ${entry.selector}: ${entry.failed.join(', ')} did not match, healed with ${entry.matched} (${entry.tests.length} test${entry.tests.length === 1 ? '' : 's'})`);
+    console.log([
+      `\nHealed selectors - update testData.selectors (${path.relative(process.cwd(), this.outputFile)}):`,
+      ...lines,
+      ''
+    ].join('\n'));
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = HealingReporter;
@@ -0,0 +1,167 @@
+/**
+ * Mail sink client for Cempal Portal testing
+ * Reads the mails the portal sends, so flows that need a verification code run offline. Talks to
+ * testData.mailboxUrl (MAILBOX_URL; the mock portal's Cognito stand-in mailbox for local-mock):
+ *
+ *   GET    <url>?to=<email>  { messages: [{ id, to, subject, text, sentAt }] }, oldest first
+ *   DELETE <url>?to=<email>  deletes the messages to an address
+ *   POST   <url>/expire      { to } lets the outstanding code of an address expire (mock portal only)
+ *
+ * Usage:
+ *   const mailbox = await createMailbox();
+ *   const since = Date.now();
+ *   await passwordResetPage.requestCode(email);
+ *   const code = await mailbox.waitForCode(email, { since });
+ *   await mailbox.dispose();
+ */
+
+const { request } = require('@playwright/test');
+const testData = require('../config/testData');
+
+// Verification codes are six digits, like Cognito's
+const CODE_PATTERN = /\b(\d{6})\b/;
+const POLL_INTERVAL = 250;
+
+/**
+ * Error raised when the mail sink is missing or a mail does not arrive
+ */
+class MailboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailboxError';
+  }
+}
+
+/**
+ * Verification code of a mail
+ * @param {string} text - Mail body
+ * @returns {string|null} Code, null when the mail holds none
+ */
+function extractCode(text) {
+  const match = String(text || '').match(CODE_PATTERN);
+  return match ? match[1] : null;
+}
+
+class Mailbox {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} context - Request context
+   * @param {Object} options - Mailbox options
+   * @param {string} options.url - Mailbox URL, empty when there is no mail sink
+   */
+  constructor(context, { url = testData.mailboxUrl } = {}) {
+    this.context = context;
+    this.url = url;
+  }
+
+  /**
+   * Check if a mail sink is configured
+   * @returns {boolean} True if mails can be read
+   */
+  isAvailable() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * Call the mail sink
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the mailbox URL
+   * @param {Object} options - Query parameters (params) and JSON body (data)
+   * @returns {Promise<Object>} Response body
+   * @throws {MailboxError} When no mail sink is configured or the call fails
+   */
+  async call(method, path, { params, data } = {}) {
+    if (!this.isAvailable()) {
+      throw new MailboxError('No mail sink configured: set MAILBOX_URL or use TEST_ENV=local-mock');
+    }
+    const response = await this.context.fetch(`${this.url}${path}`, { method, params, data });
+    if (!response.ok()) {
+      throw new MailboxError(`${method} ${this.url}${path} failed with ${response.status()}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * List the messages to an address
+   * @param {string} to - Recipient
+   * @returns {Promise<Array<{id: string, to: string, subject: string, text: string, sentAt: string}>>} Messages, oldest first
+   */
+  async listMessages(to) {
+    return (await this.call('GET', '', { params: { to } })).messages;
+  }
+
+  /**
+   * Delete the messages to an address
+   * @param {string} to - Recipient
+   */
+  async clear(to) {
+    await this.call('DELETE', '', { params: { to } });
+  }
+
+  /**
+   * Wait for a message to an address
+   * @param {string} to - Recipient
+   * @param {Object} options - Wait options
+   * @param {number} options.since - Only messages sent at or after this time (ms since epoch)
+   * @param {number} options.timeout - How long to wait
+   * @returns {Promise<Object>} Newest matching message
+   * @throws {MailboxError} When no message arrives in time
+   */
+  async waitForMessage(to, { since = 0, timeout = testData.timeouts.medium } = {}) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const messages = (await this.listMessages(to)).filter(message => Date.parse(message.sentAt) >= since);
+      if (messages.length > 0) {
+        return messages[messages.length - 1];
+      }
+      if (Date.now() >= deadline) {
+        throw new MailboxError(`No mail to ${to} arrived within ${timeout}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Wait for a verification code sent to an address
+   * @param {string} to - Recipient
+   * @param {Object} options - Wait options, see waitForMessage
+   * @returns {Promise<string>} Code of the newest message
+   * @throws {MailboxError} When no mail arrives in time or it holds no code
+   */
+  async waitForCode(to, options = {}) {
+    const message = await this.waitForMessage(to, options);
+    const code = extractCode(message.text);
+    if (!code) {
+      throw new MailboxError(`Mail "${message.subject}" to ${to} holds no verification code`);
+    }
+    return code;
+  }
+
+  /**
+   * Let the outstanding verification code of an address expire now (mock portal only)
+   * @param {string} to - Recipient
+   * @returns {Promise<boolean>} True if there was a code to expire
+   */
+  async expireCode(to) {
+    return (await this.call('POST', '/expire', { data: { to } })).expired;
+  }
+
+  /**
+   * Release the request context
+   */
+  async dispose() {
+    await this.context.dispose();
+  }
+}
+
+/**
+ * Mailbox of the configured mail sink
+ * @param {Object} options - Mailbox options
+ * @param {string} options.url - Mailbox URL, testData.mailboxUrl by default
+ * @returns {Promise<Mailbox>} Mailbox
+ */
+async function createMailbox({ url = testData.mailboxUrl } = {}) {
+  return new Mailbox(await request.newContext(), { url });
+}
+
+module.exports = { Mailbox, MailboxError, createMailbox, extractCode };
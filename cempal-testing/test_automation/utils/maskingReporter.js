@@ -0,0 +1,94 @@
+/**
+ * Reporter that scrubs registered secrets from test results
+ * Must be the first reporter in playwright.config.js: reporters receive the same result
+ * objects in order, so the html, json and allure reporters only ever see masked values
+ */
+
+const fs = require('fs');
+const { secretMasker } = require('./secretMasker');
+const { getCredentialVault } = require('./credentialVault');
+
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|javascript))/;
+
+/**
+ * Mask the text fields of a Playwright error in place
+ * @param {Object} error - TestError
+ */
+function maskError(error) {
+  if (!error) {
+    return;
+  }
+  ['message', 'stack', 'value', 'snippet'].forEach(field => {
+    if (typeof error[field] === 'string') {
+      error[field] = secretMasker.mask(error[field]);
+    }
+  });
+  maskError(error.cause);
+}
+
+/**
+ * Mask a step and its children in place
+ * @param {Object} step - TestStep
+ */
+function maskStep(step) {
+  step.title = secretMasker.mask(step.title);
+  maskError(step.error);
+  (step.steps || []).forEach(maskStep);
+}
+
+/**
+ * Mask a text attachment, inline or on disk
+ * @param {Object} attachment - Attachment
+ */
+function maskAttachment(attachment) {
+  if (!TEXT_CONTENT_TYPE.test(attachment.contentType || '')) {
+    return;
+  }
+  if (attachment.body) {
+    attachment.body = secretMasker.maskChunk(attachment.body);
+  } else if (attachment.path && fs.existsSync(attachment.path)) {
+    const content = fs.readFileSync(attachment.path, 'utf8');
+    const masked = secretMasker.mask(content);
+    if (masked !== content) {
+      fs.writeFileSync(attachment.path, masked);
+    }
+  }
+}
+
+class MaskingReporter {
+  constructor() {
+    // Registers the secrets of the active profile in the runner process, which prints and reports everything
+    getCredentialVault();
+    secretMasker.maskConsole();
+    secretMasker.maskProcessStreams();
+  }
+
+  onStepEnd(test, result, step) {
+    maskStep(step);
+  }
+
+  onTestEnd(test, result) {
+    maskError(result.error);
+    (result.errors || []).forEach(maskError);
+    result.steps.forEach(maskStep);
+    result.attachments.forEach(maskAttachment);
+    [result.stdout, result.stderr].forEach(chunks => {
+      chunks.forEach((chunk, index) => {
+        chunks[index] = secretMasker.maskChunk(chunk);
+      });
+    });
+    test.annotations.forEach(annotation => {
+      annotation.description = secretMasker.mask(annotation.description);
+    });
+  }
+
+  onError(error) {
+    maskError(error);
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = MaskingReporter;
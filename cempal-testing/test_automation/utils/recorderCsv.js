@@ -0,0 +1,168 @@
+/**
+ * Parser for test recorder CSV exports (e.g. dev-2025-10-28-22-35-25.csv)
+ *
+ * Format:
+ *   ,OS: Linux 6.14.0 | Browser: Chrome 141 | Resolution: 1920x1080 | Time: 28 Oct 2025 / 22:35:25  GMT+6
+ *   <blank line>
+ *   "#","Step","Data","Exp Result","XPath","cssSelector"
+ *   "1","Open website","https://dev.cempal.craftsmenltd.com/login","","",""
+ *   "2","Enter ""user@example.com"" into ""Email""","user@example.com","","//input[@id='email']","#email"
+ */
+
+const fs = require('fs');
+
+const HEADER = ['#', 'Step', 'Data', 'Exp Result', 'XPath', 'cssSelector'];
+const MASKED_VALUE = '******';
+
+// Recorder step wording and the action it maps to
+const STEP_PATTERNS = [
+  { type: 'open', pattern: /^Open website$/ },
+  { type: 'enter', pattern: /^Enter "(?<value>[\s\S]*)" into "(?<target>[^"]*)"$/ },
+  { type: 'click', pattern: /^Click on "(?<target>[\s\S]*)"$/ },
+  { type: 'reload', pattern: /^Reload$/ }
+];
+
+/**
+ * Error raised for a CSV that is not a recorder export
+ */
+class RecorderCsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecorderCsvError';
+  }
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse the environment header ("OS: ... | Browser: ... | Resolution: ... | Time: ...")
+ * @param {string} text - Header text
+ * @returns {Object} Environment keyed by lower-case label
+ */
+function parseEnvironment(text) {
+  return text.split('|').reduce((environment, part) => {
+    const separator = part.indexOf(':');
+    if (separator > -1) {
+      environment[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim().replace(/\s+/g, ' ');
+    }
+    return environment;
+  }, {});
+}
+
+/**
+ * Map a recorder step to an action
+ * @param {Object} row - Step row
+ * @returns {{type: string, target: string|null}} Action
+ */
+function parseAction(row) {
+  for (const { type, pattern } of STEP_PATTERNS) {
+    const match = row.step.match(pattern);
+    if (match) {
+      return { type, target: (match.groups && match.groups.target) || null };
+    }
+  }
+  throw new RecorderCsvError(`Step #${row.number} "${row.step}" is not a supported recorder step (Open website, Enter X into Y, Click on Z, Reload)`);
+}
+
+/**
+ * Parse a recorder CSV export
+ * @param {string} text - CSV text
+ * @returns {{environment: Object, steps: Array<Object>}} Recorded environment and steps
+ */
+function parseRecorderCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''))
+    .filter(row => row.some(field => field.trim() !== ''));
+  const headerIndex = rows.findIndex(row => row[0] === HEADER[0] && row[1] === HEADER[1]);
+
+  if (headerIndex === -1) {
+    throw new RecorderCsvError(`Missing the recorder header row (${HEADER.map(name => `"${name}"`).join(',')})`);
+  }
+
+  const environmentRow = rows.slice(0, headerIndex).find(row => row.join('').includes(':'));
+  const environment = environmentRow ? parseEnvironment(environmentRow.filter(Boolean).join(' | ')) : {};
+
+  const steps = rows.slice(headerIndex + 1).map(fields => {
+    const [number, step, data, expected, xpath, css] = fields.map(field => (field || '').trim());
+    const row = {
+      number: Number(number),
+      step,
+      data,
+      masked: data === MASKED_VALUE,
+      expected,
+      xpath,
+      css
+    };
+    row.action = parseAction(row);
+    return row;
+  });
+
+  return { environment, steps };
+}
+
+/**
+ * Read and parse a recorder CSV file
+ * @param {string} filePath - Path to the export
+ * @returns {{environment: Object, steps: Array<Object>}} Recorded environment and steps
+ */
+function readRecorderCsv(filePath) {
+  try {
+    return parseRecorderCsv(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    error.message = `${filePath}: ${error.message}`;
+    throw error;
+  }
+}
+
+module.exports = {
+  parseCsv,
+  parseRecorderCsv,
+  readRecorderCsv,
+  RecorderCsvError,
+  MASKED_VALUE
+};
@@ -0,0 +1,115 @@
+/**
+ * Secret masking for Cempal Portal testing
+ * Every secret registered here is replaced by a mask in console output, reporter output
+ * and text attachments of the process that registered it
+ */
+
+const util = require('util');
+
+const MASK = '******';
+const MIN_SECRET_LENGTH = 4;
+
+class SecretMasker {
+  constructor() {
+    this.secrets = new Set();
+    this.consoleMasked = false;
+    this.streamsMasked = false;
+  }
+
+  /**
+   * Register a secret value to be masked
+   * @param {string} secret - Secret value
+   */
+  register(secret) {
+    if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(secret);
+      // Also mask the URL-encoded form used in query strings and form posts
+      this.secrets.add(encodeURIComponent(secret));
+    }
+  }
+
+  /**
+   * Check if any secret has been registered
+   * @returns {boolean} True if there is something to mask
+   */
+  hasSecrets() {
+    return this.secrets.size > 0;
+  }
+
+  /**
+   * Registered secrets, for callers that must find them outside Node (e.g. in the page)
+   * @returns {Array<string>} Secrets
+   */
+  getSecrets() {
+    return [...this.secrets];
+  }
+
+  /**
+   * Replace every registered secret in a string
+   * @param {string} text - Text to mask
+   * @returns {string} Masked text
+   */
+  mask(text) {
+    if (typeof text !== 'string' || !this.hasSecrets()) {
+      return text;
+    }
+    // Longest first, so a secret containing another one is masked whole
+    const secrets = [...this.secrets].sort((a, b) => b.length - a.length);
+    return secrets.reduce((masked, secret) => masked.split(secret).join(MASK), text);
+  }
+
+  /**
+   * Mask a string or Buffer, keeping its type
+   * @param {string|Buffer} chunk - Output chunk
+   * @returns {string|Buffer} Masked chunk
+   */
+  maskChunk(chunk) {
+    if (Buffer.isBuffer(chunk)) {
+      const text = chunk.toString('utf8');
+      const masked = this.mask(text);
+      return masked === text ? chunk : Buffer.from(masked, 'utf8');
+    }
+    return this.mask(chunk);
+  }
+
+  /**
+   * Mask console.log/info/warn/error/debug output of the current process
+   */
+  maskConsole() {
+    if (this.consoleMasked) {
+      return;
+    }
+    this.consoleMasked = true;
+
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+      const original = console[method].bind(console);
+      console[method] = (...args) => {
+        if (!this.hasSecrets()) {
+          original(...args);
+          return;
+        }
+        original(this.mask(util.format(...args)));
+      };
+    });
+  }
+
+  /**
+   * Mask everything the current process writes to stdout and stderr
+   */
+  maskProcessStreams() {
+    if (this.streamsMasked) {
+      return;
+    }
+    this.streamsMasked = true;
+
+    [process.stdout, process.stderr].forEach(stream => {
+      const originalWrite = stream.write.bind(stream);
+      stream.write = (chunk, ...rest) => originalWrite(this.maskChunk(chunk), ...rest);
+    });
+  }
+}
+
+// One registry per process: the Playwright runner and every worker register their own secrets
+const secretMasker = new SecretMasker();
+
+module.exports = { secretMasker, SecretMasker, MASK };
@@ -0,0 +1,635 @@
+/**
+ * Selector health check for Cempal Portal testing
+ * Logs in, visits every page and modal the page objects work on and counts the visible matches of each
+ * testData.selectors entry (and of the page objects' inline selectors) there: none, one or many.
+ *
+ * Usage:
+ *   node utils/selectorHealthCheck.js [--out reports/selector-health.json] [--headed]
+ *
+ * Exit code 1 when a required selector matches nothing on its page, 2 when the check could not run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('@playwright/test');
+const testData = require('../config/testData');
+const { PROJECT_ROOT } = require('../config/environment');
+const { ensureStorageState } = require('./authState');
+const { isLocatorDescriptor, countStrategies } = require('./selfHealing');
+const { createPageObjects } = require('../fixtures');
+const { startPortalServer } = require('../mock-portal/server');
+const { MFA_SETUP_EMAIL } = require('../mock-portal/seed');
+const { getCredentialVault, ROLES } = require('./credentialVault');
+const { secretMasker } = require('./secretMasker');
+const LoginPage = require('../pages/LoginPage');
+const DashboardPage = require('../pages/DashboardPage');
+const TenantManagementPage = require('../pages/TenantManagementPage');
+const TenantDetailsPage = require('../pages/TenantDetailsPage');
+const TenantGroupsPage = require('../pages/TenantGroupsPage');
+const TeamPage = require('../pages/TeamPage');
+const UserAssignmentPage = require('../pages/UserAssignmentPage');
+const PasswordResetPage = require('../pages/PasswordResetPage');
+const GoogleSignInPage = require('../pages/GoogleSignInPage');
+
+const DEFAULT_OUTPUT_FILE = path.join(PROJECT_ROOT, 'reports', 'selector-health.json');
+const PAGE_CLASSES = [LoginPage, DashboardPage, TenantManagementPage, TenantDetailsPage, TenantGroupsPage, TeamPage, UserAssignmentPage, PasswordResetPage, GoogleSignInPage];
+// Checkpoints that open a modal or menu wait this long for it before the selectors are counted
+const OPEN_TIMEOUT = testData.timeouts.medium;
+
+/**
+ * Inline selectors of the page objects; they only show up in error states, so they never fail the check
+ * @returns {Array<Object>} Checkpoint entries
+ */
+function inlineSelectorEntries() {
+  return PAGE_CLASSES.flatMap(PageClass => Object.entries(PageClass.inlineSelectors || {})
+    .flatMap(([group, selectors]) => selectors.map(selector => ({
+      key: `${PageClass.name}.${group}: ${selector}`,
+      selector,
+      optional: true
+    }))));
+}
+
+/**
+ * Text of the first cell of the first table row, used as sample value for row locators
+ * @param {import('../pages/BasePage')} pageObject - Page object of the page
+ * @returns {Promise<string|undefined>} Cell text
+ */
+async function firstCellText(pageObject) {
+  const rows = await pageObject.locateAll(testData.selectors.tableRows);
+  const text = await rows.first().getByRole('cell').first().textContent().catch(() => null);
+  return text ? text.trim() : undefined;
+}
+
+// Pages and modals to visit, the selectors expected there and how to get there.
+// Entries are testData.selectors keys; functions take their arguments from the samples read on the way.
+const CHECKPOINTS = [
+  {
+    name: 'login',
+    path: '/login',
+    selectors: [
+      'emailInput', 'passwordInput', 'signInButton', 'googleSignInButton', 'resetPasswordButton', 'cempalLogo',
+      { key: 'loginErrorAlert', optional: true },
+      ...inlineSelectorEntries()
+    ]
+  },
+  {
+    name: 'password reset',
+    path: '/login',
+    open: ({ passwordResetPage }) => passwordResetPage.click(testData.selectors.resetPasswordButton),
+    selectors: [
+      'resetEmailInput', 'sendCodeButton', 'backToSignInButton',
+      { key: 'passwordResetError', optional: true }
+    ]
+  },
+  {
+    // Only the mock portal is asked for a code: against a real portal it would mail the test account
+    name: 'password reset code',
+    path: '/login',
+    open: async ({ passwordResetPage }) => {
+      await passwordResetPage.click(testData.selectors.resetPasswordButton);
+      if (testData.mockPortal) {
+        await passwordResetPage.requestCode(testData.credentials.email);
+      }
+    },
+    selectors: [
+      { key: 'verificationCodeInput', optional: true },
+      { key: 'newPasswordInput', optional: true },
+      { key: 'confirmPasswordInput', optional: true },
+      { key: 'submitResetButton', optional: true },
+      { key: 'resendCodeButton', optional: true }
+    ]
+  },
+  {
+    // Google may skip the chooser (single signed-in account) or ask for a password instead
+    name: 'google account chooser',
+    path: '/login',
+    open: ({ loginPage }) => loginPage.openGoogleSignIn(),
+    selectors: [
+      { key: 'googleAccountChooser', optional: true },
+      { key: 'googleAccount', args: () => [testData.credentials.googleEmail], optional: true }
+    ]
+  },
+  {
+    // The mock portal's super admin Google account asks for consent; the consent screen is never answered
+    name: 'google consent',
+    path: '/login',
+    open: async ({ loginPage }) => {
+      await loginPage.openGoogleSignIn();
+      if (testData.mockPortal) {
+        await loginPage.click(testData.selectors.googleAccount(testData.credentials.email));
+        await loginPage.waitForNavigation();
+      }
+    },
+    selectors: [
+      { key: 'googleConsentContinueButton', optional: true },
+      { key: 'googleConsentCancelButton', optional: true }
+    ]
+  },
+  {
+    // Signs in as the first role with a TOTP secret and leaves the challenge unanswered
+    name: 'totp challenge',
+    path: '/login',
+    open: async ({ loginPage }) => {
+      const vault = getCredentialVault();
+      const role = ROLES.find(candidate => vault.hasAccount(candidate) && vault.getAccount(candidate).totpSecret);
+      if (role) {
+        const account = vault.getAccount(role);
+        await loginPage.enterEmail(account.email);
+        await loginPage.enterPassword(account.password);
+        await loginPage.clickSignIn();
+        await loginPage.waitForSignInStep();
+      }
+    },
+    selectors: [
+      { key: 'totpChallengeHeading', optional: true },
+      { key: 'totpCodeInput', optional: true },
+      { key: 'rememberDeviceCheckbox', optional: true },
+      { key: 'totpConfirmButton', optional: true }
+    ]
+  },
+  {
+    // Only the mock portal has an account left to enrol; the setup is never confirmed, so it stays unenrolled
+    name: 'totp setup',
+    path: '/login',
+    open: async ({ loginPage }) => {
+      if (testData.mockPortal) {
+        await loginPage.login(MFA_SETUP_EMAIL, testData.credentials.password);
+      }
+    },
+    selectors: [
+      { key: 'totpSetupHeading', optional: true },
+      { key: 'totpQrCode', optional: true },
+      { key: 'totpSetupSecret', optional: true }
+    ]
+  },
+  {
+    name: 'welcome',
+    path: '/welcome',
+    selectors: ['cempalLogo', 'getStartedButton']
+  },
+  {
+    name: 'dashboard',
+    role: 'super_admin',
+    path: '/',
+    selectors: [
+      'tenantLogo', 'accountCircle', 'dashboardButton', 'themeSwitch', 'privacyPolicyLink', 'tenantListLink', 'superAdminsLink',
+      { key: 'navigationLink', args: () => ['Tenant List'] }
+    ]
+  },
+  {
+    name: 'account menu',
+    role: 'super_admin',
+    path: '/',
+    open: ({ dashboardPage }) => dashboardPage.clickAccountCircle(),
+    selectors: ['logoutButton']
+  },
+  {
+    name: 'tenant list',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      samples.tenantName = await firstCellText(tenantPage);
+    },
+    selectors: [
+      'createTenantButton', 'dataTable', 'tableRows',
+      'searchInput', 'searchButton',
+      { key: 'tableRow', args: samples => [samples.tenantName] },
+      { key: 'tableCell', args: samples => [samples.tenantName] },
+      { key: 'tenantRowAction', args: samples => [samples.tenantName, 'read_more'] },
+      { key: 'tenantRowAction', args: samples => [samples.tenantName, 'edit_note'] },
+      { key: 'tenantRowAction', args: samples => [samples.tenantName, 'groups'] },
+      { key: 'tenantRowAction', args: samples => [samples.tenantName, 'diversity_3'], optional: true },
+      { key: 'tenantRowAction', args: samples => [samples.tenantName, 'delete'] },
+      'tableHeaders',
+      { key: 'columnHeader', args: () => ['Tenant Name'] },
+      // A list that fits on one page may come without pagination
+      { key: 'pagination', optional: true },
+      { key: 'paginationPages', optional: true },
+      { key: 'paginationActivePage', optional: true },
+      { key: 'paginationPage', args: () => [1], optional: true },
+      { key: 'paginationPrevious', optional: true },
+      { key: 'paginationNext', optional: true },
+      { key: 'pageSizeChanger', optional: true },
+      // Only shown while a search or the list is empty
+      { key: 'tableEmpty', optional: true }
+    ]
+  },
+  {
+    name: 'create tenant modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage }) => {
+      await tenantPage.clickCreateNewTenant();
+      await tenantPage.waitForElement(testData.selectors.modal, OPEN_TIMEOUT);
+    },
+    selectors: [
+      'modal', 'modalCloseButton', 'tenantNameInput', 'domainNameInput', 'contactEmailInput', 'addressTextarea', 'createTenantSubmitButton',
+      { key: 'modalTitled', args: () => ['Add a New Tenant'] }
+    ]
+  },
+  {
+    name: 'edit tenant modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      await tenantPage.clickTenantAction(samples.tenantName || await firstCellText(tenantPage), 'edit_note');
+      await tenantPage.waitForElement(testData.selectors.modal, OPEN_TIMEOUT);
+    },
+    selectors: ['modal', 'modalCloseButton', 'tenantNameInput', 'domainNameInput', 'contactEmailInput', 'addressTextarea', 'updateTenantButton']
+  },
+  {
+    name: 'tenant details modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage, tenantDetailsPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      await tenantDetailsPage.open(samples.tenantName || await firstCellText(tenantPage));
+    },
+    selectors: ['modal', 'modalCloseButton', 'tenantDetailsModal', 'detailsLabels', 'detailsValues']
+  },
+  {
+    // Adding, renaming and deleting groups is optional: the check passes on a portal with a read-only groups view
+    name: 'tenant groups modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage, tenantGroupsPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      samples.groupsTenantName = samples.tenantName || await firstCellText(tenantPage);
+      await tenantGroupsPage.open(samples.groupsTenantName);
+      samples.groupName = (await tenantGroupsPage.getGroupNames())[0];
+    },
+    selectors: [
+      'modal', 'modalCloseButton', 'groupsTable', 'groupRows',
+      { key: 'tenantGroupsModal', args: samples => [samples.groupsTenantName] },
+      { key: 'groupRow', args: samples => [samples.groupName] },
+      { key: 'groupNameInput', optional: true },
+      { key: 'addGroupButton', optional: true },
+      { key: 'groupRowAction', args: samples => [samples.groupName, 'edit'], optional: true },
+      { key: 'groupRowAction', args: samples => [samples.groupName, 'delete'], optional: true }
+    ]
+  },
+  {
+    // The teams modal is optional: the check passes on a portal that manages teams elsewhere
+    name: 'tenant teams modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage, teamPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      const tenantName = samples.tenantName || await firstCellText(tenantPage);
+      if (await teamPage.canOpen(tenantName)) {
+        await teamPage.open(tenantName);
+        samples.teamsTenantName = tenantName;
+        samples.teamName = (await teamPage.getTeamNames())[0];
+      }
+    },
+    selectors: [
+      { key: 'tenantTeamsModal', args: samples => [samples.teamsTenantName], optional: true },
+      { key: 'teamsTable', optional: true },
+      { key: 'teamRows', optional: true },
+      { key: 'teamRow', args: samples => [samples.teamName], optional: true },
+      { key: 'teamNameInput', optional: true },
+      { key: 'addTeamButton', optional: true }
+    ]
+  },
+  {
+    // Opened only: the check never saves the rename
+    name: 'rename group',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage, tenantGroupsPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      await tenantGroupsPage.open(samples.groupsTenantName || await firstCellText(tenantPage));
+      if (samples.groupName && await tenantGroupsPage.canManageGroups()) {
+        await tenantGroupsPage.click(testData.selectors.groupRowAction(samples.groupName, 'edit'));
+      }
+    },
+    selectors: [
+      { key: 'groupRenameInput', optional: true },
+      { key: 'saveGroupNameButton', optional: true }
+    ]
+  },
+  {
+    // Opened only: the check never confirms the deletion
+    name: 'delete group popconfirm',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage, tenantGroupsPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      await tenantGroupsPage.open(samples.groupsTenantName || await firstCellText(tenantPage));
+      if (samples.groupName && await tenantGroupsPage.canManageGroups()) {
+        await tenantGroupsPage.click(testData.selectors.groupRowAction(samples.groupName, 'delete'));
+        await tenantGroupsPage.waitForElement(testData.selectors.groupDeletePopconfirm, OPEN_TIMEOUT);
+      }
+    },
+    selectors: [
+      { key: 'groupDeletePopconfirm', optional: true },
+      { key: 'confirmDeleteGroupButton', optional: true },
+      { key: 'cancelDeleteGroupButton', optional: true }
+    ]
+  },
+  {
+    // Opened only: the check never confirms the deletion
+    name: 'delete tenant modal',
+    role: 'super_admin',
+    path: '/tenant-list',
+    open: async ({ tenantPage }, samples) => {
+      await tenantPage.waitForTenantListLoad();
+      await tenantPage.clickTenantAction(samples.tenantName || await firstCellText(tenantPage), 'delete');
+      await tenantPage.waitForElement(testData.selectors.modal, OPEN_TIMEOUT);
+    },
+    selectors: ['modal', 'deleteTenantModal', 'modalCancelButton', 'confirmDeleteTenantButton']
+  },
+  {
+    name: 'super admins',
+    role: 'super_admin',
+    path: '/super-admins',
+    open: async ({ assignmentPage }, samples) => {
+      await assignmentPage.waitForSuperAdminsLoad();
+      samples.userEmail = await firstCellText(assignmentPage);
+      const assigned = (await assignmentPage.table.getRows()).find(user => user.tenantName);
+      samples.assignedUserEmail = assigned ? assigned.email : undefined;
+    },
+    selectors: [
+      'dataTable', 'tableRows', 'assignButton', 'searchInput', 'searchButton',
+      { key: 'tableRow', args: samples => [samples.userEmail] },
+      { key: 'userAssignButton', args: samples => [samples.userEmail] },
+      { key: 'userUnassignButton', args: samples => [samples.assignedUserEmail], optional: true }
+    ]
+  },
+  {
+    // Opens the Popconfirm without confirming it; optional where the list offers no unassign action
+    name: 'unassign popconfirm',
+    role: 'super_admin',
+    path: '/super-admins',
+    open: async ({ assignmentPage }, samples) => {
+      await assignmentPage.waitForSuperAdminsLoad();
+      if (samples.assignedUserEmail && await assignmentPage.canUnassign(samples.assignedUserEmail)) {
+        await assignmentPage.click(testData.selectors.userUnassignButton(samples.assignedUserEmail));
+      }
+    },
+    selectors: [
+      { key: 'unassignPopconfirm', optional: true },
+      { key: 'confirmUnassignButton', optional: true },
+      { key: 'cancelUnassignButton', optional: true }
+    ]
+  },
+  {
+    name: 'assign modal',
+    role: 'super_admin',
+    path: '/super-admins',
+    open: async ({ assignmentPage }, samples) => {
+      await assignmentPage.waitForSuperAdminsLoad();
+      await assignmentPage.click(testData.selectors.assignButton);
+      await assignmentPage.waitForElement(testData.selectors.modal, OPEN_TIMEOUT);
+      await assignmentPage.clickTenantDropdown();
+      await assignmentPage.waitForElement(testData.selectors.selectDropdown, OPEN_TIMEOUT);
+      const options = await assignmentPage.locateAll(testData.selectors.selectOptions);
+      const option = await options.first().textContent().catch(() => null);
+      samples.optionLabel = option ? option.trim() : undefined;
+    },
+    selectors: [
+      'modal', 'modalCloseButton', 'tenantSelect', 'groupSelect', 'teamSelect', 'assignSubmitButton', 'selectDropdown', 'selectOptions',
+      { key: 'selectOption', args: samples => [samples.optionLabel] },
+      // Only filled in when the first user is assigned already
+      { key: 'selectedTenant', optional: true },
+      { key: 'selectedGroup', optional: true },
+      { key: 'selectedTeam', optional: true }
+    ]
+  },
+  {
+    // Searches the Tenant dropdown for a name no tenant has, for the empty state of the filtered popup
+    name: 'assign modal search',
+    role: 'super_admin',
+    path: '/super-admins',
+    open: async ({ assignmentPage }) => {
+      await assignmentPage.waitForSuperAdminsLoad();
+      await assignmentPage.click(testData.selectors.assignButton);
+      await assignmentPage.waitForElement(testData.selectors.modal, OPEN_TIMEOUT);
+      await assignmentPage.tenantField.open();
+      await assignmentPage.fill(testData.selectors.tenantSelect, 'selector health check: no such tenant');
+    },
+    selectors: ['selectEmpty']
+  }
+];
+
+/**
+ * Status of a match count
+ * @param {number} count - Visible matches
+ * @returns {string} missing, one or many
+ */
+function statusOf(count) {
+  if (count === 0) {
+    return 'missing';
+  }
+  return count === 1 ? 'one' : 'many';
+}
+
+/**
+ * Count one checkpoint entry on the current page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {string|Object} entry - testData.selectors key or entry object
+ * @param {Object} samples - Values read on earlier checkpoints
+ * @returns {Promise<Object>} Result of the entry
+ */
+async function checkEntry(page, entry, samples) {
+  const { key, args, optional = false, selector: inlineSelector } = typeof entry === 'string' ? { key: entry } : entry;
+  let selector = inlineSelector || testData.selectors[key];
+  let label = key;
+
+  if (typeof selector === 'function') {
+    const values = args ? args(samples) : [];
+    if (values.some(value => value === undefined)) {
+      return { selector: key, optional, status: 'skipped', reason: 'no sample value on this page' };
+    }
+    selector = selector(...values);
+    label = selector.name || `${key}(${values.join(', ')})`;
+  }
+
+  if (!isLocatorDescriptor(selector)) {
+    const count = await page.locator(selector).filter({ visible: true }).count();
+    return { selector: label, optional, status: statusOf(count), count };
+  }
+
+  const strategies = await countStrategies(page, selector);
+  const matched = strategies.find(strategy => strategy.count > 0);
+  return {
+    selector: label,
+    optional,
+    status: statusOf(matched ? matched.count : 0),
+    count: matched ? matched.count : 0,
+    matchedStrategy: matched ? matched.strategy : null,
+    // The first strategy no longer matching means tests only pass through self-healing
+    healed: Boolean(matched) && matched !== strategies[0],
+    strategies
+  };
+}
+
+/**
+ * Visit one checkpoint and count its selectors
+ * @param {import('@playwright/test').Browser} browser - Browser
+ * @param {Object} checkpoint - Checkpoint
+ * @param {Object} samples - Values read on earlier checkpoints
+ * @returns {Promise<Object>} Checkpoint result
+ */
+async function runCheckpoint(browser, checkpoint, samples) {
+  const storageState = checkpoint.role ? await ensureStorageState(browser, checkpoint.role) : undefined;
+  const context = await browser.newContext({ baseURL: testData.baseUrl, storageState });
+
+  try {
+    const page = await context.newPage();
+    await page.goto(checkpoint.path);
+    await page.waitForLoadState('networkidle');
+
+    if (checkpoint.open) {
+      try {
+        await checkpoint.open(createPageObjects(page), samples);
+      } catch (error) {
+        return { name: checkpoint.name, url: page.url(), error: `Could not open: ${error.message.split('\n')[0]}`, selectors: [] };
+      }
+    }
+
+    const selectors = [];
+    for (const entry of checkpoint.selectors) {
+      selectors.push(await checkEntry(page, entry, samples));
+    }
+    return { name: checkpoint.name, url: page.url(), selectors };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Registry entries no checkpoint looks at
+ * @returns {Array<string>} testData.selectors keys
+ */
+function uncheckedSelectors() {
+  const checked = new Set(CHECKPOINTS.flatMap(checkpoint => checkpoint.selectors
+    .map(entry => (typeof entry === 'string' ? entry : entry.key))));
+  return Object.keys(testData.selectors).filter(key => !checked.has(key));
+}
+
+/**
+ * Start the mock portal for the local-mock profile, unless one is already listening on its port
+ * @returns {Promise<import('http').Server|null>} Server started here
+ */
+async function startMockPortal() {
+  if (!testData.mockPortal) {
+    return null;
+  }
+  try {
+    const { server } = await startPortalServer({ port: Number(new URL(testData.baseUrl).port) });
+    return server;
+  } catch (error) {
+    if (error.code === 'EADDRINUSE') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run the health check
+ * @param {Object} options - Options
+ * @param {boolean} options.headless - Run the browser headless
+ * @returns {Promise<Object>} Report
+ */
+async function runHealthCheck({ headless = testData.browser.headless } = {}) {
+  const portal = await startMockPortal();
+  const samples = {};
+  const checkpoints = [];
+
+  try {
+    const browser = await chromium.launch({ headless });
+    try {
+      for (const checkpoint of CHECKPOINTS) {
+        checkpoints.push(await runCheckpoint(browser, checkpoint, samples));
+      }
+    } finally {
+      await browser.close();
+    }
+  } finally {
+    if (portal) {
+      portal.close();
+    }
+  }
+
+  const results = checkpoints.flatMap(checkpoint => checkpoint.selectors);
+  const broken = checkpoints.flatMap(checkpoint => checkpoint.selectors
+    .filter(result => result.status === 'missing' && !result.optional)
+    .map(result => `${checkpoint.name}: ${result.selector}`));
+
+  return {
+    profile: testData.profile,
+    baseUrl: testData.baseUrl,
+    checkedAt: new Date().toISOString(),
+    summary: {
+      one: results.filter(result => result.status === 'one').length,
+      many: results.filter(result => result.status === 'many').length,
+      missing: results.filter(result => result.status === 'missing').length,
+      healed: results.filter(result => result.healed).length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      unreachable: checkpoints.filter(checkpoint => checkpoint.error).map(checkpoint => checkpoint.name),
+      broken,
+      unchecked: uncheckedSelectors()
+    },
+    checkpoints
+  };
+}
+
+/**
+ * Plain-text report, one line per selector
+ * @param {Object} report - Health check report
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+  const lines = [`Selector health check against ${report.baseUrl} (${report.profile})`];
+  for (const checkpoint of report.checkpoints) {
+    lines.push('', `${checkpoint.name} - ${checkpoint.url}`);
+    if (checkpoint.error) {
+      lines.push(`  ERROR   ${checkpoint.error}`);
+    }
+    for (const result of checkpoint.selectors) {
+      const status = (result.status === 'missing' && result.optional ? 'absent' : result.status).toUpperCase().padEnd(7);
+      const detail = [
+        result.count > 0 ? `${result.count} via ${result.matchedStrategy || 'selector'}` : null,
+        result.healed ? 'HEALED' : null,
+        result.reason || null
+      ].filter(Boolean).join(', ');
+      lines.push(`  ${status} ${result.selector}${detail ? ` (${detail})` : ''}`);
+    }
+  }
+
+  const { summary } = report;
+  lines.push('', `${summary.one} one, ${summary.many} many, ${summary.missing} missing (${summary.broken.length} required), ${summary.healed} healed, ${summary.skipped} skipped`);
+  if (summary.unchecked.length > 0) {
+    lines.push(`Not checked on any page: ${summary.unchecked.join(', ')}`);
+  }
+  if (summary.broken.length > 0) {
+    lines.push('Broken selectors:', ...summary.broken.map(selector => `  ${selector}`));
+  }
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  secretMasker.maskConsole();
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outputFile = outIndex > -1 ? path.resolve(args[outIndex + 1]) : DEFAULT_OUTPUT_FILE;
+
+  runHealthCheck({ headless: args.includes('--headed') ? false : testData.browser.headless })
+    .then(report => {
+      fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+      fs.writeFileSync(outputFile, JSON.stringify(report, null, 2));
+      console.log(formatReport(report));
+      console.log(`\nReport written to ${path.relative(process.cwd(), outputFile)}`);
+      process.exit(report.summary.broken.length > 0 || report.summary.unreachable.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error(`Selector health check failed: ${error.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { runHealthCheck, formatReport, CHECKPOINTS };
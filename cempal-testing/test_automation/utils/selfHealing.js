@@ -0,0 +1,244 @@
+/**
+ * Self-healing locators for Cempal Portal testing
+ * A locator descriptor lists candidate strategies for one element, tried in order:
+ *
+ *   emailInput: {
+ *     css: "input[id='amplify-id-:r2:']",        // cssSelector column of the recorder CSV
+ *     xpath: "//input[@id='amplify-id-:r2:']",   // XPath column of the recorder CSV
+ *     role: ['textbox', { name: 'Email' }],      // page.getByRole(...)
+ *     label: 'Email'                             // page.getByLabel(..., { exact: true })
+ *   }
+ *
+ * A descriptor can be scoped and filtered:
+ *   within: parent descriptor the strategies are resolved in (e.g. a table row or a modal)
+ *   has: descriptor of a descendant the element must contain (e.g. the cell holding a tenant name)
+ *   hasText: text the element must contain
+ *   name: name shown in errors and the healed selector report (defaults to the testData.selectors key)
+ *
+ * When a later strategy matches, the element is "healed": the test gets a healed-selector annotation,
+ * which utils/healingReporter.js lists at the end of the run
+ */
+
+const testData = require('../config/testData');
+
+const HEALED_ANNOTATION = 'healed-selector';
+// Pause between two rounds over the candidate strategies
+const POLL_INTERVAL = 250;
+
+// Strategy name and the Playwright locator it builds from a page or a scoping locator
+const STRATEGIES = {
+  css: (root, value) => root.locator(`css=${value}`),
+  // A leading // would search the whole document from a scoping locator
+  xpath: (root, value) => root.locator(`xpath=${value.startsWith('//') ? `.${value}` : value}`),
+  role: (root, value) => (Array.isArray(value) ? root.getByRole(...value) : root.getByRole(value)),
+  label: (root, value) => root.getByLabel(value, { exact: true }),
+  placeholder: (root, value) => root.getByPlaceholder(value, { exact: true }),
+  text: (root, value) => root.getByText(value, { exact: true }),
+  testId: (root, value) => root.getByTestId(value)
+};
+
+/**
+ * Check if a selector is a locator descriptor rather than a selector string
+ * @param {string|Object} selector - Selector or descriptor
+ * @returns {boolean} True for descriptors
+ */
+function isLocatorDescriptor(selector) {
+  return selector !== null && typeof selector === 'object' && !Array.isArray(selector);
+}
+
+/**
+ * Candidate strategies of a descriptor, in order
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {Array<{strategy: string, value: *}>} Strategies
+ */
+function strategiesOf(descriptor) {
+  const strategies = Object.entries(descriptor)
+    .filter(([strategy]) => STRATEGIES[strategy])
+    .map(([strategy, value]) => ({ strategy, value }));
+
+  if (strategies.length === 0) {
+    throw new Error(`Locator descriptor without a strategy (${Object.keys(STRATEGIES).join(', ')}): ${JSON.stringify(descriptor)}`);
+  }
+  return strategies;
+}
+
+/**
+ * Readable form of a strategy, e.g. label=Email or role=textbox[name="Email"]
+ * @param {{strategy: string, value: *}} candidate - Strategy
+ * @returns {string} Description
+ */
+function describeStrategy({ strategy, value }) {
+  if (strategy === 'role' && Array.isArray(value)) {
+    const [role, options = {}] = value;
+    const attributes = Object.entries(options).map(([key, option]) => `[${key}=${JSON.stringify(option)}]`).join('');
+    return `role=${role}${attributes}`;
+  }
+  return `${strategy}=${value}`;
+}
+
+/**
+ * Name of a descriptor in testData.selectors
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {string} Selector name, or the first strategy for descriptors outside testData
+ */
+function descriptorName(descriptor) {
+  const name = descriptor.name || Object.keys(testData.selectors).find(key => testData.selectors[key] === descriptor);
+  return name || describeStrategy(strategiesOf(descriptor)[0]);
+}
+
+/**
+ * Build the locator of one strategy, with the has/hasText filters of its descriptor
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {import('@playwright/test').Page|import('@playwright/test').Locator} root - Page or scoping locator
+ * @param {Object} descriptor - Locator descriptor
+ * @param {{strategy: string, value: *}} candidate - Strategy
+ * @returns {import('@playwright/test').Locator} Locator
+ */
+function strategyLocator(page, root, descriptor, { strategy, value }) {
+  let locator = STRATEGIES[strategy](root, value);
+  if (descriptor.has) {
+    locator = locator.filter({ has: allStrategiesLocator(page, descriptor.has) });
+  }
+  if (descriptor.hasText !== undefined) {
+    locator = locator.filter({ hasText: descriptor.hasText });
+  }
+  return locator;
+}
+
+/**
+ * Locator matching any strategy of a descriptor, without preferring one (e.g. to wait for it to hide)
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {import('@playwright/test').Locator} Locator of all matches
+ */
+function allStrategiesLocator(page, descriptor) {
+  const root = descriptor.within ? allStrategiesLocator(page, descriptor.within) : page;
+  return strategiesOf(descriptor)
+    .map(candidate => strategyLocator(page, root, descriptor, candidate))
+    .reduce((union, locator) => union.or(locator));
+}
+
+/**
+ * First match of any strategy of a descriptor
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {import('@playwright/test').Locator} Locator
+ */
+function anyStrategyLocator(page, descriptor) {
+  return allStrategiesLocator(page, descriptor).first();
+}
+
+/**
+ * Add a healed-selector annotation to the running test, once per selector and strategy
+ * @param {Object} healing - Healed selector
+ */
+function recordHealing(healing) {
+  let info;
+  try {
+    // Lazy: page objects are also used outside the test runner (global setup, scripts)
+    info = require('@playwright/test').test.info();
+  } catch (error) {
+    return;
+  }
+
+  const description = JSON.stringify(healing);
+  if (!info.annotations.some(annotation => annotation.type === HEALED_ANNOTATION && annotation.description === description)) {
+    info.annotations.push({ type: HEALED_ANNOTATION, description });
+  }
+}
+
+/**
+ * Find the element of a descriptor: the first strategy, in order, with a visible match
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @param {Object} options - Options
+ * @param {number} options.timeout - How long to keep trying the strategies
+ * @returns {Promise<import('@playwright/test').Locator>} Locator of the matched strategy
+ */
+async function resolveLocator(page, descriptor, { timeout = testData.timeouts.medium } = {}) {
+  const deadline = Date.now() + timeout;
+  const root = descriptor.within ? await resolveLocator(page, descriptor.within, { timeout }) : page;
+  const candidates = strategiesOf(descriptor).map(candidate => ({
+    ...candidate,
+    locator: strategyLocator(page, root, descriptor, candidate).filter({ visible: true }).first()
+  }));
+
+  do {
+    const candidate = await firstMatchingCandidate(page, descriptor, candidates);
+    if (candidate) {
+      return candidate.locator;
+    }
+    await page.waitForTimeout(POLL_INTERVAL);
+  } while (Date.now() < deadline);
+
+  throw new Error(`No strategy of ${descriptorName(descriptor)} matched a visible element within ${timeout}ms (tried ${candidates.map(describeStrategy).join(', ')})`);
+}
+
+/**
+ * Find all elements of a descriptor (e.g. table rows) without waiting: the first strategy, in order,
+ * with any match, or the first strategy when none matches
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {Promise<import('@playwright/test').Locator>} Locator of all matches
+ */
+async function resolveAllLocator(page, descriptor) {
+  const root = descriptor.within ? anyStrategyLocator(page, descriptor.within) : page;
+  const candidates = strategiesOf(descriptor).map(candidate => ({
+    ...candidate,
+    locator: strategyLocator(page, root, descriptor, candidate)
+  }));
+
+  const candidate = await firstMatchingCandidate(page, descriptor, candidates);
+  return (candidate || candidates[0]).locator;
+}
+
+/**
+ * First candidate, in order, with a match; records a healing when it is not the first one
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @param {Array<Object>} candidates - Strategies with their locators
+ * @returns {Promise<Object|undefined>} Matching candidate
+ */
+async function firstMatchingCandidate(page, descriptor, candidates) {
+  for (const [index, candidate] of candidates.entries()) {
+    if (await candidate.locator.count() > 0) {
+      if (index > 0) {
+        recordHealing({
+          selector: descriptorName(descriptor),
+          failed: candidates.slice(0, index).map(describeStrategy),
+          matched: describeStrategy(candidate),
+          url: page.url()
+        });
+      }
+      return candidate;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Count the visible matches of every strategy of a descriptor, without waiting or recording healings
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {Object} descriptor - Locator descriptor
+ * @returns {Promise<Array<{strategy: string, count: number}>>} Visible matches per strategy, in order
+ */
+async function countStrategies(page, descriptor) {
+  const root = descriptor.within ? anyStrategyLocator(page, descriptor.within) : page;
+  const counts = [];
+  for (const candidate of strategiesOf(descriptor)) {
+    const count = await strategyLocator(page, root, descriptor, candidate).filter({ visible: true }).count();
+    counts.push({ strategy: describeStrategy(candidate), count });
+  }
+  return counts;
+}
+
+module.exports = {
+  isLocatorDescriptor,
+  resolveLocator,
+  resolveAllLocator,
+  anyStrategyLocator,
+  countStrategies,
+  describeStrategy,
+  strategiesOf,
+  HEALED_ANNOTATION
+};
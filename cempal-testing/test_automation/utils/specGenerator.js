@@ -0,0 +1,497 @@
+/**
+ * Generates a page-object spec from a recorder CSV export
+ * Rows are mapped to page object methods through testData.selectors; selectors without an entry
+ * become named entries of a recordedSelectors object at the top of the generated spec
+ *
+ * Usage:
+ *   node utils/specGenerator.js <export.csv> [--out tests/generated/<name>.spec.js]
+ *   node utils/specGenerator.js <export.csv> --check   (exit code 1 if the spec is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testData = require('../config/testData');
+const { PROJECT_ROOT } = require('../config/environment');
+const { getCredentialVault } = require('./credentialVault');
+const { readRecorderCsv } = require('./recorderCsv');
+const { isLocatorDescriptor } = require('./selfHealing');
+
+const GENERATED_DIR = path.join(PROJECT_ROOT, 'tests', 'generated');
+const PAGE_OBJECTS = ['loginPage', 'dashboardPage', 'tenantPage', 'assignmentPage'];
+
+// Page object methods per testData.selectors entry
+const PAGE_ACTIONS = [
+  { key: 'emailInput', page: 'loginPage', enter: 'enterEmail' },
+  { key: 'passwordInput', page: 'loginPage', enter: 'enterPassword' },
+  { key: 'signInButton', page: 'loginPage', click: 'clickSignIn' },
+  { key: 'googleSignInButton', page: 'loginPage', click: 'clickGoogleSignIn' },
+  { key: 'resetPasswordButton', page: 'loginPage', click: 'clickResetPassword' },
+  { key: 'cempalLogo', page: 'loginPage', click: 'clickCempalLogo' },
+  { key: 'getStartedButton', page: 'loginPage', click: 'clickGetStarted' },
+  { key: 'accountCircle', page: 'dashboardPage', click: 'clickAccountCircle' },
+  { key: 'logoutButton', page: 'dashboardPage', click: 'clickLogout' },
+  { key: 'tenantLogo', page: 'dashboardPage', click: 'clickTenantLogo' },
+  { key: 'dashboardButton', page: 'dashboardPage', click: 'clickDashboardButton' },
+  { key: 'privacyPolicyLink', page: 'dashboardPage', click: 'clickPrivacyPolicy' },
+  { key: 'themeSwitch', page: 'dashboardPage', click: 'toggleTheme' },
+  { key: 'tenantListLink', page: 'dashboardPage', click: 'navigateToTenantList' },
+  { key: 'superAdminsLink', page: 'dashboardPage', click: 'navigateToSuperAdmins' },
+  { key: 'createTenantButton', page: 'tenantPage', click: 'clickCreateNewTenant' },
+  { key: 'tenantNameInput', page: 'tenantPage', enter: 'fillTenantName' },
+  { key: 'domainNameInput', page: 'tenantPage', enter: 'fillDomainName' },
+  { key: 'contactEmailInput', page: 'tenantPage', enter: 'fillContactEmail' },
+  { key: 'addressTextarea', page: 'tenantPage', enter: 'fillAddress' },
+  { key: 'createTenantSubmitButton', page: 'tenantPage', click: 'clickCreateTenantSubmit' },
+  { key: 'updateTenantButton', page: 'tenantPage', click: 'clickUpdateTenant' },
+  { key: 'modalCloseButton', page: 'tenantPage', click: 'clickCloseModal' },
+  { key: 'assignButton', page: 'assignmentPage' },
+  { key: 'tenantSelect', page: 'assignmentPage', click: 'clickTenantDropdown' },
+  { key: 'groupSelect', page: 'assignmentPage', click: 'clickGroupDropdown' },
+  { key: 'teamSelect', page: 'assignmentPage', click: 'clickTeamDropdown' },
+  { key: 'assignSubmitButton', page: 'assignmentPage', click: 'clickAssignSubmit' }
+];
+
+// Field labels of "Enter X into Y" rows whose recorded selector no longer matches (rotating ids)
+const FIELD_LABELS = {
+  'Email': 'emailInput',
+  'Password': 'passwordInput',
+  'Tenant Name': 'tenantNameInput',
+  'Domain Name': 'domainNameInput',
+  'Contact Email': 'contactEmailInput',
+  'Address': 'addressTextarea'
+};
+
+// testData values an entered value is written as, when equal
+const VALUE_REFERENCES = {
+  emailInput: ['credentials.email'],
+  tenantNameInput: ['tenant.name'],
+  domainNameInput: ['tenant.domain'],
+  contactEmailInput: ['tenant.contactEmail'],
+  addressTextarea: ['tenant.address', 'tenant.updatedAddress']
+};
+
+// Dropdown options: folded with the dropdown click of the previous row into one select call
+const OPTION_PATTERNS = [
+  { pattern: /^\/\/div\[@class='ant-select-item-option-content'\]\[normalize-space\(\)='(.+)'\]$/, opener: 'tenantSelect', method: 'selectTenant', reference: 'userAssignment.tenantName' },
+  { pattern: /^\/\/div\[contains\(text\(\),'(.+)'\)\]$/, opener: 'groupSelect', method: 'selectUserGroup', reference: 'userAssignment.userGroup' },
+  { pattern: /^\/\/div\[@title='(.+)'\]$/, opener: 'teamSelect', method: 'selectTeam', reference: 'userAssignment.teamName' }
+];
+
+const TENANT_ROW_ACTIONS = ['read_more', 'edit_note', 'groups', 'delete'];
+
+// Longer recorded CSS selectors are SVG path data or nth-child chains
+const MAX_CSS_LENGTH = 100;
+
+const TAG_SUFFIXES = { input: 'Input', textarea: 'Textarea', button: 'Button', a: 'Link', img: 'Image', svg: 'Icon' };
+
+// Recorded addresses are account data, never selector names or literals: they differ per environment
+const EMAIL = /^[^\s@'"]+@[^\s@'"]+\.[A-Za-z]{2,}$/;
+const EMAILS = /[^\s@'"]+@[^\s@'"]+\.[A-Za-z]{2,}/g;
+const ACCOUNT_ADDRESSES = ['email', 'googleEmail'];
+
+/**
+ * Normalise a selector for comparison
+ * @param {string} selector - XPath or CSS selector
+ * @returns {string} Normalised selector
+ */
+function normalizeSelector(selector) {
+  return (selector || '').replace(/"/g, "'").trim();
+}
+
+/**
+ * Write a string as a single-quoted JavaScript literal
+ * @param {string} value - String
+ * @returns {string} Literal
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Read a dotted path of testData
+ * @param {string} keyPath - Dotted path
+ * @returns {*} Value
+ */
+function testDataValue(keyPath) {
+  const [root, ...keys] = keyPath.split('.');
+  // Only the email of the credentials is compared, so the account is read without requiring its password
+  const start = root === 'credentials' ? getCredentialVault().accounts.super_admin : testData[root];
+  return keys.reduce((value, key) => (value ? value[key] : undefined), start);
+}
+
+/**
+ * Convert text to a camelCase identifier
+ * @param {string} text - Text
+ * @returns {string} Identifier
+ */
+function camelCase(text) {
+  const words = text.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  const identifier = words.map((word, index) => (index === 0
+    ? word.charAt(0).toLowerCase() + word.slice(1)
+    : word.charAt(0).toUpperCase() + word.slice(1))).join('');
+  return /^[A-Za-z]/.test(identifier) ? identifier : `element${identifier}`;
+}
+
+/**
+ * Find the credential vault account an address belongs to
+ * @param {string} address - Email address
+ * @returns {{role: string, field: string}|undefined} Role and account field (email or googleEmail)
+ */
+function vaultAddress(address) {
+  const wanted = address.toLowerCase();
+  for (const [role, account] of Object.entries(getCredentialVault().accounts)) {
+    const field = ACCOUNT_ADDRESSES.find(candidate => (account[candidate] || '').toLowerCase() === wanted);
+    if (field) {
+      return { role, field };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Step text of a row, with the addresses of vault accounts written as the account field they come from
+ * @param {Object} row - Parsed step
+ * @returns {string} Step text
+ */
+function stepText(row) {
+  return row.step.replace(EMAILS, address => {
+    const account = vaultAddress(address);
+    return account ? `<${account.role} ${account.field}>` : address;
+  });
+}
+
+class SpecGenerator {
+  /**
+   * @param {Object} recording - Parsed recorder export ({ environment, steps })
+   * @param {string} sourceName - File name of the export
+   */
+  constructor(recording, sourceName) {
+    this.recording = recording;
+    this.sourceName = sourceName;
+    this.newSelectors = new Map();
+    this.parameterizedSelectors = new Set();
+    this.usedPages = new Set();
+    this.usesVault = false;
+    this.usesGoogleSignIn = false;
+    this.currentPage = 'loginPage';
+    this.entered = {};
+
+    this.actionsBySelector = new Map();
+    this.actionsByKey = new Map();
+    this.keysByText = new Map();
+    for (const action of PAGE_ACTIONS) {
+      const selector = testData.selectors[action.key];
+      // Locator descriptors match on their XPath and CSS strategies
+      const selectors = isLocatorDescriptor(selector) ? [selector.xpath, selector.css].filter(Boolean) : [selector];
+      selectors.forEach(candidate => this.actionsBySelector.set(normalizeSelector(candidate), action));
+      this.actionsByKey.set(action.key, action);
+      const text = selectors.map(candidate => normalizeSelector(candidate).match(/normalize-space\(\)='([^']+)'/)).find(Boolean);
+      if (text) {
+        this.keysByText.set(text[1], action.key);
+      }
+    }
+  }
+
+  /**
+   * Find the page action of a row from its recorded selectors, field label or text
+   * @param {Object} row - Parsed step
+   * @returns {Object|undefined} Page action
+   */
+  findAction(row) {
+    // The step text wins: generic recorded selectors such as button[type='submit'] match several entries
+    const { type, target } = row.action;
+    const key = type === 'enter' ? FIELD_LABELS[target] : this.keysByText.get(target);
+    if (key) {
+      return this.actionsByKey.get(key);
+    }
+
+    const recorded = [row.xpath, row.css]
+      .map(normalizeSelector)
+      .find(selector => this.actionsBySelector.has(selector));
+    return recorded ? this.actionsBySelector.get(recorded) : undefined;
+  }
+
+  /**
+   * JavaScript expression for an entered value
+   * @param {Object} row - Parsed step
+   * @param {Object} action - Page action of the row
+   * @returns {string} Expression
+   */
+  valueExpression(row, action) {
+    if (row.masked) {
+      return this.maskedValueExpression(row);
+    }
+    const reference = (VALUE_REFERENCES[action && action.key] || []).find(keyPath => testDataValue(keyPath) === row.data);
+    return reference ? `testData.${reference}` : quote(row.data);
+  }
+
+  /**
+   * Expression for a masked password: the vault account of the email entered before it
+   * @param {Object} row - Parsed step
+   * @returns {string} Expression
+   */
+  maskedValueExpression(row) {
+    const email = this.entered.emailInput;
+    if (!email || email === testDataValue('credentials.email')) {
+      return 'testData.credentials.password';
+    }
+    const account = getCredentialVault().findAccount(email);
+    if (!account) {
+      throw new Error(`Step #${row.number} enters a masked value for ${email}, which has no credential vault account`);
+    }
+    this.usesVault = true;
+    return `getCredentialVault().getAccount(${quote(account.role)}).password`;
+  }
+
+  /**
+   * Expression for the address of a credential vault account
+   * @param {Object} row - Parsed step
+   * @param {string} address - Recorded email address
+   * @returns {string} Expression
+   */
+  accountExpression(row, address) {
+    const account = vaultAddress(address);
+    if (!account) {
+      throw new Error(`Step #${row.number} uses an address no credential vault account has; record with the accounts of the vault (<ROLE>_EMAIL, <ROLE>_GOOGLE_EMAIL)`);
+    }
+    if (account.role === 'super_admin') {
+      return `testData.credentials.${account.field}`;
+    }
+    this.usesVault = true;
+    return `getCredentialVault().getAccount(${quote(account.role)}).${account.field}`;
+  }
+
+  /**
+   * Register (or reuse) a named selector for a row nothing maps to. Selectors are named after the element;
+   * one that matches the text of an account address takes the address as a parameter.
+   * @param {Object} row - Parsed step
+   * @returns {string} Expression of the selector
+   */
+  namedSelector(row) {
+    let selector = this.pickSelector(row);
+    const tag = (selector.match(/^\/\/(\w+)/) || selector.match(/^(\w+)/) || [])[1];
+    const text = selector.match(/normalize-space\(\)='([^']+)'\]$/);
+    const address = text && EMAIL.test(text[1]) ? text[1] : null;
+    let argument = '';
+    if (address) {
+      argument = this.accountExpression(row, address);
+      selector = selector.replace(`'${address}'`, "'${address}'");
+    }
+
+    const existing = [...this.newSelectors.entries()].find(([, value]) => value === selector);
+    if (existing) {
+      return address ? `recordedSelectors.${existing[0]}(${argument})` : `recordedSelectors.${existing[0]}`;
+    }
+
+    const target = row.action.target || '';
+    const attribute = selector.match(/'([^']+)'/);
+    let base;
+    if (address) {
+      base = camelCase(`${tag || 'element'} with address`);
+    } else {
+      base = target && target.length <= 24 ? camelCase(target) : camelCase(attribute ? attribute[1] : `step ${row.number}`);
+    }
+    const suffix = address ? '' : TAG_SUFFIXES[tag] || '';
+    let name = base.endsWith(suffix) ? base : `${base}${suffix}`;
+    for (let index = 2; this.newSelectors.has(name) || testData.selectors[name]; index++) {
+      name = `${base}${suffix}${index}`;
+    }
+
+    this.newSelectors.set(name, selector);
+    if (address) {
+      this.parameterizedSelectors.add(name);
+      return `recordedSelectors.${name}(${argument})`;
+    }
+    return `recordedSelectors.${name}`;
+  }
+
+  /**
+   * Pick the most stable recorded selector: a relative XPath, a short CSS selector, or the step text
+   * @param {Object} row - Parsed step
+   * @returns {string} Selector
+   */
+  pickSelector(row) {
+    const xpath = normalizeSelector(row.xpath);
+    const css = normalizeSelector(row.css);
+    // //svg never matches in HTML documents, and absolute /html[1]/... paths break on any layout change
+    if (xpath.startsWith('//') && !xpath.startsWith('//svg') && !xpath.startsWith('//body/')) {
+      return xpath;
+    }
+    if (css && css.length <= MAX_CSS_LENGTH && !css.startsWith('body >') && /[#.[]/.test(css)) {
+      return css;
+    }
+    return `//*[normalize-space()=${quote(row.action.target).replace(/\\'/g, "'")}]`;
+  }
+
+  /**
+   * Generate the statements of one row (or of a dropdown row folded with its option)
+   * @param {Object} row - Parsed step
+   * @param {Object} next - Following step
+   * @returns {{statements: Array<string>, consumed: number}} Statements and rows used
+   */
+  statementsFor(row, next) {
+    const { type, target } = row.action;
+
+    if (type === 'open') {
+      const pathname = new URL(row.data, testData.baseUrl).pathname;
+      this.currentPage = 'loginPage';
+      return { statements: [pathname === '/login' ? 'await loginPage.navigateToLogin();' : `await loginPage.goto(${quote(pathname)});`], consumed: 1 };
+    }
+    if (type === 'reload') {
+      return { statements: [`await ${this.currentPage}.reload();`], consumed: 1 };
+    }
+
+    const action = this.findAction(row);
+
+    // "Sign In with Google" and the account clicked after it: the account chooser of GoogleSignInPage
+    if (type === 'click' && action && action.key === 'googleSignInButton' && next && next.action.type === 'click' && EMAIL.test(next.action.target)) {
+      const account = this.accountExpression(next, next.action.target);
+      this.usesGoogleSignIn = true;
+      this.currentPage = 'loginPage';
+      return {
+        statements: [
+          'const googleSignInPage = new GoogleSignInPage(await loginPage.openGoogleSignIn());',
+          `await googleSignInPage.chooseAccount(${account});`
+        ],
+        consumed: 2
+      };
+    }
+
+    if (type === 'click' && action && next && next.action.type === 'click') {
+      const option = OPTION_PATTERNS.find(candidate => candidate.opener === action.key && candidate.pattern.test(normalizeSelector(next.xpath)));
+      if (option) {
+        const value = normalizeSelector(next.xpath).match(option.pattern)[1];
+        const argument = testDataValue(option.reference) === value ? `testData.${option.reference}` : quote(value);
+        this.currentPage = 'assignmentPage';
+        return { statements: [`await assignmentPage.${option.method}(${argument});`], consumed: 2 };
+      }
+    }
+
+    if (type === 'click' && TENANT_ROW_ACTIONS.includes(target) && this.entered.tenantNameInput !== undefined) {
+      const tenant = this.entered.tenantNameInput === testData.tenant.name ? 'testData.tenant.name' : quote(this.entered.tenantNameInput);
+      this.currentPage = 'tenantPage';
+      return { statements: [`await tenantPage.clickTenantAction(${tenant}, ${quote(target)});`], consumed: 1 };
+    }
+
+    if (action) {
+      this.currentPage = action.page;
+      if (type === 'enter') {
+        const value = this.valueExpression(row, action);
+        this.entered[action.key] = row.masked ? undefined : row.data;
+        return { statements: [`await ${action.page}.${action.enter}(${value});`], consumed: 1 };
+      }
+      if (action.click) {
+        return { statements: [`await ${action.page}.${action.click}();`], consumed: 1 };
+      }
+      return { statements: [`await ${action.page}.click(testData.selectors.${action.key});`], consumed: 1 };
+    }
+
+    const selector = this.namedSelector(row);
+    if (type === 'enter') {
+      return { statements: [`await ${this.currentPage}.fill(${selector}, ${this.valueExpression(row, null)});`], consumed: 1 };
+    }
+    return { statements: [`await ${this.currentPage}.click(${selector});`], consumed: 1 };
+  }
+
+  /**
+   * Generate the spec source
+   * @returns {string} Spec file contents
+   */
+  generate() {
+    const { environment, steps } = this.recording;
+    const blocks = [];
+
+    for (let index = 0; index < steps.length;) {
+      const row = steps[index];
+      const { statements, consumed } = this.statementsFor(row, steps[index + 1]);
+      const rows = steps.slice(index, index + consumed);
+      const title = rows.length > 1
+        ? `#${rows[0].number}-${rows[rows.length - 1].number} ${rows.map(stepText).join(', ')}`
+        : `#${row.number} ${stepText(row)}`;
+
+      statements.forEach(statement => PAGE_OBJECTS.filter(name => statement.includes(`${name}.`)).forEach(name => this.usedPages.add(name)));
+      blocks.push([
+        `    await test.step(${quote(title)}, async () => {`,
+        ...statements.map(statement => `      ${statement}`),
+        '    });'
+      ].join('\n'));
+      index += consumed;
+    }
+
+    const recordedOn = Object.entries(environment).map(([key, value]) => `${key}: ${value}`).join(' | ');
+    const name = path.basename(this.sourceName, path.extname(this.sourceName));
+    const fixtures = PAGE_OBJECTS.filter(page => this.usedPages.has(page));
+    const selectors = [...this.newSelectors.entries()]
+      .map(([key, selector]) => (this.parameterizedSelectors.has(key)
+        ? `  ${key}: address => \`${selector.replace(/[`\\]/g, '\\$&')}\``
+        : `  ${key}: ${JSON.stringify(selector)}`))
+      .join(',\n');
+
+    return [
+      '/**',
+      ` * Generated from ${this.sourceName} by utils/specGenerator.js - regenerate instead of editing`,
+      ` * Recorded on: ${recordedOn || 'unknown environment'}`,
+      ' */',
+      '',
+      "const { test } = require('../../fixtures');",
+      "const testData = require('../../config/testData');",
+      ...(this.usesVault ? ["const { getCredentialVault } = require('../../utils/credentialVault');"] : []),
+      ...(this.usesGoogleSignIn ? ["const GoogleSignInPage = require('../../pages/GoogleSignInPage');"] : []),
+      '',
+      ...(selectors ? [
+        '// Recorded selectors without a testData.selectors entry',
+        `const recordedSelectors = {\n${selectors}\n};`,
+        ''
+      ] : []),
+      `test.describe(${quote(`Recorded: ${name}`)}, () => {`,
+      `  test(${quote(`${name} (${steps.length} steps)`)}, async ({ ${fixtures.join(', ')} }) => {`,
+      blocks.join('\n\n'),
+      '  });',
+      '});',
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Generate the spec of a recorder export
+ * @param {string} csvPath - Path to the export
+ * @returns {{source: string, newSelectors: Object}} Spec source and the selectors it had to name
+ */
+function generateSpec(csvPath) {
+  const generator = new SpecGenerator(readRecorderCsv(csvPath), path.basename(csvPath));
+  const source = generator.generate();
+  return { source, newSelectors: Object.fromEntries(generator.newSelectors) };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const csvPath = args.find(arg => !arg.startsWith('--') && args[args.indexOf(arg) - 1] !== '--out');
+  const outIndex = args.indexOf('--out');
+
+  if (!csvPath) {
+    console.log('Usage: node utils/specGenerator.js <export.csv> [--out <spec file>] [--check]');
+    process.exit(1);
+  }
+
+  const outPath = outIndex > -1
+    ? path.resolve(args[outIndex + 1])
+    : path.join(GENERATED_DIR, `${path.basename(csvPath, path.extname(csvPath))}.spec.js`);
+  const { source, newSelectors } = generateSpec(path.resolve(csvPath));
+
+  if (args.includes('--check')) {
+    const current = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+    if (current !== source) {
+      console.error(`${path.relative(process.cwd(), outPath)} is out of date with ${csvPath}; run the generator again`);
+      process.exit(1);
+    }
+    console.log(`${path.relative(process.cwd(), outPath)} is up to date`);
+  } else {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, source);
+    console.log(`Wrote ${path.relative(process.cwd(), outPath)}`);
+    Object.entries(newSelectors).forEach(([key, selector]) => console.log(`  new selector ${key}: ${selector}`));
+  }
+}
+
+module.exports = { SpecGenerator, generateSpec };
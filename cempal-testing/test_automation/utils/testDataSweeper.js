@@ -0,0 +1,155 @@
+/**
+ * Test data sweeper for Cempal Portal testing
+ * Purges tenants, groups, teams, users and assignments left behind by test runs (killed workers, failed cleanups),
+ * found by the data factory's naming scheme: <prefix>-<run id>-w<worker>-<n> ... (utils/dataFactory.js)
+ *
+ * Usage:
+ *   node utils/testDataSweeper.js [--prefix qa] [--run <run id>] [--min-age <minutes>] [--dry-run]
+ *
+ * Data of runs younger than --min-age (60 minutes by default) is kept, as those runs may still be going;
+ * --run sweeps a single run regardless of its age. Exits with code 1 when something could not be removed.
+ */
+
+const { chromium } = require('@playwright/test');
+const testData = require('../config/testData');
+const { createApiClient } = require('./apiClient');
+const { runIdOf } = require('./dataFactory');
+const { secretMasker } = require('./secretMasker');
+
+const DEFAULT_MIN_AGE_MINUTES = 60;
+// Run ids are base-36 start timestamps (createRunId); older values cannot be one
+const EARLIEST_RUN = Date.UTC(2025, 0, 1);
+
+/**
+ * Read the value following a command line flag
+ * @param {Array<string>} args - Arguments
+ * @param {string} flag - Flag name
+ * @returns {string|undefined} Value
+ */
+function readFlag(args, flag) {
+  const index = args.indexOf(flag);
+  return index > -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Build the matcher of sweepable names
+ * @param {Object} options - Sweep options
+ * @param {string} options.prefix - Data prefix
+ * @param {string} options.runId - Only this run
+ * @param {number} options.minAgeMinutes - Keep runs younger than this
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {function(string): boolean} True for names to sweep
+ */
+function createNameMatcher({ prefix, runId, minAgeMinutes = DEFAULT_MIN_AGE_MINUTES, now = Date.now() }) {
+  return name => {
+    // Only names the factory generated: reference data such as "qa-staging-tenant" may share the prefix
+    const nameRunId = runIdOf(name, prefix);
+    if (!nameRunId) {
+      return false;
+    }
+    if (runId) {
+      return nameRunId === runId;
+    }
+
+    const startedAt = parseInt(nameRunId, 36);
+    if (startedAt < EARLIEST_RUN || startedAt > now) {
+      return false;
+    }
+    return now - startedAt >= minAgeMinutes * 60 * 1000;
+  };
+}
+
+/**
+ * Remove leftover test data
+ * @param {import('./apiClient').CempalApiClient} client - Client signed in as super admin
+ * @param {Object} options - Sweep options (see createNameMatcher) and dryRun
+ * @returns {Promise<{removed: Array<string>, failed: Array<string>}>} What was (or would be) removed
+ */
+async function sweep(client, { dryRun = false, ...options }) {
+  const matches = createNameMatcher(options);
+  const removed = [];
+  const failed = [];
+
+  /**
+   * Remove one record unless this is a dry run
+   * @param {string} description - What is removed
+   * @param {function(): Promise<*>} action - Removes it
+   */
+  async function remove(description, action) {
+    try {
+      if (!dryRun) {
+        await action();
+      }
+      removed.push(description);
+    } catch (error) {
+      failed.push(`${description}: ${error.message}`);
+    }
+  }
+
+  // Throwaway users go with their assignment, wherever they are assigned
+  for (const user of await client.listSuperAdmins()) {
+    if (matches(user.email)) {
+      await remove(`user ${user.email}`, () => client.deleteUser(user.id));
+    }
+  }
+
+  for (const tenant of await client.listTenants()) {
+    if (matches(tenant.name)) {
+      await remove(`tenant "${tenant.name}"`, () => client.deleteTenant(tenant.id));
+      continue;
+    }
+    for (const group of await client.listGroups(tenant.id)) {
+      if (matches(group.name)) {
+        await remove(`group "${group.name}" of tenant "${tenant.name}"`, () => client.deleteGroup(tenant.id, group.id));
+      }
+    }
+    for (const team of await client.listTeams(tenant.id)) {
+      if (matches(team.name)) {
+        await remove(`team "${team.name}" of tenant "${tenant.name}"`, () => client.deleteTeam(tenant.id, team.id));
+      }
+    }
+  }
+
+  return { removed, failed };
+}
+
+if (require.main === module) {
+  secretMasker.maskConsole();
+  const args = process.argv.slice(2);
+  const options = {
+    prefix: readFlag(args, '--prefix') || testData.dataPrefix,
+    runId: readFlag(args, '--run'),
+    minAgeMinutes: Number(readFlag(args, '--min-age') || DEFAULT_MIN_AGE_MINUTES),
+    dryRun: args.includes('--dry-run')
+  };
+
+  (async () => {
+    const browser = await chromium.launch({ headless: testData.browser.headless });
+    let client;
+    try {
+      client = await createApiClient({ browser });
+      const { removed, failed } = await sweep(client, options);
+      const verb = options.dryRun ? 'Would remove' : 'Removed';
+
+      console.log(`${verb} ${removed.length} leftover(s) with prefix "${options.prefix}-" from ${testData.baseUrl}`);
+      removed.forEach(description => console.log(`  ${description}`));
+      if (failed.length > 0) {
+        console.error(`Could not remove ${failed.length}:`);
+        failed.forEach(problem => console.error(`  ${problem}`));
+      }
+      return failed.length > 0 ? 1 : 0;
+    } finally {
+      if (client) {
+        await client.dispose();
+      }
+      await browser.close();
+    }
+  })()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`Test data sweep failed: ${error.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { sweep, createNameMatcher };
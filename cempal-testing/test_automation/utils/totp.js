@@ -0,0 +1,117 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for Cempal Portal testing
+ * Generates the codes an authenticator app shows for a base32 secret, as Cognito's software token MFA
+ * expects them: HMAC-SHA1, 30-second steps, 6 digits. Shared by LoginPage and the mock portal.
+ *
+ * Usage:
+ *   node utils/totp.js <base32 secret>   # prints the current code
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Decode a base32 secret; spaces, padding and lower case are accepted, as authenticator apps do
+ * @param {string} secret - Base32 secret
+ * @returns {Buffer} Key
+ * @throws {Error} When the secret holds other characters
+ */
+function decodeBase32(secret) {
+  const normalized = String(secret || '').replace(/[\s=]/g, '').toUpperCase();
+  if (!normalized || /[^A-Z2-7]/.test(normalized)) {
+    throw new Error('TOTP secret must be base32 (A-Z, 2-7)');
+  }
+
+  let bits = '';
+  for (const character of normalized) {
+    bits += BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0');
+  }
+  const bytes = bits.match(/.{8}/g) || [];
+  return Buffer.from(bytes.map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * Encode a key as base32, without padding
+ * @param {Buffer} key - Key
+ * @returns {string} Base32 secret
+ */
+function encodeBase32(key) {
+  const bits = [...key].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+}
+
+/**
+ * Generate a random secret, 160 bits like Cognito's
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return encodeBase32(crypto.randomBytes(20));
+}
+
+/**
+ * Code of a secret at a time
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - Code options
+ * @param {number} options.time - Time in ms since epoch, now by default
+ * @returns {string} Six-digit code
+ */
+function generateTotp(secret, { time = Date.now() } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / PERIOD_SECONDS)));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing for clock drift of one step either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code to check
+ * @param {Object} options - Check options
+ * @param {number} options.time - Time in ms since epoch, now by default
+ * @returns {boolean} True if the code is valid
+ */
+function verifyTotp(secret, code, { time = Date.now() } = {}) {
+  const candidate = String(code || '').trim();
+  return [-1, 0, 1].some(step => generateTotp(secret, { time: time + step * PERIOD_SECONDS * 1000 }) === candidate);
+}
+
+/**
+ * Seconds until the current code is replaced
+ * @param {number} time - Time in ms since epoch, now by default
+ * @returns {number} Seconds left in the current step
+ */
+function secondsRemaining(time = Date.now()) {
+  return PERIOD_SECONDS - Math.floor(time / 1000) % PERIOD_SECONDS;
+}
+
+/**
+ * Key URI an authenticator app reads from the setup QR code
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - URI options
+ * @param {string} options.account - Account name, usually the email
+ * @param {string} options.issuer - Issuer shown in the app
+ * @returns {string} otpauth:// URI
+ */
+function otpauthUri(secret, { account, issuer = 'Cempal' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+}
+
+if (require.main === module) {
+  try {
+    console.log(generateTotp(process.argv[2]));
+  } catch (error) {
+    console.error(`Usage: node utils/totp.js <base32 secret>\n${error.message}`);
+    process.exit(2);
+  }
+}
+
+module.exports = { generateSecret, generateTotp, verifyTotp, secondsRemaining, otpauthUri, decodeBase32, encodeBase32 };